@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Bank account that P2P payments are sent from and received into. Daily
+// limits cap the outgoing UPI and IMPS payments per day; 0 means no limit.
+const bankAccountSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  bankName: {
+    type: String,
+    default: ''
+  },
+  // Last digits only, enough to tell accounts apart
+  accountNumber: {
+    type: String,
+    default: '',
+    maxlength: 4
+  },
+  fiatCurrency: {
+    type: String,
+    default: 'INR',
+    required: true,
+    uppercase: true
+  },
+  // Balance before the first linked trade
+  openingBalance: {
+    type: Number,
+    default: 0
+  },
+  upiDailyLimit: {
+    type: Number,
+    default: 100000,
+    min: 0
+  },
+  impsDailyLimit: {
+    type: Number,
+    default: 500000,
+    min: 0
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  notes: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('BankAccount', bankAccountSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Fiat moved into or out of the desk. Deposits and withdrawals are the
+// working capital; owner injections and drawings are the owner's own money.
+const capitalEntrySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['DEPOSIT', 'WITHDRAWAL', 'INJECTION', 'DRAWING'],
+    required: true,
+    uppercase: true
+  },
+  fiatCurrency: {
+    type: String,
+    default: 'INR',
+    required: true,
+    uppercase: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  timestamp: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  notes: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+capitalEntrySchema.index({ fiatCurrency: 1, timestamp: 1 });
+
+module.exports = mongoose.model('CapitalEntry', capitalEntrySchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Someone trades were made with, identified by their P2P nickname. Trade
+// history and dispute counts are derived from the trades and cases naming
+// them; only the risk assessment is stored here.
+const counterpartySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  blacklisted: {
+    type: Boolean,
+    default: false
+  },
+  riskFlags: [{
+    type: String,
+    enum: ['CHARGEBACK', 'THIRD_PARTY_PAYMENT', 'SLOW_PAYMENT', 'FROZEN_ACCOUNT', 'SUSPECTED_FRAUD', 'OTHER']
+  }],
+  notes: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Counterparty', counterpartySchema);
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+// Case opened over a trade: a P2P appeal, a payment reversed by the
+// counterparty's bank, or our bank account frozen over it. A LOST case is a
+// realized loss of amountLost on the day it was closed.
+const disputeSchema = new mongoose.Schema({
+  trade: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trade',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['DISPUTE', 'CHARGEBACK', 'BANK_FREEZE'],
+    default: 'DISPUTE'
+  },
+  status: {
+    type: String,
+    enum: ['OPENED', 'UNDER_REVIEW', 'RESOLVED', 'LOST'],
+    default: 'OPENED'
+  },
+  // Copied from the trade so cases can be reported per book and counterparty
+  fiatCurrency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  cryptoCurrency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  counterparty: {
+    type: String,
+    default: ''
+  },
+  // Fiat that could be lost while the case is open, and what was lost
+  amountAtRisk: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  amountLost: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  openedAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  closedAt: {
+    type: Date,
+    default: null
+  },
+  notes: {
+    type: String,
+    default: ''
+  },
+  // Links to evidence kept elsewhere (bank letters, chat exports, screenshots)
+  attachments: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    url: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+disputeSchema.index({ trade: 1 });
+disputeSchema.index({ status: 1, fiatCurrency: 1, closedAt: 1 });
+
+module.exports = mongoose.model('Dispute', disputeSchema);
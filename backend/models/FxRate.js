@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Daily exchange rate: one unit of baseCurrency is worth `rate` quoteCurrency
+const fxRateSchema = new mongoose.Schema({
+  baseCurrency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  quoteCurrency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  // Start of the day (UTC) the rate applies to
+  date: {
+    type: Date,
+    required: true
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  source: {
+    type: String,
+    enum: ['MANUAL', 'FILE'],
+    default: 'MANUAL'
+  },
+  notes: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+// One rate per pair per day
+fxRateSchema.index({ baseCurrency: 1, quoteCurrency: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('FxRate', fxRateSchema);
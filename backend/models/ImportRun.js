@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// One import of a platform export: the adapter that read it, what became of
+// its rows, and the rows that were rejected with the reason
+const importRunSchema = new mongoose.Schema({
+  // Key of the import adapter, or BULK for POST /api/trades/bulk
+  adapter: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  fileName: {
+    type: String,
+    default: ''
+  },
+  // Venue the imported trades were placed on
+  venue: {
+    type: String,
+    default: '',
+    uppercase: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['COMPLETED', 'ROLLED_BACK'],
+    default: 'COMPLETED'
+  },
+  totalRows: {
+    type: Number,
+    default: 0
+  },
+  importedRows: {
+    type: Number,
+    default: 0
+  },
+  // Orders already recorded for the venue, or repeated in the file
+  duplicateRows: {
+    type: Number,
+    default: 0
+  },
+  rejectedRows: {
+    type: Number,
+    default: 0
+  },
+  rejected: [{
+    line: Number,
+    reason: String,
+    row: mongoose.Schema.Types.Mixed
+  }],
+  rolledBackAt: {
+    type: Date,
+    default: null
+  },
+  // Key a client sent with a bulk upload; the same key returns this run again
+  idempotencyKey: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+importRunSchema.index({ createdAt: -1 });
+importRunSchema.index(
+  { idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('ImportRun', importRunSchema);
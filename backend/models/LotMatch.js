@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// One portion of a SELL trade matched against one BUY lot, always by FIFO. A
+// network fee match consumes a lot for a transfer's fee instead; it names the
+// transfer and has no sellTrade.
+const lotMatchSchema = new mongoose.Schema({
+  sellTrade: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trade',
+    default: null
+  },
+  networkFee: {
+    type: Boolean,
+    default: false
+  },
+  transfer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transfer',
+    default: null
+  },
+  // Null when the sell exceeded the available inventory and the excess was
+  // realized at zero cost
+  buyTrade: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trade',
+    default: null
+  },
+  unmatched: {
+    type: Boolean,
+    default: false
+  },
+  method: {
+    type: String,
+    default: 'FIFO'
+  },
+  fiatCurrency: {
+    type: String,
+    required: true
+  },
+  cryptoCurrency: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  buyPrice: {
+    type: Number,
+    required: true
+  },
+  sellPrice: {
+    type: Number,
+    required: true
+  },
+  buyTimestamp: {
+    type: Date,
+    required: true
+  },
+  sellTimestamp: {
+    type: Date,
+    required: true
+  },
+  grossProfit: {
+    type: Number,
+    default: 0
+  },
+  fees: {
+    type: Number,
+    default: 0
+  },
+  netProfit: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+lotMatchSchema.index({ fiatCurrency: 1, cryptoCurrency: 1, sellTimestamp: 1 });
+lotMatchSchema.index({ sellTrade: 1 });
+lotMatchSchema.index({ buyTrade: 1 });
+lotMatchSchema.index({ transfer: 1 });
+
+module.exports = mongoose.model('LotMatch', lotMatchSchema);
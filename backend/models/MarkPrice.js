@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Market price of one crypto asset in one fiat currency at a point in time,
+// used to value the inventory that is still held
+const markPriceSchema = new mongoose.Schema({
+  fiatCurrency: {
+    type: String,
+    default: 'INR',
+    required: true,
+    uppercase: true
+  },
+  cryptoCurrency: {
+    type: String,
+    default: 'USDT',
+    required: true,
+    uppercase: true
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  timestamp: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  source: {
+    type: String,
+    enum: ['MANUAL', 'FILE'],
+    default: 'MANUAL'
+  },
+  notes: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+markPriceSchema.index({ fiatCurrency: 1, cryptoCurrency: 1, timestamp: -1 });
+
+module.exports = mongoose.model('MarkPrice', markPriceSchema);
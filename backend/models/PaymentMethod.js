@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Way a P2P counterparty pays or is paid, as offered on the ad (UPI, IMPS,
+// bank transfer, cash...). Trades refer to a payment method by its code, and
+// take the bank rail whose daily limit it uses from it.
+const paymentMethodSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  transferMode: {
+    type: String,
+    enum: ['UPI', 'IMPS', 'NEFT', 'RTGS', 'OTHER'],
+    default: 'OTHER'
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  notes: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('PaymentMethod', paymentMethodSchema);
@@ -36,6 +36,79 @@ const tradeSchema = new mongoose.Schema({
     default: 'USDT',
     required: true
   },
+  // Platform, bank and network charges paid in fiat
+  feeFiat: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Fees deducted in crypto (valued at the trade price)
+  feeCrypto: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Tax deducted at source (1% TDS under India's VDA rules) withheld from a
+  // SELL, in fiat. Claimed as a credit against the tax payable.
+  tdsDeducted: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Code of the venue (P2P marketplace) the trade happened on
+  venue: {
+    type: String,
+    default: '',
+    uppercase: true,
+    trim: true
+  },
+  // Order number the venue gave the trade: optional, unique within the venue,
+  // and used to skip re-imported orders
+  orderId: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  // Import run the trade came from, so a whole import can be rolled back
+  importRun: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportRun',
+    default: null
+  },
+  // P2P nickname of the other side of the trade
+  counterparty: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  // Code of the payment method the fiat leg was paid with
+  paymentMethod: {
+    type: String,
+    default: '',
+    uppercase: true,
+    trim: true
+  },
+  // Bank account the fiat leg settled through, and the rail it was sent on
+  bankAccount: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BankAccount',
+    default: null
+  },
+  transferMode: {
+    type: String,
+    enum: ['UPI', 'IMPS', 'NEFT', 'RTGS', 'OTHER'],
+    default: 'UPI'
+  },
+  // BUY trades a SELL closes under specific identification
+  closesTrades: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trade'
+  }],
+  // A dispute (appeal or chargeback) was raised over the trade
+  disputed: {
+    type: Boolean,
+    default: false
+  },
   notes: {
     type: String,
     default: ''
@@ -53,12 +126,31 @@ const tradeSchema = new mongoose.Schema({
 tradeSchema.index({ type: 1, timestamp: 1 });
 tradeSchema.index({ fiatCurrency: 1, timestamp: 1 });
 tradeSchema.index({ status: 1 });
+tradeSchema.index({ bankAccount: 1, timestamp: 1 });
+tradeSchema.index({ venue: 1, timestamp: 1 });
+// Trades without an order number are left out of the uniqueness check
+tradeSchema.index(
+  { venue: 1, orderId: 1 },
+  { unique: true, partialFilterExpression: { orderId: { $gt: '' } } }
+);
+// Order number lookups without a venue (the orderId filter of GET
+// /api/trades, the duplicate check of a bulk import) cannot use the partial
+// index above
+tradeSchema.index({ orderId: 1 });
+tradeSchema.index({ importRun: 1 });
+tradeSchema.index({ counterparty: 1, timestamp: 1 });
+tradeSchema.index({ paymentMethod: 1, timestamp: 1 });
 
 // Virtual field for total value
 tradeSchema.virtual('totalValue').get(function() {
   return this.fiatAmount;
 });
 
+// Virtual field for total fees expressed in fiat
+tradeSchema.virtual('totalFeesFiat').get(function() {
+  return (this.feeFiat || 0) + (this.feeCrypto || 0) * this.price;
+});
+
 // Virtual field for formatted timestamp
 tradeSchema.virtual('formattedTimestamp').get(function() {
   return this.timestamp.toLocaleString('en-IN', {
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// Crypto moved between two venues (exchanges or wallets) of the desk. Not a
+// trade: nothing is bought or sold, only the network fee leaves inventory.
+// `amount` is what arrives at the destination; the source also pays the fee.
+const transferSchema = new mongoose.Schema({
+  // Codes from the managed venue list, like a trade's venue
+  fromVenue: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  toVenue: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  cryptoCurrency: {
+    type: String,
+    default: 'USDT',
+    required: true,
+    uppercase: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Network (withdrawal) fee in the transferred crypto
+  networkFee: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Inventory book the fee is charged to
+  fiatCurrency: {
+    type: String,
+    default: 'INR',
+    required: true,
+    uppercase: true
+  },
+  timestamp: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  txHash: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['COMPLETED', 'PENDING', 'CANCELLED'],
+    default: 'COMPLETED'
+  },
+  notes: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+transferSchema.index({ fiatCurrency: 1, cryptoCurrency: 1, timestamp: 1 });
+transferSchema.index({ fromVenue: 1, toVenue: 1 });
+
+module.exports = mongoose.model('Transfer', transferSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Marketplace, exchange or wallet where trades happen and crypto is held.
+// Trades and transfers refer to a venue by its code.
+const venueSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  kind: {
+    type: String,
+    enum: ['P2P', 'EXCHANGE', 'WALLET'],
+    default: 'P2P'
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  notes: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Venue', venueSchema);
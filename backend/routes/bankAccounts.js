@@ -0,0 +1,236 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const BankAccount = require('../models/BankAccount');
+const Trade = require('../models/Trade');
+const BankAccountService = require('../services/bankAccountService');
+const CalendarService = require('../services/calendarService');
+
+// Get bank accounts with their current balance and today's limit usage
+router.get('/', async (req, res) => {
+  try {
+    const bankAccountService = new BankAccountService(CalendarService.fromQuery(req.query));
+    const accounts = await bankAccountService.getAccountSummaries();
+
+    res.json({
+      success: true,
+      data: accounts
+    });
+  } catch (error) {
+    console.error('Error fetching bank accounts:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Check whether a payment would go over the account's daily limit
+router.get('/limit-check', async (req, res) => {
+  try {
+    const {
+      bankAccount,
+      type = 'BUY',
+      transferMode = 'UPI',
+      fiatAmount,
+      timestamp
+    } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(bankAccount)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid bank account is required'
+      });
+    }
+
+    const account = await BankAccount.findById(bankAccount).lean();
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bank account not found'
+      });
+    }
+
+    const bankAccountService = new BankAccountService(CalendarService.fromQuery(req.query));
+    const paymentTime = timestamp ? new Date(timestamp) : new Date();
+    const trades = await bankAccountService.loadDayTrades(account._id, paymentTime);
+    const check = bankAccountService.checkPayment(account, trades, {
+      type: type.toUpperCase(),
+      transferMode: transferMode.toUpperCase(),
+      fiatAmount: parseFloat(fiatAmount) || 0,
+      timestamp: paymentTime
+    });
+
+    res.json({
+      success: true,
+      data: check
+    });
+  } catch (error) {
+    console.error('Error checking bank account limit:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Get the running balance and daily limit usage of one account
+router.get('/:id/ledger', async (req, res) => {
+  try {
+    const account = await BankAccount.findById(req.params.id).lean();
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bank account not found'
+      });
+    }
+
+    const bankAccountService = new BankAccountService(CalendarService.fromQuery(req.query));
+    const ledger = await bankAccountService.getAccountLedger(account);
+
+    res.json({
+      success: true,
+      data: ledger
+    });
+  } catch (error) {
+    console.error('Error fetching bank account ledger:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Add a bank account
+router.post('/', async (req, res) => {
+  try {
+    const {
+      name,
+      bankName = '',
+      accountNumber = '',
+      fiatCurrency = 'INR',
+      openingBalance = 0,
+      upiDailyLimit,
+      impsDailyLimit,
+      notes = ''
+    } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account name is required'
+      });
+    }
+
+    const account = new BankAccount({
+      name,
+      bankName,
+      accountNumber: String(accountNumber).slice(-4),
+      fiatCurrency: fiatCurrency.toUpperCase(),
+      openingBalance: parseFloat(openingBalance) || 0,
+      ...(upiDailyLimit !== undefined && upiDailyLimit !== '' && { upiDailyLimit: parseFloat(upiDailyLimit) }),
+      ...(impsDailyLimit !== undefined && impsDailyLimit !== '' && { impsDailyLimit: parseFloat(impsDailyLimit) }),
+      notes
+    });
+
+    await account.save();
+
+    res.status(201).json({
+      success: true,
+      data: account,
+      message: 'Bank account created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating bank account:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Update bank account
+router.put('/:id', async (req, res) => {
+  try {
+    const {
+      name,
+      bankName,
+      accountNumber,
+      openingBalance,
+      upiDailyLimit,
+      impsDailyLimit,
+      active,
+      notes
+    } = req.body;
+
+    const account = await BankAccount.findByIdAndUpdate(
+      req.params.id,
+      {
+        ...(name && { name }),
+        ...(bankName !== undefined && { bankName }),
+        ...(accountNumber !== undefined && { accountNumber: String(accountNumber).slice(-4) }),
+        ...(openingBalance !== undefined && { openingBalance: parseFloat(openingBalance) || 0 }),
+        ...(upiDailyLimit !== undefined && { upiDailyLimit: parseFloat(upiDailyLimit) || 0 }),
+        ...(impsDailyLimit !== undefined && { impsDailyLimit: parseFloat(impsDailyLimit) || 0 }),
+        ...(active !== undefined && { active: Boolean(active) }),
+        ...(notes !== undefined && { notes })
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bank account not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: account,
+      message: 'Bank account updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating bank account:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Delete a bank account that no trade settled through
+router.delete('/:id', async (req, res) => {
+  try {
+    const linkedTrades = await Trade.countDocuments({ bankAccount: req.params.id });
+    if (linkedTrades > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `${linkedTrades} trades settled through this account; deactivate it instead`
+      });
+    }
+
+    const account = await BankAccount.findByIdAndDelete(req.params.id);
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bank account not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Bank account deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting bank account:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,133 @@
+const express = require('express');
+const router = express.Router();
+const CapitalEntry = require('../models/CapitalEntry');
+
+const ENTRY_TYPES = ['DEPOSIT', 'WITHDRAWAL', 'INJECTION', 'DRAWING'];
+
+// Get capital ledger entries with pagination and filters
+router.get('/', async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 50,
+      type,
+      fiatCurrency,
+      from,
+      to
+    } = req.query;
+
+    // Build query
+    const query = {};
+    if (type) query.type = type.toUpperCase();
+    if (fiatCurrency) query.fiatCurrency = fiatCurrency.toUpperCase();
+
+    if (from || to) {
+      query.timestamp = {};
+      if (from) query.timestamp.$gte = new Date(from);
+      if (to) query.timestamp.$lte = new Date(to);
+    }
+
+    // Execute query with pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const entries = await CapitalEntry.find(query)
+      .sort({ timestamp: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await CapitalEntry.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching capital entries:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Record a deposit, withdrawal, owner injection or drawing
+router.post('/', async (req, res) => {
+  try {
+    const {
+      type,
+      fiatCurrency = 'INR',
+      amount,
+      timestamp,
+      notes = ''
+    } = req.body;
+
+    if (!type || !ENTRY_TYPES.includes(type.toUpperCase())) {
+      return res.status(400).json({
+        success: false,
+        message: `Type must be one of ${ENTRY_TYPES.join(', ')}`
+      });
+    }
+
+    if (amount === undefined || amount === '' || isNaN(parseFloat(amount)) || parseFloat(amount) <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Amount must be a positive number'
+      });
+    }
+
+    const entry = new CapitalEntry({
+      type: type.toUpperCase(),
+      fiatCurrency: fiatCurrency.toUpperCase(),
+      amount: parseFloat(amount),
+      timestamp: timestamp ? new Date(timestamp) : new Date(),
+      notes
+    });
+
+    await entry.save();
+
+    res.status(201).json({
+      success: true,
+      data: entry,
+      message: 'Capital entry saved successfully'
+    });
+  } catch (error) {
+    console.error('Error saving capital entry:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Delete capital entry
+router.delete('/:id', async (req, res) => {
+  try {
+    const entry = await CapitalEntry.findByIdAndDelete(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Capital entry not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Capital entry deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting capital entry:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
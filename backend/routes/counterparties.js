@@ -0,0 +1,209 @@
+const express = require('express');
+const router = express.Router();
+const Counterparty = require('../models/Counterparty');
+const Dispute = require('../models/Dispute');
+const CounterpartyService = require('../services/counterpartyService');
+
+const RISK_FLAGS = ['CHARGEBACK', 'THIRD_PARTY_PAYMENT', 'SLOW_PAYMENT', 'FROZEN_ACCOUNT', 'SUSPECTED_FRAUD', 'OTHER'];
+
+// Accept risk flags as an array or a comma-separated string
+const parseRiskFlags = (value) => {
+  const flags = Array.isArray(value) ? value : String(value).split(',');
+  return flags.map(flag => String(flag).trim().toUpperCase()).filter(Boolean);
+};
+
+const findInvalidFlag = (flags) => flags.find(flag => !RISK_FLAGS.includes(flag));
+
+// Get everyone traded with, with their history and risk flags
+router.get('/', async (req, res) => {
+  try {
+    const {
+      fiatCurrency = 'INR',
+      method = 'FIFO',
+      flagged
+    } = req.query;
+
+    const counterpartyService = new CounterpartyService();
+    counterpartyService.setMethod(method.toUpperCase());
+
+    let directory = await counterpartyService.getDirectory(fiatCurrency.toUpperCase());
+    if (flagged !== undefined) {
+      directory = directory.filter(counterparty => counterparty.flagged === (flagged === 'true'));
+    }
+
+    res.json({
+      success: true,
+      data: directory
+    });
+  } catch (error) {
+    console.error('Error fetching counterparties:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Get the risk flags of one counterparty by name
+router.get('/lookup', async (req, res) => {
+  try {
+    const { name } = req.query;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name is required'
+      });
+    }
+
+    const [counterparty, disputes] = await Promise.all([
+      Counterparty.findOne({ name: name.trim() }).lean(),
+      Dispute.countDocuments({ counterparty: name.trim() })
+    ]);
+
+    res.json({
+      success: true,
+      data: counterparty && { ...counterparty, disputes }
+    });
+  } catch (error) {
+    console.error('Error looking up counterparty:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Record a counterparty's risk assessment
+router.post('/', async (req, res) => {
+  try {
+    const {
+      name,
+      blacklisted = false,
+      riskFlags = [],
+      notes = ''
+    } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Counterparty name is required'
+      });
+    }
+
+    const flags = parseRiskFlags(riskFlags);
+    const invalidFlag = findInvalidFlag(flags);
+    if (invalidFlag) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown risk flag ${invalidFlag}. Must be one of ${RISK_FLAGS.join(', ')}`
+      });
+    }
+
+    const existing = await Counterparty.findOne({ name: name.trim() });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: `Counterparty ${existing.name} already exists`
+      });
+    }
+
+    const counterparty = new Counterparty({
+      name,
+      blacklisted: Boolean(blacklisted),
+      riskFlags: flags,
+      notes
+    });
+
+    await counterparty.save();
+
+    res.status(201).json({
+      success: true,
+      data: counterparty,
+      message: 'Counterparty created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating counterparty:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Update a counterparty's flags; the name is fixed since trades refer to it
+router.put('/:id', async (req, res) => {
+  try {
+    const {
+      blacklisted,
+      riskFlags,
+      notes
+    } = req.body;
+
+    const flags = riskFlags !== undefined ? parseRiskFlags(riskFlags) : undefined;
+    const invalidFlag = flags && findInvalidFlag(flags);
+    if (invalidFlag) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown risk flag ${invalidFlag}. Must be one of ${RISK_FLAGS.join(', ')}`
+      });
+    }
+
+    const counterparty = await Counterparty.findByIdAndUpdate(
+      req.params.id,
+      {
+        ...(blacklisted !== undefined && { blacklisted: Boolean(blacklisted) }),
+        ...(flags && { riskFlags: flags }),
+        ...(notes !== undefined && { notes })
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!counterparty) {
+      return res.status(404).json({
+        success: false,
+        message: 'Counterparty not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: counterparty,
+      message: 'Counterparty updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating counterparty:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Delete a counterparty's record. Their trades keep the name and they stay in
+// the directory, without flags.
+router.delete('/:id', async (req, res) => {
+  try {
+    const counterparty = await Counterparty.findByIdAndDelete(req.params.id);
+
+    if (!counterparty) {
+      return res.status(404).json({
+        success: false,
+        message: 'Counterparty not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Counterparty deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting counterparty:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
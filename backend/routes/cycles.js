@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const CycleService = require('../services/cycleService');
+const CalendarService = require('../services/calendarService');
+
+// Get buy-then-sell round trips with spread and holding time analytics
+router.get('/', async (req, res) => {
+  try {
+    const {
+      fiatCurrency = 'INR',
+      cryptoCurrency = 'USDT',
+      status,
+      from,
+      to
+    } = req.query;
+
+    const cycleService = new CycleService();
+    cycleService.setCalendar(CalendarService.fromQuery(req.query));
+    const result = await cycleService.getCycles(
+      fiatCurrency.toUpperCase(),
+      from,
+      to,
+      cryptoCurrency.toUpperCase(),
+      status ? status.toUpperCase() : null
+    );
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Cycle calculation error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,306 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Dispute = require('../models/Dispute');
+const Trade = require('../models/Trade');
+const DisputeService = require('../services/disputeService');
+
+const KINDS = ['DISPUTE', 'CHARGEBACK', 'BANK_FREEZE'];
+const STATUSES = ['OPENED', 'UNDER_REVIEW', 'RESOLVED', 'LOST'];
+const CLOSED_STATUSES = ['RESOLVED', 'LOST'];
+
+// Keep attachments that have both a name and a link
+const parseAttachments = (value) => (Array.isArray(value) ? value : [])
+  .filter(attachment => attachment && attachment.name && attachment.url)
+  .map(attachment => ({
+    name: attachment.name,
+    url: attachment.url,
+    ...(attachment.addedAt && { addedAt: new Date(attachment.addedAt) })
+  }));
+
+// Get cases, newest first
+router.get('/', async (req, res) => {
+  try {
+    const {
+      status,
+      kind,
+      trade,
+      fiatCurrency
+    } = req.query;
+
+    if (trade && !mongoose.Types.ObjectId.isValid(trade)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid trade'
+      });
+    }
+
+    const query = {};
+    if (status) query.status = status.toUpperCase();
+    if (kind) query.kind = kind.toUpperCase();
+    if (trade) query.trade = trade;
+    if (fiatCurrency) query.fiatCurrency = fiatCurrency.toUpperCase();
+
+    const disputes = await Dispute.find(query)
+      .populate('trade', 'type cryptoAmount fiatAmount price timestamp venue')
+      .sort({ openedAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: disputes
+    });
+  } catch (error) {
+    console.error('Error fetching disputes:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Get the fiat at risk in open cases and what closed cases lost
+router.get('/exposure', async (req, res) => {
+  try {
+    const { fiatCurrency = 'INR' } = req.query;
+
+    const disputeService = new DisputeService();
+    const exposure = await disputeService.getExposure(fiatCurrency.toUpperCase());
+
+    res.json({
+      success: true,
+      data: exposure
+    });
+  } catch (error) {
+    console.error('Error fetching dispute exposure:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Open a case over a trade
+router.post('/', async (req, res) => {
+  try {
+    const {
+      trade: tradeId,
+      kind = 'DISPUTE',
+      amountAtRisk,
+      openedAt,
+      notes = '',
+      attachments = []
+    } = req.body;
+
+    if (!tradeId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Trade is required'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(tradeId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid trade'
+      });
+    }
+
+    if (!KINDS.includes(kind.toUpperCase())) {
+      return res.status(400).json({
+        success: false,
+        message: `Kind must be one of ${KINDS.join(', ')}`
+      });
+    }
+
+    const trade = await Trade.findById(tradeId);
+    if (!trade) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trade not found'
+      });
+    }
+
+    // The whole trade is at risk unless told otherwise
+    const atRisk = amountAtRisk !== undefined && amountAtRisk !== '' ? parseFloat(amountAtRisk) : trade.fiatAmount;
+    if (isNaN(atRisk) || atRisk < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Amount at risk must be a positive number'
+      });
+    }
+
+    const dispute = new Dispute({
+      trade: trade._id,
+      kind: kind.toUpperCase(),
+      fiatCurrency: trade.fiatCurrency,
+      cryptoCurrency: trade.cryptoCurrency,
+      counterparty: trade.counterparty,
+      amountAtRisk: atRisk,
+      ...(openedAt && { openedAt: new Date(openedAt) }),
+      notes,
+      attachments: parseAttachments(attachments)
+    });
+
+    await dispute.save();
+
+    if (!trade.disputed) {
+      trade.disputed = true;
+      await trade.save();
+    }
+
+    res.status(201).json({
+      success: true,
+      data: dispute,
+      message: 'Case opened successfully'
+    });
+  } catch (error) {
+    console.error('Error opening dispute:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Update a case. Closing it as RESOLVED or LOST stamps closedAt; a LOST case
+// loses its whole amount at risk unless amountLost says otherwise.
+router.put('/:id', async (req, res) => {
+  try {
+    const {
+      kind,
+      status,
+      amountAtRisk,
+      amountLost,
+      closedAt,
+      notes,
+      attachments
+    } = req.body;
+
+    if (kind && !KINDS.includes(kind.toUpperCase())) {
+      return res.status(400).json({
+        success: false,
+        message: `Kind must be one of ${KINDS.join(', ')}`
+      });
+    }
+
+    if (status && !STATUSES.includes(status.toUpperCase())) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of ${STATUSES.join(', ')}`
+      });
+    }
+
+    const atRisk = amountAtRisk !== undefined ? parseFloat(amountAtRisk) : undefined;
+    if (atRisk !== undefined && (isNaN(atRisk) || atRisk < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Amount at risk must be a positive number'
+      });
+    }
+
+    const lost = amountLost !== undefined ? parseFloat(amountLost) : undefined;
+    if (lost !== undefined && (isNaN(lost) || lost < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Amount lost must be a positive number'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid case'
+      });
+    }
+
+    const dispute = await Dispute.findById(req.params.id);
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found'
+      });
+    }
+
+    if (kind) dispute.kind = kind.toUpperCase();
+    if (atRisk !== undefined) dispute.amountAtRisk = atRisk;
+    if (notes !== undefined) dispute.notes = notes;
+    if (attachments !== undefined) dispute.attachments = parseAttachments(attachments);
+
+    if (status) {
+      dispute.status = status.toUpperCase();
+      if (CLOSED_STATUSES.includes(dispute.status)) {
+        dispute.closedAt = closedAt ? new Date(closedAt) : dispute.closedAt || new Date();
+      } else {
+        dispute.closedAt = null;
+      }
+    } else if (closedAt && dispute.closedAt) {
+      dispute.closedAt = new Date(closedAt);
+    }
+
+    if (dispute.status === 'LOST') {
+      if (lost > dispute.amountAtRisk) {
+        return res.status(400).json({
+          success: false,
+          message: 'Amount lost cannot be more than the amount at risk'
+        });
+      }
+      dispute.amountLost = lost !== undefined ? lost : Math.min(dispute.amountLost || dispute.amountAtRisk, dispute.amountAtRisk);
+    } else {
+      dispute.amountLost = 0;
+    }
+
+    await dispute.save();
+
+    res.json({
+      success: true,
+      data: dispute,
+      message: 'Case updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating dispute:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Delete a case; the trade stays disputed while it has other cases
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid case'
+      });
+    }
+
+    const dispute = await Dispute.findByIdAndDelete(req.params.id);
+
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        message: 'Case not found'
+      });
+    }
+
+    const otherCases = await Dispute.countDocuments({ trade: dispute.trade });
+    if (otherCases === 0) {
+      await Trade.findByIdAndUpdate(dispute.trade, { disputed: false });
+    }
+
+    res.json({
+      success: true,
+      message: 'Case deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting dispute:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
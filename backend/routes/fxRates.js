@@ -0,0 +1,166 @@
+const express = require('express');
+const router = express.Router();
+const FxRate = require('../models/FxRate');
+const FxRateService = require('../services/fxRateService');
+
+// Get stored exchange rates with pagination and filters
+router.get('/', async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 50,
+      baseCurrency,
+      quoteCurrency,
+      from,
+      to
+    } = req.query;
+
+    // Build query
+    const query = {};
+    if (baseCurrency) query.baseCurrency = baseCurrency.toUpperCase();
+    if (quoteCurrency) query.quoteCurrency = quoteCurrency.toUpperCase();
+
+    if (from || to) {
+      query.date = {};
+      if (from) query.date.$gte = new Date(from);
+      if (to) query.date.$lte = new Date(to);
+    }
+
+    // Execute query with pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const rates = await FxRate.find(query)
+      .sort({ date: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await FxRate.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: rates,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching exchange rates:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Enter a daily rate by hand; an existing rate for the same pair and day is replaced
+router.post('/', async (req, res) => {
+  try {
+    const {
+      baseCurrency,
+      quoteCurrency,
+      date,
+      rate,
+      notes = ''
+    } = req.body;
+
+    if (!baseCurrency || !quoteCurrency || !date || !rate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Base currency, quote currency, date and rate are required'
+      });
+    }
+
+    if (isNaN(parseFloat(rate)) || parseFloat(rate) <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rate must be a positive number'
+      });
+    }
+
+    const fxRateService = new FxRateService();
+    const fxRate = await FxRate.findOneAndUpdate(
+      {
+        baseCurrency: baseCurrency.toUpperCase(),
+        quoteCurrency: quoteCurrency.toUpperCase(),
+        date: fxRateService.toDay(date)
+      },
+      {
+        rate: parseFloat(rate),
+        source: 'MANUAL',
+        notes
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.status(201).json({
+      success: true,
+      data: fxRate,
+      message: 'Exchange rate saved successfully'
+    });
+  } catch (error) {
+    console.error('Error saving exchange rate:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Import daily rates from CSV text with date, base, quote and rate columns
+router.post('/import', async (req, res) => {
+  try {
+    const { content } = req.body;
+
+    if (!content) {
+      return res.status(400).json({
+        success: false,
+        message: 'CSV content is required'
+      });
+    }
+
+    const fxRateService = new FxRateService();
+    const result = await fxRateService.importCsv(content);
+
+    res.json({
+      success: true,
+      data: result,
+      message: `${result.imported} exchange rates imported successfully`
+    });
+  } catch (error) {
+    console.error('Error importing exchange rates:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Delete exchange rate
+router.delete('/:id', async (req, res) => {
+  try {
+    const fxRate = await FxRate.findByIdAndDelete(req.params.id);
+
+    if (!fxRate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exchange rate not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Exchange rate deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting exchange rate:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,168 @@
+const express = require('express');
+const router = express.Router();
+const ImportRun = require('../models/ImportRun');
+const ImportService = require('../services/importService');
+const CalendarService = require('../services/calendarService');
+const { TRADE_FIELDS, listAdapters } = require('../services/importAdapters');
+
+// Get the available import adapters and the columns each one reads
+router.get('/adapters', async (req, res) => {
+  try {
+    const adapters = listAdapters().map(adapter => ({
+      key: adapter.key,
+      name: adapter.name,
+      venue: adapter.venue,
+      columns: adapter.columns,
+      required: adapter.required
+    }));
+
+    res.json({
+      success: true,
+      data: adapters
+    });
+  } catch (error) {
+    console.error('Error fetching import adapters:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Download the header row of the generic CSV template
+router.get('/template', async (req, res) => {
+  res.setHeader('Content-Type', 'text/csv');
+  res.setHeader('Content-Disposition', 'attachment; filename="trades-template.csv"');
+  res.send(`${TRADE_FIELDS.join(',')}\n`);
+});
+
+// Get import runs, newest first, without their rejected rows
+router.get('/', async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const query = {};
+    if (status) query.status = status.toUpperCase();
+
+    const runs = await ImportRun.find(query)
+      .select('-rejected')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: runs
+    });
+  } catch (error) {
+    console.error('Error fetching import runs:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Get one import run with its rejected rows
+router.get('/:id', async (req, res) => {
+  try {
+    const run = await ImportRun.findById(req.params.id).lean();
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import run not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: run
+    });
+  } catch (error) {
+    console.error('Error fetching import run:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Import an export through an adapter: `rows` as objects keyed by column, or
+// the CSV text as `content`. With dryRun the parsed batch is returned unsaved.
+router.post('/', async (req, res) => {
+  try {
+    const {
+      adapter,
+      rows,
+      content,
+      fileName,
+      venue,
+      fiatCurrency,
+      cryptoCurrency,
+      dryRun = false
+    } = req.body;
+
+    if (!adapter) {
+      return res.status(400).json({
+        success: false,
+        message: 'Adapter is required'
+      });
+    }
+
+    if (!Array.isArray(rows) && !content) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rows or CSV content are required'
+      });
+    }
+
+    // Dates without a timezone are read in the timezone sent with the import
+    const importService = new ImportService(CalendarService.fromQuery(req.body));
+    const result = await importService.runImport({
+      adapter,
+      rows,
+      content,
+      fileName,
+      venue,
+      fiatCurrency,
+      cryptoCurrency,
+      dryRun: Boolean(dryRun)
+    });
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      data: result,
+      message: dryRun
+        ? `${result.importedRows} of ${result.totalRows} rows can be imported`
+        : `${result.importedRows} trades imported, ${result.duplicateRows} duplicates skipped, ${result.rejectedRows} rows rejected`
+    });
+  } catch (error) {
+    console.error('Error importing trades:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Roll back a whole import, deleting the trades it created
+router.post('/:id/rollback', async (req, res) => {
+  try {
+    const importService = new ImportService();
+    const { run, deletedTrades } = await importService.rollback(req.params.id);
+
+    res.json({
+      success: true,
+      data: run,
+      message: `Import rolled back, ${deletedTrades} trades deleted`
+    });
+  } catch (error) {
+    console.error('Error rolling back import:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,116 @@
+const express = require('express');
+const router = express.Router();
+const LotMatch = require('../models/LotMatch');
+const LedgerService = require('../services/ledgerService');
+
+// Get stored FIFO sell-to-buy matches with pagination and filters
+router.get('/', async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 50,
+      fiatCurrency,
+      cryptoCurrency,
+      tradeId,
+      from,
+      to
+    } = req.query;
+
+    // Build query
+    const query = {};
+    if (fiatCurrency) query.fiatCurrency = fiatCurrency.toUpperCase();
+    if (cryptoCurrency) query.cryptoCurrency = cryptoCurrency.toUpperCase();
+    if (tradeId) query.$or = [{ sellTrade: tradeId }, { buyTrade: tradeId }];
+
+    if (from || to) {
+      query.sellTimestamp = {};
+      if (from) query.sellTimestamp.$gte = new Date(from);
+      if (to) query.sellTimestamp.$lte = new Date(to);
+    }
+
+    // Execute query with pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const matches = await LotMatch.find(query)
+      .sort({ sellTimestamp: 1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await LotMatch.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: matches,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching ledger:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Trace a trade's profit back to the trades on the other side of it
+router.get('/trade/:id', async (req, res) => {
+  try {
+    const matches = await LotMatch.find({
+      $or: [{ sellTrade: req.params.id }, { buyTrade: req.params.id }]
+    })
+      .sort({ sellTimestamp: 1 })
+      .populate('sellTrade')
+      .populate('buyTrade')
+      .populate('transfer')
+      .lean();
+
+    const totals = matches.reduce((acc, match) => {
+      acc.amount += match.amount;
+      acc.grossProfit += match.grossProfit;
+      acc.fees += match.fees;
+      acc.netProfit += match.netProfit;
+      return acc;
+    }, { amount: 0, grossProfit: 0, fees: 0, netProfit: 0 });
+
+    res.json({
+      success: true,
+      data: {
+        matches,
+        totals
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching trade ledger:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Rebuild the whole ledger from scratch
+router.post('/rebuild', async (req, res) => {
+  try {
+    const ledgerService = new LedgerService();
+    const results = await ledgerService.rebuildAll();
+
+    res.json({
+      success: true,
+      data: results,
+      message: 'Ledger rebuilt successfully'
+    });
+  } catch (error) {
+    console.error('Error rebuilding ledger:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,172 @@
+const express = require('express');
+const router = express.Router();
+const PaymentMethod = require('../models/PaymentMethod');
+const Trade = require('../models/Trade');
+
+const TRANSFER_MODES = ['UPI', 'IMPS', 'NEFT', 'RTGS', 'OTHER'];
+
+// Get the managed payment method list
+router.get('/', async (req, res) => {
+  try {
+    const { active } = req.query;
+
+    const query = {};
+    if (active !== undefined) query.active = active === 'true';
+
+    const paymentMethods = await PaymentMethod.find(query)
+      .sort({ code: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: paymentMethods
+    });
+  } catch (error) {
+    console.error('Error fetching payment methods:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Add a payment method
+router.post('/', async (req, res) => {
+  try {
+    const {
+      code,
+      name,
+      transferMode = 'OTHER',
+      notes = ''
+    } = req.body;
+
+    if (!code || !name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment method code and name are required'
+      });
+    }
+
+    if (!TRANSFER_MODES.includes(transferMode.toUpperCase())) {
+      return res.status(400).json({
+        success: false,
+        message: `Transfer mode must be one of ${TRANSFER_MODES.join(', ')}`
+      });
+    }
+
+    const existing = await PaymentMethod.findOne({ code: code.trim().toUpperCase() });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: `Payment method ${existing.code} already exists`
+      });
+    }
+
+    const paymentMethod = new PaymentMethod({
+      code,
+      name,
+      transferMode: transferMode.toUpperCase(),
+      notes
+    });
+
+    await paymentMethod.save();
+
+    res.status(201).json({
+      success: true,
+      data: paymentMethod,
+      message: 'Payment method created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating payment method:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Update a payment method; the code is fixed since trades refer to it
+router.put('/:id', async (req, res) => {
+  try {
+    const {
+      name,
+      transferMode,
+      active,
+      notes
+    } = req.body;
+
+    if (transferMode && !TRANSFER_MODES.includes(transferMode.toUpperCase())) {
+      return res.status(400).json({
+        success: false,
+        message: `Transfer mode must be one of ${TRANSFER_MODES.join(', ')}`
+      });
+    }
+
+    const paymentMethod = await PaymentMethod.findByIdAndUpdate(
+      req.params.id,
+      {
+        ...(name && { name }),
+        ...(transferMode && { transferMode: transferMode.toUpperCase() }),
+        ...(active !== undefined && { active: Boolean(active) }),
+        ...(notes !== undefined && { notes })
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!paymentMethod) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment method not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: paymentMethod,
+      message: 'Payment method updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating payment method:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Delete a payment method no trade refers to
+router.delete('/:id', async (req, res) => {
+  try {
+    const paymentMethod = await PaymentMethod.findById(req.params.id);
+
+    if (!paymentMethod) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment method not found'
+      });
+    }
+
+    const linkedTrades = await Trade.countDocuments({ paymentMethod: paymentMethod.code });
+    if (linkedTrades > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `${linkedTrades} trades were paid with this method; deactivate it instead`
+      });
+    }
+
+    await paymentMethod.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Payment method deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting payment method:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
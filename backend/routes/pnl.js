@@ -1,13 +1,34 @@
 const express = require('express');
 const router = express.Router();
 const ProfitCalculator = require('../services/profitCalculator');
+const CalendarService = require('../services/calendarService');
+const MarkPriceService = require('../services/markPriceService');
+const FxRateService = require('../services/fxRateService');
+const PnlAggregationService = require('../services/pnlAggregationService');
+const ExportService = require('../services/exportService');
+
+// Time series of one fiat currency, or of all of them converted into
+// reportingCurrency at each trade date's rate when one is given
+const loadTimeSeries = async (profitCalculator, { fiatCurrency, cryptoCurrency, reportingCurrency, from, to }) => {
+  if (!reportingCurrency) {
+    return profitCalculator.getProfitTimeSeries(fiatCurrency, from, to, cryptoCurrency);
+  }
+
+  const fxRateService = new FxRateService();
+  const converter = await fxRateService.createConverter(reportingCurrency, profitCalculator.getRangeEnd(to));
+  return profitCalculator.getConsolidatedTimeSeries(from, to, cryptoCurrency, reportingCurrency, converter);
+};
 
 // Get profit time series data
 router.get('/timeseries', async (req, res) => {
   try {
     const { 
       fiatCurrency = 'INR', 
+      cryptoCurrency = 'USDT',
       method = 'FIFO',
+      unmatchedPolicy = 'ZERO_COST',
+      reportingCurrency,
+      markToMarket,
       from,
       to 
     } = req.query;
@@ -22,99 +43,63 @@ router.get('/timeseries', async (req, res) => {
     // Create profit calculator instance
     const profitCalculator = new ProfitCalculator();
     profitCalculator.setMethod(method.toUpperCase());
+    profitCalculator.setUnmatchedPolicy(unmatchedPolicy.toUpperCase());
+    profitCalculator.setCalendar(CalendarService.fromQuery(req.query));
 
     // Get profit time series
-    const timeSeries = await profitCalculator.getProfitTimeSeries(
+    let timeSeries = await loadTimeSeries(profitCalculator, {
       fiatCurrency,
+      cryptoCurrency: cryptoCurrency.toUpperCase(),
+      reportingCurrency: reportingCurrency && reportingCurrency.toUpperCase(),
       from,
       to
-    );
-
-    res.json({
-      success: true,
-      data: timeSeries
-    });
-  } catch (error) {
-    console.error('Time series calculation error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: error.message 
     });
-  }
-});
-
-// Get daily profit data
-router.get('/daily', async (req, res) => {
-  try {
-    const { 
-      fiatCurrency = 'INR', 
-      method = 'FIFO',
-      from,
-      to 
-    } = req.query;
 
-    if (!from || !to) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Both from and to dates are required' 
-      });
+    // Value the inventory of each day at the mark price known at the time.
+    // Mark prices are per fiat currency, so consolidated series are not marked.
+    if (markToMarket === 'true' && !reportingCurrency) {
+      const markPriceService = new MarkPriceService();
+      const prices = await markPriceService.getPriceHistory(
+        fiatCurrency.toUpperCase(),
+        cryptoCurrency.toUpperCase(),
+        profitCalculator.getRangeEnd(to)
+      );
+      timeSeries = profitCalculator.markTimeSeries(timeSeries, prices);
     }
 
-    // Create profit calculator instance
-    const profitCalculator = new ProfitCalculator();
-    profitCalculator.setMethod(method.toUpperCase());
-
-    // Get profit time series
-    const timeSeries = await profitCalculator.getProfitTimeSeries(
-      fiatCurrency,
-      from,
-      to
-    );
-
-    // Group by date and calculate daily totals
-    const dailyData = {};
-    timeSeries.forEach(entry => {
-      if (!dailyData[entry.date]) {
-        dailyData[entry.date] = {
-          date: entry.date,
-          cumulativeProfit: 0,
-          dailyProfit: 0,
-          inventory: 0,
-          avgCost: 0
-        };
-      }
-      
-      dailyData[entry.date].cumulativeProfit = entry.cumulativeProfit;
-      dailyData[entry.date].dailyProfit = entry.dailyProfit;
-      dailyData[entry.date].inventory = entry.inventory;
-      dailyData[entry.date].avgCost = entry.avgCost;
-    });
-
-    const dailyArray = Object.values(dailyData).sort((a, b) => new Date(a.date) - new Date(b.date));
-
     res.json({
       success: true,
-      data: dailyArray
+      data: timeSeries
     });
   } catch (error) {
-    console.error('Daily PNL calculation error:', error);
-    res.status(500).json({ 
+    console.error('Time series calculation error:', error);
+    res.status(error.statusCode || 500).json({ 
       success: false, 
-      message: error.message 
+      message: error.message,
+      shortfalls: error.shortfalls
     });
   }
 });
 
-// Get weekly profit data
-router.get('/weekly', async (req, res) => {
+// Per-period profit, volumes, trade counts, VWAP and closing inventory. The
+// daily, weekly and monthly endpoints differ only in the bucket size.
+const createPeriodHandler = (period, label) => async (req, res) => {
   try {
     const { 
       fiatCurrency = 'INR', 
+      cryptoCurrency = 'USDT',
       method = 'FIFO',
+      unmatchedPolicy = 'ZERO_COST',
+      reportingCurrency,
       from,
-      to 
+      to,
+      format
     } = req.query;
 
+    // csv or xlsx downloads the buckets as a spreadsheet
+    const exportService = new ExportService();
+    const exportFormat = exportService.parseFormat(format);
+
     if (!from || !to) {
       return res.status(400).json({ 
         success: false, 
@@ -125,126 +110,59 @@ router.get('/weekly', async (req, res) => {
     // Create profit calculator instance
     const profitCalculator = new ProfitCalculator();
     profitCalculator.setMethod(method.toUpperCase());
+    profitCalculator.setUnmatchedPolicy(unmatchedPolicy.toUpperCase());
+    profitCalculator.setCalendar(CalendarService.fromQuery(req.query));
 
     // Get profit time series
-    const timeSeries = await profitCalculator.getProfitTimeSeries(
+    const timeSeries = await loadTimeSeries(profitCalculator, {
       fiatCurrency,
+      cryptoCurrency: cryptoCurrency.toUpperCase(),
+      reportingCurrency: reportingCurrency && reportingCurrency.toUpperCase(),
       from,
       to
-    );
-
-    // Group by week
-    const weeklyData = {};
-    timeSeries.forEach(entry => {
-      const date = new Date(entry.date);
-      const weekStart = new Date(date);
-      weekStart.setDate(date.getDate() - date.getDay()); // Start of week (Sunday)
-      const weekKey = weekStart.toISOString().split('T')[0];
-      
-      if (!weeklyData[weekKey]) {
-        weeklyData[weekKey] = {
-          weekStart: weekKey,
-          weekEnd: new Date(weekStart.getTime() + 6 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-          cumulativeProfit: 0,
-          weeklyProfit: 0,
-          inventory: 0,
-          avgCost: 0
-        };
-      }
-      
-      weeklyData[weekKey].cumulativeProfit = entry.cumulativeProfit;
-      weeklyData[weekKey].weeklyProfit = entry.dailyProfit;
-      weeklyData[weekKey].inventory = entry.inventory;
-      weeklyData[weekKey].avgCost = entry.avgCost;
-    });
-
-    const weeklyArray = Object.values(weeklyData).sort((a, b) => new Date(a.weekStart) - new Date(b.weekStart));
-
-    res.json({
-      success: true,
-      data: weeklyArray
-    });
-  } catch (error) {
-    console.error('Weekly PNL calculation error:', error);
-    res.status(500).json({ 
-      success: false, 
-      message: error.message 
     });
-  }
-});
 
-// Get monthly profit data
-router.get('/monthly', async (req, res) => {
-  try {
-    const { 
-      fiatCurrency = 'INR', 
-      method = 'FIFO',
-      from,
-      to 
-    } = req.query;
+    const aggregationService = new PnlAggregationService(profitCalculator.calendar);
+    const buckets = aggregationService.aggregate(timeSeries, period);
 
-    if (!from || !to) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Both from and to dates are required' 
+    if (exportFormat) {
+      return await exportService.send(res, {
+        format: exportFormat,
+        fileName: `pnl-${label.toLowerCase()}-${from}-to-${to}`,
+        columns: exportService.getPeriodColumns(period),
+        records: buckets,
+        sheetName: `${label} P&L`
       });
     }
 
-    // Create profit calculator instance
-    const profitCalculator = new ProfitCalculator();
-    profitCalculator.setMethod(method.toUpperCase());
-
-    // Get profit time series
-    const timeSeries = await profitCalculator.getProfitTimeSeries(
-      fiatCurrency,
-      from,
-      to
-    );
-
-    // Group by month
-    const monthlyData = {};
-    timeSeries.forEach(entry => {
-      const date = new Date(entry.date);
-      const monthKey = `${date.getFullYear()}-${(date.getMonth() + 1).toString().padStart(2, '0')}`;
-      
-      if (!monthlyData[monthKey]) {
-        monthlyData[monthKey] = {
-          month: monthKey,
-          monthName: date.toLocaleString('default', { month: 'long', year: 'numeric' }),
-          cumulativeProfit: 0,
-          monthlyProfit: 0,
-          inventory: 0,
-          avgCost: 0
-        };
-      }
-      
-      monthlyData[monthKey].cumulativeProfit = entry.cumulativeProfit;
-      monthlyData[monthKey].monthlyProfit = entry.dailyProfit;
-      monthlyData[monthKey].inventory = entry.inventory;
-      monthlyData[monthKey].avgCost = entry.avgCost;
-    });
-
-    const monthlyArray = Object.values(monthlyData).sort((a, b) => a.month.localeCompare(b.month));
-
     res.json({
       success: true,
-      data: monthlyArray
+      data: buckets
     });
   } catch (error) {
-    console.error('Monthly PNL calculation error:', error);
-    res.status(500).json({ 
+    console.error(`${label} PNL calculation error:`, error);
+    res.status(error.statusCode || 500).json({ 
       success: false, 
-      message: error.message 
+      message: error.message,
+      shortfalls: error.shortfalls
     });
   }
-});
+};
+
+// Get daily, weekly and monthly profit data
+router.get('/daily', createPeriodHandler('day', 'Daily'));
+router.get('/weekly', createPeriodHandler('week', 'Weekly'));
+router.get('/monthly', createPeriodHandler('month', 'Monthly'));
 
 // Get summary data (alias for daily)
 router.get('/summary', async (req, res) => {
   try {
     const { 
       fiatCurrency = 'INR', 
+      cryptoCurrency = 'USDT',
       method = 'FIFO',
+      unmatchedPolicy = 'ZERO_COST',
+      reportingCurrency,
       from,
       to 
     } = req.query;
@@ -259,21 +177,28 @@ router.get('/summary', async (req, res) => {
     // Create profit calculator instance
     const profitCalculator = new ProfitCalculator();
     profitCalculator.setMethod(method.toUpperCase());
+    profitCalculator.setUnmatchedPolicy(unmatchedPolicy.toUpperCase());
+    profitCalculator.setCalendar(CalendarService.fromQuery(req.query));
 
     // Get profit time series
-    const timeSeries = await profitCalculator.getProfitTimeSeries(
+    const timeSeries = await loadTimeSeries(profitCalculator, {
       fiatCurrency,
+      cryptoCurrency: cryptoCurrency.toUpperCase(),
+      reportingCurrency: reportingCurrency && reportingCurrency.toUpperCase(),
       from,
       to
-    );
+    });
 
     // Return the last entry as summary
     const summary = timeSeries.length > 0 ? timeSeries[timeSeries.length - 1] : {
       date: from,
       cumulativeProfit: 0,
+      cumulativeGrossProfit: 0,
+      cumulativeFees: 0,
       dailyProfit: 0,
       inventory: 0,
-      avgCost: 0
+      avgCost: 0,
+      shortfall: null
     };
 
     res.json({
@@ -282,9 +207,10 @@ router.get('/summary', async (req, res) => {
     });
   } catch (error) {
     console.error('Summary PNL calculation error:', error);
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       success: false, 
-      message: error.message 
+      message: error.message,
+      shortfalls: error.shortfalls
     });
   }
 });
@@ -0,0 +1,202 @@
+const express = require('express');
+const router = express.Router();
+const MarkPrice = require('../models/MarkPrice');
+const MarkPriceService = require('../services/markPriceService');
+
+// Get stored mark prices with pagination and filters
+router.get('/', async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 50,
+      fiatCurrency,
+      cryptoCurrency,
+      from,
+      to
+    } = req.query;
+
+    // Build query
+    const query = {};
+    if (fiatCurrency) query.fiatCurrency = fiatCurrency.toUpperCase();
+    if (cryptoCurrency) query.cryptoCurrency = cryptoCurrency.toUpperCase();
+
+    if (from || to) {
+      query.timestamp = {};
+      if (from) query.timestamp.$gte = new Date(from);
+      if (to) query.timestamp.$lte = new Date(to);
+    }
+
+    // Execute query with pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const prices = await MarkPrice.find(query)
+      .sort({ timestamp: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await MarkPrice.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: prices,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching mark prices:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Get the latest mark price of a pair, optionally as of a date
+router.get('/latest', async (req, res) => {
+  try {
+    const {
+      fiatCurrency = 'INR',
+      cryptoCurrency = 'USDT',
+      asOf
+    } = req.query;
+
+    const markPriceService = new MarkPriceService();
+    const price = await markPriceService.getPriceAt(
+      fiatCurrency.toUpperCase(),
+      cryptoCurrency.toUpperCase(),
+      asOf
+    );
+
+    if (!price) {
+      return res.status(404).json({
+        success: false,
+        message: 'No mark price found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: price
+    });
+  } catch (error) {
+    console.error('Error fetching mark price:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Enter a mark price by hand
+router.post('/', async (req, res) => {
+  try {
+    const {
+      fiatCurrency = 'INR',
+      cryptoCurrency = 'USDT',
+      price,
+      timestamp,
+      notes = ''
+    } = req.body;
+
+    if (price === undefined || price === '' || isNaN(parseFloat(price))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Price is required'
+      });
+    }
+
+    const markPrice = new MarkPrice({
+      fiatCurrency: fiatCurrency.toUpperCase(),
+      cryptoCurrency: cryptoCurrency.toUpperCase(),
+      price: parseFloat(price),
+      timestamp: timestamp ? new Date(timestamp) : new Date(),
+      source: 'MANUAL',
+      notes
+    });
+
+    await markPrice.save();
+
+    res.status(201).json({
+      success: true,
+      data: markPrice,
+      message: 'Mark price saved successfully'
+    });
+  } catch (error) {
+    console.error('Error saving mark price:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Load prices from posted file content (content + format), or from a JSON/CSV
+// file (filePath) inside PRICE_FILES_DIR. fiatCurrency/cryptoCurrency fill in files
+// that hold a single pair without those columns.
+router.post('/import', async (req, res) => {
+  try {
+    const {
+      filePath,
+      content,
+      format,
+      fiatCurrency,
+      cryptoCurrency
+    } = req.body;
+
+    if (!filePath && !content) {
+      return res.status(400).json({
+        success: false,
+        message: 'Either filePath or content is required'
+      });
+    }
+
+    const defaults = { fiatCurrency, cryptoCurrency };
+    const markPriceService = new MarkPriceService();
+    const result = filePath
+      ? await markPriceService.importFile(filePath, defaults)
+      : await markPriceService.importContent(content, String(format || 'csv').toLowerCase(), defaults);
+
+    res.json({
+      success: true,
+      data: result,
+      message: `${result.imported} mark prices imported successfully`
+    });
+  } catch (error) {
+    console.error('Error importing mark prices:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Delete mark price
+router.delete('/:id', async (req, res) => {
+  try {
+    const markPrice = await MarkPrice.findByIdAndDelete(req.params.id);
+
+    if (!markPrice) {
+      return res.status(404).json({
+        success: false,
+        message: 'Mark price not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Mark price deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting mark price:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,13 +1,35 @@
 const express = require('express');
 const router = express.Router();
 const ProfitCalculator = require('../services/profitCalculator');
+const CalendarService = require('../services/calendarService');
+const MarkPriceService = require('../services/markPriceService');
+const FxRateService = require('../services/fxRateService');
+const CapitalService = require('../services/capitalService');
+const VenueBreakdownService = require('../services/venueBreakdownService');
+const PaymentMethodService = require('../services/paymentMethodService');
+const ExportService = require('../services/exportService');
+
+// Profit of every fiat currency the asset trades against, converted into
+// reportingCurrency at the rate of each trade date
+const calculateConsolidated = async (profitCalculator, { from, to, cryptoCurrency, reportingCurrency }) => {
+  const fxRateService = new FxRateService();
+  const converter = await fxRateService.createConverter(
+    reportingCurrency,
+    to ? profitCalculator.getRangeEnd(to) : null
+  );
+
+  return profitCalculator.calculateConsolidatedProfit(from, to, cryptoCurrency, reportingCurrency, converter);
+};
 
 // Get profit summary
 router.get('/', async (req, res) => {
   try {
     const { 
       fiatCurrency = 'INR', 
+      cryptoCurrency = 'USDT',
       method = 'FIFO',
+      unmatchedPolicy = 'ZERO_COST',
+      reportingCurrency,
       from,
       to 
     } = req.query;
@@ -15,23 +37,50 @@ router.get('/', async (req, res) => {
     // Create profit calculator instance
     const profitCalculator = new ProfitCalculator();
     profitCalculator.setMethod(method.toUpperCase());
+    profitCalculator.setUnmatchedPolicy(unmatchedPolicy.toUpperCase());
+    profitCalculator.setCalendar(CalendarService.fromQuery(req.query));
+
+    if (reportingCurrency) {
+      const consolidated = await calculateConsolidated(profitCalculator, {
+        from,
+        to,
+        cryptoCurrency: cryptoCurrency.toUpperCase(),
+        reportingCurrency: reportingCurrency.toUpperCase()
+      });
+
+      return res.json({
+        success: true,
+        data: consolidated
+      });
+    }
 
     // Calculate realized profit
-    const summary = await profitCalculator.calculateRealizedProfit(
+    const realized = await profitCalculator.calculateRealizedProfit(
       fiatCurrency,
       from,
-      to
+      to,
+      cryptoCurrency.toUpperCase()
     );
 
+    // Value the remaining inventory at the mark price in force at the range end
+    const markPriceService = new MarkPriceService();
+    const markPrice = await markPriceService.getPriceAt(
+      fiatCurrency.toUpperCase(),
+      cryptoCurrency.toUpperCase(),
+      to ? profitCalculator.getRangeEnd(to) : null
+    );
+    const summary = profitCalculator.applyMarkPrice(realized, markPrice);
+
     res.json({
       success: true,
       data: summary
     });
   } catch (error) {
     console.error('Summary calculation error:', error);
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       success: false, 
-      message: error.message 
+      message: error.message,
+      shortfalls: error.shortfalls
     });
   }
 });
@@ -41,7 +90,10 @@ router.get('/range', async (req, res) => {
   try {
     const { 
       fiatCurrency = 'INR', 
+      cryptoCurrency = 'USDT',
       method = 'FIFO',
+      unmatchedPolicy = 'ZERO_COST',
+      reportingCurrency,
       from,
       to 
     } = req.query;
@@ -56,13 +108,39 @@ router.get('/range', async (req, res) => {
     // Create profit calculator instance
     const profitCalculator = new ProfitCalculator();
     profitCalculator.setMethod(method.toUpperCase());
+    profitCalculator.setUnmatchedPolicy(unmatchedPolicy.toUpperCase());
+    profitCalculator.setCalendar(CalendarService.fromQuery(req.query));
+
+    if (reportingCurrency) {
+      const consolidated = await calculateConsolidated(profitCalculator, {
+        from,
+        to,
+        cryptoCurrency: cryptoCurrency.toUpperCase(),
+        reportingCurrency: reportingCurrency.toUpperCase()
+      });
+
+      return res.json({
+        success: true,
+        data: consolidated
+      });
+    }
 
     // Calculate realized profit for date range
-    const summary = await profitCalculator.calculateRealizedProfit(
+    const realized = await profitCalculator.calculateRealizedProfit(
       fiatCurrency,
       from,
-      to
+      to,
+      cryptoCurrency.toUpperCase()
+    );
+
+    // Value the remaining inventory at the mark price in force at the range end
+    const markPriceService = new MarkPriceService();
+    const markPrice = await markPriceService.getPriceAt(
+      fiatCurrency.toUpperCase(),
+      cryptoCurrency.toUpperCase(),
+      to ? profitCalculator.getRangeEnd(to) : null
     );
+    const summary = profitCalculator.applyMarkPrice(realized, markPrice);
 
     res.json({
       success: true,
@@ -70,9 +148,10 @@ router.get('/range', async (req, res) => {
     });
   } catch (error) {
     console.error('Range summary calculation error:', error);
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       success: false, 
-      message: error.message 
+      message: error.message,
+      shortfalls: error.shortfalls
     });
   }
 });
@@ -82,76 +161,353 @@ router.get('/monthly', async (req, res) => {
   try {
     const { 
       fiatCurrency = 'INR', 
+      cryptoCurrency = 'USDT',
       method = 'FIFO',
-      year 
+      unmatchedPolicy = 'ZERO_COST',
+      reportingCurrency,
+      year,
+      format
     } = req.query;
 
-    const currentYear = year || new Date().getFullYear();
-    const from = `${currentYear}-01-01`;
-    const to = `${currentYear}-12-31`;
+    // csv or xlsx downloads the months as a spreadsheet
+    const exportService = new ExportService();
+    const exportFormat = exportService.parseFormat(format);
+
+    // The year runs from the configured fiscal year start month; `year` is the
+    // calendar year the fiscal year starts in
+    const calendar = CalendarService.fromQuery(req.query);
+    const fiscalYear = year
+      ? calendar.getFiscalYearRange(parseInt(year))
+      : calendar.getCurrentFiscalYear();
+    const from = fiscalYear.start;
+    const to = fiscalYear.end;
 
     // Create profit calculator instance
     const profitCalculator = new ProfitCalculator();
     profitCalculator.setMethod(method.toUpperCase());
+    profitCalculator.setUnmatchedPolicy(unmatchedPolicy.toUpperCase());
+    profitCalculator.setCalendar(calendar);
 
     // Calculate realized profit for the year
-    const yearlySummary = await profitCalculator.calculateRealizedProfit(
-      fiatCurrency,
-      from,
-      to
-    );
+    const yearlySummary = reportingCurrency
+      ? await calculateConsolidated(profitCalculator, {
+        from,
+        to,
+        cryptoCurrency: cryptoCurrency.toUpperCase(),
+        reportingCurrency: reportingCurrency.toUpperCase()
+      })
+      : await profitCalculator.calculateRealizedProfit(
+        fiatCurrency,
+        from,
+        to,
+        cryptoCurrency.toUpperCase()
+      );
 
     // Get monthly breakdown
     const monthlyData = [];
-    for (let month = 1; month <= 12; month++) {
-      const monthFrom = `${currentYear}-${month.toString().padStart(2, '0')}-01`;
-      const monthTo = new Date(currentYear, month, 0).toISOString().split('T')[0];
-      
+    for (const { start: monthFrom, end: monthTo } of calendar.getFiscalYearMonths(fiscalYear.startYear)) {
+      // A date-only `to` covers the whole local day
+      const [monthYear, month] = monthFrom.split('-').map(Number);
+      const monthName = new Date(Date.UTC(monthYear, month - 1)).toLocaleString('default', { month: 'long', timeZone: 'UTC' });
+
       try {
         const monthProfitCalculator = new ProfitCalculator();
         monthProfitCalculator.setMethod(method.toUpperCase());
+        monthProfitCalculator.setUnmatchedPolicy(unmatchedPolicy.toUpperCase());
+        monthProfitCalculator.setCalendar(calendar);
         
-        const monthSummary = await monthProfitCalculator.calculateRealizedProfit(
-          fiatCurrency,
-          monthFrom,
-          monthTo
-        );
+        const monthSummary = reportingCurrency
+          ? await calculateConsolidated(monthProfitCalculator, {
+            from: monthFrom,
+            to: monthTo,
+            cryptoCurrency: cryptoCurrency.toUpperCase(),
+            reportingCurrency: reportingCurrency.toUpperCase()
+          })
+          : await monthProfitCalculator.calculateRealizedProfit(
+            fiatCurrency,
+            monthFrom,
+            monthTo,
+            cryptoCurrency.toUpperCase()
+          );
 
         monthlyData.push({
           month,
-          year: currentYear,
-          monthName: new Date(currentYear, month - 1).toLocaleString('default', { month: 'long' }),
+          year: monthYear,
+          monthName,
           ...monthSummary
         });
       } catch (error) {
-        monthlyData.push({
+        monthlyData.push(reportingCurrency ? {
           month,
-          year: currentYear,
-          monthName: new Date(currentYear, month - 1).toLocaleString('default', { month: 'long' }),
+          year: monthYear,
+          monthName,
+          realizedProfit: 0,
+          grossProfit: 0,
+          fees: 0,
+          totalBuy: 0,
+          totalSell: 0,
+          inventoryRemaining: 0,
+          currencies: [],
+          shortfalls: [],
+          reportingCurrency: reportingCurrency.toUpperCase(),
+          cryptoCurrency: cryptoCurrency.toUpperCase()
+        } : {
+          month,
+          year: monthYear,
+          monthName,
           realizedProfitFiat: 0,
+          grossProfitFiat: 0,
+          feesFiat: 0,
+          netProfitFiat: 0,
+          totalFeesPaid: 0,
           totalBuyFiat: 0,
           totalSellFiat: 0,
           totalBuyAmount: 0,
           totalSellAmount: 0,
           avgBuyPrice: 0,
           avgSellPrice: 0,
-          inventoryRemaining: 0
+          inventoryRemaining: 0,
+          inventoryCostBasis: 0,
+          avgInventoryCost: 0,
+          openingInventory: 0,
+          openingCostBasis: 0,
+          closingInventory: 0,
+          closingCostBasis: 0,
+          shortfalls: [],
+          totalShortfall: 0,
+          cryptoCurrency: cryptoCurrency.toUpperCase()
         });
       }
     }
 
+    if (exportFormat) {
+      return await exportService.send(res, {
+        format: exportFormat,
+        fileName: `monthly-summary-${fiscalYear.label.replace(/\s+/g, '-')}`,
+        // Consolidated months carry their totals under reporting-currency keys
+        columns: reportingCurrency ? ExportService.CONSOLIDATED_MONTHLY_COLUMNS : ExportService.MONTHLY_COLUMNS,
+        records: [...monthlyData, { monthName: 'Total', year: fiscalYear.label, ...yearlySummary }],
+        sheetName: fiscalYear.label
+      });
+    }
+
     res.json({
       success: true,
       data: {
+        fiscalYear: fiscalYear.label,
+        from,
+        to,
         yearly: yearlySummary,
         monthly: monthlyData
       }
     });
   } catch (error) {
     console.error('Monthly summary calculation error:', error);
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       success: false, 
-      message: error.message 
+      message: error.message,
+      shortfalls: error.shortfalls
+    });
+  }
+});
+
+// Get profit summary for one fiscal year
+router.get('/fiscal-year', async (req, res) => {
+  try {
+    const {
+      fiatCurrency = 'INR',
+      cryptoCurrency = 'USDT',
+      method = 'FIFO',
+      unmatchedPolicy = 'ZERO_COST',
+      reportingCurrency,
+      year
+    } = req.query;
+
+    const calendar = CalendarService.fromQuery(req.query);
+    const fiscalYear = year
+      ? calendar.getFiscalYearRange(parseInt(year))
+      : calendar.getCurrentFiscalYear();
+
+    // Create profit calculator instance
+    const profitCalculator = new ProfitCalculator();
+    profitCalculator.setMethod(method.toUpperCase());
+    profitCalculator.setUnmatchedPolicy(unmatchedPolicy.toUpperCase());
+    profitCalculator.setCalendar(calendar);
+
+    const summary = reportingCurrency
+      ? await calculateConsolidated(profitCalculator, {
+        from: fiscalYear.start,
+        to: fiscalYear.end,
+        cryptoCurrency: cryptoCurrency.toUpperCase(),
+        reportingCurrency: reportingCurrency.toUpperCase()
+      })
+      : await profitCalculator.calculateRealizedProfit(
+        fiatCurrency,
+        fiscalYear.start,
+        fiscalYear.end,
+        cryptoCurrency.toUpperCase()
+      );
+
+    res.json({
+      success: true,
+      data: {
+        fiscalYear: fiscalYear.label,
+        from: fiscalYear.start,
+        to: fiscalYear.end,
+        ...summary
+      }
+    });
+  } catch (error) {
+    console.error('Fiscal year summary calculation error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+      shortfalls: error.shortfalls
+    });
+  }
+});
+
+// Get realized profit, average cost and remaining inventory per crypto asset
+router.get('/assets', async (req, res) => {
+  try {
+    const {
+      fiatCurrency = 'INR',
+      method = 'FIFO',
+      unmatchedPolicy = 'ZERO_COST',
+      from,
+      to
+    } = req.query;
+
+    // Create profit calculator instance
+    const profitCalculator = new ProfitCalculator();
+    profitCalculator.setMethod(method.toUpperCase());
+    profitCalculator.setUnmatchedPolicy(unmatchedPolicy.toUpperCase());
+    profitCalculator.setCalendar(CalendarService.fromQuery(req.query));
+
+    const breakdown = await profitCalculator.calculateAssetBreakdown(
+      fiatCurrency,
+      from,
+      to
+    );
+
+    res.json({
+      success: true,
+      data: breakdown
+    });
+  } catch (error) {
+    console.error('Asset breakdown calculation error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+      shortfalls: error.shortfalls
+    });
+  }
+});
+
+// Get capital deployed, ROI, annualized return and capital turnover, with
+// realized profit summed across every crypto asset of the fiat currency
+router.get('/capital', async (req, res) => {
+  try {
+    const {
+      fiatCurrency = 'INR',
+      method = 'FIFO',
+      unmatchedPolicy = 'ZERO_COST',
+      from,
+      to
+    } = req.query;
+
+    const capitalService = new CapitalService();
+    capitalService.setMethod(method.toUpperCase());
+    capitalService.setUnmatchedPolicy(unmatchedPolicy.toUpperCase());
+    capitalService.setCalendar(CalendarService.fromQuery(req.query));
+
+    const report = await capitalService.getCapitalReport(fiatCurrency.toUpperCase(), from, to);
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Capital report calculation error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+      shortfalls: error.shortfalls
+    });
+  }
+});
+
+// Get realized profit by buy venue, by sell venue and by buy → sell venue pair.
+// Average-cost methods are attributed with FIFO; `method` in the response
+// names the one used.
+router.get('/venues', async (req, res) => {
+  try {
+    const {
+      fiatCurrency = 'INR',
+      cryptoCurrency = 'USDT',
+      method = 'FIFO',
+      unmatchedPolicy = 'ZERO_COST',
+      from,
+      to
+    } = req.query;
+
+    const venueBreakdownService = new VenueBreakdownService();
+    venueBreakdownService.setMethod(method.toUpperCase());
+    venueBreakdownService.setUnmatchedPolicy(unmatchedPolicy.toUpperCase());
+    venueBreakdownService.setCalendar(CalendarService.fromQuery(req.query));
+
+    const breakdown = await venueBreakdownService.getBreakdown(
+      fiatCurrency.toUpperCase(),
+      from,
+      to,
+      cryptoCurrency.toUpperCase()
+    );
+
+    res.json({
+      success: true,
+      data: breakdown
+    });
+  } catch (error) {
+    console.error('Venue breakdown calculation error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message,
+      shortfalls: error.shortfalls
+    });
+  }
+});
+
+// Get volume, average spread, cancellation rate and dispute count per payment method
+router.get('/payment-methods', async (req, res) => {
+  try {
+    const {
+      fiatCurrency = 'INR',
+      cryptoCurrency = 'USDT',
+      method = 'FIFO',
+      from,
+      to
+    } = req.query;
+
+    const paymentMethodService = new PaymentMethodService();
+    paymentMethodService.setMethod(method.toUpperCase());
+    paymentMethodService.setCalendar(CalendarService.fromQuery(req.query));
+
+    const breakdown = await paymentMethodService.getBreakdown(
+      fiatCurrency.toUpperCase(),
+      from,
+      to,
+      cryptoCurrency.toUpperCase()
+    );
+
+    res.json({
+      success: true,
+      data: breakdown
+    });
+  } catch (error) {
+    console.error('Payment method breakdown calculation error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
     });
   }
 });
@@ -159,18 +515,7 @@ router.get('/monthly', async (req, res) => {
 // Get available calculation methods
 router.get('/methods', (req, res) => {
   try {
-    const methods = [
-      {
-        key: 'FIFO',
-        name: 'First In, First Out',
-        description: 'Calculates profit by matching sells to the oldest buys first'
-      },
-      {
-        key: 'AVERAGE',
-        name: 'Average Cost',
-        description: 'Calculates profit using weighted average cost of holdings'
-      }
-    ];
+    const methods = ProfitCalculator.getMethods();
 
     res.json({
       success: true,
@@ -0,0 +1,45 @@
+const express = require('express');
+const router = express.Router();
+const TaxReportService = require('../services/taxReportService');
+const CalendarService = require('../services/calendarService');
+
+// Get the Indian VDA tax report for a fiscal year (April to March, IST unless overridden)
+router.get('/vda', async (req, res) => {
+  try {
+    const {
+      fiatCurrency = 'INR',
+      year,
+      timezone = 'Asia/Kolkata',
+      fiscalYearStart = 4,
+      format = 'json'
+    } = req.query;
+
+    const taxReportService = new TaxReportService(CalendarService.fromQuery({ timezone, fiscalYearStart }));
+    const report = await taxReportService.getReport(
+      fiatCurrency.toUpperCase(),
+      year ? parseInt(year) : null
+    );
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="vda-tax-${report.fiscalYear.replace(/\s+/g, '-')}.csv"`
+      );
+      return res.send(taxReportService.toCsv(report));
+    }
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Tax report error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,39 +1,233 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Trade = require('../models/Trade');
+const Venue = require('../models/Venue');
+const PaymentMethod = require('../models/PaymentMethod');
+const Dispute = require('../models/Dispute');
+const ImportRun = require('../models/ImportRun');
+const LedgerService = require('../services/ledgerService');
+const ExportService = require('../services/exportService');
 
-// Get all trades with pagination and filters
-router.get('/', async (req, res) => {
+const ledgerService = new LedgerService();
+const exportService = new ExportService();
+
+const TRADE_TYPES = ['BUY', 'SELL'];
+const TRADE_STATUSES = ['COMPLETED', 'PENDING', 'CANCELLED'];
+const TRANSFER_MODES = ['UPI', 'IMPS', 'NEFT', 'RTGS', 'OTHER'];
+
+// Rebuild the lot ledger from the affected trades forward. A ledger failure
+// is logged rather than failing the trade change; POST /api/ledger/rebuild repairs it.
+const syncLedger = async (trades) => {
   try {
-    const {
-      page = 1,
-      limit = 50,
-      type,
-      fiatCurrency,
-      cryptoCurrency,
-      status,
-      fromDate,
-      toDate,
-      sortBy = 'timestamp',
-      sortOrder = 'desc'
-    } = req.query;
-
-    // Build query
-    const query = {};
-    if (type) query.type = type.toUpperCase();
-    if (fiatCurrency) query.fiatCurrency = fiatCurrency;
-    if (cryptoCurrency) query.cryptoCurrency = cryptoCurrency;
-    if (status) query.status = status.toUpperCase();
-    
-    if (fromDate || toDate) {
-      query.timestamp = {};
-      if (fromDate) query.timestamp.$gte = new Date(fromDate);
-      if (toDate) query.timestamp.$lte = new Date(toDate);
+    await ledgerService.rebuildForTrades(trades);
+  } catch (error) {
+    console.error('Error syncing ledger:', error);
+  }
+};
+
+// Accept BUY trade IDs as an array or a comma-separated string
+const parseTradeIds = (value) => {
+  const ids = Array.isArray(value) ? value : String(value).split(',');
+  return ids.map(id => String(id).trim()).filter(Boolean);
+};
+
+// Trades may only name venues from the managed list
+const isKnownVenue = async (venue) => {
+  if (!venue) return true;
+  return Boolean(await Venue.exists({ code: venue.trim().toUpperCase() }));
+};
+
+// Payment methods come from the managed list too. Resolves to the method, null
+// when none is given, or false when the code is unknown.
+const findPaymentMethod = async (paymentMethod) => {
+  if (!paymentMethod) return null;
+  const method = await PaymentMethod.findOne({ code: paymentMethod.trim().toUpperCase() }).lean();
+  return method || false;
+};
+
+// A trade already recorded with the venue's order number, if any
+const findOrder = async (venue, orderId, excludeId = null) => {
+  if (!orderId || !String(orderId).trim()) return null;
+  return Trade.findOne({
+    venue: String(venue || '').trim().toUpperCase(),
+    orderId: String(orderId).trim(),
+    ...(excludeId && { _id: { $ne: excludeId } })
+  }, '_id').lean();
+};
+
+const duplicateOrderMessage = (venue, orderId) => (
+  `Order ${String(orderId).trim()} is already recorded${venue ? ` for venue ${String(venue).trim().toUpperCase()}` : ''}`
+);
+
+// Unique index violation of (venue, orderId), from a concurrent save
+const isDuplicateOrderError = (error) => (
+  error.code === 11000 && Boolean(error.keyPattern && error.keyPattern.orderId)
+);
+
+// Amounts given in a trade body: the trade's size must be positive, fees and
+// TDS zero or more. Empty values are left to the required-field checks.
+const validateAmounts = (body) => {
+  const errors = [];
+  const isGiven = (value) => value !== undefined && value !== null && value !== '';
+
+  ['fiatAmount', 'price', 'cryptoAmount'].forEach(field => {
+    if (isGiven(body[field]) && !(parseFloat(body[field]) > 0)) {
+      errors.push(`${field} must be a positive number`);
+    }
+  });
+
+  ['feeFiat', 'feeCrypto', 'tdsDeducted'].forEach(field => {
+    if (isGiven(body[field]) && !(parseFloat(body[field]) >= 0)) {
+      errors.push(`${field} must be zero or a positive number`);
     }
+  });
+
+  return errors;
+};
+
+// Everything wrong with a new trade that can be checked without the database
+const validateTrade = (body) => {
+  const { type, timestamp, fiatAmount, price, cryptoAmount, bankAccount, transferMode, closesTrades = [], status } = body;
+  const errors = [];
+
+  // Validate required fields
+  if (!type || !fiatAmount || !price || !cryptoAmount) {
+    errors.push('Type, fiat amount, price, and crypto amount are required');
+  }
+
+  // Validate type
+  if (type && !TRADE_TYPES.includes(String(type).toUpperCase())) {
+    errors.push('Type must be either BUY or SELL');
+  }
+
+  errors.push(...validateAmounts(body));
+
+  if (timestamp && isNaN(new Date(timestamp))) {
+    errors.push(`Invalid timestamp ${timestamp}`);
+  }
+
+  if (status && !TRADE_STATUSES.includes(String(status).toUpperCase())) {
+    errors.push(`Status must be one of ${TRADE_STATUSES.join(', ')}`);
+  }
+
+  if (transferMode && !TRANSFER_MODES.includes(String(transferMode).toUpperCase())) {
+    errors.push(`Transfer mode must be one of ${TRANSFER_MODES.join(', ')}`);
+  }
+
+  if (bankAccount && !mongoose.Types.ObjectId.isValid(bankAccount)) {
+    errors.push('Bank account must be a valid account ID');
+  }
+
+  // Validate specific-identification lots
+  if (!parseTradeIds(closesTrades).every(id => mongoose.Types.ObjectId.isValid(id))) {
+    errors.push('Closed trade IDs must be valid trade IDs');
+  }
+
+  return errors;
+};
+
+// Fields of a new trade from a validated body. method: its payment method,
+// whose rail is used when no transfer mode is given.
+const buildTrade = (body, method) => {
+  const {
+    orderId = '',
+    type,
+    timestamp,
+    fiatCurrency = 'INR',
+    fiatAmount,
+    price,
+    cryptoAmount,
+    cryptoCurrency = 'USDT',
+    feeFiat = 0,
+    feeCrypto = 0,
+    tdsDeducted = 0,
+    venue = '',
+    counterparty = '',
+    paymentMethod = '',
+    bankAccount = null,
+    transferMode,
+    closesTrades = [],
+    disputed = false,
+    notes = '',
+    status = 'COMPLETED'
+  } = body;
+  const side = String(type).toUpperCase();
+
+  return {
+    orderId: orderId ? String(orderId).trim() : '',
+    type: side,
+    timestamp: timestamp ? new Date(timestamp) : new Date(),
+    fiatCurrency: String(fiatCurrency || 'INR').toUpperCase(),
+    fiatAmount: parseFloat(fiatAmount),
+    price: parseFloat(price),
+    cryptoAmount: parseFloat(cryptoAmount),
+    cryptoCurrency: String(cryptoCurrency || 'USDT').toUpperCase(),
+    feeFiat: parseFloat(feeFiat) || 0,
+    feeCrypto: parseFloat(feeCrypto) || 0,
+    tdsDeducted: side === 'SELL' ? parseFloat(tdsDeducted) || 0 : 0,
+    venue: venue || '',
+    counterparty: counterparty || '',
+    paymentMethod: paymentMethod || '',
+    bankAccount: bankAccount || null,
+    transferMode: transferMode ? transferMode.toUpperCase() : (method ? method.transferMode : 'UPI'),
+    closesTrades: side === 'SELL' ? parseTradeIds(closesTrades) : [],
+    disputed: Boolean(disputed),
+    notes: notes || '',
+    status: String(status || 'COMPLETED').toUpperCase()
+  };
+};
+
+// Trade query and sort of the GET / filters, shared with the export
+const buildTradeQuery = (params) => {
+  const {
+    type,
+    fiatCurrency,
+    cryptoCurrency,
+    status,
+    bankAccount,
+    venue,
+    counterparty,
+    paymentMethod,
+    orderId,
+    disputed,
+    fromDate,
+    toDate,
+    sortBy = 'timestamp',
+    sortOrder = 'desc'
+  } = params;
 
-    // Build sort object
-    const sort = {};
-    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+  // Build query
+  const query = {};
+  if (type) query.type = type.toUpperCase();
+  if (fiatCurrency) query.fiatCurrency = fiatCurrency;
+  if (cryptoCurrency) query.cryptoCurrency = cryptoCurrency;
+  if (status) query.status = status.toUpperCase();
+  if (bankAccount) query.bankAccount = bankAccount;
+  if (venue) query.venue = venue.toUpperCase();
+  if (counterparty) query.counterparty = counterparty.trim();
+  if (paymentMethod) query.paymentMethod = paymentMethod.toUpperCase();
+  if (orderId) query.orderId = orderId.trim();
+  if (disputed !== undefined) query.disputed = disputed === 'true';
+
+  if (fromDate || toDate) {
+    query.timestamp = {};
+    if (fromDate) query.timestamp.$gte = new Date(fromDate);
+    if (toDate) query.timestamp.$lte = new Date(toDate);
+  }
+
+  // Build sort object
+  const sort = {};
+  sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+
+  return { query, sort };
+};
+
+// Get all trades with pagination and filters
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const { query, sort } = buildTradeQuery(req.query);
 
     // Execute query with pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -65,6 +259,40 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Export the trades matching the GET / filters, unpaginated, as CSV (streamed
+// row by row) or XLSX
+router.get('/export', async (req, res) => {
+  try {
+    const format = exportService.parseFormat(req.query.format || 'csv');
+    const { query, sort } = buildTradeQuery(req.query);
+    const fileName = `trades-${new Date().toISOString().slice(0, 10)}`;
+    const columns = ExportService.TRADE_COLUMNS;
+
+    if (format === 'xlsx') {
+      const trades = await Trade.find(query).sort(sort).lean();
+      return await exportService.send(res, { format, fileName, columns, records: trades, sheetName: 'Trades' });
+    }
+
+    res.setHeader('Content-Type', exportService.getContentType(format));
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+    res.write(exportService.toCsvHeader(columns));
+    for await (const trade of Trade.find(query).sort(sort).lean().cursor()) {
+      res.write(exportService.toCsvLine(columns, trade));
+    }
+    res.end();
+  } catch (error) {
+    console.error('Error exporting trades:', error);
+    // Once rows are streamed the download can only be cut short
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 // Get single trade by ID
 router.get('/:id', async (req, res) => {
   try {
@@ -93,48 +321,46 @@ router.get('/:id', async (req, res) => {
 // Create new trade
 router.post('/', async (req, res) => {
   try {
-    const {
-      type,
-      timestamp,
-      fiatCurrency = 'INR',
-      fiatAmount,
-      price,
-      cryptoAmount,
-      cryptoCurrency = 'USDT',
-      notes = '',
-      status = 'COMPLETED'
-    } = req.body;
+    const { venue = '', paymentMethod = '', orderId = '' } = req.body;
 
-    // Validate required fields
-    if (!type || !fiatAmount || !price || !cryptoAmount) {
+    const [error] = validateTrade(req.body);
+    if (error) {
       return res.status(400).json({
         success: false,
-        message: 'Type, fiat amount, price, and crypto amount are required'
+        message: error
       });
     }
 
-    // Validate type
-    if (!['BUY', 'SELL'].includes(type.toUpperCase())) {
+    if (!(await isKnownVenue(venue))) {
       return res.status(400).json({
         success: false,
-        message: 'Type must be either BUY or SELL'
+        message: `Unknown venue ${venue}. Add it to the venue list first`
+      });
+    }
+
+    // Without an explicit rail, the payment is sent on the method's rail
+    const method = await findPaymentMethod(paymentMethod);
+    if (method === false) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown payment method ${paymentMethod}. Add it to the payment method list first`
+      });
+    }
+
+    const existingOrder = await findOrder(venue, orderId);
+    if (existingOrder) {
+      return res.status(409).json({
+        success: false,
+        message: duplicateOrderMessage(venue, orderId),
+        data: { existingTradeId: existingOrder._id }
       });
     }
 
     // Create trade
-    const trade = new Trade({
-      type: type.toUpperCase(),
-      timestamp: timestamp ? new Date(timestamp) : new Date(),
-      fiatCurrency: fiatCurrency.toUpperCase(),
-      fiatAmount: parseFloat(fiatAmount),
-      price: parseFloat(price),
-      cryptoAmount: parseFloat(cryptoAmount),
-      cryptoCurrency: cryptoCurrency.toUpperCase(),
-      notes,
-      status: status.toUpperCase()
-    });
+    const trade = new Trade(buildTrade(req.body, method));
 
     await trade.save();
+    await syncLedger([trade]);
 
     res.status(201).json({
       success: true,
@@ -143,6 +369,12 @@ router.post('/', async (req, res) => {
     });
   } catch (error) {
     console.error('Error creating trade:', error);
+    if (isDuplicateOrderError(error)) {
+      return res.status(409).json({
+        success: false,
+        message: duplicateOrderMessage(req.body.venue, req.body.orderId)
+      });
+    }
     res.status(500).json({
       success: false,
       message: error.message
@@ -161,10 +393,97 @@ router.put('/:id', async (req, res) => {
       price,
       cryptoAmount,
       cryptoCurrency,
+      feeFiat,
+      feeCrypto,
+      tdsDeducted,
+      venue,
+      orderId,
+      counterparty,
+      paymentMethod,
+      bankAccount,
+      transferMode,
+      closesTrades,
+      disputed,
       notes,
       status
     } = req.body;
 
+    const [amountError] = validateAmounts(req.body);
+    if (amountError) {
+      return res.status(400).json({
+        success: false,
+        message: amountError
+      });
+    }
+
+    if (bankAccount && !mongoose.Types.ObjectId.isValid(bankAccount)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Bank account must be a valid account ID'
+      });
+    }
+
+    if (!(await isKnownVenue(venue))) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown venue ${venue}. Add it to the venue list first`
+      });
+    }
+
+    const method = await findPaymentMethod(paymentMethod);
+    if (method === false) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown payment method ${paymentMethod}. Add it to the payment method list first`
+      });
+    }
+    const rail = transferMode || (method ? method.transferMode : null);
+
+    const closesTradeIds = closesTrades !== undefined ? parseTradeIds(closesTrades) : undefined;
+    if (closesTradeIds && !closesTradeIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Closed trade IDs must be valid trade IDs'
+      });
+    }
+
+    // Keep the previous version so the ledger is rebuilt from the earlier timestamp
+    const previousTrade = await Trade.findById(req.params.id).lean();
+
+    if (!previousTrade) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trade not found'
+      });
+    }
+
+    // The trade as it will be saved must pass the checks of a new trade
+    const changes = Object.fromEntries(Object.entries(req.body).filter(([, value]) => value !== undefined));
+    const [error] = validateTrade({ ...previousTrade, ...changes });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    // Only a sell carries TDS, so a trade changed into a buy drops it
+    const side = String(type || previousTrade.type).toUpperCase();
+
+    // A changed venue or order number must not clash with another trade's order
+    if (venue !== undefined || orderId !== undefined) {
+      const nextVenue = venue !== undefined ? venue : previousTrade.venue;
+      const nextOrderId = orderId !== undefined ? orderId : previousTrade.orderId;
+      const existingOrder = await findOrder(nextVenue, nextOrderId, previousTrade._id);
+      if (existingOrder) {
+        return res.status(409).json({
+          success: false,
+          message: duplicateOrderMessage(nextVenue, nextOrderId),
+          data: { existingTradeId: existingOrder._id }
+        });
+      }
+    }
+
     // Find and update trade
     const trade = await Trade.findByIdAndUpdate(
       req.params.id,
@@ -176,6 +495,19 @@ router.put('/:id', async (req, res) => {
         ...(price && { price: parseFloat(price) }),
         ...(cryptoAmount && { cryptoAmount: parseFloat(cryptoAmount) }),
         ...(cryptoCurrency && { cryptoCurrency: cryptoCurrency.toUpperCase() }),
+        ...(feeFiat !== undefined && { feeFiat: parseFloat(feeFiat) || 0 }),
+        ...(feeCrypto !== undefined && { feeCrypto: parseFloat(feeCrypto) || 0 }),
+        ...(side !== 'SELL'
+          ? { tdsDeducted: 0 }
+          : tdsDeducted !== undefined && { tdsDeducted: parseFloat(tdsDeducted) || 0 }),
+        ...(venue !== undefined && { venue }),
+        ...(orderId !== undefined && { orderId: orderId ? String(orderId).trim() : '' }),
+        ...(counterparty !== undefined && { counterparty }),
+        ...(paymentMethod !== undefined && { paymentMethod }),
+        ...(bankAccount !== undefined && { bankAccount: bankAccount || null }),
+        ...(rail && { transferMode: rail.toUpperCase() }),
+        ...(closesTradeIds && { closesTrades: closesTradeIds }),
+        ...(disputed !== undefined && { disputed: Boolean(disputed) }),
         ...(notes !== undefined && { notes }),
         ...(status && { status: status.toUpperCase() })
       },
@@ -189,6 +521,8 @@ router.put('/:id', async (req, res) => {
       });
     }
 
+    await syncLedger([previousTrade, trade]);
+
     res.json({
       success: true,
       data: trade,
@@ -196,6 +530,12 @@ router.put('/:id', async (req, res) => {
     });
   } catch (error) {
     console.error('Error updating trade:', error);
+    if (isDuplicateOrderError(error)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another trade already has this order number for the venue'
+      });
+    }
     res.status(500).json({
       success: false,
       message: error.message
@@ -215,6 +555,10 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
+    // Cases over the trade, and any loss they booked, go with it
+    await Dispute.deleteMany({ trade: trade._id });
+    await syncLedger([trade]);
+
     res.json({
       success: true,
       message: 'Trade deleted successfully'
@@ -228,11 +572,19 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
-// Bulk import trades (for future use)
+// Key of a platform order: order numbers are only unique within a venue
+const getOrderKey = (trade) => `${String(trade.venue || '').trim().toUpperCase()}|${String(trade.orderId).trim()}`;
+
+// Bulk import trades. Every row is validated like POST /; rows with errors are
+// rejected and the rest imported. Rows whose order number is already recorded
+// for the venue, or repeated in the batch, are skipped so an export can be
+// re-imported. With dryRun nothing is written. An idempotency key (body or
+// Idempotency-Key header) makes a retried upload return the first result.
 router.post('/bulk', async (req, res) => {
   try {
-    const { trades } = req.body;
-    
+    const { trades, dryRun = false, fileName = '' } = req.body;
+    const idempotencyKey = String(req.body.idempotencyKey || req.get('Idempotency-Key') || '').trim();
+
     if (!Array.isArray(trades) || trades.length === 0) {
       return res.status(400).json({
         success: false,
@@ -240,18 +592,148 @@ router.post('/bulk', async (req, res) => {
       });
     }
 
-    const createdTrades = await Trade.insertMany(trades);
+    if (idempotencyKey && !dryRun) {
+      const previousRun = await ImportRun.findOne({ idempotencyKey }).lean();
+      if (previousRun) {
+        return res.json({
+          success: true,
+          data: await Trade.find({ importRun: previousRun._id }).sort({ timestamp: 1 }),
+          run: previousRun,
+          replayed: true,
+          message: 'These trades were already imported with this idempotency key'
+        });
+      }
+    }
+
+    const [venues, methods] = await Promise.all([
+      Venue.find({}, 'code').lean(),
+      PaymentMethod.find({}, 'code transferMode').lean()
+    ]);
+    const venueCodes = new Set(venues.map(venue => venue.code));
+    const methodsByCode = new Map(methods.map(method => [method.code, method]));
+
+    const valid = [];
+    const rejected = [];
+    trades.forEach((row, index) => {
+      // A row that is not a trade object has nothing else to check
+      if (!row || typeof row !== 'object' || Array.isArray(row)) {
+        rejected.push({ index, orderId: '', errors: ['Row must be a trade object'] });
+        return;
+      }
+
+      const errors = validateTrade(row);
+      const venue = String(row.venue || '').trim().toUpperCase();
+      const paymentMethod = String(row.paymentMethod || '').trim().toUpperCase();
+
+      if (venue && !venueCodes.has(venue)) {
+        errors.push(`Unknown venue ${row.venue}. Add it to the venue list first`);
+      }
+      if (paymentMethod && !methodsByCode.has(paymentMethod)) {
+        errors.push(`Unknown payment method ${row.paymentMethod}. Add it to the payment method list first`);
+      }
+
+      if (errors.length > 0) {
+        rejected.push({ index, orderId: row.orderId || '', errors });
+        return;
+      }
+      valid.push(buildTrade(row, methodsByCode.get(paymentMethod)));
+    });
+
+    const orderIds = valid.filter(trade => trade.orderId).map(trade => trade.orderId);
+    const existing = orderIds.length > 0
+      ? await Trade.find({ orderId: { $in: orderIds } }, 'venue orderId').lean()
+      : [];
+    const seen = new Set(existing.map(getOrderKey));
+
+    const newTrades = [];
+    const skipped = [];
+    valid.forEach(trade => {
+      if (!trade.orderId) {
+        newTrades.push(trade);
+        return;
+      }
+
+      const key = getOrderKey(trade);
+      if (seen.has(key)) {
+        skipped.push(trade.orderId);
+        return;
+      }
+      seen.add(key);
+      newTrades.push(trade);
+    });
+
+    const summary = `${newTrades.length} trades ${dryRun ? 'can be imported' : 'imported'}, ${skipped.length} duplicate orders skipped, ${rejected.length} rows rejected`;
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        data: newTrades,
+        skipped,
+        rejected,
+        dryRun: true,
+        message: summary
+      });
+    }
+
+    // The run is saved first so a concurrent retry with the same key is
+    // refused by the unique index instead of importing twice. If the trades
+    // cannot all be saved the run is removed again, freeing the key.
+    const run = new ImportRun({
+      adapter: 'BULK',
+      fileName,
+      totalRows: trades.length,
+      importedRows: newTrades.length,
+      duplicateRows: skipped.length,
+      rejectedRows: rejected.length,
+      // Rows are numbered from 1 like lines of a file
+      rejected: rejected.map(({ index, errors }) => ({ line: index + 1, reason: errors.join('; '), row: trades[index] })),
+      idempotencyKey: idempotencyKey || null
+    });
+    await run.save();
+
+    let createdTrades = [];
+    try {
+      if (newTrades.length > 0) {
+        createdTrades = await Trade.insertMany(newTrades.map(trade => ({ ...trade, importRun: run._id })));
+      }
+    } catch (error) {
+      // insertMany stops at the first trade it cannot save, keeping the ones
+      // before it
+      await Trade.deleteMany({ importRun: run._id });
+      await ImportRun.deleteOne({ _id: run._id });
+
+      // The venue order number is the only unique key a new trade can hit
+      if (error.code === 11000) {
+        console.error('Error bulk importing trades:', error);
+        return res.status(409).json({
+          success: false,
+          message: 'Some of these orders were recorded while the import ran. Upload the file again to skip them'
+        });
+      }
+      throw error;
+    }
+    await syncLedger(createdTrades);
 
     res.status(201).json({
       success: true,
       data: createdTrades,
-      message: `${createdTrades.length} trades imported successfully`
+      skipped,
+      rejected,
+      run,
+      message: summary
     });
   } catch (error) {
     console.error('Error bulk importing trades:', error);
-    res.status(500).json({
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    const conflict = error.code === 11000 && error.keyPattern && error.keyPattern.idempotencyKey;
+    res.status(conflict ? 409 : 500).json({
       success: false,
-      message: error.message
+      message: conflict ? 'An import with this idempotency key is already in progress' : error.message
     });
   }
 });
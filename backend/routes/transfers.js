@@ -0,0 +1,319 @@
+const express = require('express');
+const router = express.Router();
+const Transfer = require('../models/Transfer');
+const Venue = require('../models/Venue');
+const LedgerService = require('../services/ledgerService');
+const VenueBalanceService = require('../services/venueBalanceService');
+
+const ledgerService = new LedgerService();
+
+// Network fees use up inventory lots, so the ledger is rebuilt from the
+// transfer onward. Failures are logged as for trades.
+const syncLedger = async (transfers) => {
+  try {
+    await ledgerService.rebuildForTrades(transfers);
+  } catch (error) {
+    console.error('Error syncing ledger:', error);
+  }
+};
+
+// Transfers may only name venues from the managed list. Resolves to the
+// first unknown venue, or null when all are known.
+const findUnknownVenue = async (venues) => {
+  for (const venue of venues.filter(Boolean)) {
+    if (!(await Venue.exists({ code: venue.trim().toUpperCase() }))) {
+      return venue;
+    }
+  }
+  return null;
+};
+
+const unknownVenueMessage = (venue) => `Unknown venue ${venue}. Add it to the venue list first`;
+
+// Amounts given in a transfer body: the amount must be positive, the network
+// fee zero or more. Resolves to the first problem, or null.
+const findInvalidAmount = ({ amount, networkFee }) => {
+  const isGiven = (value) => value !== undefined && value !== null && value !== '';
+
+  if (isGiven(amount) && !(parseFloat(amount) > 0)) {
+    return 'amount must be a positive number';
+  }
+  if (isGiven(networkFee) && !(parseFloat(networkFee) >= 0)) {
+    return 'networkFee must be zero or a positive number';
+  }
+  return null;
+};
+
+// Get transfers with pagination and filters
+router.get('/', async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 50,
+      venue,
+      cryptoCurrency,
+      status,
+      from,
+      to
+    } = req.query;
+
+    // Build query
+    const query = {};
+    if (venue) query.$or = [{ fromVenue: venue.toUpperCase() }, { toVenue: venue.toUpperCase() }];
+    if (cryptoCurrency) query.cryptoCurrency = cryptoCurrency.toUpperCase();
+    if (status) query.status = status.toUpperCase();
+
+    if (from || to) {
+      query.timestamp = {};
+      if (from) query.timestamp.$gte = new Date(from);
+      if (to) query.timestamp.$lte = new Date(to);
+    }
+
+    // Execute query with pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const transfers = await Transfer.find(query)
+      .sort({ timestamp: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await Transfer.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: transfers,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching transfers:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Get crypto balances per venue from trades and transfers
+router.get('/balances', async (req, res) => {
+  try {
+    const { cryptoCurrency, asOf } = req.query;
+
+    const venueBalanceService = new VenueBalanceService();
+    const result = await venueBalanceService.getBalances(
+      cryptoCurrency ? cryptoCurrency.toUpperCase() : null,
+      asOf
+    );
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error calculating venue balances:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Record a transfer between venues
+router.post('/', async (req, res) => {
+  try {
+    const {
+      fromVenue,
+      toVenue,
+      cryptoCurrency = 'USDT',
+      amount,
+      networkFee = 0,
+      fiatCurrency = 'INR',
+      timestamp,
+      txHash = '',
+      status = 'COMPLETED',
+      notes = ''
+    } = req.body;
+
+    if (!fromVenue || !toVenue || !amount) {
+      return res.status(400).json({
+        success: false,
+        message: 'Source venue, destination venue and amount are required'
+      });
+    }
+
+    if (fromVenue.trim().toUpperCase() === toVenue.trim().toUpperCase()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Source and destination venues must differ'
+      });
+    }
+
+    const invalidAmount = findInvalidAmount({ amount, networkFee });
+    if (invalidAmount) {
+      return res.status(400).json({
+        success: false,
+        message: invalidAmount
+      });
+    }
+
+    const unknownVenue = await findUnknownVenue([fromVenue, toVenue]);
+    if (unknownVenue) {
+      return res.status(400).json({
+        success: false,
+        message: unknownVenueMessage(unknownVenue)
+      });
+    }
+
+    const transfer = new Transfer({
+      fromVenue,
+      toVenue,
+      cryptoCurrency: cryptoCurrency.toUpperCase(),
+      amount: parseFloat(amount),
+      networkFee: parseFloat(networkFee) || 0,
+      fiatCurrency: fiatCurrency.toUpperCase(),
+      timestamp: timestamp ? new Date(timestamp) : new Date(),
+      txHash,
+      status: status.toUpperCase(),
+      notes
+    });
+
+    await transfer.save();
+    if (transfer.networkFee > 0) {
+      await syncLedger([transfer]);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: transfer,
+      message: 'Transfer recorded successfully'
+    });
+  } catch (error) {
+    console.error('Error creating transfer:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Update transfer
+router.put('/:id', async (req, res) => {
+  try {
+    const {
+      fromVenue,
+      toVenue,
+      cryptoCurrency,
+      amount,
+      networkFee,
+      fiatCurrency,
+      timestamp,
+      txHash,
+      status,
+      notes
+    } = req.body;
+
+    const invalidAmount = findInvalidAmount({ amount, networkFee });
+    if (invalidAmount) {
+      return res.status(400).json({
+        success: false,
+        message: invalidAmount
+      });
+    }
+
+    const unknownVenue = await findUnknownVenue([fromVenue, toVenue]);
+    if (unknownVenue) {
+      return res.status(400).json({
+        success: false,
+        message: unknownVenueMessage(unknownVenue)
+      });
+    }
+
+    // Keep the previous version so the ledger is rebuilt from the earlier timestamp
+    const previousTransfer = await Transfer.findById(req.params.id).lean();
+
+    // The transfer must still go from one venue to another
+    if (previousTransfer) {
+      const nextFrom = String(fromVenue || previousTransfer.fromVenue).trim().toUpperCase();
+      const nextTo = String(toVenue || previousTransfer.toVenue).trim().toUpperCase();
+      if (nextFrom === nextTo) {
+        return res.status(400).json({
+          success: false,
+          message: 'Source and destination venues must differ'
+        });
+      }
+    }
+
+    const transfer = await Transfer.findByIdAndUpdate(
+      req.params.id,
+      {
+        ...(fromVenue && { fromVenue }),
+        ...(toVenue && { toVenue }),
+        ...(cryptoCurrency && { cryptoCurrency: cryptoCurrency.toUpperCase() }),
+        ...(amount && { amount: parseFloat(amount) }),
+        ...(networkFee !== undefined && { networkFee: parseFloat(networkFee) || 0 }),
+        ...(fiatCurrency && { fiatCurrency: fiatCurrency.toUpperCase() }),
+        ...(timestamp && { timestamp: new Date(timestamp) }),
+        ...(txHash !== undefined && { txHash }),
+        ...(status && { status: status.toUpperCase() }),
+        ...(notes !== undefined && { notes })
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transfer not found'
+      });
+    }
+
+    await syncLedger([previousTransfer, transfer]);
+
+    res.json({
+      success: true,
+      data: transfer,
+      message: 'Transfer updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating transfer:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Delete transfer
+router.delete('/:id', async (req, res) => {
+  try {
+    const transfer = await Transfer.findByIdAndDelete(req.params.id);
+
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transfer not found'
+      });
+    }
+
+    if (transfer.networkFee > 0) {
+      await syncLedger([transfer]);
+    }
+
+    res.json({
+      success: true,
+      message: 'Transfer deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting transfer:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,172 @@
+const express = require('express');
+const router = express.Router();
+const Venue = require('../models/Venue');
+const Trade = require('../models/Trade');
+
+const VENUE_KINDS = ['P2P', 'EXCHANGE', 'WALLET'];
+
+// Get the managed venue list
+router.get('/', async (req, res) => {
+  try {
+    const { active } = req.query;
+
+    const query = {};
+    if (active !== undefined) query.active = active === 'true';
+
+    const venues = await Venue.find(query)
+      .sort({ code: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: venues
+    });
+  } catch (error) {
+    console.error('Error fetching venues:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Add a venue
+router.post('/', async (req, res) => {
+  try {
+    const {
+      code,
+      name,
+      kind = 'P2P',
+      notes = ''
+    } = req.body;
+
+    if (!code || !name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Venue code and name are required'
+      });
+    }
+
+    if (!VENUE_KINDS.includes(kind.toUpperCase())) {
+      return res.status(400).json({
+        success: false,
+        message: `Kind must be one of ${VENUE_KINDS.join(', ')}`
+      });
+    }
+
+    const existing = await Venue.findOne({ code: code.trim().toUpperCase() });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: `Venue ${existing.code} already exists`
+      });
+    }
+
+    const venue = new Venue({
+      code,
+      name,
+      kind: kind.toUpperCase(),
+      notes
+    });
+
+    await venue.save();
+
+    res.status(201).json({
+      success: true,
+      data: venue,
+      message: 'Venue created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating venue:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Update a venue; the code is fixed since trades refer to it
+router.put('/:id', async (req, res) => {
+  try {
+    const {
+      name,
+      kind,
+      active,
+      notes
+    } = req.body;
+
+    if (kind && !VENUE_KINDS.includes(kind.toUpperCase())) {
+      return res.status(400).json({
+        success: false,
+        message: `Kind must be one of ${VENUE_KINDS.join(', ')}`
+      });
+    }
+
+    const venue = await Venue.findByIdAndUpdate(
+      req.params.id,
+      {
+        ...(name && { name }),
+        ...(kind && { kind: kind.toUpperCase() }),
+        ...(active !== undefined && { active: Boolean(active) }),
+        ...(notes !== undefined && { notes })
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!venue) {
+      return res.status(404).json({
+        success: false,
+        message: 'Venue not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: venue,
+      message: 'Venue updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating venue:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// Delete a venue no trade refers to
+router.delete('/:id', async (req, res) => {
+  try {
+    const venue = await Venue.findById(req.params.id);
+
+    if (!venue) {
+      return res.status(404).json({
+        success: false,
+        message: 'Venue not found'
+      });
+    }
+
+    const linkedTrades = await Trade.countDocuments({ venue: venue.code });
+    if (linkedTrades > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `${linkedTrades} trades happened on this venue; deactivate it instead`
+      });
+    }
+
+    await venue.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Venue deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting venue:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -10,7 +10,8 @@ const PORT = process.env.PORT || 5001;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Imports send whole order-history exports
+app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // Database connection
@@ -34,11 +35,37 @@ const requireDB = (req, res, next) => {
 const tradesRoutes = require('./routes/trades');
 const summaryRoutes = require('./routes/summary');
 const pnlRoutes = require('./routes/pnl');
+const ledgerRoutes = require('./routes/ledger');
+const pricesRoutes = require('./routes/prices');
+const fxRatesRoutes = require('./routes/fxRates');
+const cyclesRoutes = require('./routes/cycles');
+const taxRoutes = require('./routes/tax');
+const capitalRoutes = require('./routes/capital');
+const bankAccountsRoutes = require('./routes/bankAccounts');
+const transfersRoutes = require('./routes/transfers');
+const venuesRoutes = require('./routes/venues');
+const counterpartiesRoutes = require('./routes/counterparties');
+const paymentMethodsRoutes = require('./routes/paymentMethods');
+const disputesRoutes = require('./routes/disputes');
+const importsRoutes = require('./routes/imports');
 
 // API routes
 app.use('/api/trades', requireDB, tradesRoutes);
 app.use('/api/summary', requireDB, summaryRoutes);
 app.use('/api/pnl', requireDB, pnlRoutes);
+app.use('/api/ledger', requireDB, ledgerRoutes);
+app.use('/api/prices', requireDB, pricesRoutes);
+app.use('/api/fx-rates', requireDB, fxRatesRoutes);
+app.use('/api/cycles', requireDB, cyclesRoutes);
+app.use('/api/tax', requireDB, taxRoutes);
+app.use('/api/capital', requireDB, capitalRoutes);
+app.use('/api/bank-accounts', requireDB, bankAccountsRoutes);
+app.use('/api/transfers', requireDB, transfersRoutes);
+app.use('/api/venues', requireDB, venuesRoutes);
+app.use('/api/counterparties', requireDB, counterpartiesRoutes);
+app.use('/api/payment-methods', requireDB, paymentMethodsRoutes);
+app.use('/api/disputes', requireDB, disputesRoutes);
+app.use('/api/imports', requireDB, importsRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,153 @@
+const BankAccount = require('../models/BankAccount');
+const Trade = require('../models/Trade');
+const CalendarService = require('./calendarService');
+
+// Account field holding the daily limit of each rail that has one
+const LIMIT_FIELDS = {
+  UPI: 'upiDailyLimit',
+  IMPS: 'impsDailyLimit'
+};
+
+// Fiat balances and daily transfer limit usage of bank accounts, derived from
+// the trades linked to them. A BUY pays the seller from the account, a SELL
+// receives the buyer's payment into it. Only outgoing payments use up the
+// daily limits, and pending payments count since the money has already left.
+class BankAccountService {
+  constructor(calendar = new CalendarService()) {
+    this.calendar = calendar;
+  }
+
+  getSignedAmount(trade) {
+    return trade.type === 'SELL' ? trade.fiatAmount : -trade.fiatAmount;
+  }
+
+  // Running balance after each completed trade (sorted oldest first)
+  buildBalances(account, trades) {
+    let balance = account.openingBalance || 0;
+
+    const entries = trades
+      .filter(trade => trade.status === 'COMPLETED')
+      .map(trade => {
+        const amount = this.getSignedAmount(trade);
+        balance += amount;
+        return {
+          tradeId: trade._id,
+          timestamp: trade.timestamp,
+          type: trade.type,
+          transferMode: trade.transferMode,
+          amount,
+          balance
+        };
+      });
+
+    return { entries, balance };
+  }
+
+  // Outgoing payments per rail on one local day, against each rail's limit
+  getDailyUsage(account, trades, dateKey) {
+    const usage = {};
+    Object.entries(LIMIT_FIELDS).forEach(([mode, field]) => {
+      usage[mode] = { used: 0, limit: account[field] || 0, remaining: null, exceeded: false };
+    });
+
+    trades
+      .filter(trade => trade.type === 'BUY' && trade.status !== 'CANCELLED')
+      .filter(trade => usage[trade.transferMode] && this.calendar.toDateKey(trade.timestamp) === dateKey)
+      .forEach(trade => {
+        usage[trade.transferMode].used += trade.fiatAmount;
+      });
+
+    Object.values(usage).forEach(rail => {
+      if (rail.limit > 0) {
+        rail.remaining = rail.limit - rail.used;
+        rail.exceeded = rail.used > rail.limit;
+      }
+    });
+
+    return { date: dateKey, ...usage };
+  }
+
+  // Whether a new payment would push its rail over the day's limit
+  checkPayment(account, trades, { type, transferMode, fiatAmount, timestamp }) {
+    const dateKey = this.calendar.toDateKey(timestamp || new Date());
+    const rail = this.getDailyUsage(account, trades, dateKey)[transferMode];
+
+    // Incoming payments and rails without a limit cannot go over
+    if (type !== 'BUY' || !rail || rail.limit <= 0) {
+      return { date: dateKey, transferMode, limited: false, exceeds: false };
+    }
+
+    const usedAfter = rail.used + fiatAmount;
+    return {
+      date: dateKey,
+      transferMode,
+      limited: true,
+      limit: rail.limit,
+      used: rail.used,
+      usedAfter,
+      remaining: rail.limit - rail.used,
+      exceeds: usedAfter > rail.limit
+    };
+  }
+
+  async loadTrades(accountId, fromDate = null, toDate = null) {
+    const query = { bankAccount: accountId };
+    if (fromDate || toDate) {
+      query.timestamp = {};
+      if (fromDate) query.timestamp.$gte = fromDate;
+      if (toDate) query.timestamp.$lte = toDate;
+    }
+
+    return Trade.find(query)
+      .sort({ timestamp: 1 })
+      .lean();
+  }
+
+  // Trades of the local day a timestamp falls in
+  async loadDayTrades(accountId, timestamp = new Date()) {
+    const dateKey = this.calendar.toDateKey(timestamp);
+    return this.loadTrades(accountId, this.calendar.startOfDay(dateKey), this.calendar.endOfDay(dateKey));
+  }
+
+  // Every account with its current balance and today's limit usage
+  async getAccountSummaries() {
+    try {
+      const accounts = await BankAccount.find().sort({ name: 1 }).lean();
+      const today = this.calendar.toDateKey(new Date());
+
+      return Promise.all(accounts.map(async account => {
+        const trades = await this.loadTrades(account._id);
+        return {
+          ...account,
+          balance: this.buildBalances(account, trades).balance,
+          todayUsage: this.getDailyUsage(account, trades, today)
+        };
+      }));
+    } catch (error) {
+      throw new Error(`Error calculating account balances: ${error.message}`);
+    }
+  }
+
+  // Balance history of one account with limit usage per day traded
+  async getAccountLedger(account) {
+    try {
+      const trades = await this.loadTrades(account._id);
+      const { entries, balance } = this.buildBalances(account, trades);
+      const days = [...new Set(trades.map(trade => this.calendar.toDateKey(trade.timestamp)))];
+
+      return {
+        account,
+        openingBalance: account.openingBalance || 0,
+        balance,
+        entries,
+        dailyUsage: days.map(dateKey => this.getDailyUsage(account, trades, dateKey))
+      };
+    } catch (error) {
+      throw new Error(`Error building account ledger: ${error.message}`);
+    }
+  }
+}
+
+BankAccountService.LIMIT_FIELDS = LIMIT_FIELDS;
+
+module.exports = BankAccountService;
@@ -0,0 +1,194 @@
+const DAY = 24 * 60 * 60 * 1000;
+
+const WEEK_DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const PERIODS = ['day', 'week', 'month', 'fiscalYear'];
+
+// Invalid calendar settings, mostly from a request's query; routes report
+// them with their status instead of a 500
+class CalendarError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'CalendarError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Turns trade timestamps into calendar days and periods as the user sees them:
+// days follow the configured timezone, weeks start on the configured weekday
+// and fiscal years start in the configured month (4 = April for the Indian FY).
+// Date keys are YYYY-MM-DD strings of the local calendar day.
+class CalendarService {
+  constructor({ timezone = 'UTC', weekStart = 0, fiscalYearStart = 1 } = {}) {
+    this.setTimezone(timezone);
+    this.setWeekStart(weekStart);
+    this.setFiscalYearStart(fiscalYearStart);
+  }
+
+  // Read the calendar settings sent with a request
+  static fromQuery({ timezone, weekStart, fiscalYearStart } = {}) {
+    return new CalendarService({
+      timezone: timezone || 'UTC',
+      weekStart: weekStart !== undefined ? parseInt(weekStart) : 0,
+      fiscalYearStart: fiscalYearStart !== undefined ? parseInt(fiscalYearStart) : 1
+    });
+  }
+
+  setTimezone(timezone) {
+    try {
+      this.formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+      });
+    } catch (error) {
+      throw new CalendarError(`Invalid timezone: ${timezone}`);
+    }
+    this.timezone = timezone;
+  }
+
+  setWeekStart(weekStart) {
+    if (!Number.isInteger(weekStart) || weekStart < 0 || weekStart > 6) {
+      throw new CalendarError('Invalid week start. Must be a day number from 0 (Sunday) to 6 (Saturday)');
+    }
+    this.weekStart = weekStart;
+  }
+
+  setFiscalYearStart(fiscalYearStart) {
+    if (!Number.isInteger(fiscalYearStart) || fiscalYearStart < 1 || fiscalYearStart > 12) {
+      throw new CalendarError('Invalid fiscal year start. Must be a month number from 1 to 12');
+    }
+    this.fiscalYearStart = fiscalYearStart;
+  }
+
+  // Wall-clock fields of an instant in the configured timezone
+  getZonedParts(date) {
+    const parts = {};
+    this.formatter.formatToParts(date).forEach(({ type, value }) => {
+      parts[type] = parseInt(value);
+    });
+    return parts;
+  }
+
+  // Minutes the timezone is ahead of UTC at an instant
+  getOffsetMinutes(date) {
+    const parts = this.getZonedParts(date);
+    const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((asUTC - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+  }
+
+  // Local calendar day of an instant
+  toDateKey(date) {
+    const parts = this.getZonedParts(new Date(date));
+    return this.formatKey(parts.year, parts.month, parts.day);
+  }
+
+  formatKey(year, month, day) {
+    return new Date(Date.UTC(year, month - 1, day)).toISOString().split('T')[0];
+  }
+
+  // Shift a date key by whole days
+  addDays(dateKey, days) {
+    return new Date(new Date(`${dateKey}T00:00:00.000Z`).getTime() + days * DAY).toISOString().split('T')[0];
+  }
+
+  // Instant of a wall-clock time in the configured timezone
+  fromLocalTime(year, month, day, hour = 0, minute = 0, second = 0) {
+    const asUTC = Date.UTC(year, month - 1, day, hour, minute, second);
+    let instant = asUTC - this.getOffsetMinutes(new Date(asUTC)) * 60000;
+    // Re-check once in case a DST change falls between the guess and the answer
+    instant = asUTC - this.getOffsetMinutes(new Date(instant)) * 60000;
+    return new Date(instant);
+  }
+
+  // First instant of a local day
+  startOfDay(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return this.fromLocalTime(year, month, day);
+  }
+
+  // Last instant of a local day
+  endOfDay(dateKey) {
+    return new Date(this.startOfDay(this.addDays(dateKey, 1)).getTime() - 1);
+  }
+
+  // Fiscal year a date key falls in, named after its starting year
+  getFiscalYear(dateKey) {
+    const [year, month] = dateKey.split('-').map(Number);
+    const startYear = month >= this.fiscalYearStart ? year : year - 1;
+    return this.getFiscalYearRange(startYear);
+  }
+
+  // First and last day of the fiscal year starting in startYear. A fiscal year
+  // that starts in January is labelled by its year alone, others as FY 2024-25.
+  getFiscalYearRange(startYear) {
+    const start = this.formatKey(startYear, this.fiscalYearStart, 1);
+    const end = this.addDays(this.formatKey(startYear + 1, this.fiscalYearStart, 1), -1);
+    const label = this.fiscalYearStart === 1
+      ? `${startYear}`
+      : `FY ${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+
+    return { startYear, label, start, end };
+  }
+
+  // Fiscal year containing today
+  getCurrentFiscalYear() {
+    return this.getFiscalYear(this.toDateKey(new Date()));
+  }
+
+  // First and last day (date keys) of the period a date key falls in
+  getPeriodRange(dateKey, period) {
+    if (!PERIODS.includes(period)) {
+      throw new CalendarError(`Invalid period. Must be one of ${PERIODS.join(', ')}`);
+    }
+
+    if (period === 'day') {
+      return { start: dateKey, end: dateKey };
+    }
+
+    if (period === 'week') {
+      const weekday = new Date(`${dateKey}T00:00:00.000Z`).getUTCDay();
+      const start = this.addDays(dateKey, -((weekday - this.weekStart + 7) % 7));
+      return { start, end: this.addDays(start, 6) };
+    }
+
+    if (period === 'month') {
+      const [year, month] = dateKey.split('-').map(Number);
+      return {
+        start: this.formatKey(year, month, 1),
+        end: this.addDays(this.formatKey(year, month + 1, 1), -1)
+      };
+    }
+
+    const { start, end } = this.getFiscalYear(dateKey);
+    return { start, end };
+  }
+
+  // The months of a fiscal year in order, as date key ranges
+  getFiscalYearMonths(startYear) {
+    const months = [];
+    for (let index = 0; index < 12; index++) {
+      const start = this.formatKey(startYear, this.fiscalYearStart + index, 1);
+      months.push(this.getPeriodRange(start, 'month'));
+    }
+    return months;
+  }
+
+  getSettings() {
+    return {
+      timezone: this.timezone,
+      weekStart: this.weekStart,
+      weekStartDay: WEEK_DAYS[this.weekStart],
+      fiscalYearStart: this.fiscalYearStart
+    };
+  }
+}
+
+CalendarService.CalendarError = CalendarError;
+
+module.exports = CalendarService;
@@ -0,0 +1,134 @@
+const CapitalEntry = require('../models/CapitalEntry');
+const ProfitCalculator = require('./profitCalculator');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Entry types that add capital; the others take it out
+const INFLOW_TYPES = ['DEPOSIT', 'INJECTION'];
+
+// Return on the capital the desk runs with. Capital deployed is the
+// time-weighted average balance of the capital ledger over the range, so
+// money that arrived halfway through only counts for half of it.
+class CapitalService {
+  constructor() {
+    this.profitCalculator = new ProfitCalculator();
+  }
+
+  // Method, oversold policy and calendar of the realized profit side
+  setMethod(method) {
+    this.profitCalculator.setMethod(method);
+  }
+
+  setUnmatchedPolicy(policy) {
+    this.profitCalculator.setUnmatchedPolicy(policy);
+  }
+
+  setCalendar(calendar) {
+    this.profitCalculator.setCalendar(calendar);
+  }
+
+  getSignedAmount(entry) {
+    return INFLOW_TYPES.includes(entry.type) ? entry.amount : -entry.amount;
+  }
+
+  // Capital movements of the range and the balance-weighted capital deployed.
+  // entries must be sorted oldest first; start and end are Dates.
+  summarizeCapital(entries, start, end) {
+    const flows = { DEPOSIT: 0, WITHDRAWAL: 0, INJECTION: 0, DRAWING: 0 };
+    let openingCapital = 0;
+    let balance = 0;
+    let weightedBalance = 0;
+    let lastTime = start.getTime();
+
+    entries.forEach(entry => {
+      const time = new Date(entry.timestamp).getTime();
+      if (time > end.getTime()) return;
+
+      if (time < start.getTime()) {
+        openingCapital += this.getSignedAmount(entry);
+        balance = openingCapital;
+        return;
+      }
+
+      weightedBalance += balance * (time - lastTime);
+      lastTime = time;
+      balance += this.getSignedAmount(entry);
+      flows[entry.type] += entry.amount;
+    });
+
+    weightedBalance += balance * (end.getTime() - lastTime);
+    const duration = end.getTime() - start.getTime();
+
+    return {
+      openingCapital,
+      deposits: flows.DEPOSIT,
+      withdrawals: flows.WITHDRAWAL,
+      injections: flows.INJECTION,
+      drawings: flows.DRAWING,
+      netContributions: flows.DEPOSIT + flows.INJECTION - flows.WITHDRAWAL - flows.DRAWING,
+      closingCapital: balance,
+      capitalDeployed: duration > 0 ? weightedBalance / duration : balance,
+      days: duration / DAY
+    };
+  }
+
+  // ROI and annualized return on capital deployed, and how many times the
+  // capital was turned over in sales
+  calculateReturns(capital, { realizedProfitFiat, totalSellFiat }) {
+    if (capital.capitalDeployed <= 0) {
+      return { roiPercent: null, annualizedReturnPercent: null, capitalTurnover: null };
+    }
+
+    const roi = realizedProfitFiat / capital.capitalDeployed;
+    const annualized = capital.days > 0 && roi > -1
+      ? (Math.pow(1 + roi, 365 / capital.days) - 1) * 100
+      : null;
+
+    return {
+      roiPercent: roi * 100,
+      annualizedReturnPercent: annualized,
+      capitalTurnover: totalSellFiat / capital.capitalDeployed
+    };
+  }
+
+  // Capital report for a range; without `from` it starts at the first ledger entry
+  async getCapitalReport(fiatCurrency = 'INR', fromDate = null, toDate = null) {
+    try {
+      const query = { fiatCurrency };
+      if (toDate) query.timestamp = { $lte: this.profitCalculator.getRangeEnd(toDate) };
+
+      const entries = await CapitalEntry.find(query)
+        .sort({ timestamp: 1 })
+        .lean();
+
+      const end = toDate ? this.profitCalculator.getRangeEnd(toDate) : new Date();
+      let start = end;
+      if (fromDate) {
+        start = this.profitCalculator.getRangeStart(fromDate);
+      } else if (entries.length > 0) {
+        start = new Date(entries[0].timestamp);
+      }
+
+      // Realized profit and sales across every crypto asset traded in this fiat
+      const { totals } = await this.profitCalculator.calculateAssetBreakdown(fiatCurrency, fromDate, toDate);
+      const capital = this.summarizeCapital(entries, start, end);
+
+      return {
+        fiatCurrency,
+        from: start,
+        to: end,
+        ...capital,
+        realizedProfitFiat: totals.realizedProfitFiat,
+        totalSellFiat: totals.totalSellFiat,
+        ...this.calculateReturns(capital, totals)
+      };
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new Error(`Error calculating capital report: ${error.message}`);
+    }
+  }
+}
+
+CapitalService.INFLOW_TYPES = INFLOW_TYPES;
+
+module.exports = CapitalService;
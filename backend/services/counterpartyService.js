@@ -0,0 +1,144 @@
+const Counterparty = require('../models/Counterparty');
+const Dispute = require('../models/Dispute');
+const Trade = require('../models/Trade');
+const ProfitCalculator = require('./profitCalculator');
+const VenueBreakdownService = require('./venueBreakdownService');
+
+// Who trades were made with: trade count, volume, first and last seen, the
+// average spread of the lots they were on either side of and the cases
+// opened over their trades, merged with the risk flags recorded for them. Anyone named on a trade is listed, with
+// or without a stored record.
+class CounterpartyService {
+  constructor() {
+    this.profitCalculator = new ProfitCalculator();
+  }
+
+  // Spreads come from lot matches, so average-cost methods use FIFO
+  setMethod(method) {
+    this.profitCalculator.setMethod(method);
+    if (!VenueBreakdownService.LOT_METHODS.includes(method)) {
+      this.profitCalculator.setMethod('FIFO');
+    }
+  }
+
+  createStats(name) {
+    return {
+      name,
+      trades: 0,
+      buyTrades: 0,
+      sellTrades: 0,
+      cancelledTrades: 0,
+      volumeFiat: 0,
+      volumeCrypto: 0,
+      firstSeen: null,
+      lastSeen: null,
+      matchedQuantity: 0,
+      costFiat: 0,
+      proceedsFiat: 0,
+      netProfit: 0,
+      disputes: 0
+    };
+  }
+
+  // Per-counterparty stats from their trades (sorted oldest first, any
+  // status), the lot matches of the book they traded in and its cases
+  buildStats(trades, matches = [], disputes = []) {
+    const stats = {};
+    const counterpartyByTrade = {};
+    const getStats = (name) => {
+      if (!stats[name]) {
+        stats[name] = this.createStats(name);
+      }
+      return stats[name];
+    };
+
+    trades.filter(trade => trade.counterparty).forEach(trade => {
+      const entry = getStats(trade.counterparty);
+      counterpartyByTrade[String(trade._id)] = trade.counterparty;
+      entry.firstSeen = entry.firstSeen || trade.timestamp;
+      entry.lastSeen = trade.timestamp;
+
+      if (trade.status === 'CANCELLED') {
+        entry.cancelledTrades++;
+        return;
+      }
+      if (trade.status !== 'COMPLETED') return;
+
+      entry.trades++;
+      entry[trade.type === 'BUY' ? 'buyTrades' : 'sellTrades']++;
+      entry.volumeFiat += trade.fiatAmount;
+      entry.volumeCrypto += trade.cryptoAmount;
+    });
+
+    // A match counts for both the seller we bought from and the buyer we sold to.
+    // Oversold quantity has no buy price to take a spread from.
+    matches.filter(match => !match.networkFee && !match.unmatched).forEach(match => {
+      const names = new Set([
+        counterpartyByTrade[String(match.buyTrade)],
+        counterpartyByTrade[String(match.sellTrade)]
+      ]);
+
+      names.forEach(name => {
+        if (!name) return;
+        const entry = getStats(name);
+        entry.matchedQuantity += match.amount;
+        entry.costFiat += match.amount * match.buyPrice;
+        entry.proceedsFiat += match.amount * match.sellPrice;
+        entry.netProfit += match.netProfit;
+      });
+    });
+
+    disputes.filter(dispute => dispute.counterparty).forEach(dispute => {
+      getStats(dispute.counterparty).disputes++;
+    });
+
+    return Object.values(stats).map(entry => ({
+      ...entry,
+      avgSpreadPercent: entry.costFiat > 0 ? (entry.proceedsFiat - entry.costFiat) / entry.costFiat * 100 : null
+    }));
+  }
+
+  // Stored records merged with trade stats, most recently seen first
+  buildDirectory(counterparties, stats) {
+    const records = {};
+    counterparties.forEach(counterparty => {
+      records[counterparty.name] = counterparty;
+    });
+
+    const names = new Set([...counterparties.map(counterparty => counterparty.name), ...stats.map(entry => entry.name)]);
+    const statsByName = Object.fromEntries(stats.map(entry => [entry.name, entry]));
+
+    return [...names]
+      .map(name => {
+        const record = records[name] || { _id: null, blacklisted: false, riskFlags: [], notes: '' };
+        return {
+          ...record,
+          ...(statsByName[name] || { ...this.createStats(name), avgSpreadPercent: null }),
+          flagged: record.blacklisted || record.riskFlags.length > 0
+        };
+      })
+      .sort((a, b) => new Date(b.lastSeen || 0) - new Date(a.lastSeen || 0) || a.name.localeCompare(b.name));
+  }
+
+  async getDirectory(fiatCurrency = 'INR') {
+    try {
+      const [counterparties, trades, disputes, { trades: bookTrades }] = await Promise.all([
+        Counterparty.find().lean(),
+        Trade.find({ fiatCurrency, counterparty: { $nin: ['', null] } })
+          .sort({ timestamp: 1 })
+          .lean(),
+        Dispute.find({ fiatCurrency, counterparty: { $nin: ['', null] } })
+          .select('counterparty')
+          .lean(),
+        this.profitCalculator.loadTrades(fiatCurrency, null, null, null)
+      ]);
+      const { matches } = this.profitCalculator.matchLots(bookTrades);
+
+      return this.buildDirectory(counterparties, this.buildStats(trades, matches, disputes));
+    } catch (error) {
+      throw new Error(`Error building counterparty directory: ${error.message}`);
+    }
+  }
+}
+
+module.exports = CounterpartyService;
@@ -0,0 +1,194 @@
+const ProfitCalculator = require('./profitCalculator');
+
+// A lot with less than this left is used up, closing its cycle
+const QUANTITY_EPSILON = 1e-9;
+
+const HOUR = 60 * 60 * 1000;
+
+// Upper bounds of the distribution buckets; the last bucket is open ended
+const SPREAD_BUCKETS = [
+  { label: '< 0%', max: 0 },
+  { label: '0 - 0.5%', max: 0.5 },
+  { label: '0.5 - 1%', max: 1 },
+  { label: '1 - 2%', max: 2 },
+  { label: '2 - 3%', max: 3 },
+  { label: '3%+', max: Infinity }
+];
+
+const HOLDING_TIME_BUCKETS = [
+  { label: '< 1h', max: 1 },
+  { label: '1 - 6h', max: 6 },
+  { label: '6 - 24h', max: 24 },
+  { label: '1 - 3d', max: 72 },
+  { label: '3 - 7d', max: 168 },
+  { label: '7d+', max: Infinity }
+];
+
+// A cycle is one buy-then-sell round trip on top of the FIFO matching: a buy
+// lot and the sells that consumed it. It opens with the buy and closes when
+// the lot is used up, so a desk that always keeps a float still closes its
+// cycles. Network fees charged to the lot are a cost of its cycle.
+class CycleService {
+  constructor() {
+    this.profitCalculator = new ProfitCalculator();
+    this.profitCalculator.setMethod('FIFO');
+  }
+
+  // Timezone used for date-only ranges
+  setCalendar(calendar) {
+    this.profitCalculator.setCalendar(calendar);
+  }
+
+  createCycle(trade, cycleNumber) {
+    return {
+      cycleNumber,
+      status: 'OPEN',
+      fiatCurrency: trade.fiatCurrency,
+      cryptoCurrency: trade.cryptoCurrency,
+      openedAt: trade.timestamp,
+      closedAt: null,
+      holdingTimeHours: null,
+      buyTrades: [trade._id],
+      sellTrades: [],
+      buyAmount: trade.cryptoAmount,
+      buyFiat: trade.fiatAmount,
+      sellAmount: 0,
+      sellFiat: 0,
+      // Amount of the lot consumed by sells and network fees
+      consumedAmount: 0,
+      grossProfit: 0,
+      fees: 0,
+      netProfit: 0
+    };
+  }
+
+  // One cycle per buy of the trades (sorted oldest first)
+  buildCycles(trades) {
+    const { matches } = this.profitCalculator.matchLots(trades);
+    const cycleByBuy = {};
+    const cycles = [];
+
+    trades.filter(trade => trade.type === 'BUY').forEach(trade => {
+      const cycle = this.createCycle(trade, cycles.length + 1);
+      cycleByBuy[String(trade._id)] = cycle;
+      cycles.push(cycle);
+    });
+
+    // Sells beyond the inventory match no lot and belong to no round trip
+    matches.filter(match => !match.unmatched).forEach(match => {
+      const cycle = cycleByBuy[String(match.buyTrade)];
+      if (!cycle) return;
+
+      if (!match.networkFee) {
+        if (!cycle.sellTrades.some(id => String(id) === String(match.sellTrade))) {
+          cycle.sellTrades.push(match.sellTrade);
+        }
+        cycle.sellAmount += match.amount;
+        cycle.sellFiat += match.amount * match.sellPrice;
+      }
+      cycle.consumedAmount += match.amount;
+      cycle.grossProfit += match.grossProfit;
+      cycle.fees += match.fees;
+      cycle.netProfit += match.netProfit;
+
+      if (cycle.buyAmount - cycle.consumedAmount <= QUANTITY_EPSILON) {
+        cycle.status = 'CLOSED';
+        cycle.closedAt = match.sellTimestamp;
+        cycle.holdingTimeHours = (new Date(cycle.closedAt) - new Date(cycle.openedAt)) / HOUR;
+      }
+    });
+
+    return cycles.map(cycle => this.finalizeCycle(cycle));
+  }
+
+  finalizeCycle(cycle) {
+    const buyVwap = cycle.buyAmount > 0 ? cycle.buyFiat / cycle.buyAmount : 0;
+    const sellVwap = cycle.sellAmount > 0 ? cycle.sellFiat / cycle.sellAmount : 0;
+
+    return {
+      ...cycle,
+      quantity: Math.min(cycle.buyAmount, cycle.sellAmount),
+      buyVwap,
+      sellVwap,
+      spreadPercent: buyVwap > 0 && cycle.sellAmount > 0 ? (sellVwap - buyVwap) / buyVwap * 100 : null,
+      tradeCount: cycle.buyTrades.length + cycle.sellTrades.length
+    };
+  }
+
+  // Count values into buckets, each value landing in the first bucket whose max it is below
+  buildDistribution(values, buckets) {
+    const distribution = buckets.map(bucket => ({ label: bucket.label, count: 0 }));
+    values.forEach(value => {
+      const index = buckets.findIndex(bucket => value < bucket.max);
+      distribution[index === -1 ? buckets.length - 1 : index].count++;
+    });
+    return distribution;
+  }
+
+  getStats(values) {
+    if (values.length === 0) {
+      return { count: 0, average: 0, median: 0, min: 0, max: 0 };
+    }
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+
+    return {
+      count: sorted.length,
+      average: sorted.reduce((total, value) => total + value, 0) / sorted.length,
+      median: sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle],
+      min: sorted[0],
+      max: sorted[sorted.length - 1]
+    };
+  }
+
+  // Spread and holding time distributions of closed cycles
+  analyzeCycles(cycles) {
+    const closed = cycles.filter(cycle => cycle.status === 'CLOSED');
+    const spreads = closed.map(cycle => cycle.spreadPercent).filter(spread => spread !== null);
+    const holdingTimes = closed.map(cycle => cycle.holdingTimeHours);
+
+    return {
+      totals: {
+        cycles: cycles.length,
+        closedCycles: closed.length,
+        openCycles: cycles.length - closed.length,
+        quantity: closed.reduce((total, cycle) => total + cycle.quantity, 0),
+        netProfit: closed.reduce((total, cycle) => total + cycle.netProfit, 0)
+      },
+      spread: {
+        stats: this.getStats(spreads),
+        distribution: this.buildDistribution(spreads, SPREAD_BUCKETS)
+      },
+      holdingTime: {
+        stats: this.getStats(holdingTimes),
+        distribution: this.buildDistribution(holdingTimes, HOLDING_TIME_BUCKETS)
+      }
+    };
+  }
+
+  // Cycles of one pair that closed (or, while open, opened) within the range,
+  // optionally only those with the given status. Trades before the range are
+  // still replayed so cycles open across it are whole.
+  async getCycles(fiatCurrency = 'INR', fromDate = null, toDate = null, cryptoCurrency = 'USDT', status = null) {
+    try {
+      const { trades } = await this.profitCalculator.loadTrades(fiatCurrency, null, toDate, cryptoCurrency);
+      const from = fromDate ? this.profitCalculator.getRangeStart(fromDate) : null;
+
+      const cycles = this.buildCycles(trades)
+        .filter(cycle => !from || new Date(cycle.closedAt || cycle.openedAt) >= from)
+        .filter(cycle => !status || cycle.status === status);
+
+      return {
+        cycles,
+        analytics: this.analyzeCycles(cycles),
+        fiatCurrency,
+        cryptoCurrency
+      };
+    } catch (error) {
+      throw new Error(`Error building cycles: ${error.message}`);
+    }
+  }
+}
+
+module.exports = CycleService;
@@ -0,0 +1,59 @@
+const Dispute = require('../models/Dispute');
+
+// Case statuses still waiting on an outcome
+const OPEN_STATUSES = ['OPENED', 'UNDER_REVIEW'];
+
+// Exposure from dispute cases: fiat at risk in open cases, by kind, and what
+// closed cases ended up costing
+class DisputeService {
+  createTotals() {
+    return { count: 0, amountAtRisk: 0 };
+  }
+
+  summarizeExposure(cases) {
+    const exposure = {
+      openCases: 0,
+      amountAtRisk: 0,
+      byKind: {},
+      resolvedCases: 0,
+      lostCases: 0,
+      amountLost: 0
+    };
+
+    cases.forEach(dispute => {
+      if (OPEN_STATUSES.includes(dispute.status)) {
+        if (!exposure.byKind[dispute.kind]) {
+          exposure.byKind[dispute.kind] = this.createTotals();
+        }
+        exposure.byKind[dispute.kind].count++;
+        exposure.byKind[dispute.kind].amountAtRisk += dispute.amountAtRisk;
+        exposure.openCases++;
+        exposure.amountAtRisk += dispute.amountAtRisk;
+      } else if (dispute.status === 'RESOLVED') {
+        exposure.resolvedCases++;
+      } else if (dispute.status === 'LOST') {
+        exposure.lostCases++;
+        exposure.amountLost += dispute.amountLost;
+      }
+    });
+
+    return exposure;
+  }
+
+  async getExposure(fiatCurrency = 'INR') {
+    try {
+      const cases = await Dispute.find({ fiatCurrency }).lean();
+
+      return {
+        ...this.summarizeExposure(cases),
+        fiatCurrency
+      };
+    } catch (error) {
+      throw new Error(`Error calculating dispute exposure: ${error.message}`);
+    }
+  }
+}
+
+DisputeService.OPEN_STATUSES = OPEN_STATUSES;
+
+module.exports = DisputeService;
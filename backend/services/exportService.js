@@ -0,0 +1,176 @@
+const writeExcelFile = require('write-excel-file/node');
+
+const CONTENT_TYPES = {
+  csv: 'text/csv',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Columns of each export as [key, header]
+const TRADE_COLUMNS = [
+  ['timestamp', 'Time'],
+  ['type', 'Type'],
+  ['venue', 'Venue'],
+  ['orderId', 'Order ID'],
+  ['cryptoCurrency', 'Crypto'],
+  ['cryptoAmount', 'Crypto Amount'],
+  ['price', 'Price'],
+  ['fiatCurrency', 'Fiat'],
+  ['fiatAmount', 'Fiat Amount'],
+  ['feeFiat', 'Fee (Fiat)'],
+  ['feeCrypto', 'Fee (Crypto)'],
+  ['tdsDeducted', 'TDS'],
+  ['counterparty', 'Counterparty'],
+  ['paymentMethod', 'Payment Method'],
+  ['transferMode', 'Transfer Mode'],
+  ['status', 'Status'],
+  ['disputed', 'Disputed'],
+  ['notes', 'Notes'],
+  ['_id', 'Trade ID']
+];
+
+const MONTHLY_COLUMNS = [
+  ['monthName', 'Month'],
+  ['year', 'Year'],
+  ['realizedProfitFiat', 'Realized Profit'],
+  ['grossProfitFiat', 'Gross Profit'],
+  ['feesFiat', 'Fees'],
+  ['caseLossesFiat', 'Case Losses'],
+  ['totalBuyFiat', 'Buy Volume (Fiat)'],
+  ['totalSellFiat', 'Sell Volume (Fiat)'],
+  ['totalBuyAmount', 'Buy Volume (Crypto)'],
+  ['totalSellAmount', 'Sell Volume (Crypto)'],
+  ['avgBuyPrice', 'Avg Buy Price'],
+  ['avgSellPrice', 'Avg Sell Price'],
+  ['closingInventory', 'Closing Inventory'],
+  ['closingCostBasis', 'Closing Cost Basis'],
+  ['totalShortfall', 'Shortfall']
+];
+
+// Months of a report consolidated into one reporting currency
+const CONSOLIDATED_MONTHLY_COLUMNS = [
+  ['monthName', 'Month'],
+  ['year', 'Year'],
+  ['reportingCurrency', 'Currency'],
+  ['realizedProfit', 'Realized Profit'],
+  ['grossProfit', 'Gross Profit'],
+  ['fees', 'Fees'],
+  ['totalBuy', 'Buy Volume'],
+  ['totalSell', 'Sell Volume'],
+  ['inventoryRemaining', 'Closing Inventory']
+];
+
+const BUCKET_COLUMNS = [
+  ['realizedProfit', 'Realized Profit'],
+  ['grossProfit', 'Gross Profit'],
+  ['fees', 'Fees'],
+  ['buyVolumeFiat', 'Buy Volume (Fiat)'],
+  ['buyVolumeCrypto', 'Buy Volume (Crypto)'],
+  ['sellVolumeFiat', 'Sell Volume (Fiat)'],
+  ['sellVolumeCrypto', 'Sell Volume (Crypto)'],
+  ['buyCount', 'Buys'],
+  ['sellCount', 'Sells'],
+  ['buyVwap', 'Buy VWAP'],
+  ['sellVwap', 'Sell VWAP'],
+  ['closingInventory', 'Closing Inventory'],
+  ['closingAvgCost', 'Closing Avg Cost'],
+  ['cumulativeProfit', 'Cumulative Profit']
+];
+
+// Leading columns naming the bucket of each P&L period
+const PERIOD_COLUMNS = {
+  day: [['date', 'Date']],
+  week: [['weekStart', 'Week Start'], ['weekEnd', 'Week End']],
+  month: [['month', 'Month']]
+};
+
+// Errors the route reports with their status instead of a 500
+class ExportError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ExportError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Writes trades and P&L reports as CSV or XLSX spreadsheets
+class ExportService {
+  // Format of an export request, or null when JSON was asked for
+  parseFormat(format) {
+    if (!format || format === 'json') return null;
+
+    const normalized = String(format).toLowerCase();
+    if (!CONTENT_TYPES[normalized]) {
+      throw new ExportError(`Invalid export format ${format}. Must be csv or xlsx`);
+    }
+    return normalized;
+  }
+
+  getContentType(format) {
+    return CONTENT_TYPES[format];
+  }
+
+  getPeriodColumns(period) {
+    return [...PERIOD_COLUMNS[period], ...BUCKET_COLUMNS];
+  }
+
+  // Cell value of a record field: times as ISO instants, IDs as text
+  getValue(record, key) {
+    const value = record[key];
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object') return String(value);
+    return value;
+  }
+
+  escapeCsv(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  toCsvHeader(columns) {
+    return `${columns.map(([, header]) => this.escapeCsv(header)).join(',')}\n`;
+  }
+
+  toCsvLine(columns, record) {
+    return `${columns.map(([key]) => this.escapeCsv(this.getValue(record, key))).join(',')}\n`;
+  }
+
+  toCsv(columns, records) {
+    return this.toCsvHeader(columns) + records.map(record => this.toCsvLine(columns, record)).join('');
+  }
+
+  // One-sheet workbook; numbers stay numbers so the sheet can sum them and
+  // missing values stay blank cells
+  toXlsx(columns, records, sheetName = 'Export') {
+    const rows = [
+      columns.map(([, header]) => header),
+      ...records.map(record => columns.map(([key]) => {
+        const value = this.getValue(record, key);
+        return value === '' ? null : value;
+      }))
+    ];
+    return writeExcelFile(rows, { sheet: sheetName.slice(0, 31) }).toBuffer();
+  }
+
+  async render(format, columns, records, sheetName) {
+    return format === 'xlsx'
+      ? this.toXlsx(columns, records, sheetName)
+      : this.toCsv(columns, records);
+  }
+
+  // Send a whole report as a download; headers are only set once it is
+  // rendered, so a failure can still be answered with an error
+  async send(res, { format, fileName, columns, records, sheetName }) {
+    const body = await this.render(format, columns, records, sheetName);
+    res.setHeader('Content-Type', this.getContentType(format));
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.${format}"`);
+    res.send(body);
+  }
+}
+
+ExportService.ExportError = ExportError;
+ExportService.TRADE_COLUMNS = TRADE_COLUMNS;
+ExportService.MONTHLY_COLUMNS = MONTHLY_COLUMNS;
+ExportService.CONSOLIDATED_MONTHLY_COLUMNS = CONSOLIDATED_MONTHLY_COLUMNS;
+
+module.exports = ExportService;
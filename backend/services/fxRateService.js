@@ -0,0 +1,134 @@
+const FxRate = require('../models/FxRate');
+
+// Raised when an amount has to be converted on a day no rate is known for
+class MissingRateError extends Error {
+  constructor(fromCurrency, toCurrency, day) {
+    super(`No ${fromCurrency}/${toCurrency} exchange rate on or before ${day.toISOString().split('T')[0]}`);
+    this.name = 'MissingRateError';
+    this.statusCode = 422;
+  }
+}
+
+class FxRateService {
+  // Rates are daily, so every date is reduced to the start of its UTC day
+  toDay(value) {
+    const date = new Date(value);
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  }
+
+  // Read a CSV with a header row of date, base, quote and rate columns.
+  // Rows that cannot be read are returned as rejected.
+  parseRateCsv(content) {
+    const lines = content.split(/\r?\n/).filter(line => line.trim());
+    const header = (lines.shift() || '').split(',').map(column => column.trim().toLowerCase());
+    const column = (...names) => header.findIndex(name => names.includes(name));
+    const columns = {
+      date: column('date', 'timestamp'),
+      base: column('basecurrency', 'base', 'from'),
+      quote: column('quotecurrency', 'quote', 'to'),
+      rate: column('rate')
+    };
+
+    const rates = [];
+    const rejected = [];
+    lines.forEach((line, index) => {
+      const values = line.split(',').map(value => value.trim());
+      const date = new Date(values[columns.date]);
+      const rate = parseFloat(values[columns.rate]);
+      const baseCurrency = (values[columns.base] || '').toUpperCase();
+      const quoteCurrency = (values[columns.quote] || '').toUpperCase();
+
+      if (!baseCurrency || !quoteCurrency || isNaN(rate) || rate <= 0 || isNaN(date.getTime())) {
+        rejected.push({ row: index + 1, line });
+        return;
+      }
+
+      rates.push({ baseCurrency, quoteCurrency, date: this.toDay(date), rate });
+    });
+
+    return { rates, rejected };
+  }
+
+  // Store parsed rates, replacing any rate already held for the same pair and day
+  async importCsv(content) {
+    try {
+      const { rates, rejected } = this.parseRateCsv(content);
+
+      if (rates.length > 0) {
+        await FxRate.bulkWrite(rates.map(rate => ({
+          updateOne: {
+            filter: {
+              baseCurrency: rate.baseCurrency,
+              quoteCurrency: rate.quoteCurrency,
+              date: rate.date
+            },
+            update: { $set: { rate: rate.rate, source: 'FILE' } },
+            upsert: true
+          }
+        })));
+      }
+
+      return { imported: rates.length, rejected };
+    } catch (error) {
+      throw new Error(`Error importing exchange rates: ${error.message}`);
+    }
+  }
+
+  // Build a converter over the given rates. A pair without a direct rate is
+  // converted through the inverse of the opposite pair; the latest rate on or
+  // before the day is used so weekends and holidays carry the last rate.
+  buildConverter(rates) {
+    const series = {};
+    rates.forEach(rate => {
+      const key = `${rate.baseCurrency}/${rate.quoteCurrency}`;
+      if (!series[key]) series[key] = [];
+      series[key].push({ date: this.toDay(rate.date), rate: rate.rate });
+    });
+    Object.values(series).forEach(entries => entries.sort((a, b) => a.date - b.date));
+
+    const findRate = (baseCurrency, quoteCurrency, day) => {
+      const entries = series[`${baseCurrency}/${quoteCurrency}`] || [];
+      let found = null;
+      for (const entry of entries) {
+        if (entry.date > day) break;
+        found = entry.rate;
+      }
+      return found;
+    };
+
+    const getRate = (fromCurrency, toCurrency, date) => {
+      if (fromCurrency === toCurrency) return 1;
+
+      const day = this.toDay(date);
+      const direct = findRate(fromCurrency, toCurrency, day);
+      if (direct !== null) return direct;
+
+      const inverse = findRate(toCurrency, fromCurrency, day);
+      if (inverse !== null) return 1 / inverse;
+
+      throw new MissingRateError(fromCurrency, toCurrency, day);
+    };
+
+    return {
+      getRate,
+      convert: (amount, fromCurrency, toCurrency, date) => (
+        amount === 0 ? 0 : amount * getRate(fromCurrency, toCurrency, date)
+      )
+    };
+  }
+
+  // Converter for every currency quoted against the reporting currency up to toDate
+  async createConverter(reportingCurrency, toDate = null) {
+    const query = {
+      $or: [{ baseCurrency: reportingCurrency }, { quoteCurrency: reportingCurrency }]
+    };
+    if (toDate) query.date = { $lte: new Date(toDate) };
+
+    const rates = await FxRate.find(query).lean();
+    return this.buildConverter(rates);
+  }
+}
+
+FxRateService.MissingRateError = MissingRateError;
+
+module.exports = FxRateService;
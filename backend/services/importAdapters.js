@@ -0,0 +1,145 @@
+// Import adapters describe one platform's order-history export: the column
+// each trade field is read from (with the names seen across export versions),
+// the words used for sides and statuses, and how dates are written.
+// ImportService turns rows into trades with them.
+//
+// columns: trade field -> candidate column names, matched case-insensitively.
+//   Fee fields are the sum of every candidate column present; the rest use
+//   the first one found.
+// required: fields whose column must be in the file.
+// sides / statuses: values (upper-cased) meaning BUY or SELL, and each status.
+// dateOrder: how slash dates are written, DMY or MDY. Dates without a
+//   timezone are read in the timezone of the import.
+
+const TRADE_FIELDS = [
+  'orderId',
+  'type',
+  'timestamp',
+  'price',
+  'cryptoAmount',
+  'fiatAmount',
+  'cryptoCurrency',
+  'fiatCurrency',
+  'feeFiat',
+  'feeCrypto',
+  'counterparty',
+  'paymentMethod',
+  'status'
+];
+
+const COMMON_SIDES = {
+  BUY: ['BUY', 'B'],
+  SELL: ['SELL', 'S']
+};
+
+const COMMON_STATUSES = {
+  COMPLETED: ['COMPLETED', 'COMPLETE', 'FINISHED', 'SUCCESS', 'DONE'],
+  CANCELLED: ['CANCELLED', 'CANCELED', 'CANCELLED BY SYSTEM', 'EXPIRED', 'TIMEOUT'],
+  PENDING: ['PENDING', 'APPEAL', 'APPEALING', 'IN APPEAL', 'UNPAID', 'PAID', 'PROCESSING']
+};
+
+const ADAPTERS = {};
+
+const registerAdapter = (adapter) => {
+  if (!adapter.key || !adapter.name || !adapter.columns) {
+    throw new Error('An import adapter needs a key, a name and columns');
+  }
+
+  const unknownField = Object.keys(adapter.columns).find(field => !TRADE_FIELDS.includes(field));
+  if (unknownField) {
+    throw new Error(`Import adapter ${adapter.key} maps unknown trade field ${unknownField}`);
+  }
+
+  ADAPTERS[adapter.key] = {
+    venue: '',
+    required: ['type', 'timestamp', 'price', 'cryptoAmount'],
+    sides: COMMON_SIDES,
+    statuses: COMMON_STATUSES,
+    dateOrder: 'DMY',
+    ...adapter
+  };
+  return ADAPTERS[adapter.key];
+};
+
+registerAdapter({
+  key: 'BINANCE',
+  name: 'Binance P2P',
+  venue: 'BINANCE',
+  columns: {
+    orderId: ['Order Number'],
+    type: ['Order Type'],
+    timestamp: ['Created Time'],
+    price: ['Price'],
+    cryptoAmount: ['Quantity'],
+    fiatAmount: ['Total Price'],
+    cryptoCurrency: ['Asset Type'],
+    fiatCurrency: ['Fiat Type'],
+    feeCrypto: ['Maker Fee', 'Taker Fee'],
+    // Spelled this way in Binance's export
+    counterparty: ['Couterparty', 'Counterparty'],
+    status: ['Status']
+  },
+  required: ['orderId', 'type', 'timestamp', 'price', 'cryptoAmount']
+});
+
+registerAdapter({
+  key: 'BYBIT',
+  name: 'Bybit P2P',
+  venue: 'BYBIT',
+  columns: {
+    orderId: ['Order No.', 'Order No', 'Order ID'],
+    type: ['Type', 'Side', 'Order Type'],
+    timestamp: ['Time', 'Order Time', 'Created Time'],
+    price: ['Price'],
+    cryptoAmount: ['Coin Amount', 'Quantity'],
+    fiatAmount: ['Fiat Amount', 'Amount'],
+    cryptoCurrency: ['Cryptocurrency', 'Coin'],
+    fiatCurrency: ['Fiat Currency', 'Currency', 'Fiat'],
+    feeCrypto: ['Fee', 'Transaction Fee'],
+    counterparty: ['Counterparty', 'Counterparty Nickname'],
+    paymentMethod: ['Payment Method'],
+    status: ['Status', 'Order Status']
+  },
+  required: ['orderId', 'type', 'timestamp', 'price', 'cryptoAmount']
+});
+
+registerAdapter({
+  key: 'OKX',
+  name: 'OKX P2P',
+  venue: 'OKX',
+  columns: {
+    orderId: ['Order ID', 'Order No.'],
+    type: ['Side', 'Type'],
+    timestamp: ['Created time', 'Created Time', 'Time'],
+    price: ['Unit price', 'Price'],
+    cryptoAmount: ['Amount', 'Crypto amount', 'Quantity'],
+    fiatAmount: ['Total', 'Fiat amount', 'Total price'],
+    cryptoCurrency: ['Crypto', 'Crypto currency'],
+    fiatCurrency: ['Fiat', 'Fiat currency'],
+    feeCrypto: ['Fee'],
+    counterparty: ['Counterparty'],
+    paymentMethod: ['Payment method'],
+    status: ['Status', 'Order status']
+  },
+  required: ['orderId', 'type', 'timestamp', 'price', 'cryptoAmount'],
+  dateOrder: 'MDY'
+});
+
+// One column per trade field, named after it. Also what the import page
+// sends after mapping a file's columns itself.
+registerAdapter({
+  key: 'GENERIC',
+  name: 'Generic CSV template',
+  columns: Object.fromEntries(TRADE_FIELDS.map(field => [field, [field]]))
+});
+
+const getAdapter = (key) => ADAPTERS[String(key || '').toUpperCase()] || null;
+
+const listAdapters = () => Object.values(ADAPTERS);
+
+module.exports = {
+  TRADE_FIELDS,
+  registerAdapter,
+  getAdapter,
+  listAdapters
+};
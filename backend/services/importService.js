@@ -0,0 +1,390 @@
+const Trade = require('../models/Trade');
+const ImportRun = require('../models/ImportRun');
+const Venue = require('../models/Venue');
+const PaymentMethod = require('../models/PaymentMethod');
+const Dispute = require('../models/Dispute');
+const CalendarService = require('./calendarService');
+const LedgerService = require('./ledgerService');
+const { getAdapter } = require('./importAdapters');
+
+// Fee fields add up every matching column (maker and taker fee, say)
+const SUMMED_FIELDS = ['feeFiat', 'feeCrypto'];
+
+// Rows sent as JSON may be anything; only objects keyed by column are rows
+const isRow = (row) => Boolean(row) && typeof row === 'object' && !Array.isArray(row);
+
+// Errors the route reports with their status instead of a 500
+class ImportError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ImportError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Turns platform order-history exports into trades through an import adapter
+// and records each import as a run that can be rolled back as a whole
+class ImportService {
+  constructor(calendar = new CalendarService()) {
+    this.calendar = calendar;
+    this.ledgerService = new LedgerService();
+  }
+
+  setCalendar(calendar) {
+    this.calendar = calendar;
+  }
+
+  // Rows of a CSV export as objects keyed by the header row. Handles quoted
+  // fields with commas, quotes and line breaks.
+  parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    const input = String(text || '').replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+
+      if (quoted) {
+        if (char === '"' && input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        record.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') i++;
+        record.push(field);
+        records.push(record);
+        record = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || record.length > 0) {
+      record.push(field);
+      records.push(record);
+    }
+
+    const [headers = [], ...rows] = records.filter(row => row.some(value => value.trim() !== ''));
+    const columns = headers.map(header => header.trim());
+    return rows.map(row => Object.fromEntries(columns.map((column, index) => [column, row[index] ?? ''])));
+  }
+
+  // Column of the file each adapter field is read from; fee fields keep every
+  // matching column
+  resolveColumns(adapter, headers) {
+    const byName = {};
+    headers.forEach(header => {
+      byName[header.trim().toLowerCase()] = header;
+    });
+
+    const resolved = {};
+    Object.entries(adapter.columns).forEach(([field, names]) => {
+      const found = names.map(name => byName[name.toLowerCase()]).filter(Boolean);
+      if (found.length > 0) {
+        resolved[field] = SUMMED_FIELDS.includes(field) ? found : found[0];
+      }
+    });
+
+    const missing = adapter.required.filter(field => !resolved[field]);
+    if (missing.length > 0) {
+      throw new ImportError(
+        `The file is not a ${adapter.name} export: no column for ${missing.join(', ')}`
+      );
+    }
+
+    return resolved;
+  }
+
+  // Numbers may carry thousands separators, currency symbols or units
+  parseNumber(value) {
+    if (typeof value === 'number') return value;
+    const text = String(value ?? '').replace(/[^0-9.eE+-]/g, '');
+    return text === '' ? NaN : parseFloat(text);
+  }
+
+  // Fee cells may be left blank or hold a dash when there was no fee
+  parseFee(value) {
+    return /^-*$/.test(String(value ?? '').trim()) ? 0 : this.parseNumber(value);
+  }
+
+  // Epoch seconds or milliseconds, ISO instants, and local date-times written
+  // YYYY-MM-DD or with slashes in the adapter's day/month order
+  parseTimestamp(value, adapter) {
+    if (value instanceof Date) return isNaN(value) ? null : value;
+
+    const text = String(value ?? '').trim();
+    if (!text) return null;
+
+    if (/^\d{10}(\d{3})?$/.test(text)) {
+      return new Date(text.length === 10 ? parseInt(text) * 1000 : parseInt(text));
+    }
+
+    if (/T.*(Z|[+-]\d{2}:?\d{2})$/.test(text)) {
+      const date = new Date(text);
+      return isNaN(date) ? null : date;
+    }
+
+    const time = '(?:[ T,]+(\\d{1,2}):(\\d{2})(?::(\\d{2}))?)?';
+    let match = text.match(new RegExp(`^(\\d{4})[-/](\\d{1,2})[-/](\\d{1,2})${time}`));
+    let year;
+    let month;
+    let day;
+
+    if (match) {
+      [, year, month, day] = match;
+    } else {
+      match = text.match(new RegExp(`^(\\d{1,2})[/.-](\\d{1,2})[/.-](\\d{4})${time}`));
+      if (!match) return null;
+      year = match[3];
+      [month, day] = adapter.dateOrder === 'MDY' ? [match[1], match[2]] : [match[2], match[1]];
+    }
+
+    const [hour = 0, minute = 0, second = 0] = match.slice(4).map(part => (part === undefined ? 0 : parseInt(part)));
+    if (parseInt(month) < 1 || parseInt(month) > 12 || parseInt(day) < 1 || parseInt(day) > 31) return null;
+
+    return this.calendar.fromLocalTime(parseInt(year), parseInt(month), parseInt(day), hour, minute, second);
+  }
+
+  // Value of a word list (sides or statuses) a cell matches, if any
+  matchValue(value, lists) {
+    const text = String(value ?? '').trim().toUpperCase();
+    return Object.keys(lists).find(key => lists[key].includes(text)) || null;
+  }
+
+  // One row as a trade, or the reason it cannot be imported
+  normalizeRow(row, adapter, columns, defaults) {
+    if (!isRow(row)) {
+      return { error: 'Row must be an object keyed by column' };
+    }
+
+    const get = (field) => (columns[field] ? row[columns[field]] : undefined);
+    const fees = (field) => (columns[field] || []).map(column => this.parseFee(row[column]));
+
+    const type = this.matchValue(get('type'), adapter.sides);
+    if (!type) return { error: `Unknown side "${get('type') ?? ''}"` };
+
+    const timestamp = this.parseTimestamp(get('timestamp'), adapter);
+    if (!timestamp) return { error: `Unreadable time "${get('timestamp') ?? ''}"` };
+
+    const price = this.parseNumber(get('price'));
+    if (!(price > 0)) return { error: 'Price must be a positive number' };
+
+    const cryptoAmount = this.parseNumber(get('cryptoAmount'));
+    if (!(cryptoAmount > 0)) return { error: 'Crypto amount must be a positive number' };
+
+    // Without a status column every row is a completed trade
+    const status = columns.status ? this.matchValue(get('status'), adapter.statuses) : 'COMPLETED';
+    if (!status) return { error: `Unknown status "${get('status') ?? ''}"` };
+
+    const orderId = String(get('orderId') ?? '').trim();
+    if (adapter.required.includes('orderId') && !orderId) return { error: 'Missing order number' };
+
+    const fiatAmount = this.parseNumber(get('fiatAmount'));
+
+    const feeFiat = fees('feeFiat');
+    const feeCrypto = fees('feeCrypto');
+    if (![...feeFiat, ...feeCrypto].every(fee => fee >= 0)) {
+      return { error: 'Fees must be zero or a positive number' };
+    }
+
+    return {
+      trade: {
+        orderId,
+        type,
+        timestamp,
+        price,
+        cryptoAmount,
+        fiatAmount: fiatAmount > 0 ? fiatAmount : price * cryptoAmount,
+        cryptoCurrency: String(get('cryptoCurrency') || defaults.cryptoCurrency).trim().toUpperCase(),
+        fiatCurrency: String(get('fiatCurrency') || defaults.fiatCurrency).trim().toUpperCase(),
+        feeFiat: feeFiat.reduce((total, fee) => total + fee, 0),
+        feeCrypto: feeCrypto.reduce((total, fee) => total + fee, 0),
+        counterparty: String(get('counterparty') ?? '').trim(),
+        paymentMethod: String(get('paymentMethod') ?? '').trim().toUpperCase(),
+        venue: defaults.venue,
+        status
+      }
+    };
+  }
+
+  // Normalize rows and drop orders already recorded for the venue or repeated
+  // in the file. existingOrderIds: order numbers the venue already has.
+  buildBatch(rows, adapter, defaults, existingOrderIds = []) {
+    const trades = [];
+    const rejected = [];
+    const duplicates = [];
+    const seen = new Set(existingOrderIds);
+
+    if (rows.length === 0) {
+      return { trades, rejected, duplicates };
+    }
+
+    const columns = this.resolveColumns(adapter, Object.keys(rows.find(isRow) || {}));
+
+    rows.forEach((row, index) => {
+      // Line in the file, after the header row
+      const line = index + 2;
+      const { trade, error } = this.normalizeRow(row, adapter, columns, defaults);
+
+      if (error) {
+        rejected.push({ line, reason: error, row });
+        return;
+      }
+
+      if (trade.orderId && seen.has(trade.orderId)) {
+        duplicates.push({ line, orderId: trade.orderId });
+        return;
+      }
+      if (trade.orderId) seen.add(trade.orderId);
+
+      trades.push({ line, trade });
+    });
+
+    return { trades, rejected, duplicates };
+  }
+
+  // Payment methods must come from the managed list; a platform's own name
+  // for one is kept in the trade notes instead
+  applyPaymentMethods(trades, knownCodes) {
+    return trades.map(trade => {
+      if (!trade.paymentMethod || knownCodes.includes(trade.paymentMethod)) return trade;
+      return { ...trade, paymentMethod: '', notes: `Payment method: ${trade.paymentMethod}` };
+    });
+  }
+
+  // Import an export: rows (objects keyed by column) or CSV content. With
+  // dryRun nothing is saved and the parsed batch is returned for preview.
+  async runImport({ adapter: adapterKey, rows, content, fileName = '', venue, fiatCurrency = 'INR', cryptoCurrency = 'USDT', dryRun = false }) {
+    const adapter = getAdapter(adapterKey);
+    if (!adapter) {
+      throw new ImportError(`Unknown import adapter ${adapterKey}`);
+    }
+
+    const inputRows = Array.isArray(rows) ? rows : this.parseCsv(content);
+    if (inputRows.length === 0) {
+      throw new ImportError('The file has no rows');
+    }
+
+    const venueCode = String(venue ?? adapter.venue).trim().toUpperCase();
+    if (venueCode && !(await Venue.exists({ code: venueCode }))) {
+      throw new ImportError(`Unknown venue ${venueCode}. Add it to the venue list first`);
+    }
+
+    const existing = await Trade.find({ venue: venueCode, orderId: { $nin: ['', null] } }, 'orderId').lean();
+    const batch = this.buildBatch(
+      inputRows,
+      adapter,
+      { venue: venueCode, fiatCurrency: fiatCurrency.toUpperCase(), cryptoCurrency: cryptoCurrency.toUpperCase() },
+      existing.map(trade => trade.orderId)
+    );
+
+    const paymentMethods = await PaymentMethod.find({}, 'code').lean();
+    const trades = this.applyPaymentMethods(batch.trades.map(({ trade }) => trade), paymentMethods.map(method => method.code));
+
+    const summary = {
+      adapter: adapter.key,
+      fileName,
+      venue: venueCode,
+      totalRows: inputRows.length,
+      importedRows: trades.length,
+      duplicateRows: batch.duplicates.length,
+      rejectedRows: batch.rejected.length,
+      rejected: batch.rejected
+    };
+
+    // The preview lists every row by its line in the file
+    if (dryRun) {
+      return {
+        ...summary,
+        trades: trades.map((trade, index) => ({ line: batch.trades[index].line, ...trade })),
+        duplicates: batch.duplicates
+      };
+    }
+
+    const run = new ImportRun(summary);
+    await run.save();
+
+    let created = [];
+    try {
+      if (trades.length > 0) {
+        created = await Trade.insertMany(trades.map(trade => ({ ...trade, importRun: run._id })));
+      }
+    } catch (error) {
+      await this.discardRun(run);
+      throw this.toInsertError(error);
+    }
+    await this.syncLedger(created);
+
+    return run;
+  }
+
+  // Remove a run whose trades could not all be saved, with the ones that
+  // were, so the import can simply be tried again
+  async discardRun(run) {
+    await Trade.deleteMany({ importRun: run._id });
+    await ImportRun.deleteOne({ _id: run._id });
+  }
+
+  // An order recorded meanwhile, or a trade the model refuses, is the
+  // client's to fix; anything else stays a server error. The venue order
+  // number is the only unique key new trades can collide on.
+  toInsertError(error) {
+    if (error.code === 11000) {
+      return new ImportError('An order in the file was recorded meanwhile. Nothing was imported', 409);
+    }
+    if (error.name === 'ValidationError') {
+      return new ImportError(error.message);
+    }
+    return error;
+  }
+
+  // Delete every trade of a run, with the cases opened over them
+  async rollback(runId) {
+    const run = await ImportRun.findById(runId);
+    if (!run) {
+      throw new ImportError('Import run not found', 404);
+    }
+    if (run.status === 'ROLLED_BACK') {
+      throw new ImportError('Import run was already rolled back', 409);
+    }
+
+    const trades = await Trade.find({ importRun: run._id }).lean();
+    const tradeIds = trades.map(trade => trade._id);
+
+    await Dispute.deleteMany({ trade: { $in: tradeIds } });
+    await Trade.deleteMany({ _id: { $in: tradeIds } });
+    await this.syncLedger(trades);
+
+    run.status = 'ROLLED_BACK';
+    run.rolledBackAt = new Date();
+    await run.save();
+
+    return { run, deletedTrades: tradeIds.length };
+  }
+
+  // A ledger failure is logged rather than failing the import;
+  // POST /api/ledger/rebuild repairs it
+  async syncLedger(trades) {
+    try {
+      await this.ledgerService.rebuildForTrades(trades);
+    } catch (error) {
+      console.error('Error syncing ledger:', error);
+    }
+  }
+}
+
+ImportService.ImportError = ImportError;
+
+module.exports = ImportService;
@@ -0,0 +1,120 @@
+const Trade = require('../models/Trade');
+const LotMatch = require('../models/LotMatch');
+const ProfitCalculator = require('./profitCalculator');
+
+// The stored ledger is always matched by FIFO, whatever method reports use.
+// It traces a trade to the lots on the other side of it; LIFO, HIFO and
+// specific identification are calculated on the fly and not stored.
+class LedgerService {
+  constructor() {
+    this.profitCalculator = new ProfitCalculator();
+    this.profitCalculator.setMethod('FIFO');
+  }
+
+  // Network fee matches are calculated with the transfer in place of the
+  // sell; stored, they name it as the transfer
+  toRecord(match) {
+    return match.networkFee
+      ? { ...match, sellTrade: null, transfer: match.sellTrade }
+      : match;
+  }
+
+  // Rebuild the stored sell-to-buy matches of one fiat/crypto pair. Matches of
+  // sells before fromDate are kept; everything from fromDate onward is replayed.
+  async rebuildFrom(fiatCurrency, cryptoCurrency, fromDate = null) {
+    try {
+      const pair = { fiatCurrency, cryptoCurrency };
+      const from = fromDate ? new Date(fromDate) : null;
+
+      // Network fees of transfers use up lots too
+      const tradeDocs = await Trade.find({ ...pair, status: 'COMPLETED' })
+        .sort({ timestamp: 1 })
+        .lean();
+      const feeEvents = await this.profitCalculator.loadNetworkFees(fiatCurrency, null, cryptoCurrency);
+      const trades = this.profitCalculator.mergeEvents(tradeDocs, feeEvents);
+
+      let openingLots = [];
+      let replayTrades = trades;
+
+      if (from) {
+        // Work out what is left of each earlier lot after the matches we keep
+        const keptMatches = await LotMatch.find({ ...pair, sellTimestamp: { $lt: from } }).lean();
+        const consumed = {};
+        keptMatches.filter(match => !match.unmatched).forEach(match => {
+          const key = match.buyTrade.toString();
+          consumed[key] = (consumed[key] || 0) + match.amount;
+        });
+
+        openingLots = trades
+          .filter(trade => trade.type === 'BUY' && trade.timestamp < from)
+          .map(trade => this.profitCalculator.createLot(
+            trade,
+            trade.cryptoAmount - (consumed[trade._id.toString()] || 0)
+          ))
+          .filter(lot => lot.amount > 0);
+
+        replayTrades = trades.filter(trade => trade.timestamp >= from);
+
+        await LotMatch.deleteMany({ ...pair, sellTimestamp: { $gte: from } });
+      } else {
+        await LotMatch.deleteMany(pair);
+      }
+
+      const { matches } = this.profitCalculator.matchLots(replayTrades, openingLots);
+
+      if (matches.length > 0) {
+        await LotMatch.insertMany(matches.map(match => this.toRecord(match)));
+      }
+
+      return {
+        fiatCurrency,
+        cryptoCurrency,
+        from,
+        matchesWritten: matches.length
+      };
+    } catch (error) {
+      throw new Error(`Error rebuilding ledger: ${error.message}`);
+    }
+  }
+
+  // Rebuild every pair touched by the given trades from the earliest of them
+  async rebuildForTrades(trades) {
+    const earliestByPair = {};
+
+    trades.filter(Boolean).forEach(trade => {
+      const key = `${trade.fiatCurrency}/${trade.cryptoCurrency}`;
+      const timestamp = new Date(trade.timestamp);
+      if (!earliestByPair[key] || timestamp < earliestByPair[key].from) {
+        earliestByPair[key] = {
+          fiatCurrency: trade.fiatCurrency,
+          cryptoCurrency: trade.cryptoCurrency,
+          from: timestamp
+        };
+      }
+    });
+
+    const results = [];
+    for (const { fiatCurrency, cryptoCurrency, from } of Object.values(earliestByPair)) {
+      results.push(await this.rebuildFrom(fiatCurrency, cryptoCurrency, from));
+    }
+    return results;
+  }
+
+  // Drop the whole ledger and rebuild it from every trade
+  async rebuildAll() {
+    await LotMatch.deleteMany({});
+
+    const pairs = await Trade.aggregate([
+      { $match: { status: 'COMPLETED' } },
+      { $group: { _id: { fiatCurrency: '$fiatCurrency', cryptoCurrency: '$cryptoCurrency' } } }
+    ]);
+
+    const results = [];
+    for (const { _id } of pairs) {
+      results.push(await this.rebuildFrom(_id.fiatCurrency, _id.cryptoCurrency));
+    }
+    return results;
+  }
+}
+
+module.exports = LedgerService;
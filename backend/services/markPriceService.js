@@ -0,0 +1,187 @@
+const fs = require('fs/promises');
+const path = require('path');
+const MarkPrice = require('../models/MarkPrice');
+
+// Column names accepted for each field of a price file
+const FIELD_ALIASES = {
+  timestamp: ['timestamp', 'date', 'time'],
+  fiatCurrency: ['fiatcurrency', 'fiat'],
+  cryptoCurrency: ['cryptocurrency', 'crypto', 'asset'],
+  price: ['price', 'markprice', 'close']
+};
+
+// Extensions of the price files that can be loaded from disk
+const PRICE_FILE_FORMATS = ['csv', 'json'];
+
+// Errors the route reports with their status instead of a 500
+class PriceFileError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PriceFileError';
+    this.statusCode = statusCode;
+  }
+}
+
+class MarkPriceService {
+  // Map one raw record onto a mark price, filling a missing pair from defaults
+  normalizeRecord(record, defaults = {}) {
+    const fields = {};
+    Object.keys(record).forEach(key => {
+      const field = Object.keys(FIELD_ALIASES)
+        .find(name => FIELD_ALIASES[name].includes(key.trim().toLowerCase()));
+      if (field) fields[field] = record[key];
+    });
+
+    const price = parseFloat(fields.price);
+    const timestamp = new Date(fields.timestamp);
+    const fiatCurrency = String(fields.fiatCurrency || defaults.fiatCurrency || '').trim().toUpperCase();
+    const cryptoCurrency = String(fields.cryptoCurrency || defaults.cryptoCurrency || '').trim().toUpperCase();
+
+    if (!fiatCurrency || !cryptoCurrency || isNaN(price) || price < 0 || isNaN(timestamp.getTime())) {
+      return null;
+    }
+
+    return { fiatCurrency, cryptoCurrency, price, timestamp };
+  }
+
+  // Price files are either a JSON array (or { prices: [...] }) of records, or a
+  // CSV with a header row. Rows that cannot be read are returned as rejected.
+  parsePriceFile(content, format, defaults = {}) {
+    let records;
+    if (format === 'json') {
+      // The parser's message quotes the file, so it is not passed on
+      let parsed;
+      try {
+        parsed = JSON.parse(content);
+      } catch (error) {
+        throw new PriceFileError('The price file is not valid JSON');
+      }
+      records = Array.isArray(parsed) ? parsed : (parsed && parsed.prices) || [];
+    } else if (format === 'csv') {
+      const lines = content.split(/\r?\n/).filter(line => line.trim());
+      const header = (lines.shift() || '').split(',');
+      records = lines.map(line => {
+        const values = line.split(',');
+        return header.reduce((record, column, index) => {
+          record[column] = (values[index] || '').trim();
+          return record;
+        }, {});
+      });
+    } else {
+      throw new PriceFileError('Invalid price file format. Must be json or csv');
+    }
+
+    const prices = [];
+    const rejected = [];
+    records.forEach((record, index) => {
+      const price = this.normalizeRecord(record, defaults);
+      if (price) {
+        prices.push(price);
+      } else {
+        rejected.push({ row: index + 1, reason: 'Missing or invalid timestamp, currency pair or price' });
+      }
+    });
+
+    return { prices, rejected };
+  }
+
+  // Path of a price file inside PRICE_FILES_DIR. Files are only read from
+  // that directory, and not at all when it is not configured.
+  async resolvePriceFile(filePath) {
+    const directory = process.env.PRICE_FILES_DIR;
+    if (!directory) {
+      throw new PriceFileError('Loading price files from disk is disabled. Set PRICE_FILES_DIR or post the file content', 403);
+    }
+
+    const format = path.extname(String(filePath)).slice(1).toLowerCase();
+    if (!PRICE_FILE_FORMATS.includes(format)) {
+      throw new PriceFileError('Invalid price file format. Must be json or csv');
+    }
+
+    // The path is checked before touching the disk, then again once symlinks
+    // are resolved so a link cannot lead out of the directory either
+    const isInside = (root, target) => {
+      const relative = path.relative(root, target);
+      return Boolean(relative) && relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+    };
+
+    const root = path.resolve(directory);
+    if (!isInside(root, path.resolve(root, String(filePath)))) {
+      throw new PriceFileError('Price files must be inside the price files directory', 403);
+    }
+
+    let resolved;
+    try {
+      resolved = await fs.realpath(path.resolve(root, String(filePath)));
+      if (!isInside(await fs.realpath(root), resolved)) {
+        throw new PriceFileError('Price files must be inside the price files directory', 403);
+      }
+    } catch (error) {
+      if (error instanceof PriceFileError) throw error;
+      throw new PriceFileError(`Price file ${filePath} not found`, 404);
+    }
+
+    return { resolved, format };
+  }
+
+  // Load a JSON or CSV price file from PRICE_FILES_DIR; the format follows
+  // the extension
+  async importFile(filePath, defaults = {}) {
+    const { resolved, format } = await this.resolvePriceFile(filePath);
+
+    let content;
+    try {
+      content = await fs.readFile(resolved, 'utf8');
+    } catch (error) {
+      throw new PriceFileError(`Price file ${filePath} could not be read`, 404);
+    }
+
+    return this.importContent(content, format, defaults);
+  }
+
+  // Store parsed prices. A price for a pair and timestamp that already exists
+  // is replaced, so the same file can be loaded again after it is updated.
+  async importContent(content, format, defaults = {}) {
+    const { prices, rejected } = this.parsePriceFile(content, format, defaults);
+
+    if (prices.length > 0) {
+      await MarkPrice.bulkWrite(prices.map(price => ({
+        updateOne: {
+          filter: {
+            fiatCurrency: price.fiatCurrency,
+            cryptoCurrency: price.cryptoCurrency,
+            timestamp: price.timestamp
+          },
+          update: { $set: { price: price.price, source: 'FILE' } },
+          upsert: true
+        }
+      })));
+    }
+
+    return { imported: prices.length, rejected };
+  }
+
+  // Latest price of a pair at or before asOf (now when omitted)
+  async getPriceAt(fiatCurrency, cryptoCurrency, asOf = null) {
+    const query = { fiatCurrency, cryptoCurrency };
+    if (asOf) query.timestamp = { $lte: new Date(asOf) };
+
+    return MarkPrice.findOne(query)
+      .sort({ timestamp: -1 })
+      .lean();
+  }
+
+  // Every price of a pair up to toDate, oldest first
+  async getPriceHistory(fiatCurrency, cryptoCurrency, toDate = null) {
+    const query = { fiatCurrency, cryptoCurrency };
+    if (toDate) query.timestamp = { $lte: new Date(toDate) };
+
+    return MarkPrice.find(query)
+      .sort({ timestamp: 1 })
+      .lean();
+  }
+}
+
+MarkPriceService.PriceFileError = PriceFileError;
+
+module.exports = MarkPriceService;
@@ -0,0 +1,132 @@
+const Trade = require('../models/Trade');
+const ProfitCalculator = require('./profitCalculator');
+const VenueBreakdownService = require('./venueBreakdownService');
+
+// Key for trades recorded without a payment method
+const UNSPECIFIED_METHOD = 'UNSPECIFIED';
+
+// Volume, average spread, cancellation rate and disputes per payment method.
+// Counts cover every trade of the range whatever its status; volume and
+// spread only completed ones. A lot match counts for the method of its buy and
+// of its sell, so its spread is the spread of trading through that method.
+class PaymentMethodService {
+  constructor() {
+    this.profitCalculator = new ProfitCalculator();
+  }
+
+  // Spreads come from lot matches, so average-cost methods use FIFO
+  setMethod(method) {
+    this.profitCalculator.setMethod(method);
+    if (!VenueBreakdownService.LOT_METHODS.includes(method)) {
+      this.profitCalculator.setMethod('FIFO');
+    }
+  }
+
+  setCalendar(calendar) {
+    this.profitCalculator.setCalendar(calendar);
+  }
+
+  getMethodKey(trade) {
+    return trade.paymentMethod || UNSPECIFIED_METHOD;
+  }
+
+  createRow(paymentMethod) {
+    return {
+      paymentMethod,
+      trades: 0,
+      completedTrades: 0,
+      cancelledTrades: 0,
+      disputes: 0,
+      volumeFiat: 0,
+      volumeCrypto: 0,
+      matchedQuantity: 0,
+      costFiat: 0,
+      proceedsFiat: 0,
+      netProfit: 0
+    };
+  }
+
+  // rangeTrades: every trade of the range, any status. bookTrades and
+  // priorTrades: the completed trades matched into lots, and those before the range.
+  buildBreakdown(rangeTrades, bookTrades, priorTrades = []) {
+    const rows = {};
+    const getRow = (key) => {
+      if (!rows[key]) {
+        rows[key] = this.createRow(key);
+      }
+      return rows[key];
+    };
+
+    rangeTrades.forEach(trade => {
+      const row = getRow(this.getMethodKey(trade));
+      row.trades++;
+      if (trade.disputed) row.disputes++;
+
+      if (trade.status === 'CANCELLED') {
+        row.cancelledTrades++;
+      } else if (trade.status === 'COMPLETED') {
+        row.completedTrades++;
+        row.volumeFiat += trade.fiatAmount;
+        row.volumeCrypto += trade.cryptoAmount;
+      }
+    });
+
+    const methodByTrade = {};
+    [...priorTrades, ...bookTrades].forEach(trade => {
+      methodByTrade[String(trade._id)] = this.getMethodKey(trade);
+    });
+
+    const openingLots = this.profitCalculator.matchLots(priorTrades).remainingLots;
+    const { matches } = this.profitCalculator.matchLots(bookTrades, openingLots);
+
+    // Oversold quantity has no buy price to take a spread from
+    matches.filter(match => !match.networkFee && !match.unmatched).forEach(match => {
+      const keys = new Set([methodByTrade[String(match.buyTrade)], methodByTrade[String(match.sellTrade)]]);
+
+      keys.forEach(key => {
+        const row = getRow(key);
+        row.matchedQuantity += match.amount;
+        row.costFiat += match.amount * match.buyPrice;
+        row.proceedsFiat += match.amount * match.sellPrice;
+        row.netProfit += match.netProfit;
+      });
+    });
+
+    return Object.values(rows)
+      .map(row => ({
+        ...row,
+        avgSpreadPercent: row.costFiat > 0 ? (row.proceedsFiat - row.costFiat) / row.costFiat * 100 : null,
+        cancellationRatePercent: row.trades > 0 ? row.cancelledTrades / row.trades * 100 : null
+      }))
+      .sort((a, b) => b.volumeFiat - a.volumeFiat);
+  }
+
+  async getBreakdown(fiatCurrency = 'INR', fromDate = null, toDate = null, cryptoCurrency = 'USDT') {
+    try {
+      const query = { fiatCurrency, cryptoCurrency };
+      if (fromDate || toDate) {
+        query.timestamp = {};
+        if (fromDate) query.timestamp.$gte = this.profitCalculator.getRangeStart(fromDate);
+        if (toDate) query.timestamp.$lte = this.profitCalculator.getRangeEnd(toDate);
+      }
+
+      const [rangeTrades, { trades, priorTrades }] = await Promise.all([
+        Trade.find(query).lean(),
+        this.profitCalculator.loadTrades(fiatCurrency, fromDate, toDate, cryptoCurrency)
+      ]);
+
+      return {
+        paymentMethods: this.buildBreakdown(rangeTrades, trades, priorTrades),
+        method: this.profitCalculator.method,
+        fiatCurrency,
+        cryptoCurrency
+      };
+    } catch (error) {
+      throw new Error(`Error calculating payment method breakdown: ${error.message}`);
+    }
+  }
+}
+
+PaymentMethodService.UNSPECIFIED_METHOD = UNSPECIFIED_METHOD;
+
+module.exports = PaymentMethodService;
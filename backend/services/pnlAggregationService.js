@@ -0,0 +1,110 @@
+const CalendarService = require('./calendarService');
+
+const PERIODS = ['day', 'week', 'month'];
+
+// Rolls per-trade time series entries up into daily, weekly or monthly buckets.
+// Flow figures (profit, volumes, counts) are summed over the period; stock
+// figures (inventory, cumulative profit) are taken from its last entry.
+// Periods follow the calendar's timezone and week start.
+class PnlAggregationService {
+  constructor(calendar = new CalendarService()) {
+    this.calendar = calendar;
+  }
+
+  createBucket(start, end) {
+    return {
+      periodStart: start,
+      periodEnd: end,
+      realizedProfit: 0,
+      grossProfit: 0,
+      fees: 0,
+      buyVolumeFiat: 0,
+      buyVolumeCrypto: 0,
+      sellVolumeFiat: 0,
+      sellVolumeCrypto: 0,
+      buyCount: 0,
+      sellCount: 0,
+      tradeCount: 0,
+      buyVwap: 0,
+      sellVwap: 0,
+      closingInventory: 0,
+      closingAvgCost: 0,
+      cumulativeProfit: 0,
+      cumulativeGrossProfit: 0,
+      cumulativeFees: 0
+    };
+  }
+
+  addEntry(bucket, entry) {
+    bucket.realizedProfit += entry.netProfit;
+    bucket.grossProfit += entry.grossProfit;
+    bucket.fees += entry.fees;
+
+    // Network fee and case loss entries carry a cost but are not trades
+    if (entry.type === 'BUY') {
+      bucket.buyVolumeFiat += entry.fiatAmount;
+      bucket.buyVolumeCrypto += entry.cryptoAmount;
+      bucket.buyCount++;
+      bucket.tradeCount++;
+    } else if (entry.type === 'SELL') {
+      bucket.sellVolumeFiat += entry.fiatAmount;
+      bucket.sellVolumeCrypto += entry.cryptoAmount;
+      bucket.sellCount++;
+      bucket.tradeCount++;
+    }
+
+    bucket.closingInventory = entry.inventory;
+    bucket.closingAvgCost = entry.avgCost;
+    bucket.cumulativeProfit = entry.cumulativeProfit;
+    bucket.cumulativeGrossProfit = entry.cumulativeGrossProfit;
+    bucket.cumulativeFees = entry.cumulativeFees;
+  }
+
+  finalizeBucket(bucket) {
+    return {
+      ...bucket,
+      buyVwap: bucket.buyVolumeCrypto > 0 ? bucket.buyVolumeFiat / bucket.buyVolumeCrypto : 0,
+      sellVwap: bucket.sellVolumeCrypto > 0 ? bucket.sellVolumeFiat / bucket.sellVolumeCrypto : 0
+    };
+  }
+
+  // Period identifiers the daily, weekly and monthly endpoints have always returned
+  labelBucket(bucket, period) {
+    if (period === 'day') {
+      return { date: bucket.periodStart, ...bucket };
+    }
+
+    if (period === 'week') {
+      return { weekStart: bucket.periodStart, weekEnd: bucket.periodEnd, ...bucket };
+    }
+
+    const start = new Date(`${bucket.periodStart}T00:00:00.000Z`);
+    return {
+      month: bucket.periodStart.slice(0, 7),
+      monthName: start.toLocaleString('default', { month: 'long', year: 'numeric', timeZone: 'UTC' }),
+      ...bucket
+    };
+  }
+
+  // Aggregate a time series (oldest first) into one bucket per period with trades
+  aggregate(timeSeries, period) {
+    if (!PERIODS.includes(period)) {
+      throw new Error(`Invalid period. Must be one of ${PERIODS.join(', ')}`);
+    }
+
+    const buckets = {};
+    timeSeries.forEach(entry => {
+      const { start, end } = this.calendar.getPeriodRange(entry.date, period);
+      if (!buckets[start]) {
+        buckets[start] = this.createBucket(start, end);
+      }
+      this.addEntry(buckets[start], entry);
+    });
+
+    return Object.keys(buckets)
+      .sort()
+      .map(key => this.labelBucket(this.finalizeBucket(buckets[key]), period));
+  }
+}
+
+module.exports = PnlAggregationService;
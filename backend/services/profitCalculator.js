@@ -1,223 +1,1075 @@
 const Trade = require('../models/Trade');
+const Transfer = require('../models/Transfer');
+const Dispute = require('../models/Dispute');
+const CalendarService = require('./calendarService');
+
+// Supported calculation methods. FIFO, LIFO, HIFO and SPECIFIC match sells to
+// individual buy lots and differ only in which open lot is consumed first.
+const METHODS = [
+  {
+    key: 'FIFO',
+    name: 'First In, First Out',
+    description: 'Calculates profit by matching sells to the oldest buys first'
+  },
+  {
+    key: 'LIFO',
+    name: 'Last In, First Out',
+    description: 'Calculates profit by matching sells to the newest buys first'
+  },
+  {
+    key: 'HIFO',
+    name: 'Highest In, First Out',
+    description: 'Calculates profit by matching sells to the most expensive buys first'
+  },
+  {
+    key: 'SPECIFIC',
+    name: 'Specific Identification',
+    description: 'Matches sells to the buy trades they name, falling back to FIFO for the rest'
+  },
+  {
+    key: 'MOVING_AVERAGE',
+    name: 'Moving Average Cost',
+    description: 'Each buy updates the running average cost and each sell realizes profit against it'
+  },
+  {
+    key: 'AVERAGE',
+    name: 'Period Average Cost',
+    description: 'Calculates profit using one weighted average buy price over the whole period'
+  }
+];
+
+const METHOD_KEYS = METHODS.map(method => method.key);
+
+// How sell quantity beyond the available inventory is handled:
+// ZERO_COST realizes it against a zero cost basis, BLOCK refuses to calculate
+const UNMATCHED_POLICIES = ['ZERO_COST', 'BLOCK'];
+
+// Quantities below this are floating point residue, not inventory
+const QUANTITY_EPSILON = 1e-9;
+
+// Type of the events that stand in for transfer network fees in the trade
+// stream. The fee leaves inventory like a sale without proceeds, so the cost
+// of the units it uses up is realized as a fee. Never counted as a trade.
+const NETWORK_FEE = 'NETWORK_FEE';
+
+// Type of the events that stand in for lost dispute cases. The fiat lost is a
+// negative gross profit on the day the case closed; inventory is untouched.
+const CASE_LOSS = 'CASE_LOSS';
+
+// Raised under the BLOCK policy when sells exceed the available inventory
+class InsufficientInventoryError extends Error {
+  constructor(shortfalls) {
+    super(`Sells exceed available inventory for ${shortfalls.length} trade(s)`);
+    this.name = 'InsufficientInventoryError';
+    this.statusCode = 422;
+    this.shortfalls = shortfalls;
+  }
+}
 
 class ProfitCalculator {
   constructor() {
     this.method = 'FIFO'; // Default method
+    this.unmatchedPolicy = 'ZERO_COST';
+    this.calendar = new CalendarService();
+  }
+
+  static getMethods() {
+    return METHODS;
   }
 
   setMethod(method) {
-    if (!['FIFO', 'AVERAGE'].includes(method)) {
-      throw new Error('Invalid method. Must be FIFO or AVERAGE');
+    if (!METHOD_KEYS.includes(method)) {
+      throw new Error(`Invalid method. Must be one of ${METHOD_KEYS.join(', ')}`);
     }
     this.method = method;
   }
 
-  async calculateRealizedProfit(fiatCurrency = 'INR', fromDate = null, toDate = null) {
-    try {
-      // Build query for completed trades
-      const query = {
-        status: 'COMPLETED',
-        fiatCurrency: fiatCurrency
-      };
+  setUnmatchedPolicy(policy) {
+    if (!UNMATCHED_POLICIES.includes(policy)) {
+      throw new Error(`Invalid unmatched policy. Must be one of ${UNMATCHED_POLICIES.join(', ')}`);
+    }
+    this.unmatchedPolicy = policy;
+  }
 
-      if (fromDate || toDate) {
-        query.timestamp = {};
-        if (fromDate) query.timestamp.$gte = new Date(fromDate);
-        if (toDate) query.timestamp.$lte = new Date(toDate);
-      }
+  // Timezone used for date-only ranges and for the days of the time series
+  setCalendar(calendar) {
+    this.calendar = calendar;
+  }
 
-      const trades = await Trade.find(query)
-        .sort({ timestamp: 1 })
-        .lean();
+  // Sell quantity that had no inventory to match against
+  createShortfall(trade, matchedAmount) {
+    return {
+      tradeId: trade._id,
+      timestamp: trade.timestamp,
+      fiatCurrency: trade.fiatCurrency,
+      cryptoCurrency: trade.cryptoCurrency,
+      sellAmount: trade.cryptoAmount,
+      matchedAmount,
+      shortfall: trade.cryptoAmount - matchedAmount
+    };
+  }
 
-      if (this.method === 'FIFO') {
-        return this.calculateFIFOProfit(trades, fiatCurrency);
-      } else {
-        return this.calculateAverageProfit(trades, fiatCurrency);
-      }
+  // Stop the calculation under the BLOCK policy when any sell was oversold
+  assertInventory(shortfalls) {
+    if (this.unmatchedPolicy === 'BLOCK' && shortfalls.length > 0) {
+      throw new InsufficientInventoryError(shortfalls);
+    }
+  }
+
+  // A date-only `from` (YYYY-MM-DD) starts at local midnight of that day
+  getRangeStart(fromDate) {
+    if (typeof fromDate === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(fromDate)) {
+      return this.calendar.startOfDay(fromDate);
+    }
+    return new Date(fromDate);
+  }
+
+  // A date-only `to` (YYYY-MM-DD) covers that whole local day
+  getRangeEnd(toDate) {
+    if (typeof toDate === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(toDate)) {
+      return this.calendar.endOfDay(toDate);
+    }
+    return new Date(toDate);
+  }
+
+  // Build the query for completed trades of one fiat/crypto pair
+  buildTradeQuery(fiatCurrency, fromDate, toDate, cryptoCurrency) {
+    const query = {
+      status: 'COMPLETED',
+      fiatCurrency: fiatCurrency
+    };
+
+    if (cryptoCurrency) {
+      query.cryptoCurrency = cryptoCurrency;
+    }
+
+    if (fromDate || toDate) {
+      query.timestamp = {};
+      if (fromDate) query.timestamp.$gte = this.getRangeStart(fromDate);
+      if (toDate) query.timestamp.$lte = this.getRangeEnd(toDate);
+    }
+
+    return query;
+  }
+
+  // Network fee event for a completed transfer, charged to its fiat book
+  createNetworkFeeEvent(transfer) {
+    return {
+      _id: transfer._id,
+      type: NETWORK_FEE,
+      timestamp: transfer.timestamp,
+      fiatCurrency: transfer.fiatCurrency,
+      cryptoCurrency: transfer.cryptoCurrency,
+      cryptoAmount: transfer.networkFee,
+      fiatAmount: 0,
+      price: 0
+    };
+  }
+
+  async loadNetworkFees(fiatCurrency, toDate, cryptoCurrency) {
+    const query = this.buildTradeQuery(fiatCurrency, null, toDate, cryptoCurrency);
+    query.networkFee = { $gt: 0 };
+
+    const transfers = await Transfer.find(query)
+      .sort({ timestamp: 1 })
+      .lean();
+
+    return transfers.map(transfer => this.createNetworkFeeEvent(transfer));
+  }
+
+  // Loss event for a case closed as LOST, charged to the book of its trade
+  createCaseLossEvent(dispute) {
+    return {
+      _id: dispute._id,
+      type: CASE_LOSS,
+      timestamp: dispute.closedAt,
+      fiatCurrency: dispute.fiatCurrency,
+      cryptoCurrency: dispute.cryptoCurrency,
+      cryptoAmount: 0,
+      fiatAmount: dispute.amountLost,
+      price: 0,
+      tradeId: dispute.trade
+    };
+  }
+
+  async loadCaseLosses(fiatCurrency, toDate, cryptoCurrency) {
+    const query = { status: 'LOST', fiatCurrency, amountLost: { $gt: 0 } };
+    if (cryptoCurrency) query.cryptoCurrency = cryptoCurrency;
+    query.closedAt = toDate ? { $ne: null, $lte: this.getRangeEnd(toDate) } : { $ne: null };
+
+    const disputes = await Dispute.find(query)
+      .sort({ closedAt: 1 })
+      .lean();
+
+    return disputes.map(dispute => this.createCaseLossEvent(dispute));
+  }
+
+  // Merge network fee and case loss events into trades by time; an event at
+  // the same instant as a trade comes after it
+  mergeEvents(trades, ...eventLists) {
+    return [...trades, ...eventLists.flat()].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  }
+
+  // Load trades, with transfer network fees and lost cases merged in, up to
+  // toDate. Trades before fromDate are returned separately as priorTrades so
+  // the opening inventory of the range can be carried forward.
+  async loadTrades(fiatCurrency, fromDate, toDate, cryptoCurrency) {
+    const query = this.buildTradeQuery(fiatCurrency, null, toDate, cryptoCurrency);
+
+    const [tradeDocs, feeEvents, lossEvents] = await Promise.all([
+      Trade.find(query).sort({ timestamp: 1 }).lean(),
+      this.loadNetworkFees(fiatCurrency, toDate, cryptoCurrency),
+      this.loadCaseLosses(fiatCurrency, toDate, cryptoCurrency)
+    ]);
+    const trades = this.mergeEvents(tradeDocs, feeEvents, lossEvents);
+
+    if (!fromDate) {
+      return { trades, priorTrades: [] };
+    }
+
+    const from = this.getRangeStart(fromDate);
+    return {
+      trades: trades.filter(trade => trade.timestamp >= from),
+      priorTrades: trades.filter(trade => trade.timestamp < from)
+    };
+  }
+
+  async calculateRealizedProfit(fiatCurrency = 'INR', fromDate = null, toDate = null, cryptoCurrency = 'USDT') {
+    try {
+      const { trades, priorTrades } = await this.loadTrades(fiatCurrency, fromDate, toDate, cryptoCurrency);
+
+      return this.calculateProfit(trades, fiatCurrency, cryptoCurrency, priorTrades);
     } catch (error) {
+      if (error instanceof InsufficientInventoryError) throw error;
       throw new Error(`Error calculating realized profit: ${error.message}`);
     }
   }
 
-  calculateFIFOProfit(trades, fiatCurrency) {
-    const buyQueue = [];
-    const sellTrades = [];
-    let totalBuyFiat = 0;
-    let totalSellFiat = 0;
-    let totalBuyAmount = 0;
-    let totalSellAmount = 0;
-    let realizedProfit = 0;
-    let inventoryRemaining = 0;
+  calculateProfit(trades, fiatCurrency, cryptoCurrency, priorTrades = []) {
+    let result;
+    if (this.method === 'MOVING_AVERAGE') {
+      result = this.calculateMovingAverageProfit(trades, fiatCurrency, priorTrades);
+    } else if (this.method === 'AVERAGE') {
+      result = this.calculateAverageProfit(trades, fiatCurrency, priorTrades);
+    } else {
+      result = this.calculateLotProfit(trades, fiatCurrency, priorTrades);
+    }
 
-    // Separate buys and sells, sort by timestamp
+    this.assertInventory(result.shortfalls);
+    return { ...result, cryptoCurrency };
+  }
+
+  // Group trades by asset so each one gets its own lot queue
+  groupByAsset(trades) {
+    const tradesByAsset = {};
     trades.forEach(trade => {
-      if (trade.type === 'BUY') {
-        buyQueue.push({
-          amount: trade.cryptoAmount,
-          price: trade.price,
-          totalFiat: trade.fiatAmount,
-          timestamp: trade.timestamp
-        });
-        totalBuyFiat += trade.fiatAmount;
-        totalBuyAmount += trade.cryptoAmount;
-      } else if (trade.type === 'SELL') {
-        sellTrades.push({
-          amount: trade.cryptoAmount,
-          price: trade.price,
-          totalFiat: trade.fiatAmount,
-          timestamp: trade.timestamp
-        });
-        totalSellFiat += trade.fiatAmount;
-        totalSellAmount += trade.cryptoAmount;
+      if (!tradesByAsset[trade.cryptoCurrency]) {
+        tradesByAsset[trade.cryptoCurrency] = [];
       }
+      tradesByAsset[trade.cryptoCurrency].push(trade);
     });
+    return tradesByAsset;
+  }
 
-    // Process each sell trade using FIFO
-    sellTrades.forEach(sellTrade => {
-      let remainingSellAmount = sellTrade.amount;
-      let sellProfit = 0;
-
-      while (remainingSellAmount > 0 && buyQueue.length > 0) {
-        const buyTrade = buyQueue[0];
-        const consumedAmount = Math.min(remainingSellAmount, buyTrade.amount);
-
-        // Calculate profit for this portion
-        const buyPrice = buyTrade.price;
-        const sellPrice = sellTrade.price;
-        const profit = (sellPrice - buyPrice) * consumedAmount;
-        
-        sellProfit += profit;
-        remainingSellAmount -= consumedAmount;
-        buyTrade.amount -= consumedAmount;
-
-        // Remove buy trade if fully consumed
-        if (buyTrade.amount <= 0) {
-          buyQueue.shift();
-        }
-      }
-      
-      realizedProfit += sellProfit;
+  // Realized profit, average cost and remaining inventory for every crypto asset
+  async calculateAssetBreakdown(fiatCurrency = 'INR', fromDate = null, toDate = null) {
+    try {
+      const { trades, priorTrades } = await this.loadTrades(fiatCurrency, fromDate, toDate);
+      const tradesByAsset = this.groupByAsset(trades);
+      const priorTradesByAsset = this.groupByAsset(priorTrades);
+      const assetKeys = [...new Set([...Object.keys(tradesByAsset), ...Object.keys(priorTradesByAsset)])];
+
+      const assets = assetKeys.sort().map(cryptoCurrency => {
+        const summary = this.calculateProfit(
+          tradesByAsset[cryptoCurrency] || [],
+          fiatCurrency,
+          cryptoCurrency,
+          priorTradesByAsset[cryptoCurrency] || []
+        );
+        return {
+          cryptoCurrency,
+          realizedProfitFiat: summary.realizedProfitFiat,
+          grossProfitFiat: summary.grossProfitFiat,
+          feesFiat: summary.feesFiat,
+          totalBuyFiat: summary.totalBuyFiat,
+          totalSellFiat: summary.totalSellFiat,
+          avgBuyPrice: summary.avgBuyPrice,
+          avgSellPrice: summary.avgSellPrice,
+          avgInventoryCost: summary.avgInventoryCost,
+          inventoryRemaining: summary.inventoryRemaining,
+          inventoryCostBasis: summary.inventoryCostBasis
+        };
+      });
+
+      const totals = assets.reduce((acc, asset) => {
+        acc.realizedProfitFiat += asset.realizedProfitFiat;
+        acc.grossProfitFiat += asset.grossProfitFiat;
+        acc.feesFiat += asset.feesFiat;
+        acc.totalBuyFiat += asset.totalBuyFiat;
+        acc.totalSellFiat += asset.totalSellFiat;
+        acc.inventoryCostBasis += asset.inventoryCostBasis;
+        return acc;
+      }, {
+        realizedProfitFiat: 0,
+        grossProfitFiat: 0,
+        feesFiat: 0,
+        totalBuyFiat: 0,
+        totalSellFiat: 0,
+        inventoryCostBasis: 0
+      });
+
+      return {
+        assets,
+        totals,
+        method: this.method,
+        fiatCurrency
+      };
+    } catch (error) {
+      if (error instanceof InsufficientInventoryError) throw error;
+      throw new Error(`Error calculating asset breakdown: ${error.message}`);
+    }
+  }
+
+  // Fiat currencies the crypto asset has been traded against
+  async getTradedFiatCurrencies(cryptoCurrency) {
+    const currencies = await Trade.distinct('fiatCurrency', { status: 'COMPLETED', cryptoCurrency });
+    return currencies.sort();
+  }
+
+  // Run every fiat currency of the asset through the engine separately
+  async loadCurrencyResults(fromDate, toDate, cryptoCurrency) {
+    const fiatCurrencies = await this.getTradedFiatCurrencies(cryptoCurrency);
+    const results = [];
+
+    for (const fiatCurrency of fiatCurrencies) {
+      const { trades, priorTrades } = await this.loadTrades(fiatCurrency, fromDate, toDate, cryptoCurrency);
+      results.push({
+        fiatCurrency,
+        trades,
+        summary: this.calculateProfit(trades, fiatCurrency, cryptoCurrency, priorTrades),
+        timeSeries: this.buildTimeSeries(trades, priorTrades)
+      });
+    }
+
+    return results;
+  }
+
+  // Realized profit of all fiat currencies in one reporting currency
+  async calculateConsolidatedProfit(fromDate, toDate, cryptoCurrency = 'USDT', reportingCurrency, converter) {
+    try {
+      const results = await this.loadCurrencyResults(fromDate, toDate, cryptoCurrency);
+      return this.consolidateProfit(results, reportingCurrency, converter, cryptoCurrency);
+    } catch (error) {
+      // Inventory and missing-rate errors carry a status for the client
+      if (error.statusCode) throw error;
+      throw new Error(`Error calculating consolidated profit: ${error.message}`);
+    }
+  }
+
+  // Each sell's profit is converted at the rate of its trade date, and buy and
+  // sell volumes at the rate of each trade's date. Both use the local day of
+  // the calendar, so a trade near midnight is converted at one day's rate.
+  consolidateProfit(results, reportingCurrency, converter, cryptoCurrency) {
+    const currencies = results.map(({ fiatCurrency, trades, summary, timeSeries }) => {
+      const profit = timeSeries.reduce((acc, entry) => {
+        acc.grossProfit += converter.convert(entry.grossProfit, fiatCurrency, reportingCurrency, entry.date);
+        acc.fees += converter.convert(entry.fees, fiatCurrency, reportingCurrency, entry.date);
+        return acc;
+      }, { grossProfit: 0, fees: 0 });
+
+      const volume = trades.reduce((acc, trade) => {
+        const amount = converter.convert(
+          trade.fiatAmount,
+          fiatCurrency,
+          reportingCurrency,
+          this.calendar.toDateKey(trade.timestamp)
+        );
+        if (trade.type === 'BUY') acc.totalBuy += amount;
+        if (trade.type === 'SELL') acc.totalSell += amount;
+        return acc;
+      }, { totalBuy: 0, totalSell: 0 });
+
+      return {
+        ...summary,
+        reportingCurrency,
+        grossProfitReporting: profit.grossProfit,
+        feesReporting: profit.fees,
+        realizedProfitReporting: profit.grossProfit - profit.fees,
+        totalBuyReporting: volume.totalBuy,
+        totalSellReporting: volume.totalSell
+      };
     });
 
-    // Calculate remaining inventory
-    inventoryRemaining = buyQueue.reduce((total, buy) => total + buy.amount, 0);
+    const totals = currencies.reduce((acc, currency) => {
+      acc.realizedProfit += currency.realizedProfitReporting;
+      acc.grossProfit += currency.grossProfitReporting;
+      acc.fees += currency.feesReporting;
+      acc.totalBuy += currency.totalBuyReporting;
+      acc.totalSell += currency.totalSellReporting;
+      acc.inventoryRemaining += currency.inventoryRemaining;
+      return acc;
+    }, {
+      realizedProfit: 0,
+      grossProfit: 0,
+      fees: 0,
+      totalBuy: 0,
+      totalSell: 0,
+      inventoryRemaining: 0
+    });
+
+    return {
+      ...totals,
+      currencies,
+      shortfalls: currencies.flatMap(currency => currency.shortfalls),
+      reportingCurrency,
+      cryptoCurrency,
+      unmatchedPolicy: this.unmatchedPolicy,
+      method: this.method
+    };
+  }
+
+  // Time series of all fiat currencies merged in trade order and converted
+  async getConsolidatedTimeSeries(fromDate, toDate, cryptoCurrency = 'USDT', reportingCurrency, converter) {
+    try {
+      const results = await this.loadCurrencyResults(fromDate, toDate, cryptoCurrency);
+      return this.consolidateTimeSeries(results, reportingCurrency, converter);
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new Error(`Error getting consolidated time series: ${error.message}`);
+    }
+  }
+
+  // Profit is converted at each entry's date; inventory is the sum of what is
+  // held against every currency after the entry
+  consolidateTimeSeries(results, reportingCurrency, converter) {
+    const entries = results
+      .flatMap(({ fiatCurrency, trades, timeSeries }) => timeSeries.map((entry, index) => ({
+        ...entry,
+        fiatCurrency,
+        timestamp: trades[index].timestamp
+      })))
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    const inventoryByCurrency = {};
+    let cumulativeGrossProfit = 0;
+    let cumulativeFees = 0;
+
+    return entries.map(({ timestamp, ...entry }) => {
+      const grossProfit = converter.convert(entry.grossProfit, entry.fiatCurrency, reportingCurrency, entry.date);
+      const fees = converter.convert(entry.fees, entry.fiatCurrency, reportingCurrency, entry.date);
+      const fiatAmount = converter.convert(entry.fiatAmount, entry.fiatCurrency, reportingCurrency, entry.date);
+      cumulativeGrossProfit += grossProfit;
+      cumulativeFees += fees;
+      inventoryByCurrency[entry.fiatCurrency] = entry.inventory;
 
-    // Calculate average prices
-    const avgBuyPrice = totalBuyAmount > 0 ? totalBuyFiat / totalBuyAmount : 0;
-    const avgSellPrice = totalSellAmount > 0 ? totalSellFiat / totalSellAmount : 0;
+      const cumulativeProfit = cumulativeGrossProfit - cumulativeFees;
 
+      return {
+        ...entry,
+        cumulativeProfit,
+        cumulativeGrossProfit,
+        cumulativeFees,
+        dailyProfit: grossProfit - fees,
+        fiatAmount,
+        grossProfit,
+        fees,
+        netProfit: grossProfit - fees,
+        inventory: Object.values(inventoryByCurrency).reduce((total, amount) => total + amount, 0),
+        // Average cost has no single currency once currencies are mixed
+        avgCost: null,
+        reportingCurrency
+      };
+    });
+  }
+
+  // Fees for a trade expressed in fiat (crypto fees valued at the trade price)
+  getTradeFees(trade) {
+    return (trade.feeFiat || 0) + (trade.feeCrypto || 0) * trade.price;
+  }
+
+  getFeePerUnit(trade) {
+    return trade.cryptoAmount > 0 ? this.getTradeFees(trade) / trade.cryptoAmount : 0;
+  }
+
+  // Open inventory lot for a BUY trade
+  createLot(trade, amount = trade.cryptoAmount) {
     return {
-      realizedProfitFiat: realizedProfit,
-      totalBuyFiat,
-      totalSellFiat,
-      totalBuyAmount,
-      totalSellAmount,
-      avgBuyPrice,
-      avgSellPrice,
-      inventoryRemaining,
-      method: this.method,
-      fiatCurrency: fiatCurrency
+      tradeId: trade._id,
+      cryptoCurrency: trade.cryptoCurrency,
+      amount,
+      price: trade.price,
+      feePerUnit: this.getFeePerUnit(trade),
+      timestamp: trade.timestamp
+    };
+  }
+
+  // Index of the open lot the current method consumes next
+  selectLotIndex(buyQueue, sellTrade) {
+    switch (this.method) {
+      case 'LIFO':
+        return buyQueue.length - 1;
+      case 'HIFO':
+        return buyQueue.reduce((best, lot, index) => (
+          lot.price + lot.feePerUnit > buyQueue[best].price + buyQueue[best].feePerUnit ? index : best
+        ), 0);
+      case 'SPECIFIC': {
+        const namedTradeIds = (sellTrade.closesTrades || []).map(String);
+        const index = buyQueue.findIndex(lot => namedTradeIds.includes(String(lot.tradeId)));
+        return index >= 0 ? index : 0;
+      }
+      default:
+        return 0;
+    }
+  }
+
+  // Walk trades in time order, matching each sell against earlier buys of the
+  // same asset. Returns every sell-to-buy match, the lots still open and any
+  // sells that exceeded the available inventory.
+  matchLots(trades, openingLots = []) {
+    // Separate lot queue per crypto asset so sells only match buys of the same asset
+    const buyQueues = {};
+    const matches = [];
+    const shortfalls = [];
+
+    const getQueue = (cryptoCurrency) => {
+      if (!buyQueues[cryptoCurrency]) {
+        buyQueues[cryptoCurrency] = [];
+      }
+      return buyQueues[cryptoCurrency];
+    };
+
+    openingLots.forEach(lot => getQueue(lot.cryptoCurrency).push({ ...lot }));
+
+    trades.forEach(trade => {
+      const feePerUnit = this.getFeePerUnit(trade);
+      const buyQueue = getQueue(trade.cryptoCurrency);
+
+      const createMatch = (lot, amount) => {
+        // Gross profit on price, fees from both legs go into cost basis and proceeds.
+        // A network fee has no proceeds: the full cost of the lot is the fee.
+        const networkFee = trade.type === NETWORK_FEE;
+        const buyPrice = lot ? lot.price : 0;
+        const buyFeePerUnit = lot ? lot.feePerUnit : 0;
+        const grossProfit = networkFee ? 0 : (trade.price - buyPrice) * amount;
+        const fees = networkFee
+          ? (buyPrice + buyFeePerUnit) * amount
+          : (buyFeePerUnit + feePerUnit) * amount;
+
+        return {
+          method: this.method,
+          sellTrade: trade._id,
+          buyTrade: lot ? lot.tradeId : null,
+          unmatched: !lot,
+          networkFee,
+          fiatCurrency: trade.fiatCurrency,
+          cryptoCurrency: trade.cryptoCurrency,
+          amount,
+          buyPrice,
+          sellPrice: trade.price,
+          buyTimestamp: lot ? lot.timestamp : trade.timestamp,
+          sellTimestamp: trade.timestamp,
+          grossProfit,
+          fees,
+          netProfit: grossProfit - fees
+        };
+      };
+
+      if (trade.type === 'BUY') {
+        buyQueue.push(this.createLot(trade));
+      } else if (trade.type === 'SELL' || trade.type === NETWORK_FEE) {
+        let remainingSellAmount = trade.cryptoAmount;
+
+        while (remainingSellAmount > QUANTITY_EPSILON && buyQueue.length > 0) {
+          const lotIndex = this.selectLotIndex(buyQueue, trade);
+          const lot = buyQueue[lotIndex];
+          const consumedAmount = Math.min(remainingSellAmount, lot.amount);
+
+          matches.push(createMatch(lot, consumedAmount));
+
+          remainingSellAmount -= consumedAmount;
+          lot.amount -= consumedAmount;
+
+          // Remove lot if fully consumed
+          if (lot.amount <= QUANTITY_EPSILON) {
+            buyQueue.splice(lotIndex, 1);
+          }
+        }
+
+        // A network fee beyond the inventory has no cost left to charge
+        if (remainingSellAmount > QUANTITY_EPSILON && trade.type === 'SELL') {
+          shortfalls.push(this.createShortfall(trade, trade.cryptoAmount - remainingSellAmount));
+          if (this.unmatchedPolicy === 'ZERO_COST') {
+            matches.push(createMatch(null, remainingSellAmount));
+          }
+        }
+      }
+    });
+
+    return {
+      matches,
+      shortfalls,
+      remainingLots: Object.values(buyQueues).flat()
     };
   }
 
-  calculateAverageProfit(trades, fiatCurrency) {
-    let totalBuyFiat = 0;
-    let totalSellFiat = 0;
-    let totalBuyAmount = 0;
-    let totalSellAmount = 0;
-    let realizedProfit = 0;
-    let inventoryRemaining = 0;
+  // Volume, fee and average price totals shared by every method
+  summarizeTrades(trades) {
+    const totals = {
+      totalBuyFiat: 0,
+      totalSellFiat: 0,
+      totalBuyAmount: 0,
+      totalSellAmount: 0,
+      totalBuyFees: 0,
+      totalSellFees: 0
+    };
 
-    // Calculate totals
     trades.forEach(trade => {
       if (trade.type === 'BUY') {
-        totalBuyFiat += trade.fiatAmount;
-        totalBuyAmount += trade.cryptoAmount;
+        totals.totalBuyFiat += trade.fiatAmount;
+        totals.totalBuyAmount += trade.cryptoAmount;
+        totals.totalBuyFees += this.getTradeFees(trade);
       } else if (trade.type === 'SELL') {
-        totalSellFiat += trade.fiatAmount;
-        totalSellAmount += trade.cryptoAmount;
+        totals.totalSellFiat += trade.fiatAmount;
+        totals.totalSellAmount += trade.cryptoAmount;
+        totals.totalSellFees += this.getTradeFees(trade);
       }
     });
 
-    // Calculate average buy price
-    const avgBuyPrice = totalBuyAmount > 0 ? totalBuyFiat / totalBuyAmount : 0;
-    const avgSellPrice = totalSellAmount > 0 ? totalSellFiat / totalSellAmount : 0;
+    totals.avgBuyPrice = totals.totalBuyAmount > 0 ? totals.totalBuyFiat / totals.totalBuyAmount : 0;
+    totals.avgSellPrice = totals.totalSellAmount > 0 ? totals.totalSellFiat / totals.totalSellAmount : 0;
 
-    // Calculate realized profit using average cost method
-    if (avgBuyPrice > 0 && totalSellAmount > 0) {
-      realizedProfit = (avgSellPrice - avgBuyPrice) * totalSellAmount;
-    }
+    return totals;
+  }
+
+  // Inventory held at a point in time: quantity, cost on price and attached buy fees
+  createPosition(inventory = 0, cost = 0, feeCost = 0) {
+    return { inventory, cost, feeCost };
+  }
 
-    // Calculate remaining inventory
-    inventoryRemaining = totalBuyAmount - totalSellAmount;
+  getLotsPosition(lots) {
+    return lots.reduce((position, lot) => this.createPosition(
+      position.inventory + lot.amount,
+      position.cost + lot.amount * lot.price,
+      position.feeCost + lot.amount * lot.feePerUnit
+    ), this.createPosition());
+  }
+
+  buildResult(totals, { grossProfit, fees, networkFees = 0, caseLosses = 0, opening, closing, shortfalls = [] }, fiatCurrency) {
+    const openingCostBasis = opening.cost + opening.feeCost;
+    const closingCostBasis = closing.cost + closing.feeCost;
 
     return {
-      realizedProfitFiat: realizedProfit,
-      totalBuyFiat,
-      totalSellFiat,
-      totalBuyAmount,
-      totalSellAmount,
-      avgBuyPrice,
-      avgSellPrice,
-      inventoryRemaining,
+      realizedProfitFiat: grossProfit - fees,
+      grossProfitFiat: grossProfit,
+      feesFiat: fees,
+      // Part of feesFiat: cost of the inventory paid out as transfer network fees
+      networkFeesFiat: networkFees,
+      // Part of grossProfitFiat (as a negative): fiat lost in dispute cases
+      caseLossesFiat: caseLosses,
+      netProfitFiat: grossProfit - fees,
+      totalFeesPaid: totals.totalBuyFees + totals.totalSellFees,
+      totalBuyFiat: totals.totalBuyFiat,
+      totalSellFiat: totals.totalSellFiat,
+      totalBuyAmount: totals.totalBuyAmount,
+      totalSellAmount: totals.totalSellAmount,
+      avgBuyPrice: totals.avgBuyPrice,
+      avgSellPrice: totals.avgSellPrice,
+      inventoryRemaining: closing.inventory,
+      inventoryCostBasis: closingCostBasis,
+      avgInventoryCost: closing.inventory > 0 ? closingCostBasis / closing.inventory : 0,
+      openingInventory: opening.inventory,
+      openingCostBasis,
+      closingInventory: closing.inventory,
+      closingCostBasis,
+      shortfalls,
+      totalShortfall: shortfalls.reduce((total, shortfall) => total + shortfall.shortfall, 0),
+      unmatchedPolicy: this.unmatchedPolicy,
       method: this.method,
       fiatCurrency: fiatCurrency
     };
   }
 
-  async getProfitTimeSeries(fiatCurrency = 'INR', fromDate, toDate) {
-    try {
-      const query = {
-        status: 'COMPLETED',
-        fiatCurrency: fiatCurrency
+  // Value the closing inventory of a result at a mark price. Total equity is
+  // the market value of the inventory plus the net profit already realized.
+  applyMarkPrice(result, markPrice) {
+    if (!markPrice) {
+      return {
+        ...result,
+        markPrice: null,
+        markPriceTimestamp: null,
+        marketValueFiat: null,
+        unrealizedProfitFiat: null,
+        totalEquityFiat: null
       };
+    }
 
-      if (fromDate || toDate) {
-        query.timestamp = {};
-        if (fromDate) query.timestamp.$gte = new Date(fromDate);
-        if (toDate) query.timestamp.$lte = new Date(toDate);
+    const marketValueFiat = result.closingInventory * markPrice.price;
+
+    return {
+      ...result,
+      markPrice: markPrice.price,
+      markPriceTimestamp: markPrice.timestamp,
+      marketValueFiat,
+      unrealizedProfitFiat: marketValueFiat - result.closingCostBasis,
+      totalEquityFiat: marketValueFiat + result.netProfitFiat
+    };
+  }
+
+  calculateLotProfit(trades, fiatCurrency, priorTrades = []) {
+    // Lots still open at the start of the range carry into it
+    const openingLots = this.matchLots(priorTrades).remainingLots;
+    const { matches, shortfalls, remainingLots } = this.matchLots(trades, openingLots);
+
+    const caseLosses = this.sumCaseLosses(trades);
+
+    return this.buildResult(this.summarizeTrades(trades), {
+      grossProfit: matches.reduce((total, match) => total + match.grossProfit, 0) - caseLosses,
+      fees: matches.reduce((total, match) => total + match.fees, 0),
+      networkFees: matches.filter(match => match.networkFee).reduce((total, match) => total + match.fees, 0),
+      caseLosses,
+      opening: this.getLotsPosition(openingLots),
+      closing: this.getLotsPosition(remainingLots),
+      shortfalls
+    }, fiatCurrency);
+  }
+
+  // Running weighted-average cost: every BUY updates the average cost and every
+  // SELL realizes profit against the average at that moment. Returns one step per
+  // trade, with the shortfall of any sell larger than the inventory it found.
+  runMovingAverage(trades, opening = this.createPosition()) {
+    let { inventory, cost, feeCost } = opening;
+
+    return trades.map(trade => {
+      let grossProfit = 0;
+      let fees = 0;
+
+      let shortfall = null;
+
+      if (trade.type === 'BUY') {
+        inventory += trade.cryptoAmount;
+        cost += trade.cryptoAmount * trade.price;
+        feeCost += this.getTradeFees(trade);
+      } else if (trade.type === 'SELL') {
+        const avgCost = inventory > 0 ? cost / inventory : 0;
+        const avgFee = inventory > 0 ? feeCost / inventory : 0;
+        const consumedAmount = Math.min(trade.cryptoAmount, Math.max(inventory, 0));
+        const feePerUnit = this.getFeePerUnit(trade);
+
+        grossProfit = (trade.price - avgCost) * consumedAmount;
+        fees = (avgFee + feePerUnit) * consumedAmount;
+
+        if (trade.cryptoAmount - consumedAmount > QUANTITY_EPSILON) {
+          shortfall = this.createShortfall(trade, consumedAmount);
+          if (this.unmatchedPolicy === 'ZERO_COST') {
+            grossProfit += trade.price * shortfall.shortfall;
+            fees += feePerUnit * shortfall.shortfall;
+          }
+        }
+
+        inventory -= consumedAmount;
+        cost -= avgCost * consumedAmount;
+        feeCost -= avgFee * consumedAmount;
+      } else if (trade.type === NETWORK_FEE) {
+        // Units paid as a network fee leave at average cost, all of it a fee
+        const avgCost = inventory > 0 ? cost / inventory : 0;
+        const avgFee = inventory > 0 ? feeCost / inventory : 0;
+        const consumedAmount = Math.min(trade.cryptoAmount, Math.max(inventory, 0));
+
+        fees = (avgCost + avgFee) * consumedAmount;
+        inventory -= consumedAmount;
+        cost -= avgCost * consumedAmount;
+        feeCost -= avgFee * consumedAmount;
+      } else if (trade.type === CASE_LOSS) {
+        grossProfit = -trade.fiatAmount;
       }
 
-      const trades = await Trade.find(query)
-        .sort({ timestamp: 1 })
-        .lean();
-
-      const timeSeries = [];
-      let cumulativeProfit = 0;
-      let currentInventory = 0;
-      let currentCost = 0;
-
-      trades.forEach(trade => {
-        if (trade.type === 'BUY') {
-          currentInventory += trade.cryptoAmount;
-          currentCost += trade.fiatAmount;
-        } else if (trade.type === 'SELL') {
-          if (currentInventory > 0) {
-            const avgCost = currentCost / currentInventory;
-            const profit = (trade.price - avgCost) * Math.min(trade.cryptoAmount, currentInventory);
-            cumulativeProfit += profit;
-            
-            const consumedAmount = Math.min(trade.cryptoAmount, currentInventory);
-            currentInventory -= consumedAmount;
-            currentCost = (currentCost / currentInventory) * currentInventory;
+      return { trade, grossProfit, fees, inventory, cost, feeCost, shortfall };
+    });
+  }
+
+  // Position left after the last moving-average step
+  getStepsPosition(steps, opening = this.createPosition()) {
+    const last = steps[steps.length - 1];
+    return last ? this.createPosition(last.inventory, last.cost, last.feeCost) : opening;
+  }
+
+  collectShortfalls(steps) {
+    return steps.filter(step => step.shortfall).map(step => step.shortfall);
+  }
+
+  sumNetworkFees(steps) {
+    return steps
+      .filter(step => step.trade.type === NETWORK_FEE)
+      .reduce((total, step) => total + step.fees, 0);
+  }
+
+  sumCaseLosses(trades) {
+    return trades
+      .filter(trade => trade.type === CASE_LOSS)
+      .reduce((total, trade) => total + trade.fiatAmount, 0);
+  }
+
+  calculateMovingAverageProfit(trades, fiatCurrency, priorTrades = []) {
+    const opening = this.getStepsPosition(this.runMovingAverage(priorTrades));
+    const steps = this.runMovingAverage(trades, opening);
+
+    return this.buildResult(this.summarizeTrades(trades), {
+      grossProfit: steps.reduce((total, step) => total + step.grossProfit, 0),
+      fees: steps.reduce((total, step) => total + step.fees, 0),
+      networkFees: this.sumNetworkFees(steps),
+      caseLosses: this.sumCaseLosses(trades),
+      opening,
+      closing: this.getStepsPosition(steps, opening),
+      shortfalls: this.collectShortfalls(steps)
+    }, fiatCurrency);
+  }
+
+  // Period average: one average cost over the opening inventory and every buy
+  // in the period, including buys made after a given sell
+  getPeriodAverage(trades, priorTrades = []) {
+    const totals = this.summarizeTrades(trades);
+
+    // Opening inventory is valued at the average cost of everything before the range
+    const priorTotals = this.summarizeTrades(priorTrades);
+    const priorNetworkFees = priorTrades
+      .filter(trade => trade.type === NETWORK_FEE)
+      .reduce((total, trade) => total + trade.cryptoAmount, 0);
+    const openingInventory = Math.max(priorTotals.totalBuyAmount - priorTotals.totalSellAmount - priorNetworkFees, 0);
+    const priorFeePerUnit = priorTotals.totalBuyAmount > 0 ? priorTotals.totalBuyFees / priorTotals.totalBuyAmount : 0;
+    const opening = this.createPosition(
+      openingInventory,
+      openingInventory * priorTotals.avgBuyPrice,
+      openingInventory * priorFeePerUnit
+    );
+
+    const costAmount = opening.inventory + totals.totalBuyAmount;
+    const avgCost = costAmount > 0 ? (opening.cost + totals.totalBuyFiat) / costAmount : 0;
+    const feePerUnit = costAmount > 0 ? (opening.feeCost + totals.totalBuyFees) / costAmount : 0;
+
+    return { totals, opening, avgCost, feePerUnit };
+  }
+
+  // One step per trade against the period average. Sells only consume the
+  // inventory held at that moment; anything beyond it is a shortfall.
+  runPeriodAverage(trades, priorTrades = []) {
+    const { opening, avgCost, feePerUnit } = this.getPeriodAverage(trades, priorTrades);
+    let inventory = opening.inventory;
+
+    return trades.map(trade => {
+      let grossProfit = 0;
+      let fees = 0;
+      let shortfall = null;
+
+      if (trade.type === 'BUY') {
+        inventory += trade.cryptoAmount;
+      } else if (trade.type === 'SELL') {
+        const consumedAmount = Math.min(trade.cryptoAmount, Math.max(inventory, 0));
+        const unmatchedAmount = trade.cryptoAmount - consumedAmount;
+        let realizedAmount = consumedAmount;
+
+        if (unmatchedAmount > QUANTITY_EPSILON) {
+          shortfall = this.createShortfall(trade, consumedAmount);
+          if (this.unmatchedPolicy === 'ZERO_COST') {
+            realizedAmount = trade.cryptoAmount;
           }
         }
 
-        timeSeries.push({
-          date: trade.timestamp.toISOString().split('T')[0],
-          cumulativeProfit: cumulativeProfit,
-          dailyProfit: trade.type === 'SELL' ? cumulativeProfit : 0,
-          inventory: currentInventory,
-          avgCost: currentInventory > 0 ? currentCost / currentInventory : 0
-        });
-      });
+        // Sold units carry their share of buy fees, sell fees are fully
+        // realized. Units beyond the inventory cost nothing, even when no buy
+        // has been seen at all.
+        const proceeds = trade.cryptoAmount > 0 ? trade.fiatAmount * realizedAmount / trade.cryptoAmount : 0;
+        grossProfit = proceeds - avgCost * consumedAmount;
+        fees = feePerUnit * consumedAmount + this.getFeePerUnit(trade) * realizedAmount;
+
+        inventory -= consumedAmount;
+      } else if (trade.type === NETWORK_FEE) {
+        const consumedAmount = Math.min(trade.cryptoAmount, Math.max(inventory, 0));
+        fees = (avgCost + feePerUnit) * consumedAmount;
+        inventory -= consumedAmount;
+      } else if (trade.type === CASE_LOSS) {
+        grossProfit = -trade.fiatAmount;
+      }
+
+      return {
+        trade,
+        grossProfit,
+        fees,
+        inventory,
+        cost: inventory * avgCost,
+        feeCost: inventory * feePerUnit,
+        shortfall
+      };
+    });
+  }
+
+  calculateAverageProfit(trades, fiatCurrency, priorTrades = []) {
+    const { totals, opening } = this.getPeriodAverage(trades, priorTrades);
+    const steps = this.runPeriodAverage(trades, priorTrades);
+
+    return this.buildResult(totals, {
+      grossProfit: steps.reduce((total, step) => total + step.grossProfit, 0),
+      fees: steps.reduce((total, step) => total + step.fees, 0),
+      networkFees: this.sumNetworkFees(steps),
+      caseLosses: this.sumCaseLosses(trades),
+      opening,
+      closing: this.getStepsPosition(steps, opening),
+      shortfalls: this.collectShortfalls(steps)
+    }, fiatCurrency);
+  }
 
-      return timeSeries;
+  async getProfitTimeSeries(fiatCurrency = 'INR', fromDate, toDate, cryptoCurrency = 'USDT') {
+    try {
+      const { trades, priorTrades } = await this.loadTrades(fiatCurrency, fromDate, toDate, cryptoCurrency);
+
+      return this.buildTimeSeries(trades, priorTrades);
     } catch (error) {
+      if (error instanceof InsufficientInventoryError) throw error;
       throw new Error(`Error getting profit time series: ${error.message}`);
     }
   }
+
+  createTimeSeriesEntry(trade, { grossProfit, fees, cumulativeGrossProfit, cumulativeFees, inventory, cost, shortfall }) {
+    const cumulativeProfit = cumulativeGrossProfit - cumulativeFees;
+
+    return {
+      date: this.calendar.toDateKey(trade.timestamp),
+      type: trade.type,
+      fiatAmount: trade.fiatAmount,
+      cryptoAmount: trade.cryptoAmount,
+      cumulativeProfit: cumulativeProfit,
+      cumulativeGrossProfit,
+      cumulativeFees,
+      // Profit realized by this trade alone
+      dailyProfit: grossProfit - fees,
+      grossProfit,
+      fees,
+      netProfit: grossProfit - fees,
+      inventory,
+      avgCost: inventory > 0 ? cost / inventory : 0,
+      shortfall
+    };
+  }
+
+  // Per-trade time series from the same engine the summary uses, so the chart
+  // and the summary always agree
+  buildTimeSeries(trades, priorTrades = []) {
+    let timeSeries;
+    if (this.method === 'MOVING_AVERAGE') {
+      timeSeries = this.buildMovingAverageTimeSeries(trades, priorTrades);
+    } else if (this.method === 'AVERAGE') {
+      timeSeries = this.buildPeriodAverageTimeSeries(trades, priorTrades);
+    } else {
+      timeSeries = this.buildLotTimeSeries(trades, priorTrades);
+    }
+
+    this.assertInventory(timeSeries.filter(entry => entry.shortfall).map(entry => entry.shortfall));
+    return timeSeries;
+  }
+
+  // Accumulate per-trade profit steps into time series entries
+  accumulateTimeSeries(steps) {
+    let cumulativeGrossProfit = 0;
+    let cumulativeFees = 0;
+
+    return steps.map(({ trade, grossProfit, fees, inventory, cost, shortfall = null }) => {
+      cumulativeGrossProfit += grossProfit;
+      cumulativeFees += fees;
+
+      return this.createTimeSeriesEntry(trade, {
+        grossProfit,
+        fees,
+        cumulativeGrossProfit,
+        cumulativeFees,
+        inventory,
+        cost,
+        shortfall
+      });
+    });
+  }
+
+  // Value each time series entry at the latest mark price known at the end of
+  // its day. prices must be sorted oldest first.
+  markTimeSeries(timeSeries, prices) {
+    let index = -1;
+
+    return timeSeries.map(entry => {
+      const dayEnd = this.getRangeEnd(entry.date);
+      while (index + 1 < prices.length && new Date(prices[index + 1].timestamp) <= dayEnd) {
+        index++;
+      }
+
+      if (index < 0) {
+        return { ...entry, markPrice: null, marketValue: null, unrealizedProfit: null, totalEquity: null };
+      }
+
+      const markPrice = prices[index].price;
+      const marketValue = entry.inventory * markPrice;
+
+      return {
+        ...entry,
+        markPrice,
+        marketValue,
+        unrealizedProfit: marketValue - entry.inventory * entry.avgCost,
+        totalEquity: marketValue + entry.cumulativeProfit
+      };
+    });
+  }
+
+  buildLotTimeSeries(trades, priorTrades = []) {
+    const openingLots = this.matchLots(priorTrades).remainingLots;
+    const { matches, shortfalls } = this.matchLots(trades, openingLots);
+    const matchesBySell = {};
+    const shortfallsBySell = {};
+    shortfalls.forEach(shortfall => {
+      shortfallsBySell[String(shortfall.tradeId)] = shortfall;
+    });
+    matches.forEach(match => {
+      const key = String(match.sellTrade);
+      if (!matchesBySell[key]) {
+        matchesBySell[key] = [];
+      }
+      matchesBySell[key].push(match);
+    });
+
+    let { inventory, cost } = this.getLotsPosition(openingLots);
+
+    return this.accumulateTimeSeries(trades.map(trade => {
+      let grossProfit = 0;
+      let fees = 0;
+
+      if (trade.type === 'BUY') {
+        inventory += trade.cryptoAmount;
+        cost += trade.cryptoAmount * trade.price;
+      } else if (trade.type === 'SELL' || trade.type === NETWORK_FEE) {
+        (matchesBySell[String(trade._id)] || []).forEach(match => {
+          grossProfit += match.grossProfit;
+          fees += match.fees;
+          // Zero-cost matches of oversold quantity never came out of inventory
+          if (!match.unmatched) {
+            inventory -= match.amount;
+            cost -= match.amount * match.buyPrice;
+          }
+        });
+      } else if (trade.type === CASE_LOSS) {
+        grossProfit = -trade.fiatAmount;
+      }
+
+      return { trade, grossProfit, fees, inventory, cost, shortfall: shortfallsBySell[String(trade._id)] || null };
+    }));
+  }
+
+  buildMovingAverageTimeSeries(trades, priorTrades = []) {
+    const opening = this.getStepsPosition(this.runMovingAverage(priorTrades));
+    return this.accumulateTimeSeries(this.runMovingAverage(trades, opening));
+  }
+
+  buildPeriodAverageTimeSeries(trades, priorTrades = []) {
+    return this.accumulateTimeSeries(this.runPeriodAverage(trades, priorTrades));
+  }
 }
 
+ProfitCalculator.InsufficientInventoryError = InsufficientInventoryError;
+ProfitCalculator.NETWORK_FEE = NETWORK_FEE;
+ProfitCalculator.CASE_LOSS = CASE_LOSS;
+
 module.exports = ProfitCalculator;
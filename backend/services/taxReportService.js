@@ -0,0 +1,157 @@
+const ProfitCalculator = require('./profitCalculator');
+
+// India's VDA (virtual digital asset) regime: gains are taxed at a flat 30%,
+// only the cost of acquisition is deductible (no fees) and a loss on one
+// transfer cannot be set off against a gain on another.
+const VDA_TAX_RATE = 0.3;
+
+const CSV_COLUMNS = [
+  ['saleDate', 'Sale Date'],
+  ['tradeId', 'Trade ID'],
+  ['cryptoCurrency', 'Asset'],
+  ['quantity', 'Quantity'],
+  ['saleConsideration', 'Sale Consideration'],
+  ['costOfAcquisition', 'Cost of Acquisition'],
+  ['gain', 'Gain/Loss'],
+  ['taxableGain', 'Taxable Gain'],
+  ['tax', 'Tax @ 30%'],
+  ['tdsDeducted', 'TDS Deducted']
+];
+
+class TaxReportService {
+  constructor(calendar) {
+    this.profitCalculator = new ProfitCalculator();
+    this.profitCalculator.setMethod('FIFO');
+    if (calendar) {
+      this.profitCalculator.setCalendar(calendar);
+    }
+  }
+
+  get calendar() {
+    return this.profitCalculator.calendar;
+  }
+
+  // One report row per SELL of the period. Cost of acquisition comes from the
+  // FIFO buy lots the sell was matched to; oversold quantity has no cost.
+  buildTransferRows(trades, priorTrades = []) {
+    const { remainingLots } = this.profitCalculator.matchLots(priorTrades);
+    const { matches } = this.profitCalculator.matchLots(trades, remainingLots);
+    const costBySell = {};
+    matches.forEach(match => {
+      const key = String(match.sellTrade);
+      costBySell[key] = (costBySell[key] || 0) + (match.unmatched ? 0 : match.amount * match.buyPrice);
+    });
+
+    return trades
+      .filter(trade => trade.type === 'SELL')
+      .map(trade => {
+        const costOfAcquisition = costBySell[String(trade._id)] || 0;
+        const gain = trade.fiatAmount - costOfAcquisition;
+        // Losses are kept at zero rather than netted against other gains
+        const taxableGain = Math.max(gain, 0);
+
+        return {
+          saleDate: this.calendar.toDateKey(trade.timestamp),
+          tradeId: trade._id,
+          cryptoCurrency: trade.cryptoCurrency,
+          quantity: trade.cryptoAmount,
+          saleConsideration: trade.fiatAmount,
+          costOfAcquisition,
+          gain,
+          taxableGain,
+          tax: taxableGain * VDA_TAX_RATE,
+          tdsDeducted: trade.tdsDeducted || 0
+        };
+      });
+  }
+
+  summarizeRows(rows) {
+    const totals = rows.reduce((acc, row) => {
+      acc.saleConsideration += row.saleConsideration;
+      acc.costOfAcquisition += row.costOfAcquisition;
+      acc.totalGains += row.taxableGain;
+      acc.totalLosses += Math.max(-row.gain, 0);
+      acc.taxPayable += row.tax;
+      acc.totalTdsCredit += row.tdsDeducted;
+      return acc;
+    }, {
+      saleConsideration: 0,
+      costOfAcquisition: 0,
+      totalGains: 0,
+      totalLosses: 0,
+      taxPayable: 0,
+      totalTdsCredit: 0
+    });
+
+    return {
+      ...totals,
+      taxableIncome: totals.totalGains,
+      taxRate: VDA_TAX_RATE,
+      // Negative when more TDS was withheld than the tax due
+      netTaxPayable: totals.taxPayable - totals.totalTdsCredit
+    };
+  }
+
+  // VDA report for the fiscal year starting in startYear, across every crypto
+  // asset traded against the fiat currency
+  async getReport(fiatCurrency = 'INR', startYear) {
+    try {
+      const fiscalYear = startYear
+        ? this.calendar.getFiscalYearRange(startYear)
+        : this.calendar.getCurrentFiscalYear();
+
+      const { trades, priorTrades } = await this.profitCalculator.loadTrades(
+        fiatCurrency,
+        fiscalYear.start,
+        fiscalYear.end
+      );
+      const rows = this.buildTransferRows(trades, priorTrades);
+
+      return {
+        fiscalYear: fiscalYear.label,
+        from: fiscalYear.start,
+        to: fiscalYear.end,
+        fiatCurrency,
+        method: this.profitCalculator.method,
+        summary: this.summarizeRows(rows),
+        transfers: rows
+      };
+    } catch (error) {
+      throw new Error(`Error building tax report: ${error.message}`);
+    }
+  }
+
+  escapeCsv(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // Transfers followed by the summary lines, ready to download
+  toCsv(report) {
+    const lines = [CSV_COLUMNS.map(([, header]) => header).join(',')];
+
+    report.transfers.forEach(row => {
+      lines.push(CSV_COLUMNS.map(([key]) => {
+        const value = row[key];
+        return this.escapeCsv(typeof value === 'number' ? value.toFixed(key === 'quantity' ? 8 : 2) : value);
+      }).join(','));
+    });
+
+    const { summary } = report;
+    lines.push('');
+    [
+      ['Fiscal Year', report.fiscalYear],
+      ['Total Gains', summary.totalGains.toFixed(2)],
+      ['Losses (not set off)', summary.totalLosses.toFixed(2)],
+      ['Tax @ 30%', summary.taxPayable.toFixed(2)],
+      ['TDS Credit', summary.totalTdsCredit.toFixed(2)],
+      ['Net Tax Payable', summary.netTaxPayable.toFixed(2)]
+    ].forEach(([label, value]) => lines.push(`${this.escapeCsv(label)},${this.escapeCsv(value)}`));
+
+    return lines.join('\n');
+  }
+}
+
+TaxReportService.VDA_TAX_RATE = VDA_TAX_RATE;
+
+module.exports = TaxReportService;
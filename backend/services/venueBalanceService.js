@@ -0,0 +1,85 @@
+const Trade = require('../models/Trade');
+const Transfer = require('../models/Transfer');
+
+// Trades recorded without a venue are held here
+const UNASSIGNED_VENUE = 'UNASSIGNED';
+
+// Crypto held at each venue (exchange or wallet), built from completed trades
+// and transfers. A BUY adds to its venue and a SELL takes from it; a transfer
+// takes amount plus network fee from the source and adds amount to the destination.
+class VenueBalanceService {
+  // Venue codes are upper-cased; older transfers may have been saved in
+  // another case
+  adjust(balances, venueCode, cryptoCurrency, amount) {
+    const venue = String(venueCode).trim().toUpperCase();
+    const key = `${venue}/${cryptoCurrency}`;
+    if (!balances[key]) {
+      balances[key] = { venue, cryptoCurrency, balance: 0, networkFees: 0 };
+    }
+    balances[key].balance += amount;
+    return balances[key];
+  }
+
+  applyTrade(balances, trade) {
+    const venue = trade.venue || UNASSIGNED_VENUE;
+    const amount = trade.type === 'BUY' ? trade.cryptoAmount : -trade.cryptoAmount;
+    this.adjust(balances, venue, trade.cryptoCurrency, amount);
+  }
+
+  applyTransfer(balances, transfer) {
+    const networkFee = transfer.networkFee || 0;
+    const source = this.adjust(balances, transfer.fromVenue, transfer.cryptoCurrency, -(transfer.amount + networkFee));
+    source.networkFees += networkFee;
+    this.adjust(balances, transfer.toVenue, transfer.cryptoCurrency, transfer.amount);
+  }
+
+  // Balance per venue and asset, largest first within each asset
+  buildBalances(trades, transfers) {
+    const balances = {};
+    trades.forEach(trade => this.applyTrade(balances, trade));
+    transfers.forEach(transfer => this.applyTransfer(balances, transfer));
+
+    return Object.values(balances).sort((a, b) => (
+      a.cryptoCurrency.localeCompare(b.cryptoCurrency) || b.balance - a.balance
+    ));
+  }
+
+  // Totals per asset across every venue
+  summarizeBalances(balances) {
+    const totals = {};
+    balances.forEach(({ cryptoCurrency, balance, networkFees }) => {
+      if (!totals[cryptoCurrency]) {
+        totals[cryptoCurrency] = { cryptoCurrency, balance: 0, networkFees: 0 };
+      }
+      totals[cryptoCurrency].balance += balance;
+      totals[cryptoCurrency].networkFees += networkFees;
+    });
+    return Object.values(totals);
+  }
+
+  async getBalances(cryptoCurrency = null, asOf = null) {
+    try {
+      const query = { status: 'COMPLETED' };
+      if (cryptoCurrency) query.cryptoCurrency = cryptoCurrency;
+      if (asOf) query.timestamp = { $lte: new Date(asOf) };
+
+      const [trades, transfers] = await Promise.all([
+        Trade.find(query).lean(),
+        Transfer.find(query).lean()
+      ]);
+      const balances = this.buildBalances(trades, transfers);
+
+      return {
+        balances,
+        totals: this.summarizeBalances(balances),
+        asOf: asOf ? new Date(asOf) : new Date()
+      };
+    } catch (error) {
+      throw new Error(`Error calculating venue balances: ${error.message}`);
+    }
+  }
+}
+
+VenueBalanceService.UNASSIGNED_VENUE = UNASSIGNED_VENUE;
+
+module.exports = VenueBalanceService;
@@ -0,0 +1,129 @@
+const ProfitCalculator = require('./profitCalculator');
+const VenueBalanceService = require('./venueBalanceService');
+
+// Methods whose matches tie each sold unit to the buy it came from
+const LOT_METHODS = ['FIFO', 'LIFO', 'HIFO', 'SPECIFIC'];
+
+// Realized profit by the venue units were bought on, the venue they were sold
+// on, and each buy venue → sell venue pair. Built from lot matches, so
+// average-cost methods are attributed with FIFO.
+class VenueBreakdownService {
+  constructor() {
+    this.profitCalculator = new ProfitCalculator();
+  }
+
+  setMethod(method) {
+    this.profitCalculator.setMethod(method);
+    if (!LOT_METHODS.includes(method)) {
+      this.profitCalculator.setMethod('FIFO');
+    }
+  }
+
+  setUnmatchedPolicy(policy) {
+    this.profitCalculator.setUnmatchedPolicy(policy);
+  }
+
+  setCalendar(calendar) {
+    this.profitCalculator.setCalendar(calendar);
+  }
+
+  createRow(fields) {
+    return {
+      ...fields,
+      quantity: 0,
+      costFiat: 0,
+      proceedsFiat: 0,
+      grossProfit: 0,
+      fees: 0,
+      netProfit: 0
+    };
+  }
+
+  addMatch(rows, key, fields, match) {
+    if (!rows[key]) {
+      rows[key] = this.createRow(fields);
+    }
+    const row = rows[key];
+    row.quantity += match.amount;
+    row.costFiat += match.amount * match.buyPrice;
+    row.proceedsFiat += match.amount * match.sellPrice;
+    row.grossProfit += match.grossProfit;
+    row.fees += match.fees;
+    row.netProfit += match.netProfit;
+  }
+
+  // Average buy and sell price of the matched quantity and the spread between them
+  finalizeRow(row) {
+    const buyVwap = row.quantity > 0 ? row.costFiat / row.quantity : 0;
+    const sellVwap = row.quantity > 0 ? row.proceedsFiat / row.quantity : 0;
+
+    return {
+      ...row,
+      buyVwap,
+      sellVwap,
+      spreadPercent: buyVwap > 0 ? (sellVwap - buyVwap) / buyVwap * 100 : null
+    };
+  }
+
+  finalizeRows(rows) {
+    return Object.values(rows).map(row => this.finalizeRow(row));
+  }
+
+  buildBreakdown(trades, priorTrades = []) {
+    const venueByTrade = {};
+    [...priorTrades, ...trades].forEach(trade => {
+      venueByTrade[String(trade._id)] = trade.venue || VenueBalanceService.UNASSIGNED_VENUE;
+    });
+
+    const openingLots = this.profitCalculator.matchLots(priorTrades).remainingLots;
+    const { matches, shortfalls } = this.profitCalculator.matchLots(trades, openingLots);
+    this.profitCalculator.assertInventory(shortfalls);
+
+    const byBuyVenue = {};
+    const bySellVenue = {};
+    const pairs = {};
+
+    // Network fees are not trades of any venue
+    matches.filter(match => !match.networkFee).forEach(match => {
+      const sellVenue = venueByTrade[String(match.sellTrade)];
+      this.addMatch(bySellVenue, sellVenue, { venue: sellVenue }, match);
+
+      // Oversold quantity realized at zero cost was never bought anywhere
+      if (match.unmatched) return;
+
+      const buyVenue = venueByTrade[String(match.buyTrade)];
+      this.addMatch(byBuyVenue, buyVenue, { venue: buyVenue }, match);
+      this.addMatch(pairs, `${buyVenue}->${sellVenue}`, { buyVenue, sellVenue }, match);
+    });
+
+    const byNetProfit = (a, b) => b.netProfit - a.netProfit;
+
+    return {
+      byBuyVenue: this.finalizeRows(byBuyVenue).sort(byNetProfit),
+      bySellVenue: this.finalizeRows(bySellVenue).sort(byNetProfit),
+      pairs: this.finalizeRows(pairs).sort(byNetProfit),
+      buyVenues: Object.keys(byBuyVenue).sort(),
+      sellVenues: Object.keys(bySellVenue).sort()
+    };
+  }
+
+  async getBreakdown(fiatCurrency = 'INR', fromDate = null, toDate = null, cryptoCurrency = 'USDT') {
+    try {
+      const { trades, priorTrades } = await this.profitCalculator.loadTrades(fiatCurrency, fromDate, toDate, cryptoCurrency);
+
+      return {
+        ...this.buildBreakdown(trades, priorTrades),
+        method: this.profitCalculator.method,
+        fiatCurrency,
+        cryptoCurrency
+      };
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new Error(`Error calculating venue breakdown: ${error.message}`);
+    }
+  }
+}
+
+VenueBreakdownService.LOT_METHODS = LOT_METHODS;
+
+module.exports = VenueBreakdownService;
@@ -0,0 +1,68 @@
+const BankAccountService = require('../services/bankAccountService');
+const CalendarService = require('../services/calendarService');
+
+const account = {
+  _id: 'account-1',
+  openingBalance: 50000,
+  upiDailyLimit: 100000,
+  impsDailyLimit: 0
+};
+
+const trade = (type, fiatAmount, hour, extra = {}) => ({
+  _id: `${type}-${hour}`,
+  type,
+  fiatAmount,
+  transferMode: 'UPI',
+  status: 'COMPLETED',
+  timestamp: new Date(Date.UTC(2024, 0, 1, hour)),
+  ...extra
+});
+
+describe('BankAccountService', () => {
+  test('should keep a running balance from completed trades', () => {
+    const service = new BankAccountService();
+    const { entries, balance } = service.buildBalances(account, [
+      trade('BUY', 30000, 1),
+      trade('SELL', 45000, 2),
+      trade('BUY', 10000, 3, { status: 'CANCELLED' })
+    ]);
+
+    expect(entries.map(entry => entry.balance)).toEqual([20000, 65000]);
+    expect(balance).toBe(65000);
+  });
+
+  test('should count outgoing payments of the local day against the limit', () => {
+    // 20:00 UTC on Jan 1 is already Jan 2 in India
+    const service = new BankAccountService(new CalendarService({ timezone: 'Asia/Kolkata' }));
+    const trades = [
+      trade('BUY', 60000, 4),
+      trade('SELL', 90000, 5),
+      trade('BUY', 30000, 6, { status: 'PENDING' }),
+      trade('BUY', 25000, 7, { transferMode: 'IMPS' }),
+      trade('BUY', 80000, 20)
+    ];
+
+    const usage = service.getDailyUsage(account, trades, '2024-01-01');
+    expect(usage.UPI.used).toBe(90000);
+    expect(usage.UPI.remaining).toBe(10000);
+    expect(usage.IMPS.used).toBe(25000);
+    expect(usage.IMPS.remaining).toBeNull();
+
+    const check = service.checkPayment(account, trades, {
+      type: 'BUY',
+      transferMode: 'UPI',
+      fiatAmount: 15000,
+      timestamp: new Date(Date.UTC(2024, 0, 1, 9))
+    });
+    expect(check.exceeds).toBe(true);
+    expect(check.usedAfter).toBe(105000);
+  });
+
+  test('should not limit incoming payments or rails without a limit', () => {
+    const service = new BankAccountService();
+    const timestamp = new Date(Date.UTC(2024, 0, 1, 9));
+
+    expect(service.checkPayment(account, [], { type: 'SELL', transferMode: 'UPI', fiatAmount: 500000, timestamp }).exceeds).toBe(false);
+    expect(service.checkPayment(account, [], { type: 'BUY', transferMode: 'IMPS', fiatAmount: 500000, timestamp }).limited).toBe(false);
+  });
+});
@@ -0,0 +1,67 @@
+const CalendarService = require('../services/calendarService');
+
+describe('CalendarService', () => {
+  describe('Timezones', () => {
+    test('should put late evening IST trades on the next local day', () => {
+      const calendar = new CalendarService({ timezone: 'Asia/Kolkata' });
+
+      expect(calendar.toDateKey(new Date('2024-03-31T18:29:00Z'))).toBe('2024-03-31');
+      expect(calendar.toDateKey(new Date('2024-03-31T18:31:00Z'))).toBe('2024-04-01');
+    });
+
+    test('should bound a local day in UTC instants', () => {
+      const calendar = new CalendarService({ timezone: 'Asia/Kolkata' });
+
+      expect(calendar.startOfDay('2024-04-01')).toEqual(new Date('2024-03-31T18:30:00.000Z'));
+      expect(calendar.endOfDay('2024-04-01')).toEqual(new Date('2024-04-01T18:29:59.999Z'));
+    });
+
+    test('should follow daylight saving changes', () => {
+      const calendar = new CalendarService({ timezone: 'Europe/London' });
+
+      expect(calendar.startOfDay('2024-03-31')).toEqual(new Date('2024-03-31T00:00:00.000Z'));
+      expect(calendar.startOfDay('2024-04-01')).toEqual(new Date('2024-03-31T23:00:00.000Z'));
+    });
+
+    test('should reject an unknown timezone', () => {
+      expect(() => new CalendarService({ timezone: 'Mars/Olympus' })).toThrow('Invalid timezone');
+    });
+
+    test('should report bad calendar settings of a query as a 400', () => {
+      const settings = [{ timezone: 'Mars/Olympus' }, { weekStart: '9' }, { fiscalYearStart: 'april' }];
+
+      settings.forEach(query => {
+        expect(() => CalendarService.fromQuery(query)).toThrow(CalendarService.CalendarError);
+      });
+      expect(() => new CalendarService().getPeriodRange('2024-01-01', 'year')).toThrow(
+        expect.objectContaining({ statusCode: 400 })
+      );
+    });
+  });
+
+  describe('Periods', () => {
+    test('should start weeks on the configured day', () => {
+      // 2024-04-03 is a Wednesday
+      expect(new CalendarService().getPeriodRange('2024-04-03', 'week'))
+        .toEqual({ start: '2024-03-31', end: '2024-04-06' });
+      expect(new CalendarService({ weekStart: 1 }).getPeriodRange('2024-04-03', 'week'))
+        .toEqual({ start: '2024-04-01', end: '2024-04-07' });
+      expect(new CalendarService({ weekStart: 1 }).getPeriodRange('2024-03-31', 'week'))
+        .toEqual({ start: '2024-03-25', end: '2024-03-31' });
+    });
+
+    test('should run the Indian fiscal year from April to March', () => {
+      const calendar = new CalendarService({ fiscalYearStart: 4 });
+
+      expect(calendar.getFiscalYear('2025-02-15')).toEqual({
+        startYear: 2024,
+        label: 'FY 2024-25',
+        start: '2024-04-01',
+        end: '2025-03-31'
+      });
+      const months = calendar.getFiscalYearMonths(2024);
+      expect(months[0]).toEqual({ start: '2024-04-01', end: '2024-04-30' });
+      expect(months[11]).toEqual({ start: '2025-03-01', end: '2025-03-31' });
+    });
+  });
+});
@@ -0,0 +1,52 @@
+const CapitalService = require('../services/capitalService');
+
+const DAY = 24 * 60 * 60 * 1000;
+const start = new Date(Date.UTC(2024, 0, 1));
+
+const entry = (type, amount, day) => ({
+  type,
+  amount,
+  fiatCurrency: 'INR',
+  timestamp: new Date(start.getTime() + day * DAY)
+});
+
+describe('CapitalService', () => {
+  test('should weight capital deployed by how long it was held', () => {
+    const service = new CapitalService();
+    const capital = service.summarizeCapital([
+      entry('DEPOSIT', 100000, -10),
+      entry('INJECTION', 100000, 5),
+      entry('DRAWING', 20000, 8)
+    ], start, new Date(start.getTime() + 10 * DAY));
+
+    expect(capital.openingCapital).toBe(100000);
+    expect(capital.injections).toBe(100000);
+    expect(capital.drawings).toBe(20000);
+    expect(capital.netContributions).toBe(80000);
+    expect(capital.closingCapital).toBe(180000);
+    // 5 days at 100k, 3 days at 200k, 2 days at 180k
+    expect(capital.capitalDeployed).toBeCloseTo((5 * 100000 + 3 * 200000 + 2 * 180000) / 10);
+    expect(capital.days).toBe(10);
+  });
+
+  test('should derive ROI, annualized return and turnover', () => {
+    const service = new CapitalService();
+    const capital = service.summarizeCapital([entry('DEPOSIT', 100000, 0)], start, new Date(start.getTime() + 365 * DAY));
+    const returns = service.calculateReturns(capital, { realizedProfitFiat: 10000, totalSellFiat: 500000 });
+
+    expect(returns.roiPercent).toBeCloseTo(10);
+    expect(returns.annualizedReturnPercent).toBeCloseTo(10);
+    expect(returns.capitalTurnover).toBeCloseTo(5);
+  });
+
+  test('should not report returns without capital', () => {
+    const service = new CapitalService();
+    const capital = service.summarizeCapital([], start, new Date(start.getTime() + DAY));
+
+    expect(service.calculateReturns(capital, { realizedProfitFiat: 100, totalSellFiat: 1000 })).toEqual({
+      roiPercent: null,
+      annualizedReturnPercent: null,
+      capitalTurnover: null
+    });
+  });
+});
@@ -0,0 +1,64 @@
+const CounterpartyService = require('../services/counterpartyService');
+const helpers = require('./helpers');
+
+const trade = (_id, type, cryptoAmount, price, counterparty, day, status = 'COMPLETED') => helpers.trade(type, cryptoAmount, price, {
+  _id,
+  counterparty,
+  status,
+  timestamp: new Date(Date.UTC(2024, 0, day))
+});
+
+describe('CounterpartyService', () => {
+  test('should count trades, volume, first and last seen per counterparty', () => {
+    const service = new CounterpartyService();
+    const trades = [
+      trade('buy1', 'BUY', 100, 80, 'alice', 1),
+      trade('sell1', 'SELL', 100, 88, 'bob', 2),
+      trade('buy2', 'BUY', 50, 81, 'alice', 3, 'CANCELLED'),
+      trade('buy3', 'BUY', 50, 82, 'alice', 4)
+    ];
+    const { matches } = service.profitCalculator.matchLots(trades.filter(t => t.status === 'COMPLETED'));
+    const stats = Object.fromEntries(service.buildStats(trades, matches).map(entry => [entry.name, entry]));
+
+    expect(stats.alice.trades).toBe(2);
+    expect(stats.alice.cancelledTrades).toBe(1);
+    expect(stats.alice.volumeFiat).toBe(8000 + 4100);
+    expect(stats.alice.firstSeen).toEqual(new Date(Date.UTC(2024, 0, 1)));
+    expect(stats.alice.lastSeen).toEqual(new Date(Date.UTC(2024, 0, 4)));
+    expect(stats.alice.avgSpreadPercent).toBeCloseTo(10);
+    expect(stats.bob.sellTrades).toBe(1);
+    expect(stats.bob.avgSpreadPercent).toBeCloseTo(10);
+  });
+
+  test('should list counterparties without a record unflagged and keep stored flags', () => {
+    const service = new CounterpartyService();
+    const directory = service.buildDirectory(
+      [{ _id: 'cp1', name: 'mallory', blacklisted: true, riskFlags: ['CHARGEBACK'] }],
+      service.buildStats([trade('buy1', 'BUY', 10, 80, 'alice', 1)])
+    );
+    const byName = Object.fromEntries(directory.map(entry => [entry.name, entry]));
+
+    expect(directory.map(entry => entry.name)).toEqual(['alice', 'mallory']);
+    expect(byName.alice.flagged).toBe(false);
+    expect(byName.alice._id).toBeNull();
+    expect(byName.mallory.flagged).toBe(true);
+    expect(byName.mallory.trades).toBe(0);
+    expect(byName.mallory.avgSpreadPercent).toBeNull();
+  });
+
+  test('should count the cases opened over their trades', () => {
+    const service = new CounterpartyService();
+    const directory = service.buildDirectory(
+      [{ _id: 'cp1', name: 'mallory', blacklisted: true, riskFlags: [], disputes: 7 }],
+      service.buildStats(
+        [trade('buy1', 'BUY', 10, 80, 'alice', 1)],
+        [],
+        [{ counterparty: 'mallory' }, { counterparty: 'mallory' }, { counterparty: '' }]
+      )
+    );
+    const byName = Object.fromEntries(directory.map(entry => [entry.name, entry]));
+
+    expect(byName.mallory.disputes).toBe(2);
+    expect(byName.alice.disputes).toBe(0);
+  });
+});
@@ -0,0 +1,91 @@
+const CycleService = require('../services/cycleService');
+const helpers = require('./helpers');
+
+const trade = (type, cryptoAmount, price, hour) => helpers.trade(type, cryptoAmount, price, {
+  _id: `${type}-${hour}`,
+  timestamp: new Date(Date.UTC(2024, 0, 1, hour))
+});
+
+describe('CycleService', () => {
+  describe('Round trips', () => {
+    test('should close a cycle when the sells use up its buy lot', () => {
+      const service = new CycleService();
+      const cycles = service.buildCycles([
+        trade('BUY', 100, 88, 0),
+        trade('BUY', 100, 90, 1),
+        trade('SELL', 150, 91, 3),
+        trade('SELL', 50, 92, 5),
+        trade('BUY', 40, 89, 6)
+      ]);
+
+      expect(cycles).toHaveLength(3);
+      expect(cycles[0].status).toBe('CLOSED');
+      expect(cycles[0].quantity).toBe(100);
+      expect(cycles[0].sellVwap).toBe(91);
+      expect(cycles[0].netProfit).toBeCloseTo(300);
+      expect(cycles[0].holdingTimeHours).toBe(3);
+      expect(cycles[1].status).toBe('CLOSED');
+      expect(cycles[1].sellTrades).toEqual(['SELL-3', 'SELL-5']);
+      expect(cycles[1].buyVwap).toBe(90);
+      expect(cycles[1].sellVwap).toBeCloseTo(91.5);
+      expect(cycles[1].spreadPercent).toBeCloseTo(1.5 / 90 * 100);
+      expect(cycles[1].netProfit).toBeCloseTo(50 * 1 + 50 * 2);
+      expect(cycles[1].holdingTimeHours).toBe(4);
+      expect(cycles[2].status).toBe('OPEN');
+      expect(cycles[2].spreadPercent).toBeNull();
+    });
+
+    test('should close cycles while a float stays in inventory', () => {
+      const service = new CycleService();
+      const cycles = service.buildCycles([
+        trade('BUY', 100, 88, 0),
+        trade('BUY', 100, 89, 1),
+        trade('SELL', 100, 90, 2),
+        trade('BUY', 100, 88, 3),
+        trade('SELL', 100, 91, 4)
+      ]);
+
+      expect(cycles.map(cycle => cycle.status)).toEqual(['CLOSED', 'CLOSED', 'OPEN']);
+      expect(cycles[1].quantity).toBe(100);
+      expect(cycles[1].holdingTimeHours).toBe(3);
+      expect(cycles[1].netProfit).toBeCloseTo(200);
+    });
+
+    test('should bucket spreads and holding times of closed cycles', () => {
+      const service = new CycleService();
+      const analytics = service.analyzeCycles(service.buildCycles([
+        trade('BUY', 100, 100, 0),
+        trade('SELL', 100, 100.4, 2),
+        trade('BUY', 100, 100, 3),
+        trade('SELL', 100, 101.5, 30)
+      ]));
+
+      expect(analytics.totals.closedCycles).toBe(2);
+      expect(analytics.spread.distribution.find(bucket => bucket.label === '0 - 0.5%').count).toBe(1);
+      expect(analytics.spread.distribution.find(bucket => bucket.label === '1 - 2%').count).toBe(1);
+      expect(analytics.holdingTime.distribution.find(bucket => bucket.label === '1 - 6h').count).toBe(1);
+      expect(analytics.holdingTime.distribution.find(bucket => bucket.label === '1 - 3d').count).toBe(1);
+      expect(analytics.holdingTime.stats.median).toBe(14.5);
+    });
+  });
+
+  describe('getCycles', () => {
+    test('should compute the analytics of the requested status only', async () => {
+      const service = new CycleService();
+      jest.spyOn(service.profitCalculator, 'loadTrades').mockResolvedValue({
+        trades: [
+          trade('BUY', 100, 100, 0),
+          trade('SELL', 100, 101, 2),
+          trade('BUY', 100, 100, 3)
+        ]
+      });
+
+      const open = await service.getCycles('INR', null, null, 'USDT', 'OPEN');
+
+      expect(open.cycles.map(cycle => cycle.status)).toEqual(['OPEN']);
+      expect(open.analytics.totals.cycles).toBe(1);
+      expect(open.analytics.totals.closedCycles).toBe(0);
+      expect(open.analytics.spread.stats.count).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,30 @@
+const DisputeService = require('../services/disputeService');
+
+const dispute = (kind, status, amountAtRisk, amountLost = 0) => ({
+  kind,
+  status,
+  amountAtRisk,
+  amountLost,
+  fiatCurrency: 'INR'
+});
+
+describe('DisputeService', () => {
+  test('should sum the amount at risk of open cases by kind and the losses of lost ones', () => {
+    const service = new DisputeService();
+    const exposure = service.summarizeExposure([
+      dispute('DISPUTE', 'OPENED', 5000),
+      dispute('CHARGEBACK', 'UNDER_REVIEW', 12000),
+      dispute('CHARGEBACK', 'OPENED', 3000),
+      dispute('BANK_FREEZE', 'RESOLVED', 40000),
+      dispute('CHARGEBACK', 'LOST', 8000, 6000)
+    ]);
+
+    expect(exposure.openCases).toBe(3);
+    expect(exposure.amountAtRisk).toBe(20000);
+    expect(exposure.byKind.CHARGEBACK).toEqual({ count: 2, amountAtRisk: 15000 });
+    expect(exposure.byKind.BANK_FREEZE).toBeUndefined();
+    expect(exposure.resolvedCases).toBe(1);
+    expect(exposure.lostCases).toBe(1);
+    expect(exposure.amountLost).toBe(6000);
+  });
+});
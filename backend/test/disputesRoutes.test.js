@@ -0,0 +1,87 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Dispute = require('../models/Dispute');
+const Trade = require('../models/Trade');
+
+const disputesRoutes = require('../routes/disputes');
+
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/disputes', disputesRoutes);
+  return app;
+};
+
+const openCase = () => new Dispute({
+  trade: new mongoose.Types.ObjectId(),
+  fiatCurrency: 'INR',
+  cryptoCurrency: 'USDT',
+  counterparty: 'mallory',
+  amountAtRisk: 5000
+});
+
+describe('Disputes routes', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createApp();
+    jest.spyOn(Dispute.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should reject amounts that are not positive numbers', async () => {
+    const findById = jest.spyOn(Dispute, 'findById').mockResolvedValue(openCase());
+    const id = new mongoose.Types.ObjectId();
+
+    const atRisk = await request(app).put(`/api/disputes/${id}`).send({ amountAtRisk: 'abc' });
+    const lost = await request(app).put(`/api/disputes/${id}`).send({ status: 'LOST', amountLost: -10 });
+
+    expect(atRisk.status).toBe(400);
+    expect(lost.status).toBe(400);
+    expect(findById).not.toHaveBeenCalled();
+  });
+
+  test('should not lose more than the amount at risk', async () => {
+    jest.spyOn(Dispute, 'findById').mockResolvedValue(openCase());
+
+    const response = await request(app)
+      .put(`/api/disputes/${new mongoose.Types.ObjectId()}`)
+      .send({ status: 'LOST', amountLost: 6000 });
+
+    expect(response.status).toBe(400);
+    expect(Dispute.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('should lose the amount at risk when closing as LOST without an amount', async () => {
+    jest.spyOn(Dispute, 'findById').mockResolvedValue(openCase());
+
+    const response = await request(app)
+      .put(`/api/disputes/${new mongoose.Types.ObjectId()}`)
+      .send({ status: 'LOST', amountAtRisk: 4000 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.amountLost).toBe(4000);
+    expect(response.body.data.closedAt).toBeTruthy();
+  });
+
+  test('should reject invalid case and trade ids', async () => {
+    const findById = jest.spyOn(Dispute, 'findById');
+    const findTrade = jest.spyOn(Trade, 'findById');
+
+    const update = await request(app).put('/api/disputes/not-an-id').send({ status: 'RESOLVED' });
+    const removal = await request(app).delete('/api/disputes/not-an-id');
+    const opening = await request(app).post('/api/disputes').send({ trade: 'not-an-id' });
+    const listing = await request(app).get('/api/disputes').query({ trade: 'not-an-id' });
+
+    expect([update.status, removal.status, opening.status, listing.status]).toEqual([400, 400, 400, 400]);
+    expect(findById).not.toHaveBeenCalled();
+    expect(findTrade).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,56 @@
+const { readSheet } = require('read-excel-file/node');
+const mongoose = require('mongoose');
+const ExportService = require('../services/exportService');
+
+const trade = {
+  _id: new mongoose.Types.ObjectId('65a4f0c2e4b0a1b2c3d4e5f6'),
+  timestamp: new Date(Date.UTC(2024, 0, 15, 10)),
+  type: 'SELL',
+  venue: 'BINANCE',
+  orderId: '1002',
+  cryptoCurrency: 'USDT',
+  cryptoAmount: 100,
+  price: 88,
+  fiatCurrency: 'INR',
+  fiatAmount: 8800,
+  counterparty: 'bob, "the" trader',
+  notes: 'paid in\ntwo parts',
+  disputed: false
+};
+
+describe('ExportService', () => {
+  test('should write trades as CSV with quoted text and ISO times', () => {
+    const service = new ExportService();
+    const csv = service.toCsv(ExportService.TRADE_COLUMNS, [trade]);
+
+    expect(csv.startsWith('Time,Type,Venue,Order ID,')).toBe(true);
+    expect(csv).toContain('\n2024-01-15T10:00:00.000Z,SELL,BINANCE,1002,USDT,100,88,INR,8800,');
+    expect(csv).toContain('"bob, ""the"" trader"');
+    expect(csv).toContain('"paid in\ntwo parts"');
+    expect(csv.endsWith(',65a4f0c2e4b0a1b2c3d4e5f6\n')).toBe(true);
+  });
+
+  test('should write P&L buckets to an XLSX sheet keeping numbers numeric', async () => {
+    const service = new ExportService();
+    const buffer = await service.render('xlsx', service.getPeriodColumns('week'), [
+      { weekStart: '2024-01-15', weekEnd: '2024-01-21', realizedProfit: 250.5, buyCount: 3 }
+    ], 'Weekly P&L');
+
+    const [headers, values] = await readSheet(buffer, 'Weekly P&L');
+    const row = Object.fromEntries(headers.map((header, index) => [header, values[index]]));
+
+    expect(row['Week Start']).toBe('2024-01-15');
+    expect(row['Realized Profit']).toBe(250.5);
+    expect(row.Buys).toBe(3);
+    expect(row.Fees).toBeNull();
+  });
+
+  test('should reject unknown formats and treat json as no export', () => {
+    const service = new ExportService();
+
+    expect(service.parseFormat(undefined)).toBeNull();
+    expect(service.parseFormat('json')).toBeNull();
+    expect(service.parseFormat('XLSX')).toBe('xlsx');
+    expect(() => service.parseFormat('pdf')).toThrow(ExportService.ExportError);
+  });
+});
@@ -0,0 +1,50 @@
+const FxRateService = require('../services/fxRateService');
+
+describe('FxRateService', () => {
+  describe('Rate files', () => {
+    test('should read daily rates from CSV', () => {
+      const service = new FxRateService();
+      const { rates, rejected } = service.parseRateCsv(
+        'date,base,quote,rate\n2024-01-01,usd,inr,83.1\n2024-01-02T15:30:00Z,EUR,INR,91\nbad,USD,INR,83'
+      );
+
+      expect(rates).toHaveLength(2);
+      expect(rates[0]).toEqual({
+        baseCurrency: 'USD',
+        quoteCurrency: 'INR',
+        date: new Date('2024-01-01T00:00:00Z'),
+        rate: 83.1
+      });
+      expect(rates[1].date).toEqual(new Date('2024-01-02T00:00:00Z'));
+      expect(rejected.map(row => row.row)).toEqual([3]);
+    });
+  });
+
+  describe('Conversion', () => {
+    const rates = [
+      { baseCurrency: 'USD', quoteCurrency: 'INR', date: new Date('2024-01-01'), rate: 83 },
+      { baseCurrency: 'USD', quoteCurrency: 'INR', date: new Date('2024-01-05'), rate: 84 }
+    ];
+
+    test('should use the latest rate on or before the date', () => {
+      const converter = new FxRateService().buildConverter(rates);
+
+      expect(converter.convert(10, 'USD', 'INR', '2024-01-04')).toBe(830);
+      expect(converter.convert(10, 'USD', 'INR', new Date('2024-01-05T18:00:00Z'))).toBe(840);
+    });
+
+    test('should convert through the inverse rate', () => {
+      const converter = new FxRateService().buildConverter(rates);
+
+      expect(converter.convert(840, 'INR', 'USD', '2024-01-06')).toBeCloseTo(10);
+    });
+
+    test('should fail when no rate is known yet', () => {
+      const converter = new FxRateService().buildConverter(rates);
+
+      expect(() => converter.convert(10, 'USD', 'INR', '2023-12-31')).toThrow(FxRateService.MissingRateError);
+      expect(converter.convert(0, 'USD', 'INR', '2023-12-31')).toBe(0);
+      expect(converter.convert(10, 'INR', 'INR', '2023-12-31')).toBe(10);
+    });
+  });
+});
@@ -0,0 +1,16 @@
+// A completed-looking INR/USDT trade of cryptoAmount at price. Tests pass
+// the fields they care about (_id, timestamp, venue, ...) in fields.
+const trade = (type, cryptoAmount, price, fields = {}) => ({
+  type,
+  cryptoAmount,
+  price,
+  fiatAmount: cryptoAmount * price,
+  fiatCurrency: 'INR',
+  cryptoCurrency: 'USDT',
+  timestamp: new Date('2024-01-01T10:00:00Z'),
+  ...fields
+});
+
+module.exports = {
+  trade
+};
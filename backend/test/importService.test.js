@@ -0,0 +1,140 @@
+const Trade = require('../models/Trade');
+const ImportRun = require('../models/ImportRun');
+const Venue = require('../models/Venue');
+const PaymentMethod = require('../models/PaymentMethod');
+const ImportService = require('../services/importService');
+const CalendarService = require('../services/calendarService');
+const { getAdapter } = require('../services/importAdapters');
+
+const BINANCE_CSV = [
+  'Order Number,Order Type,Asset Type,Fiat Type,Total Price,Price,Quantity,Maker Fee,Taker Fee,Couterparty,Status,Created Time',
+  '1001,Buy,USDT,INR,"8,500.00",85.00,100,0.1,0,alice,Completed,2024-01-15 10:00:00',
+  '1002,Sell,USDT,INR,"8,800.00",88.00,100,0,0.05,"bob, the trader",Completed,2024-01-15 12:30:00',
+  '1003,Sell,USDT,INR,4400,88.00,50,0,0,carol,Cancelled,2024-01-16 09:00:00',
+  '1002,Sell,USDT,INR,8800,88.00,100,0,0,bob,Completed,2024-01-15 12:30:00',
+  '1004,Hold,USDT,INR,100,85.00,1,0,0,dave,Completed,2024-01-17 09:00:00',
+  '1005,Buy,USDT,INR,100,85.00,1,0,0,erin,Completed,not a date'
+].join('\r\n');
+
+const defaults = { venue: 'BINANCE', fiatCurrency: 'INR', cryptoCurrency: 'USDT' };
+
+describe('ImportService', () => {
+  test('should parse quoted CSV fields with commas', () => {
+    const service = new ImportService();
+    const rows = service.parseCsv(BINANCE_CSV);
+
+    expect(rows).toHaveLength(6);
+    expect(rows[1].Couterparty).toBe('bob, the trader');
+    expect(rows[0]['Total Price']).toBe('8,500.00');
+  });
+
+  test('should normalize Binance P2P rows, skip repeated orders and reject unreadable ones', () => {
+    const service = new ImportService(new CalendarService({ timezone: 'Asia/Kolkata' }));
+    const { trades, rejected, duplicates } = service.buildBatch(
+      service.parseCsv(BINANCE_CSV),
+      getAdapter('BINANCE'),
+      defaults,
+      ['1003']
+    );
+
+    expect(trades.map(({ trade }) => trade.orderId)).toEqual(['1001', '1002']);
+    const [buy, sell] = trades.map(({ trade }) => trade);
+    expect(buy.type).toBe('BUY');
+    expect(buy.fiatAmount).toBe(8500);
+    expect(buy.timestamp).toEqual(new Date('2024-01-15T04:30:00.000Z'));
+    expect(sell.feeCrypto).toBeCloseTo(0.05);
+    expect(sell.venue).toBe('BINANCE');
+
+    expect(duplicates.map(duplicate => duplicate.line)).toEqual([4, 5]);
+    expect(rejected.map(row => row.line)).toEqual([6, 7]);
+    expect(rejected[0].reason).toBe('Unknown side "Hold"');
+  });
+
+  test('should refuse a file without the columns the adapter needs', () => {
+    const service = new ImportService();
+    const rows = service.parseCsv('Side,Price\nBuy,85');
+
+    expect(() => service.buildBatch(rows, getAdapter('BINANCE'), defaults)).toThrow('not a Binance P2P export');
+  });
+
+  test('should read slash dates in the adapter day/month order', () => {
+    const service = new ImportService();
+
+    expect(service.parseTimestamp('03/04/2024 10:00', getAdapter('OKX'))).toEqual(new Date('2024-03-04T10:00:00.000Z'));
+    expect(service.parseTimestamp('03/04/2024 10:00', getAdapter('BYBIT'))).toEqual(new Date('2024-04-03T10:00:00.000Z'));
+    expect(service.parseTimestamp('1705312800000', getAdapter('GENERIC'))).toEqual(new Date('2024-01-15T10:00:00.000Z'));
+  });
+
+  test('should reject rows with a negative or unreadable fee and read a dash as no fee', () => {
+    const service = new ImportService();
+    const rows = service.parseCsv([
+      'Order Number,Order Type,Price,Quantity,Maker Fee,Taker Fee,Created Time',
+      '2001,Buy,85,100,-0.1,0.2,2024-01-15 10:00:00',
+      '2002,Buy,85,100,abc,0,2024-01-15 10:00:00',
+      '2003,Buy,85,100,-,0.2,2024-01-15 10:00:00'
+    ].join('\n'));
+
+    const { trades, rejected } = service.buildBatch(rows, getAdapter('BINANCE'), defaults);
+
+    expect(rejected.map(row => row.line)).toEqual([2, 3]);
+    expect(rejected[0].reason).toBe('Fees must be zero or a positive number');
+    expect(trades).toHaveLength(1);
+    expect(trades[0].trade.feeCrypto).toBeCloseTo(0.2);
+  });
+
+  test('should reject rows that are not objects instead of failing the import', () => {
+    const service = new ImportService();
+    const rows = [null, 'Buy', { type: 'Buy', timestamp: '2024-01-15 10:00', price: '85', cryptoAmount: '10' }];
+
+    const { trades, rejected } = service.buildBatch(rows, getAdapter('GENERIC'), defaults);
+
+    expect(rejected.map(row => row.line)).toEqual([2, 3]);
+    expect(rejected[0].reason).toBe('Row must be an object keyed by column');
+    expect(trades).toHaveLength(1);
+  });
+
+  describe('runImport', () => {
+    const lean = (result) => ({ lean: () => Promise.resolve(result) });
+
+    beforeEach(() => {
+      jest.spyOn(Venue, 'exists').mockResolvedValue({ _id: 'venue' });
+      jest.spyOn(Trade, 'find').mockReturnValue(lean([]));
+      jest.spyOn(PaymentMethod, 'find').mockReturnValue(lean([]));
+      jest.spyOn(ImportRun.prototype, 'save').mockImplementation(function save() {
+        return Promise.resolve(this);
+      });
+      jest.spyOn(Trade, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+      jest.spyOn(ImportRun, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should preview a dry run by file line without saving', async () => {
+      const service = new ImportService(new CalendarService({ timezone: 'Asia/Kolkata' }));
+      const insert = jest.spyOn(Trade, 'insertMany');
+
+      const preview = await service.runImport({ adapter: 'BINANCE', content: BINANCE_CSV, venue: 'BINANCE', dryRun: true });
+
+      expect(preview.trades.map(({ line, orderId }) => [line, orderId])).toEqual([[2, '1001'], [3, '1002'], [4, '1003']]);
+      expect(preview.duplicates.map(duplicate => duplicate.line)).toEqual([5]);
+      expect(preview.rejected.map(row => row.line)).toEqual([6, 7]);
+      expect(ImportRun.prototype.save).not.toHaveBeenCalled();
+      expect(insert).not.toHaveBeenCalled();
+    });
+
+    test('should remove the run and its saved trades when the insert fails', async () => {
+      const service = new ImportService(new CalendarService({ timezone: 'Asia/Kolkata' }));
+      const duplicate = Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      jest.spyOn(Trade, 'insertMany').mockRejectedValue(duplicate);
+
+      const attempt = service.runImport({ adapter: 'BINANCE', content: BINANCE_CSV, venue: 'BINANCE' });
+
+      await expect(attempt).rejects.toMatchObject({ name: 'ImportError', statusCode: 409 });
+      const runId = ImportRun.prototype.save.mock.contexts[0]._id;
+      expect(Trade.deleteMany).toHaveBeenCalledWith({ importRun: runId });
+      expect(ImportRun.deleteOne).toHaveBeenCalledWith({ _id: runId });
+    });
+  });
+});
@@ -0,0 +1,43 @@
+const LedgerService = require('../services/ledgerService');
+const Trade = require('../models/Trade');
+const LotMatch = require('../models/LotMatch');
+const helpers = require('./helpers');
+
+const trade = (_id, type, cryptoAmount, price, day) => helpers.trade(type, cryptoAmount, price, {
+  _id,
+  timestamp: new Date(Date.UTC(2024, 0, day))
+});
+
+describe('LedgerService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should store FIFO matches, and name the transfer of a network fee match', async () => {
+    const service = new LedgerService();
+    const trades = [
+      trade('buy1', 'BUY', 10, 80, 1),
+      trade('buy2', 'BUY', 10, 90, 2),
+      trade('sell1', 'SELL', 5, 95, 4)
+    ];
+    jest.spyOn(Trade, 'find').mockReturnValue({ sort: () => ({ lean: () => Promise.resolve(trades) }) });
+    jest.spyOn(service.profitCalculator, 'loadNetworkFees').mockResolvedValue([
+      service.profitCalculator.createNetworkFeeEvent({
+        _id: 'transfer1',
+        timestamp: new Date(Date.UTC(2024, 0, 3)),
+        fiatCurrency: 'INR',
+        cryptoCurrency: 'USDT',
+        networkFee: 1
+      })
+    ]);
+    jest.spyOn(LotMatch, 'deleteMany').mockResolvedValue({});
+    const insertMany = jest.spyOn(LotMatch, 'insertMany').mockResolvedValue([]);
+
+    await service.rebuildFrom('INR', 'USDT');
+    const [fee, sell] = insertMany.mock.calls[0][0];
+
+    expect(fee).toMatchObject({ networkFee: true, transfer: 'transfer1', sellTrade: null, buyTrade: 'buy1', amount: 1 });
+    expect(sell).toMatchObject({ method: 'FIFO', sellTrade: 'sell1', buyTrade: 'buy1', amount: 5 });
+    expect(sell.transfer).toBeUndefined();
+  });
+});
@@ -0,0 +1,108 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MarkPriceService = require('../services/markPriceService');
+const MarkPrice = require('../models/MarkPrice');
+
+describe('MarkPriceService', () => {
+  describe('Price files', () => {
+    test('should read a CSV price file with a header row', () => {
+      const service = new MarkPriceService();
+      const { prices, rejected } = service.parsePriceFile(
+        'date,fiat,crypto,price\n2024-01-01,inr,usdt,88.5\n2024-01-02,INR,USDT,89\n',
+        'csv'
+      );
+
+      expect(rejected).toHaveLength(0);
+      expect(prices).toHaveLength(2);
+      expect(prices[0]).toEqual({
+        fiatCurrency: 'INR',
+        cryptoCurrency: 'USDT',
+        price: 88.5,
+        timestamp: new Date('2024-01-01')
+      });
+    });
+
+    test('should fill a missing pair from the defaults in a JSON file', () => {
+      const service = new MarkPriceService();
+      const { prices } = service.parsePriceFile(
+        JSON.stringify({ prices: [{ timestamp: '2024-01-01T12:00:00Z', price: 90 }] }),
+        'json',
+        { fiatCurrency: 'inr', cryptoCurrency: 'usdt' }
+      );
+
+      expect(prices[0].fiatCurrency).toBe('INR');
+      expect(prices[0].cryptoCurrency).toBe('USDT');
+      expect(prices[0].price).toBe(90);
+    });
+
+    test('should reject rows without a valid price or date', () => {
+      const service = new MarkPriceService();
+      const { prices, rejected } = service.parsePriceFile(
+        'date,price\nnot-a-date,88\n2024-01-01,abc\n2024-01-02,89',
+        'csv',
+        { fiatCurrency: 'INR', cryptoCurrency: 'USDT' }
+      );
+
+      expect(prices).toHaveLength(1);
+      expect(rejected.map(row => row.row)).toEqual([1, 2]);
+      expect(rejected[0]).not.toHaveProperty('record');
+    });
+
+    test('should not quote the content of an unreadable JSON file', () => {
+      const service = new MarkPriceService();
+
+      expect(() => service.parsePriceFile('root:x:0:0:root:/root:/bin/bash', 'json'))
+        .toThrow(new MarkPriceService.PriceFileError('The price file is not valid JSON'));
+    });
+  });
+
+  describe('Price files on disk', () => {
+    const previousDirectory = process.env.PRICE_FILES_DIR;
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'prices-'));
+      fs.mkdirSync(path.join(directory, 'prices'));
+      fs.writeFileSync(path.join(directory, 'prices', 'usdt.csv'), 'date,price\n2024-01-01,88\n');
+      fs.writeFileSync(path.join(directory, 'secret.csv'), 'date,price\n2024-01-01,1\n');
+      process.env.PRICE_FILES_DIR = path.join(directory, 'prices');
+      jest.spyOn(MarkPrice, 'bulkWrite').mockResolvedValue({});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      fs.rmSync(directory, { recursive: true, force: true });
+      if (previousDirectory === undefined) {
+        delete process.env.PRICE_FILES_DIR;
+      } else {
+        process.env.PRICE_FILES_DIR = previousDirectory;
+      }
+    });
+
+    test('should load a file inside the price files directory', async () => {
+      const service = new MarkPriceService();
+      const result = await service.importFile('usdt.csv', { fiatCurrency: 'INR', cryptoCurrency: 'USDT' });
+
+      expect(result.imported).toBe(1);
+    });
+
+    test('should refuse paths outside the directory, links out of it and other file types', async () => {
+      const service = new MarkPriceService();
+      fs.symlinkSync(path.join(directory, 'secret.csv'), path.join(directory, 'prices', 'link.csv'));
+
+      await expect(service.importFile('../secret.csv')).rejects.toMatchObject({ statusCode: 403 });
+      await expect(service.importFile(path.join(directory, 'secret.csv'))).rejects.toMatchObject({ statusCode: 403 });
+      await expect(service.importFile('link.csv')).rejects.toMatchObject({ statusCode: 403 });
+      await expect(service.importFile('/etc/passwd')).rejects.toMatchObject({ statusCode: 400 });
+      expect(MarkPrice.bulkWrite).not.toHaveBeenCalled();
+    });
+
+    test('should read no file when no directory is configured', async () => {
+      const service = new MarkPriceService();
+      delete process.env.PRICE_FILES_DIR;
+
+      await expect(service.importFile('usdt.csv')).rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+});
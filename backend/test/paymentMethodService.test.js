@@ -0,0 +1,43 @@
+const PaymentMethodService = require('../services/paymentMethodService');
+const helpers = require('./helpers');
+
+const trade = (_id, type, cryptoAmount, price, paymentMethod, extra = {}) => helpers.trade(type, cryptoAmount, price, {
+  _id,
+  paymentMethod,
+  status: 'COMPLETED',
+  disputed: false,
+  ...extra
+});
+
+describe('PaymentMethodService', () => {
+  test('should report volume, spread, cancellation rate and disputes per method', () => {
+    const service = new PaymentMethodService();
+    const rangeTrades = [
+      trade('buy1', 'BUY', 100, 80, 'UPI'),
+      trade('sell1', 'SELL', 100, 88, 'IMPS', { disputed: true }),
+      trade('buy2', 'BUY', 50, 81, 'UPI', { status: 'CANCELLED' }),
+      trade('buy3', 'BUY', 20, 82, 'UPI', { status: 'PENDING' })
+    ];
+    const bookTrades = rangeTrades.filter(t => t.status === 'COMPLETED');
+    const rows = Object.fromEntries(
+      service.buildBreakdown(rangeTrades, bookTrades).map(row => [row.paymentMethod, row])
+    );
+
+    expect(rows.UPI.trades).toBe(3);
+    expect(rows.UPI.volumeFiat).toBe(8000);
+    expect(rows.UPI.cancellationRatePercent).toBeCloseTo(100 / 3);
+    expect(rows.UPI.avgSpreadPercent).toBeCloseTo(10);
+    expect(rows.IMPS.disputes).toBe(1);
+    expect(rows.IMPS.avgSpreadPercent).toBeCloseTo(10);
+  });
+
+  test('should group trades without a method as unspecified', () => {
+    const service = new PaymentMethodService();
+    const trades = [trade('buy1', 'BUY', 10, 80, '')];
+    const [row] = service.buildBreakdown(trades, trades);
+
+    expect(row.paymentMethod).toBe(PaymentMethodService.UNSPECIFIED_METHOD);
+    expect(row.avgSpreadPercent).toBeNull();
+    expect(row.cancellationRatePercent).toBe(0);
+  });
+});
@@ -0,0 +1,55 @@
+const ProfitCalculator = require('../services/profitCalculator');
+const PnlAggregationService = require('../services/pnlAggregationService');
+const helpers = require('./helpers');
+
+const trade = (type, cryptoAmount, price, date) => helpers.trade(type, cryptoAmount, price, {
+  _id: `${type}-${date}-${cryptoAmount}`,
+  timestamp: new Date(`${date}T10:00:00Z`)
+});
+
+describe('PnlAggregationService', () => {
+  // Wednesday 2024-01-03 to Tuesday 2024-02-06
+  const timeSeries = new ProfitCalculator().buildTimeSeries([
+    trade('BUY', 100, 80, '2024-01-03'),
+    trade('SELL', 40, 85, '2024-01-03'),
+    trade('SELL', 20, 90, '2024-01-06'),
+    trade('SELL', 20, 86, '2024-01-08'),
+    trade('BUY', 50, 82, '2024-02-06'),
+    trade('SELL', 30, 84, '2024-02-06')
+  ]);
+
+  test('should report the profit of each day rather than the running total', () => {
+    const daily = new PnlAggregationService().aggregate(timeSeries, 'day');
+
+    expect(daily.map(bucket => bucket.date)).toEqual(['2024-01-03', '2024-01-06', '2024-01-08', '2024-02-06']);
+    expect(daily[0].realizedProfit).toBe(200);
+    expect(daily[1].realizedProfit).toBe(200);
+    expect(daily[1].cumulativeProfit).toBe(400);
+  });
+
+  test('should sum volumes, counts and VWAP over a week', () => {
+    const weekly = new PnlAggregationService().aggregate(timeSeries, 'week');
+
+    expect(weekly[0].weekStart).toBe('2023-12-31');
+    expect(weekly[0].weekEnd).toBe('2024-01-06');
+    expect(weekly[0].realizedProfit).toBe(400);
+    expect(weekly[0].buyCount).toBe(1);
+    expect(weekly[0].sellCount).toBe(2);
+    expect(weekly[0].sellVolumeCrypto).toBe(60);
+    expect(weekly[0].sellVolumeFiat).toBe(40 * 85 + 20 * 90);
+    expect(weekly[0].sellVwap).toBeCloseTo((40 * 85 + 20 * 90) / 60);
+    expect(weekly[0].closingInventory).toBe(40);
+    expect(weekly[1].weekStart).toBe('2024-01-07');
+  });
+
+  test('should close each month with its own profit and inventory', () => {
+    const monthly = new PnlAggregationService().aggregate(timeSeries, 'month');
+
+    expect(monthly.map(bucket => bucket.month)).toEqual(['2024-01', '2024-02']);
+    expect(monthly[0].realizedProfit).toBe(520);
+    expect(monthly[0].periodEnd).toBe('2024-01-31');
+    expect(monthly[1].realizedProfit).toBe(20 * 4 + 10 * 2);
+    expect(monthly[1].buyVwap).toBe(82);
+    expect(monthly[1].closingInventory).toBe(40);
+  });
+});
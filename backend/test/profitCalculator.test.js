@@ -0,0 +1,510 @@
+const ProfitCalculator = require('../services/profitCalculator');
+const CalendarService = require('../services/calendarService');
+const { trade } = require('./helpers');
+
+describe('ProfitCalculator', () => {
+  describe('Fees', () => {
+    test('should value crypto fees at the trade price', () => {
+      const calculator = new ProfitCalculator();
+
+      expect(calculator.getTradeFees(trade('BUY', 100, 85, { feeFiat: 10, feeCrypto: 0.5 }))).toBe(52.5);
+      expect(calculator.getTradeFees(trade('BUY', 100, 85))).toBe(0);
+    });
+
+    test('should report gross, fees and net profit with FIFO', () => {
+      const calculator = new ProfitCalculator();
+      const result = calculator.calculateLotProfit([
+        trade('BUY', 100, 85, { feeFiat: 20 }),
+        trade('SELL', 50, 88, { feeFiat: 5 })
+      ], 'INR');
+
+      expect(result.grossProfitFiat).toBe(150);
+      // Half of the buy fee plus the whole sell fee
+      expect(result.feesFiat).toBeCloseTo(15);
+      expect(result.netProfitFiat).toBeCloseTo(135);
+      expect(result.realizedProfitFiat).toBeCloseTo(135);
+      expect(result.totalFeesPaid).toBe(25);
+      expect(result.inventoryRemaining).toBe(50);
+    });
+
+    test('should report gross, fees and net profit with AVERAGE', () => {
+      const calculator = new ProfitCalculator();
+      calculator.setMethod('AVERAGE');
+      const result = calculator.calculateAverageProfit([
+        trade('BUY', 100, 80, { feeFiat: 10 }),
+        trade('BUY', 100, 90, { feeFiat: 10 }),
+        trade('SELL', 100, 88, { feeCrypto: 0.1 })
+      ], 'INR');
+
+      expect(result.grossProfitFiat).toBe(300);
+      expect(result.feesFiat).toBeCloseTo(18.8);
+      expect(result.netProfitFiat).toBeCloseTo(281.2);
+    });
+  });
+
+  describe('Per-asset inventory', () => {
+    test('should only match sells against buys of the same asset', () => {
+      const calculator = new ProfitCalculator();
+      const result = calculator.calculateLotProfit([
+        trade('BUY', 100, 85),
+        trade('BUY', 1, 5000000, { cryptoCurrency: 'BTC' }),
+        trade('SELL', 0.5, 5100000, { cryptoCurrency: 'BTC' })
+      ], 'INR');
+
+      expect(result.grossProfitFiat).toBe(50000);
+    });
+
+    test('should report the cost basis of remaining inventory', () => {
+      const calculator = new ProfitCalculator();
+      const result = calculator.calculateLotProfit([
+        trade('BUY', 100, 80),
+        trade('BUY', 100, 90, { feeFiat: 100 }),
+        trade('SELL', 150, 92)
+      ], 'INR');
+
+      expect(result.inventoryRemaining).toBe(50);
+      expect(result.inventoryCostBasis).toBeCloseTo(4550);
+      expect(result.avgInventoryCost).toBeCloseTo(91);
+    });
+  });
+
+  describe('Lot matching', () => {
+    test('should record which buy lots each sell used', () => {
+      const calculator = new ProfitCalculator();
+      const { matches, remainingLots } = calculator.matchLots([
+        trade('BUY', 100, 80, { _id: 'buy1' }),
+        trade('BUY', 100, 90, { _id: 'buy2' }),
+        trade('SELL', 150, 92, { _id: 'sell1' })
+      ]);
+
+      expect(matches).toHaveLength(2);
+      expect(matches[0]).toMatchObject({ sellTrade: 'sell1', buyTrade: 'buy1', amount: 100, grossProfit: 1200 });
+      expect(matches[1]).toMatchObject({ sellTrade: 'sell1', buyTrade: 'buy2', amount: 50, grossProfit: 100 });
+      expect(remainingLots).toHaveLength(1);
+      expect(remainingLots[0]).toMatchObject({ tradeId: 'buy2', amount: 50 });
+    });
+
+    test('should not match a sell against a later buy', () => {
+      const calculator = new ProfitCalculator();
+      const { matches, shortfalls } = calculator.matchLots([
+        trade('SELL', 50, 92, { _id: 'sell1' }),
+        trade('BUY', 100, 80, { _id: 'buy1' })
+      ]);
+
+      expect(matches.filter(match => !match.unmatched)).toHaveLength(0);
+      expect(shortfalls).toHaveLength(1);
+    });
+
+    test('should continue from opening lots', () => {
+      const calculator = new ProfitCalculator();
+      const openingLot = calculator.createLot(trade('BUY', 100, 80, { _id: 'buy1' }), 30);
+      const { matches } = calculator.matchLots([trade('SELL', 30, 92, { _id: 'sell1' })], [openingLot]);
+
+      expect(matches).toHaveLength(1);
+      expect(matches[0].amount).toBe(30);
+    });
+  });
+
+  describe('Lot selection methods', () => {
+    const trades = [
+      trade('BUY', 100, 80, { _id: 'buy1' }),
+      trade('BUY', 100, 95, { _id: 'buy2' }),
+      trade('BUY', 100, 90, { _id: 'buy3' }),
+      trade('SELL', 100, 100, { _id: 'sell1', closesTrades: ['buy3'] })
+    ];
+
+    test.each([
+      ['FIFO', 'buy1', 2000],
+      ['LIFO', 'buy3', 1000],
+      ['HIFO', 'buy2', 500],
+      ['SPECIFIC', 'buy3', 1000]
+    ])('%s should close %s', (method, buyTrade, grossProfit) => {
+      const calculator = new ProfitCalculator();
+      calculator.setMethod(method);
+      const { matches } = calculator.matchLots(trades);
+
+      expect(matches).toHaveLength(1);
+      expect(matches[0].buyTrade).toBe(buyTrade);
+      expect(calculator.calculateLotProfit(trades, 'INR').grossProfitFiat).toBe(grossProfit);
+    });
+
+    test('SPECIFIC should fall back to FIFO once named lots are used up', () => {
+      const calculator = new ProfitCalculator();
+      calculator.setMethod('SPECIFIC');
+      const { matches } = calculator.matchLots([
+        trade('BUY', 100, 80, { _id: 'buy1' }),
+        trade('BUY', 50, 90, { _id: 'buy2' }),
+        trade('SELL', 80, 100, { _id: 'sell1', closesTrades: ['buy2'] })
+      ]);
+
+      expect(matches.map(match => [match.buyTrade, match.amount])).toEqual([['buy2', 50], ['buy1', 30]]);
+    });
+
+    test('should reject unknown methods', () => {
+      const calculator = new ProfitCalculator();
+
+      expect(() => calculator.setMethod('RANDOM')).toThrow('Invalid method');
+    });
+
+    test('time series should agree with the summary', () => {
+      const calculator = new ProfitCalculator();
+      calculator.setMethod('HIFO');
+      const timeSeries = calculator.buildLotTimeSeries(trades);
+      const last = timeSeries[timeSeries.length - 1];
+
+      expect(last.cumulativeProfit).toBe(calculator.calculateLotProfit(trades, 'INR').realizedProfitFiat);
+      expect(last.inventory).toBe(200);
+      expect(last.avgCost).toBe(85);
+    });
+  });
+
+  describe('Moving average', () => {
+    const trades = [
+      trade('BUY', 100, 80, { _id: 'buy1' }),
+      trade('SELL', 50, 90, { _id: 'sell1' }),
+      trade('BUY', 50, 100, { _id: 'buy2' }),
+      trade('SELL', 50, 95, { _id: 'sell2' })
+    ];
+
+    test('should realize each sell against the average at that moment', () => {
+      const calculator = new ProfitCalculator();
+      calculator.setMethod('MOVING_AVERAGE');
+      const result = calculator.calculateMovingAverageProfit(trades, 'INR');
+
+      // 50 * (90 - 80) + 50 * (95 - 90)
+      expect(result.grossProfitFiat).toBe(750);
+      expect(result.inventoryRemaining).toBe(50);
+      expect(result.avgInventoryCost).toBe(90);
+    });
+
+    test('period average should still use one average over the period', () => {
+      const calculator = new ProfitCalculator();
+      calculator.setMethod('AVERAGE');
+      const result = calculator.calculateAverageProfit(trades, 'INR');
+
+      // Average buy price of 86.67 across both buys
+      expect(result.grossProfitFiat).toBeCloseTo(583.33);
+    });
+
+    test.each(['MOVING_AVERAGE', 'AVERAGE'])('%s time series should agree with the summary', (method) => {
+      const calculator = new ProfitCalculator();
+      calculator.setMethod(method);
+      const timeSeries = calculator.buildTimeSeries(trades);
+      const summary = calculator.calculateProfit(trades, 'INR', 'USDT');
+
+      expect(timeSeries[timeSeries.length - 1].cumulativeProfit).toBeCloseTo(summary.realizedProfitFiat);
+      expect(timeSeries[timeSeries.length - 1].inventory).toBe(summary.inventoryRemaining);
+    });
+  });
+
+  describe('Opening inventory', () => {
+    const january = new Date('2024-01-15T10:00:00Z');
+    const february = new Date('2024-02-15T10:00:00Z');
+    const trades = [
+      trade('BUY', 100, 80, { _id: 'buy1', timestamp: january }),
+      trade('SELL', 40, 90, { _id: 'sell1', timestamp: january }),
+      trade('BUY', 100, 85, { _id: 'buy2', timestamp: february }),
+      trade('SELL', 100, 95, { _id: 'sell2', timestamp: february })
+    ];
+    const priorTrades = trades.slice(0, 2);
+    const rangeTrades = trades.slice(2);
+
+    test('should carry open lots into the range', () => {
+      const calculator = new ProfitCalculator();
+      const result = calculator.calculateProfit(rangeTrades, 'INR', 'USDT', priorTrades);
+
+      // 60 opening units at 80, then 40 of the February buy at 85
+      expect(result.grossProfitFiat).toBe(60 * 15 + 40 * 10);
+      expect(result.openingInventory).toBe(60);
+      expect(result.openingCostBasis).toBe(4800);
+      expect(result.closingInventory).toBe(60);
+      expect(result.closingCostBasis).toBe(5100);
+    });
+
+    test.each(['FIFO', 'LIFO', 'HIFO', 'MOVING_AVERAGE'])('%s monthly figures should add up to the total', (method) => {
+      const calculator = new ProfitCalculator();
+      calculator.setMethod(method);
+      const total = calculator.calculateProfit(trades, 'INR', 'USDT');
+      const januaryResult = calculator.calculateProfit(priorTrades, 'INR', 'USDT');
+      const februaryResult = calculator.calculateProfit(rangeTrades, 'INR', 'USDT', priorTrades);
+
+      expect(januaryResult.realizedProfitFiat + februaryResult.realizedProfitFiat).toBeCloseTo(total.realizedProfitFiat);
+      expect(februaryResult.closingInventory).toBe(total.closingInventory);
+    });
+  });
+
+  describe('Date ranges', () => {
+    test('should treat a date-only end date as the end of that day', () => {
+      const calculator = new ProfitCalculator();
+
+      expect(calculator.getRangeEnd('2024-01-31').toISOString()).toBe('2024-01-31T23:59:59.999Z');
+    });
+  });
+
+  describe('Oversold sells', () => {
+    const trades = [
+      trade('BUY', 100, 80, { _id: 'buy1' }),
+      trade('SELL', 150, 90, { _id: 'sell1' })
+    ];
+
+    test.each(['FIFO', 'MOVING_AVERAGE', 'AVERAGE'])('%s should report the shortfall', (method) => {
+      const calculator = new ProfitCalculator();
+      calculator.setMethod(method);
+      const result = calculator.calculateProfit(trades, 'INR', 'USDT');
+
+      expect(result.shortfalls).toHaveLength(1);
+      expect(result.shortfalls[0]).toMatchObject({ tradeId: 'sell1', matchedAmount: 100, shortfall: 50 });
+      expect(result.totalShortfall).toBe(50);
+      expect(result.inventoryRemaining).toBe(0);
+    });
+
+    test.each(['FIFO', 'MOVING_AVERAGE', 'AVERAGE'])('%s should realize the shortfall at zero cost', (method) => {
+      const calculator = new ProfitCalculator();
+      calculator.setMethod(method);
+      const result = calculator.calculateProfit(trades, 'INR', 'USDT');
+
+      // 100 units at a cost of 80 plus 50 units at no cost
+      expect(result.grossProfitFiat).toBe(100 * 10 + 50 * 90);
+    });
+
+    test.each(['FIFO', 'MOVING_AVERAGE', 'AVERAGE'])('%s should realize a sell with no buy at all at zero cost', (method) => {
+      const calculator = new ProfitCalculator();
+      calculator.setMethod(method);
+      const result = calculator.calculateProfit([
+        trade('SELL', 50, 90, { _id: 'sell1', feeFiat: 9 })
+      ], 'INR', 'USDT');
+
+      expect(result.grossProfitFiat).toBe(50 * 90);
+      expect(result.realizedProfitFiat).toBe(50 * 90 - 9);
+    });
+
+    test('should block the calculation when configured to', () => {
+      const calculator = new ProfitCalculator();
+      calculator.setUnmatchedPolicy('BLOCK');
+
+      expect(() => calculator.calculateProfit(trades, 'INR', 'USDT')).toThrow(ProfitCalculator.InsufficientInventoryError);
+    });
+
+    test('should not report a shortfall when inventory covers the sell', () => {
+      const calculator = new ProfitCalculator();
+      const result = calculator.calculateProfit([
+        trade('BUY', 0.1, 80),
+        trade('BUY', 0.2, 80),
+        trade('SELL', 0.3, 90)
+      ], 'INR', 'USDT');
+
+      expect(result.shortfalls).toHaveLength(0);
+    });
+  });
+
+  describe('Mark prices', () => {
+    const trades = [
+      trade('BUY', 100, 80),
+      trade('SELL', 40, 90, { timestamp: new Date('2024-01-02T10:00:00Z') })
+    ];
+
+    test('should value the closing inventory at the mark price', () => {
+      const calculator = new ProfitCalculator();
+      const result = calculator.applyMarkPrice(
+        calculator.calculateProfit(trades, 'INR', 'USDT'),
+        { price: 95, timestamp: new Date('2024-01-03T00:00:00Z') }
+      );
+
+      expect(result.marketValueFiat).toBe(60 * 95);
+      expect(result.unrealizedProfitFiat).toBe(60 * 15);
+      expect(result.totalEquityFiat).toBe(60 * 95 + 40 * 10);
+    });
+
+    test('should leave valuation empty without a mark price', () => {
+      const calculator = new ProfitCalculator();
+      const result = calculator.applyMarkPrice(calculator.calculateProfit(trades, 'INR', 'USDT'), null);
+
+      expect(result.marketValueFiat).toBeNull();
+      expect(result.unrealizedProfitFiat).toBeNull();
+    });
+
+    test('should value each time series day at the price known then', () => {
+      const calculator = new ProfitCalculator();
+      const timeSeries = calculator.markTimeSeries(calculator.buildTimeSeries(trades), [
+        { price: 82, timestamp: new Date('2024-01-01T18:00:00Z') },
+        { price: 88, timestamp: new Date('2024-01-03T00:00:00Z') }
+      ]);
+
+      expect(timeSeries[0].markPrice).toBe(82);
+      expect(timeSeries[0].unrealizedProfit).toBeCloseTo(100 * 2);
+      expect(timeSeries[1].markPrice).toBe(82);
+      expect(timeSeries[1].totalEquity).toBeCloseTo(60 * 82 + 40 * 10);
+    });
+  });
+
+  describe('Network fees', () => {
+    const fee = (cryptoAmount, id) => ({
+      _id: id,
+      type: ProfitCalculator.NETWORK_FEE,
+      cryptoAmount,
+      price: 0,
+      fiatAmount: 0,
+      fiatCurrency: 'INR',
+      cryptoCurrency: 'USDT',
+      timestamp: new Date('2024-01-01T11:00:00Z')
+    });
+
+    test('should charge the cost of the fee units as a fee with FIFO', () => {
+      const calculator = new ProfitCalculator();
+      const result = calculator.calculateLotProfit([
+        trade('BUY', 100, 85, { _id: 'buy-1' }),
+        fee(1, 'transfer-1'),
+        trade('SELL', 99, 88, { _id: 'sell-1' })
+      ], 'INR');
+
+      expect(result.grossProfitFiat).toBeCloseTo(99 * 3);
+      expect(result.networkFeesFiat).toBe(85);
+      expect(result.feesFiat).toBe(85);
+      expect(result.inventoryRemaining).toBe(0);
+      expect(result.shortfalls).toHaveLength(0);
+      // Not a trade: volumes only cover the buy and the sell
+      expect(result.totalSellAmount).toBe(99);
+    });
+
+    test('should charge the fee at average cost with MOVING_AVERAGE and AVERAGE', () => {
+      const trades = [
+        trade('BUY', 100, 80),
+        trade('BUY', 100, 90),
+        fee(2, 'transfer-1'),
+        trade('SELL', 198, 90)
+      ];
+
+      ['MOVING_AVERAGE', 'AVERAGE'].forEach(method => {
+        const calculator = new ProfitCalculator();
+        calculator.setMethod(method);
+        const result = calculator.calculateProfit(trades, 'INR', 'USDT');
+
+        expect(result.networkFeesFiat).toBeCloseTo(170);
+        expect(result.realizedProfitFiat).toBeCloseTo(198 * 5 - 170);
+        expect(result.inventoryRemaining).toBeCloseTo(0);
+      });
+    });
+
+    test('should not report a fee beyond the inventory as a shortfall', () => {
+      const calculator = new ProfitCalculator();
+      const result = calculator.calculateLotProfit([trade('BUY', 1, 85), fee(2, 'transfer-1')], 'INR');
+
+      expect(result.networkFeesFiat).toBe(85);
+      expect(result.shortfalls).toHaveLength(0);
+    });
+  });
+
+  describe('Case losses', () => {
+    const loss = (fiatAmount, id) => ({
+      _id: id,
+      type: ProfitCalculator.CASE_LOSS,
+      cryptoAmount: 0,
+      price: 0,
+      fiatAmount,
+      fiatCurrency: 'INR',
+      cryptoCurrency: 'USDT',
+      timestamp: new Date('2024-01-01T12:00:00Z')
+    });
+
+    test('should book a lost case as negative gross profit with every method', () => {
+      const trades = [
+        trade('BUY', 100, 85, { _id: 'buy-1' }),
+        trade('SELL', 100, 88, { _id: 'sell-1' }),
+        loss(1000, 'case-1')
+      ];
+
+      ['FIFO', 'MOVING_AVERAGE', 'AVERAGE'].forEach(method => {
+        const calculator = new ProfitCalculator();
+        calculator.setMethod(method);
+        const result = calculator.calculateProfit(trades, 'INR', 'USDT');
+
+        expect(result.caseLossesFiat).toBe(1000);
+        expect(result.grossProfitFiat).toBeCloseTo(300 - 1000);
+        expect(result.realizedProfitFiat).toBeCloseTo(-700);
+        expect(result.inventoryRemaining).toBeCloseTo(0);
+        expect(result.totalSellFiat).toBe(8800);
+      });
+    });
+
+    test('should show the loss on its own time series entry', () => {
+      const calculator = new ProfitCalculator();
+      const timeSeries = calculator.buildTimeSeries([
+        trade('BUY', 100, 85, { _id: 'buy-1' }),
+        loss(500, 'case-1')
+      ]);
+
+      expect(timeSeries[1].type).toBe(ProfitCalculator.CASE_LOSS);
+      expect(timeSeries[1].netProfit).toBe(-500);
+      expect(timeSeries[1].inventory).toBe(100);
+      expect(timeSeries[1].cumulativeProfit).toBe(-500);
+    });
+  });
+
+  describe('Consolidated reporting', () => {
+    const usd = (type, cryptoAmount, price, day) => trade(type, cryptoAmount, price, {
+      _id: `usd-${type}-${day}`,
+      fiatCurrency: 'USD',
+      timestamp: new Date(`2024-01-0${day}T10:00:00Z`)
+    });
+    const inr = (type, cryptoAmount, price, day) => trade(type, cryptoAmount, price, {
+      _id: `inr-${type}-${day}`,
+      timestamp: new Date(`2024-01-0${day}T10:00:00Z`)
+    });
+
+    // 1 USD = 80 INR on the 1st and 84 INR from the 3rd
+    const converter = {
+      convert: (amount, from, to, date) => {
+        if (from === to) return amount;
+        return amount * (new Date(date) >= new Date('2024-01-03') ? 84 : 80);
+      }
+    };
+
+    const buildResults = (calculator, tradesByCurrency) => Object.entries(tradesByCurrency)
+      .map(([fiatCurrency, trades]) => ({
+        fiatCurrency,
+        trades,
+        summary: calculator.calculateProfit(trades, fiatCurrency, 'USDT'),
+        timeSeries: calculator.buildTimeSeries(trades)
+      }));
+
+    test('should convert each sell at the rate of its trade date', () => {
+      const calculator = new ProfitCalculator();
+      const result = calculator.consolidateProfit(buildResults(calculator, {
+        INR: [inr('BUY', 100, 88, 1), inr('SELL', 100, 90, 2)],
+        USD: [usd('BUY', 100, 1, 1), usd('SELL', 50, 1.02, 2), usd('SELL', 50, 1.04, 3)]
+      }), 'INR', converter, 'USDT');
+
+      const usdBreakdown = result.currencies.find(currency => currency.fiatCurrency === 'USD');
+      expect(usdBreakdown.realizedProfitFiat).toBeCloseTo(3);
+      expect(usdBreakdown.realizedProfitReporting).toBeCloseTo(1 * 80 + 2 * 84);
+      expect(result.realizedProfit).toBeCloseTo(200 + 80 + 168);
+      expect(result.totalBuy).toBeCloseTo(8800 + 100 * 80);
+    });
+
+    test('should convert the profit and volume of a trade near midnight at the same day', () => {
+      const calculator = new ProfitCalculator();
+      calculator.setCalendar(new CalendarService({ timezone: 'Asia/Kolkata' }));
+      // 20:00 UTC on the 2nd is already the 3rd in India
+      const lateSell = trade('SELL', 100, 1.02, { _id: 'usd-late', fiatCurrency: 'USD', timestamp: new Date('2024-01-02T20:00:00Z') });
+
+      const result = calculator.consolidateProfit(buildResults(calculator, {
+        USD: [usd('BUY', 100, 1, 1), lateSell]
+      }), 'INR', converter, 'USDT');
+
+      expect(result.grossProfit).toBeCloseTo(2 * 84);
+      expect(result.totalSell).toBeCloseTo(102 * 84);
+    });
+
+    test('should merge currencies into one converted time series', () => {
+      const calculator = new ProfitCalculator();
+      const timeSeries = calculator.consolidateTimeSeries(buildResults(calculator, {
+        INR: [inr('BUY', 100, 88, 1), inr('SELL', 50, 90, 3)],
+        USD: [usd('BUY', 100, 1, 2), usd('SELL', 100, 1.02, 4)]
+      }), 'INR', converter);
+
+      expect(timeSeries.map(entry => entry.fiatCurrency)).toEqual(['INR', 'USD', 'INR', 'USD']);
+      expect(timeSeries[2].inventory).toBe(150);
+      expect(timeSeries[3].cumulativeProfit).toBeCloseTo(100 + 2 * 84);
+    });
+  });
+});
@@ -0,0 +1,60 @@
+const express = require('express');
+const request = require('supertest');
+const ProfitCalculator = require('../services/profitCalculator');
+const FxRateService = require('../services/fxRateService');
+
+const summaryRoutes = require('../routes/summary');
+
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/summary', summaryRoutes);
+  return app;
+};
+
+const consolidated = {
+  realizedProfit: 120.5,
+  grossProfit: 130.5,
+  fees: 10,
+  totalBuy: 1000,
+  totalSell: 1120.5,
+  inventoryRemaining: 25,
+  currencies: [],
+  shortfalls: [],
+  reportingCurrency: 'USD',
+  cryptoCurrency: 'USDT'
+};
+
+describe('Summary routes', () => {
+  beforeEach(() => {
+    jest.spyOn(FxRateService.prototype, 'createConverter').mockResolvedValue(() => 1);
+    jest.spyOn(ProfitCalculator.prototype, 'calculateConsolidatedProfit').mockResolvedValue(consolidated);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should export consolidated months with their reporting-currency totals', async () => {
+    const response = await request(createApp())
+      .get('/api/summary/monthly')
+      .query({ reportingCurrency: 'usd', year: 2024, format: 'csv' });
+
+    const [header, january, ...rest] = response.text.trim().split('\n');
+    const total = rest[rest.length - 1];
+
+    expect(response.status).toBe(200);
+    expect(header).toBe('Month,Year,Currency,Realized Profit,Gross Profit,Fees,Buy Volume,Sell Volume,Closing Inventory');
+    expect(january).toBe('January,2024,USD,120.5,130.5,10,1000,1120.5,25');
+    expect(total.startsWith('Total,')).toBe(true);
+    expect(total.endsWith(',USD,120.5,130.5,10,1000,1120.5,25')).toBe(true);
+  });
+
+  test('should answer a bad calendar setting with a 400', async () => {
+    const response = await request(createApp()).get('/api/summary/monthly').query({ timezone: 'Mars/Olympus' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Invalid timezone: Mars/Olympus');
+  });
+});
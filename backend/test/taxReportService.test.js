@@ -0,0 +1,59 @@
+const TaxReportService = require('../services/taxReportService');
+const CalendarService = require('../services/calendarService');
+const helpers = require('./helpers');
+
+const trade = (type, cryptoAmount, price, hour, extra = {}) => helpers.trade(type, cryptoAmount, price, {
+  _id: `${type}-${hour}`,
+  timestamp: new Date(Date.UTC(2024, 5, 1, hour)),
+  ...extra
+});
+
+describe('TaxReportService', () => {
+  const createService = () => new TaxReportService(new CalendarService({ timezone: 'Asia/Kolkata', fiscalYearStart: 4 }));
+
+  test('should tax each gain at 30% without setting off losses', () => {
+    const service = createService();
+    const rows = service.buildTransferRows([
+      trade('BUY', 100, 88, 0, { feeFiat: 50 }),
+      trade('SELL', 50, 90, 1, { tdsDeducted: 45 }),
+      trade('SELL', 50, 86, 2, { tdsDeducted: 43 })
+    ]);
+    const summary = service.summarizeRows(rows);
+
+    // Fees are not deductible, so cost is quantity times buy price only
+    expect(rows[0].costOfAcquisition).toBe(4400);
+    expect(rows[0].gain).toBe(100);
+    expect(rows[1].gain).toBe(-100);
+    expect(rows[1].taxableGain).toBe(0);
+    expect(summary.totalGains).toBe(100);
+    expect(summary.totalLosses).toBe(100);
+    expect(summary.taxPayable).toBeCloseTo(30);
+    expect(summary.totalTdsCredit).toBe(88);
+    expect(summary.netTaxPayable).toBeCloseTo(-58);
+  });
+
+  test('should carry cost from lots bought before the fiscal year', () => {
+    const service = createService();
+    const rows = service.buildTransferRows(
+      [trade('SELL', 10, 95, 5)],
+      [trade('BUY', 10, 85, 0)]
+    );
+
+    expect(rows).toHaveLength(1);
+    expect(rows[0].costOfAcquisition).toBe(850);
+    expect(rows[0].tax).toBeCloseTo(30);
+    expect(rows[0].saleDate).toBe('2024-06-01');
+  });
+
+  test('should write the report as CSV with a summary', () => {
+    const service = createService();
+    const rows = service.buildTransferRows([trade('BUY', 10, 85, 0), trade('SELL', 10, 95, 1)]);
+    const csv = service.toCsv({ fiscalYear: 'FY 2024-25', transfers: rows, summary: service.summarizeRows(rows) });
+    const lines = csv.split('\n');
+
+    expect(lines[0]).toBe('Sale Date,Trade ID,Asset,Quantity,Sale Consideration,Cost of Acquisition,Gain/Loss,Taxable Gain,Tax @ 30%,TDS Deducted');
+    expect(lines[1]).toBe('2024-06-01,SELL-1,USDT,10.00000000,950.00,850.00,100.00,100.00,30.00,0.00');
+    expect(lines).toContain('Fiscal Year,FY 2024-25');
+    expect(lines).toContain('Net Tax Payable,30.00');
+  });
+});
@@ -0,0 +1,253 @@
+const express = require('express');
+const request = require('supertest');
+const Trade = require('../models/Trade');
+const Venue = require('../models/Venue');
+const PaymentMethod = require('../models/PaymentMethod');
+const ImportRun = require('../models/ImportRun');
+const helpers = require('./helpers');
+
+// The ledger is rebuilt after every change; these tests only cover the route
+jest.mock('../services/ledgerService');
+
+const tradesRoutes = require('../routes/trades');
+
+// Stand-in for a mongoose query: chainable, and resolves to result
+const query = (result) => {
+  const chain = {
+    sort: () => chain,
+    skip: () => chain,
+    limit: () => chain,
+    select: () => chain,
+    lean: () => Promise.resolve(result),
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+};
+
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/trades', tradesRoutes);
+  return app;
+};
+
+const trade = (extra = {}) => helpers.trade('BUY', 100, 85, {
+  timestamp: '2024-01-15T10:00:00.000Z',
+  venue: 'BINANCE',
+  ...extra
+});
+
+describe('Trades routes', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createApp();
+    jest.spyOn(Venue, 'exists').mockResolvedValue({ _id: 'venue' });
+    jest.spyOn(Venue, 'find').mockReturnValue(query([{ code: 'BINANCE' }]));
+    jest.spyOn(PaymentMethod, 'findOne').mockReturnValue(query(null));
+    jest.spyOn(PaymentMethod, 'find').mockReturnValue(query([]));
+    jest.spyOn(Trade, 'findOne').mockReturnValue(query(null));
+    jest.spyOn(Trade.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('fees', () => {
+    test('should refuse a new trade with a negative fee', async () => {
+      const response = await request(app).post('/api/trades').send(trade({ feeFiat: -5 }));
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('feeFiat must be zero or a positive number');
+      expect(Trade.prototype.save).not.toHaveBeenCalled();
+    });
+
+    test('should refuse an update to a negative or unreadable fee', async () => {
+      const update = jest.spyOn(Trade, 'findByIdAndUpdate');
+
+      const negative = await request(app).put('/api/trades/65a4f0c2e4b0a1b2c3d4e5f6').send({ feeCrypto: '-0.1' });
+      const unreadable = await request(app).put('/api/trades/65a4f0c2e4b0a1b2c3d4e5f6').send({ tdsDeducted: 'ten' });
+
+      expect(negative.status).toBe(400);
+      expect(negative.body.message).toBe('feeCrypto must be zero or a positive number');
+      expect(unreadable.status).toBe(400);
+      expect(update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updates', () => {
+    const id = '65a4f0c2e4b0a1b2c3d4e5f6';
+
+    beforeEach(() => {
+      jest.spyOn(Trade, 'findById').mockReturnValue(query(trade({ _id: id, type: 'SELL', tdsDeducted: 85 })));
+      jest.spyOn(Trade, 'findByIdAndUpdate').mockImplementation((_id, update) => Promise.resolve({ _id, ...update }));
+    });
+
+    test('should refuse an unknown side or transfer mode with a 400', async () => {
+      const side = await request(app).put(`/api/trades/${id}`).send({ type: 'HOLD' });
+      const rail = await request(app).put(`/api/trades/${id}`).send({ transferMode: 'SWIFT' });
+
+      expect(side.status).toBe(400);
+      expect(side.body.message).toBe('Type must be either BUY or SELL');
+      expect(rail.status).toBe(400);
+      expect(rail.body.message).toMatch(/^Transfer mode must be one of/);
+      expect(Trade.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test('should drop the TDS of a sell changed into a buy', async () => {
+      const response = await request(app).put(`/api/trades/${id}`).send({ type: 'BUY', tdsDeducted: 85 });
+
+      expect(response.status).toBe(200);
+      expect(Trade.findByIdAndUpdate.mock.calls[0][1]).toMatchObject({ type: 'BUY', tdsDeducted: 0 });
+    });
+
+    test('should keep the TDS of a sell', async () => {
+      const response = await request(app).put(`/api/trades/${id}`).send({ tdsDeducted: '90' });
+
+      expect(response.status).toBe(200);
+      expect(Trade.findByIdAndUpdate.mock.calls[0][1]).toEqual({ tdsDeducted: 90 });
+    });
+
+    test('should answer an unknown trade with a 404', async () => {
+      Trade.findById.mockReturnValue(query(null));
+
+      const response = await request(app).put(`/api/trades/${id}`).send({ notes: 'checked' });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('order numbers', () => {
+    const id = '65a4f0c2e4b0a1b2c3d4e5f6';
+    const otherId = '65a4f0c2e4b0a1b2c3d4e5f8';
+
+    test('should refuse a new trade whose order is already recorded for the venue', async () => {
+      Trade.findOne.mockReturnValue(query({ _id: otherId }));
+
+      const response = await request(app).post('/api/trades').send(trade({ orderId: ' 1001 ' }));
+
+      expect(response.status).toBe(409);
+      expect(response.body.data.existingTradeId).toBe(otherId);
+      expect(Trade.findOne).toHaveBeenCalledWith({ venue: 'BINANCE', orderId: '1001' }, '_id');
+      expect(Trade.prototype.save).not.toHaveBeenCalled();
+    });
+
+    test('should answer a concurrent save of the same order with a 409', async () => {
+      const duplicate = Object.assign(new Error('E11000 duplicate key error'), {
+        code: 11000,
+        keyPattern: { venue: 1, orderId: 1 }
+      });
+      Trade.prototype.save.mockRejectedValue(duplicate);
+
+      const response = await request(app).post('/api/trades').send(trade({ orderId: '1001' }));
+
+      expect(response.status).toBe(409);
+    });
+
+    test('should refuse an update to an order number another trade has', async () => {
+      jest.spyOn(Trade, 'findById').mockReturnValue(query(trade({ _id: id, orderId: '1001' })));
+      Trade.findOne.mockReturnValue(query({ _id: otherId }));
+      const update = jest.spyOn(Trade, 'findByIdAndUpdate');
+
+      const response = await request(app).put(`/api/trades/${id}`).send({ orderId: '1002' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.data.existingTradeId).toBe(otherId);
+      expect(Trade.findOne).toHaveBeenCalledWith({ venue: 'BINANCE', orderId: '1002', _id: { $ne: id } }, '_id');
+      expect(update).not.toHaveBeenCalled();
+    });
+
+    test('should update to an order number no other trade has', async () => {
+      jest.spyOn(Trade, 'findById').mockReturnValue(query(trade({ _id: id, orderId: '1001' })));
+      jest.spyOn(Trade, 'findByIdAndUpdate').mockResolvedValue({ _id: id, venue: 'BINANCE', orderId: '1002' });
+
+      const response = await request(app).put(`/api/trades/${id}`).send({ orderId: '1002' });
+
+      expect(response.status).toBe(200);
+      expect(Trade.findByIdAndUpdate).toHaveBeenCalledWith(id, { orderId: '1002', tdsDeducted: 0 }, { new: true, runValidators: true });
+    });
+  });
+
+  describe('bulk', () => {
+    const rows = [
+      trade({ orderId: '1001' }),
+      trade({ orderId: '1002', feeFiat: -5 }),
+      trade({ orderId: '1003', type: 'HOLD' }),
+      trade({ orderId: '1004', venue: 'KRAKEN' })
+    ];
+
+    beforeEach(() => {
+      jest.spyOn(Trade, 'find').mockReturnValue(query([]));
+      jest.spyOn(Trade, 'insertMany').mockImplementation(docs => Promise.resolve(docs));
+      jest.spyOn(ImportRun, 'findOne').mockReturnValue(query(null));
+      jest.spyOn(ImportRun.prototype, 'save').mockImplementation(function save() {
+        return Promise.resolve(this);
+      });
+    });
+
+    test('should reject invalid rows and import the rest', async () => {
+      const response = await request(app).post('/api/trades/bulk').send({ trades: rows });
+
+      expect(response.status).toBe(201);
+      expect(response.body.rejected.map(row => row.index)).toEqual([1, 2, 3]);
+      expect(response.body.rejected[0].errors).toEqual(['feeFiat must be zero or a positive number']);
+      expect(response.body.rejected[2].errors).toEqual(['Unknown venue KRAKEN. Add it to the venue list first']);
+      expect(Trade.insertMany.mock.calls[0][0].map(row => row.orderId)).toEqual(['1001']);
+      expect(response.body.run.rejectedRows).toBe(3);
+    });
+
+    test('should reject rows that are not trade objects', async () => {
+      const response = await request(app).post('/api/trades/bulk').send({ trades: [null, 'BUY', trade({ orderId: '1001' })] });
+
+      expect(response.status).toBe(201);
+      expect(response.body.rejected).toEqual([
+        { index: 0, orderId: '', errors: ['Row must be a trade object'] },
+        { index: 1, orderId: '', errors: ['Row must be a trade object'] }
+      ]);
+      expect(Trade.insertMany.mock.calls[0][0]).toHaveLength(1);
+    });
+
+    test('should save nothing on a dry run', async () => {
+      const response = await request(app).post('/api/trades/bulk').send({ trades: rows, dryRun: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body.dryRun).toBe(true);
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.rejected).toHaveLength(3);
+      expect(ImportRun.prototype.save).not.toHaveBeenCalled();
+      expect(Trade.insertMany).not.toHaveBeenCalled();
+    });
+
+    test('should return the first import again for a repeated idempotency key', async () => {
+      const run = { _id: '65a4f0c2e4b0a1b2c3d4e5f7', idempotencyKey: 'upload-1' };
+      ImportRun.findOne.mockReturnValue(query(run));
+      Trade.find.mockReturnValue(query([trade({ orderId: '1001', importRun: run._id })]));
+
+      const response = await request(app).post('/api/trades/bulk').set('Idempotency-Key', 'upload-1').send({ trades: rows });
+
+      expect(response.status).toBe(200);
+      expect(response.body.replayed).toBe(true);
+      expect(response.body.data).toHaveLength(1);
+      expect(ImportRun.findOne).toHaveBeenCalledWith({ idempotencyKey: 'upload-1' });
+      expect(Trade.insertMany).not.toHaveBeenCalled();
+    });
+
+    test('should remove the run and its saved trades when the insert fails', async () => {
+      const duplicate = Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      Trade.insertMany.mockRejectedValue(duplicate);
+      jest.spyOn(Trade, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+      jest.spyOn(ImportRun, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+
+      const response = await request(app).post('/api/trades/bulk').set('Idempotency-Key', 'upload-2').send({ trades: rows });
+
+      expect(response.status).toBe(409);
+      const runId = ImportRun.prototype.save.mock.contexts[0]._id;
+      expect(Trade.deleteMany).toHaveBeenCalledWith({ importRun: runId });
+      expect(ImportRun.deleteOne).toHaveBeenCalledWith({ _id: runId });
+    });
+  });
+});
@@ -0,0 +1,71 @@
+const express = require('express');
+const request = require('supertest');
+const Transfer = require('../models/Transfer');
+const Venue = require('../models/Venue');
+
+// The ledger is rebuilt after every change; these tests only cover the route
+jest.mock('../services/ledgerService');
+
+const transfersRoutes = require('../routes/transfers');
+
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/transfers', transfersRoutes);
+  return app;
+};
+
+const transfer = (extra = {}) => ({
+  fromVenue: 'BINANCE',
+  toVenue: 'WAZIRX',
+  amount: 100,
+  networkFee: 1,
+  ...extra
+});
+
+describe('Transfers routes', () => {
+  let app;
+
+  beforeEach(() => {
+    app = createApp();
+    jest.spyOn(Venue, 'exists').mockResolvedValue({ _id: 'venue' });
+    jest.spyOn(Transfer.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should record a transfer', async () => {
+    const response = await request(app).post('/api/transfers').send(transfer());
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.amount).toBe(100);
+  });
+
+  test.each([
+    [{ amount: -100 }, 'amount must be a positive number'],
+    [{ amount: 'abc' }, 'amount must be a positive number'],
+    [{ networkFee: -1 }, 'networkFee must be zero or a positive number']
+  ])('should reject a transfer with %j', async (extra, message) => {
+    const response = await request(app).post('/api/transfers').send(transfer(extra));
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe(message);
+    expect(Transfer.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('should reject an update with a negative amount or network fee', async () => {
+    const update = jest.spyOn(Transfer, 'findByIdAndUpdate');
+
+    const amount = await request(app).put('/api/transfers/abc').send({ amount: -5 });
+    const networkFee = await request(app).put('/api/transfers/abc').send({ networkFee: -0.5 });
+
+    expect(amount.status).toBe(400);
+    expect(networkFee.status).toBe(400);
+    expect(update).not.toHaveBeenCalled();
+  });
+});
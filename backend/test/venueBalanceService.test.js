@@ -0,0 +1,48 @@
+const VenueBalanceService = require('../services/venueBalanceService');
+
+const trade = (type, cryptoAmount, venue) => ({
+  type,
+  cryptoAmount,
+  venue,
+  cryptoCurrency: 'USDT'
+});
+
+describe('VenueBalanceService', () => {
+  test('should move balances between venues and charge the fee to the source', () => {
+    const service = new VenueBalanceService();
+    const balances = service.buildBalances(
+      [trade('BUY', 1000, 'BINANCE'), trade('SELL', 300, 'BYBIT')],
+      [
+        { fromVenue: 'BINANCE', toVenue: 'BYBIT', cryptoCurrency: 'USDT', amount: 500, networkFee: 1 },
+        { fromVenue: 'BINANCE', toVenue: 'COLD_WALLET', cryptoCurrency: 'USDT', amount: 200, networkFee: 0 }
+      ]
+    );
+    const byVenue = Object.fromEntries(balances.map(balance => [balance.venue, balance]));
+
+    expect(byVenue.BINANCE.balance).toBe(299);
+    expect(byVenue.BINANCE.networkFees).toBe(1);
+    expect(byVenue.BYBIT.balance).toBe(200);
+    expect(byVenue.COLD_WALLET.balance).toBe(200);
+    expect(service.summarizeBalances(balances)).toEqual([
+      { cryptoCurrency: 'USDT', balance: 699, networkFees: 1 }
+    ]);
+  });
+
+  test('should hold trades without a venue as unassigned', () => {
+    const service = new VenueBalanceService();
+    const balances = service.buildBalances([trade('BUY', 50)], []);
+
+    expect(balances[0].venue).toBe(VenueBalanceService.UNASSIGNED_VENUE);
+    expect(balances[0].balance).toBe(50);
+  });
+
+  test('should keep a transfer saved in another case on the trade venue', () => {
+    const service = new VenueBalanceService();
+    const balances = service.buildBalances(
+      [trade('BUY', 100, 'BINANCE')],
+      [{ fromVenue: 'Binance', toVenue: 'bybit ', cryptoCurrency: 'USDT', amount: 40, networkFee: 0 }]
+    );
+
+    expect(balances.map(balance => [balance.venue, balance.balance])).toEqual([['BINANCE', 60], ['BYBIT', 40]]);
+  });
+});
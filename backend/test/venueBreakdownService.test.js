@@ -0,0 +1,53 @@
+const VenueBreakdownService = require('../services/venueBreakdownService');
+const helpers = require('./helpers');
+
+const trade = (_id, type, cryptoAmount, price, venue, minutes) => helpers.trade(type, cryptoAmount, price, {
+  _id,
+  venue,
+  timestamp: new Date(Date.UTC(2024, 0, 1, 10, minutes))
+});
+
+describe('VenueBreakdownService', () => {
+  test('should attribute matched profit to the buy venue, sell venue and pair', () => {
+    const service = new VenueBreakdownService();
+    const breakdown = service.buildBreakdown([
+      trade('buy1', 'BUY', 100, 80, 'BINANCE', 0),
+      trade('buy2', 'BUY', 100, 85, 'BYBIT', 1),
+      trade('sell1', 'SELL', 150, 90, 'WAZIRX', 2),
+      trade('sell2', 'SELL', 50, 88, 'BINANCE', 3)
+    ]);
+    const pairs = Object.fromEntries(breakdown.pairs.map(pair => [`${pair.buyVenue}->${pair.sellVenue}`, pair]));
+    const bySell = Object.fromEntries(breakdown.bySellVenue.map(row => [row.venue, row]));
+
+    expect(pairs['BINANCE->WAZIRX'].netProfit).toBe(1000);
+    expect(pairs['BINANCE->WAZIRX'].spreadPercent).toBeCloseTo(12.5);
+    expect(pairs['BYBIT->WAZIRX'].quantity).toBe(50);
+    expect(pairs['BYBIT->BINANCE'].netProfit).toBe(150);
+    expect(bySell.WAZIRX.quantity).toBe(150);
+    expect(bySell.WAZIRX.buyVwap).toBeCloseTo((100 * 80 + 50 * 85) / 150);
+    expect(breakdown.buyVenues).toEqual(['BINANCE', 'BYBIT']);
+    expect(breakdown.sellVenues).toEqual(['BINANCE', 'WAZIRX']);
+  });
+
+  test('should count oversold quantity only on the sell venue', () => {
+    const service = new VenueBreakdownService();
+    const breakdown = service.buildBreakdown([
+      trade('buy1', 'BUY', 10, 80, undefined, 0),
+      trade('sell1', 'SELL', 30, 90, 'BINANCE', 1)
+    ]);
+
+    expect(breakdown.bySellVenue[0].quantity).toBe(30);
+    expect(breakdown.byBuyVenue).toHaveLength(1);
+    expect(breakdown.byBuyVenue[0].venue).toBe('UNASSIGNED');
+    expect(breakdown.byBuyVenue[0].quantity).toBe(10);
+    expect(breakdown.pairs).toHaveLength(1);
+  });
+
+  test('should attribute average-cost methods with FIFO', () => {
+    const service = new VenueBreakdownService();
+    service.setMethod('MOVING_AVERAGE');
+
+    expect(service.profitCalculator.method).toBe('FIFO');
+    expect(() => service.setMethod('BOGUS')).toThrow('Invalid method');
+  });
+});
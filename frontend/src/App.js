@@ -4,6 +4,13 @@ import './App.css';
 import Navbar from './components/Navbar';
 import Dashboard from './pages/Dashboard';
 import Trades from './pages/Trades';
+import Cycles from './pages/Cycles';
+import BankAccounts from './pages/BankAccounts';
+import Transfers from './pages/Transfers';
+import Venues from './pages/Venues';
+import Counterparties from './pages/Counterparties';
+import Disputes from './pages/Disputes';
+import Import from './pages/Import';
 import Settings from './pages/Settings';
 import { AppProvider } from './context/AppContext';
 
@@ -17,6 +24,13 @@ function App() {
             <Routes>
               <Route path="/" element={<Dashboard />} />
               <Route path="/trades" element={<Trades />} />
+              <Route path="/import" element={<Import />} />
+              <Route path="/cycles" element={<Cycles />} />
+              <Route path="/bank-accounts" element={<BankAccounts />} />
+              <Route path="/transfers" element={<Transfers />} />
+              <Route path="/venues" element={<Venues />} />
+              <Route path="/counterparties" element={<Counterparties />} />
+              <Route path="/disputes" element={<Disputes />} />
               <Route path="/settings" element={<Settings />} />
             </Routes>
           </main>
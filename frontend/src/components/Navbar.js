@@ -6,6 +6,12 @@ const Navbar = () => {
   const navItems = [
     { path: '/', label: 'Dashboard', icon: '📊' },
     { path: '/trades', label: 'Trades', icon: '💱' },
+    { path: '/cycles', label: 'Cycles', icon: '🔁' },
+    { path: '/transfers', label: 'Transfers', icon: '🔀' },
+    { path: '/venues', label: 'Venues', icon: '🏛️' },
+    { path: '/counterparties', label: 'Counterparties', icon: '👥' },
+    { path: '/disputes', label: 'Cases', icon: '⚖️' },
+    { path: '/bank-accounts', label: 'Accounts', icon: '🏦' },
     { path: '/settings', label: 'Settings', icon: '⚙️' }
   ];
 
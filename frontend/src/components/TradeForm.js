@@ -1,5 +1,6 @@
-import React, { useState, useCallback } from 'react';
-import { API_CONFIG, CURRENCIES, CRYPTO_CURRENCIES } from '../config';
+import React, { useState, useEffect, useCallback } from 'react';
+import { useApp } from '../context/AppContext';
+import { API_CONFIG, CURRENCIES, CRYPTO_CURRENCIES, TRANSFER_MODES, RISK_FLAGS } from '../config';
 import './TradeForm.css';
 
 const TradeForm = ({ onTradeAdded, onCancel }) => {
@@ -11,12 +12,148 @@ const TradeForm = ({ onTradeAdded, onCancel }) => {
     price: '',
     cryptoAmount: '',
     cryptoCurrency: 'USDT',
+    feeFiat: '',
+    feeCrypto: '',
+    closesTrades: '',
+    tdsDeducted: '',
+    venue: '',
+    orderId: '',
+    counterparty: '',
+    paymentMethod: '',
+    bankAccount: '',
+    transferMode: 'UPI',
     notes: '',
     status: 'COMPLETED'
   });
 
+  const { settings } = useApp();
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [venues, setVenues] = useState([]);
+  const [paymentMethods, setPaymentMethods] = useState([]);
+  const [bankAccounts, setBankAccounts] = useState([]);
+  const [limitCheck, setLimitCheck] = useState(null);
+  const [counterpartyRisk, setCounterpartyRisk] = useState(null);
+
+  // Load the venues a trade can be placed on
+  useEffect(() => {
+    const loadVenues = async () => {
+      try {
+        const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.VENUES}?active=true`);
+        const result = await response.json();
+
+        if (response.ok) {
+          setVenues(result.data);
+        }
+      } catch (err) {
+        console.error('Failed to load venues:', err);
+      }
+    };
+
+    loadVenues();
+  }, []);
+
+  // Load the payment methods a trade can be paid with
+  useEffect(() => {
+    const loadPaymentMethods = async () => {
+      try {
+        const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.PAYMENT_METHODS}?active=true`);
+        const result = await response.json();
+
+        if (response.ok) {
+          setPaymentMethods(result.data);
+        }
+      } catch (err) {
+        console.error('Failed to load payment methods:', err);
+      }
+    };
+
+    loadPaymentMethods();
+  }, []);
+
+  // Load the accounts a trade can settle through
+  useEffect(() => {
+    const loadBankAccounts = async () => {
+      try {
+        const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.BANK_ACCOUNTS}`);
+        const result = await response.json();
+
+        if (response.ok) {
+          setBankAccounts(result.data.filter(account => account.active));
+        }
+      } catch (err) {
+        console.error('Failed to load bank accounts:', err);
+      }
+    };
+
+    loadBankAccounts();
+  }, []);
+
+  // Check the account's daily limit whenever an outgoing payment changes
+  useEffect(() => {
+    if (formData.type !== 'BUY' || !formData.bankAccount || !(parseFloat(formData.fiatAmount) > 0)) {
+      setLimitCheck(null);
+      return;
+    }
+
+    const checkLimit = async () => {
+      try {
+        const queryParams = new URLSearchParams({
+          bankAccount: formData.bankAccount,
+          type: formData.type,
+          transferMode: formData.transferMode,
+          fiatAmount: formData.fiatAmount,
+          timestamp: new Date(formData.timestamp).toISOString(),
+          timezone: settings.timezone || 'UTC'
+        });
+        const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.BANK_ACCOUNTS}/limit-check?${queryParams}`);
+        const result = await response.json();
+
+        if (response.ok) {
+          setLimitCheck(result.data);
+        }
+      } catch (err) {
+        console.error('Failed to check bank account limit:', err);
+      }
+    };
+
+    checkLimit();
+  }, [formData.type, formData.bankAccount, formData.transferMode, formData.fiatAmount, formData.timestamp, settings.timezone]);
+
+  // Look up the risk flags of the counterparty entered
+  useEffect(() => {
+    if (!formData.counterparty.trim()) {
+      setCounterpartyRisk(null);
+      return;
+    }
+
+    const lookupCounterparty = async () => {
+      try {
+        const queryParams = new URLSearchParams({ name: formData.counterparty.trim() });
+        const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.COUNTERPARTIES}/lookup?${queryParams}`);
+        const result = await response.json();
+
+        if (response.ok) {
+          setCounterpartyRisk(result.data);
+        }
+      } catch (err) {
+        console.error('Failed to look up counterparty:', err);
+      }
+    };
+
+    lookupCounterparty();
+  }, [formData.counterparty]);
+
+  // A payment method sends the payment on its own rail
+  const handlePaymentMethodChange = useCallback((e) => {
+    const { value } = e.target;
+    const method = paymentMethods.find(paymentMethod => paymentMethod.code === value);
+    setFormData(prev => ({
+      ...prev,
+      paymentMethod: value,
+      ...(method && { transferMode: method.transferMode })
+    }));
+  }, [paymentMethods]);
 
   const handleInputChange = useCallback((e) => {
     const { name, value } = e.target;
@@ -87,6 +224,16 @@ const TradeForm = ({ onTradeAdded, onCancel }) => {
         price: '',
         cryptoAmount: '',
         cryptoCurrency: 'USDT',
+        feeFiat: '',
+        feeCrypto: '',
+        closesTrades: '',
+        tdsDeducted: '',
+        venue: '',
+        orderId: '',
+        counterparty: '',
+        paymentMethod: '',
+        bankAccount: '',
+        transferMode: 'UPI',
         notes: '',
         status: 'COMPLETED'
       });
@@ -112,6 +259,16 @@ const TradeForm = ({ onTradeAdded, onCancel }) => {
       price: '',
       cryptoAmount: '',
       cryptoCurrency: 'USDT',
+      feeFiat: '',
+      feeCrypto: '',
+      closesTrades: '',
+      tdsDeducted: '',
+      venue: '',
+      orderId: '',
+      counterparty: '',
+      paymentMethod: '',
+      bankAccount: '',
+      transferMode: 'UPI',
       notes: '',
       status: 'COMPLETED'
     });
@@ -271,6 +428,191 @@ const TradeForm = ({ onTradeAdded, onCancel }) => {
           </div>
         </div>
 
+        <div className="form-row">
+          <div className="form-group">
+            <label htmlFor="venue">Venue</label>
+            <select
+              id="venue"
+              name="venue"
+              value={formData.venue}
+              onChange={handleInputChange}
+              className="form-control"
+            >
+              <option value="">Not set</option>
+              {venues.map(venue => (
+                <option key={venue._id} value={venue.code}>
+                  {venue.name || venue.code}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="counterparty">Counterparty</label>
+            <input
+              type="text"
+              id="counterparty"
+              name="counterparty"
+              value={formData.counterparty}
+              onChange={handleInputChange}
+              placeholder="P2P nickname"
+              className="form-control"
+            />
+          </div>
+        </div>
+
+        {counterpartyRisk && (counterpartyRisk.blacklisted || counterpartyRisk.riskFlags.length > 0) && (
+          <div className={`warning-message ${counterpartyRisk.blacklisted ? 'blacklisted' : ''}`}>
+            {counterpartyRisk.blacklisted
+              ? `${counterpartyRisk.name} is blacklisted.`
+              : `${counterpartyRisk.name} is flagged.`}
+            {counterpartyRisk.riskFlags.length > 0 && ` Risk flags: ${counterpartyRisk.riskFlags.map(flag => RISK_FLAGS[flag] || flag).join(', ')}.`}
+            {counterpartyRisk.disputes > 0 && ` ${counterpartyRisk.disputes} past dispute(s).`}
+            {counterpartyRisk.notes && ` ${counterpartyRisk.notes}`}
+          </div>
+        )}
+
+        <div className="form-row">
+          <div className="form-group">
+            <label htmlFor="paymentMethod">Payment Method</label>
+            <select
+              id="paymentMethod"
+              name="paymentMethod"
+              value={formData.paymentMethod}
+              onChange={handlePaymentMethodChange}
+              className="form-control"
+            >
+              <option value="">Not set</option>
+              {paymentMethods.map(method => (
+                <option key={method._id} value={method.code}>
+                  {method.name || method.code}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="orderId">Order ID</label>
+            <input
+              type="text"
+              id="orderId"
+              name="orderId"
+              value={formData.orderId}
+              onChange={handleInputChange}
+              placeholder="Venue's order number"
+              className="form-control"
+            />
+          </div>
+        </div>
+
+        <div className="form-row">
+          <div className="form-group">
+            <label htmlFor="bankAccount">Bank Account</label>
+            <select
+              id="bankAccount"
+              name="bankAccount"
+              value={formData.bankAccount}
+              onChange={handleInputChange}
+              className="form-control"
+            >
+              <option value="">Not linked</option>
+              {bankAccounts.map(account => (
+                <option key={account._id} value={account._id}>
+                  {account.name}{account.accountNumber ? ` ••${account.accountNumber}` : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="transferMode">Transfer Mode</label>
+            <select
+              id="transferMode"
+              name="transferMode"
+              value={formData.transferMode}
+              onChange={handleInputChange}
+              className="form-control"
+            >
+              {TRANSFER_MODES.map(mode => (
+                <option key={mode} value={mode}>{mode}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {limitCheck && limitCheck.exceeds && (
+          <div className="warning-message">
+            This payment takes {limitCheck.transferMode} usage on {limitCheck.date} to{' '}
+            {limitCheck.usedAfter.toLocaleString('en-IN')} of the{' '}
+            {limitCheck.limit.toLocaleString('en-IN')} daily limit
+            ({Math.max(limitCheck.remaining, 0).toLocaleString('en-IN')} left).
+          </div>
+        )}
+
+        <div className="form-row">
+          <div className="form-group">
+            <label htmlFor="feeFiat">Fiat Fees ({formData.fiatCurrency})</label>
+            <input
+              type="number"
+              id="feeFiat"
+              name="feeFiat"
+              value={formData.feeFiat}
+              onChange={handleInputChange}
+              placeholder="0.00"
+              step="0.01"
+              min="0"
+              className="form-control"
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="feeCrypto">Crypto Fees ({formData.cryptoCurrency})</label>
+            <input
+              type="number"
+              id="feeCrypto"
+              name="feeCrypto"
+              value={formData.feeCrypto}
+              onChange={handleInputChange}
+              placeholder="0.000000"
+              step="0.000001"
+              min="0"
+              className="form-control"
+            />
+          </div>
+        </div>
+
+        {formData.type === 'SELL' && (
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="closesTrades">Closes Buy Trades</label>
+              <input
+                type="text"
+                id="closesTrades"
+                name="closesTrades"
+                value={formData.closesTrades}
+                onChange={handleInputChange}
+                placeholder="Buy trade IDs, comma separated (specific identification)"
+                className="form-control"
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="tdsDeducted">TDS Deducted ({formData.fiatCurrency})</label>
+              <input
+                type="number"
+                id="tdsDeducted"
+                name="tdsDeducted"
+                value={formData.tdsDeducted}
+                onChange={handleInputChange}
+                placeholder="0.00"
+                step="0.01"
+                min="0"
+                className="form-control"
+              />
+            </div>
+          </div>
+        )}
+
         <div className="form-group">
           <label htmlFor="notes">Notes</label>
           <textarea
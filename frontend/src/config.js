@@ -5,15 +5,36 @@ export const API_CONFIG = {
     HEALTH: '/api/health',
     TRADES: '/api/trades',
     SUMMARY: '/api/summary',
-    PNL: '/api/pnl'
+    PNL: '/api/pnl',
+    LEDGER: '/api/ledger',
+    PRICES: '/api/prices',
+    FX_RATES: '/api/fx-rates',
+    CYCLES: '/api/cycles',
+    TAX: '/api/tax',
+    CAPITAL: '/api/capital',
+    BANK_ACCOUNTS: '/api/bank-accounts',
+    TRANSFERS: '/api/transfers',
+    VENUES: '/api/venues',
+    COUNTERPARTIES: '/api/counterparties',
+    PAYMENT_METHODS: '/api/payment-methods',
+    DISPUTES: '/api/disputes',
+    IMPORTS: '/api/imports'
   },
   TIMEOUT: 10000,
   RETRY_ATTEMPTS: 3
 };
 
+// Timezone of this browser, used until the user picks one
+export const LOCAL_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
 export const DEFAULT_SETTINGS = {
   fiatCurrency: 'INR',
+  cryptoCurrency: 'USDT',
   profitCalculationMethod: 'FIFO',
+  unmatchedPolicy: 'ZERO_COST',
+  timezone: LOCAL_TIMEZONE,
+  weekStart: 0,
+  fiscalYearStart: 1,
   dateFormat: 'DD/MM/YYYY',
   timeFormat: '24h',
   theme: 'dark'
@@ -35,9 +56,80 @@ export const CRYPTO_CURRENCIES = {
 
 export const PROFIT_METHODS = {
   FIFO: 'First In, First Out',
-  AVERAGE: 'Average Cost'
+  LIFO: 'Last In, First Out',
+  HIFO: 'Highest In, First Out',
+  SPECIFIC: 'Specific Identification',
+  MOVING_AVERAGE: 'Moving Average Cost',
+  AVERAGE: 'Period Average Cost'
+};
+
+// Handling of sell quantity beyond the available inventory
+export const UNMATCHED_POLICIES = {
+  ZERO_COST: 'Treat as zero-cost',
+  BLOCK: 'Block the calculation'
+};
+
+// Payment rails a trade's fiat leg can settle on
+export const TRANSFER_MODES = ['UPI', 'IMPS', 'NEFT', 'RTGS', 'OTHER'];
+
+export const VENUE_KINDS = ['P2P', 'EXCHANGE', 'WALLET'];
+
+export const RISK_FLAGS = {
+  CHARGEBACK: 'Chargeback',
+  THIRD_PARTY_PAYMENT: 'Third-party payment',
+  SLOW_PAYMENT: 'Slow payment',
+  FROZEN_ACCOUNT: 'Frozen bank account',
+  SUSPECTED_FRAUD: 'Suspected fraud',
+  OTHER: 'Other'
 };
 
+export const DISPUTE_KINDS = {
+  DISPUTE: 'P2P dispute',
+  CHARGEBACK: 'Chargeback',
+  BANK_FREEZE: 'Bank freeze'
+};
+
+export const DISPUTE_STATUSES = {
+  OPENED: 'Opened',
+  UNDER_REVIEW: 'Under review',
+  RESOLVED: 'Resolved',
+  LOST: 'Lost'
+};
+
+// Trade fields the columns of an imported order history can be mapped to. The
+// fiat amount is price × quantity when it has no column.
+export const IMPORT_FIELDS = [
+  { key: 'orderId', label: 'Order Number' },
+  { key: 'type', label: 'Side (Buy/Sell)', required: true },
+  { key: 'timestamp', label: 'Time', required: true },
+  { key: 'price', label: 'Price', required: true },
+  { key: 'cryptoAmount', label: 'Crypto Amount', required: true },
+  { key: 'fiatAmount', label: 'Fiat Amount' },
+  { key: 'cryptoCurrency', label: 'Crypto Currency' },
+  { key: 'fiatCurrency', label: 'Fiat Currency' },
+  { key: 'feeFiat', label: 'Fee (Fiat)' },
+  { key: 'feeCrypto', label: 'Fee (Crypto)' },
+  { key: 'counterparty', label: 'Counterparty' },
+  { key: 'status', label: 'Status' }
+];
+
+export const TIMEZONES = [
+  'Asia/Kolkata',
+  'UTC',
+  'Asia/Dubai',
+  'Asia/Singapore',
+  'Europe/London',
+  'Europe/Berlin',
+  'America/New_York'
+];
+
+export const WEEK_DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+export const MONTHS = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
 // Debug configuration
 export const DEBUG_CONFIG = {
   ENABLE_LOGGING: process.env.NODE_ENV === 'development',
@@ -1,6 +1,6 @@
 import React, { createContext, useContext, useReducer, useEffect, useState, useCallback, useMemo } from 'react';
 import axios from 'axios';
-import { API_CONFIG, DEBUG_CONFIG } from '../config';
+import { API_CONFIG, DEBUG_CONFIG, LOCAL_TIMEZONE } from '../config';
 
 // Configure axios base URL
 axios.defaults.baseURL = API_CONFIG.BASE_URL;
@@ -54,7 +54,12 @@ const AppContext = createContext();
 const initialState = {
   settings: {
     fiatCurrency: 'INR',
+    cryptoCurrency: 'USDT',
     profitCalculationMethod: 'FIFO',
+    unmatchedPolicy: 'ZERO_COST',
+    timezone: LOCAL_TIMEZONE,
+    weekStart: 0,
+    fiscalYearStart: 1,
     dateFormat: 'DD/MM/YYYY',
     timeFormat: '24h',
     theme: 'dark'
@@ -138,12 +143,12 @@ export const AppProvider = ({ children }) => {
   }, []);
 
   // Fetch summary data
-  const fetchSummary = useCallback(async (fiatCurrency = 'INR', method = 'FIFO') => {
+  const fetchSummary = useCallback(async (fiatCurrency = 'INR', method = 'FIFO', cryptoCurrency = 'USDT', unmatchedPolicy = 'ZERO_COST') => {
     dispatch({ type: 'SET_LOADING', payload: true });
     dispatch({ type: 'SET_ERROR', payload: null });
 
     try {
-      const response = await fetch(`http://localhost:5000/api/summary?fiatCurrency=${fiatCurrency}&method=${method}`);
+      const response = await fetch(`http://localhost:5000/api/summary?fiatCurrency=${fiatCurrency}&cryptoCurrency=${cryptoCurrency}&method=${method}&unmatchedPolicy=${unmatchedPolicy}`);
       const result = await response.json();
 
       if (!response.ok) {
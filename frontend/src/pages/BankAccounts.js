@@ -0,0 +1,435 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useApp } from '../context/AppContext';
+import { API_CONFIG, CURRENCIES, TRANSFER_MODES } from '../config';
+import './BankAccounts.css';
+
+const EMPTY_ACCOUNT = {
+  name: '',
+  bankName: '',
+  accountNumber: '',
+  fiatCurrency: 'INR',
+  openingBalance: '',
+  upiDailyLimit: '100000',
+  impsDailyLimit: '500000'
+};
+
+const EMPTY_PAYMENT_METHOD = {
+  code: '',
+  name: '',
+  transferMode: 'UPI'
+};
+
+const BankAccounts = () => {
+  const { settings } = useApp();
+  const [accounts, setAccounts] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [formData, setFormData] = useState(EMPTY_ACCOUNT);
+  const [paymentMethods, setPaymentMethods] = useState([]);
+  const [methodForm, setMethodForm] = useState(EMPTY_PAYMENT_METHOD);
+
+  // Fetch accounts with balances and today's limit usage
+  const fetchAccounts = useCallback(async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const queryParams = new URLSearchParams({ timezone: settings.timezone || 'UTC' });
+      const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.BANK_ACCOUNTS}?${queryParams}`);
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to fetch bank accounts');
+      }
+
+      setAccounts(result.data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [settings.timezone]);
+
+  // Fetch the managed payment method list
+  const fetchPaymentMethods = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.PAYMENT_METHODS}`);
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to fetch payment methods');
+      }
+
+      setPaymentMethods(result.data);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  // Load accounts on component mount
+  useEffect(() => {
+    fetchAccounts();
+  }, [fetchAccounts]);
+
+  // Load payment methods on component mount
+  useEffect(() => {
+    fetchPaymentMethods();
+  }, [fetchPaymentMethods]);
+
+  const handleInputChange = useCallback((e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  }, []);
+
+  // Add an account
+  const handleSubmit = useCallback(async (e) => {
+    e.preventDefault();
+    setError('');
+
+    try {
+      const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.BANK_ACCOUNTS}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(formData)
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to add bank account');
+      }
+
+      setFormData(EMPTY_ACCOUNT);
+      fetchAccounts();
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [formData, fetchAccounts]);
+
+  // Stop offering an account for new trades
+  const handleToggleActive = useCallback(async (account) => {
+    try {
+      const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.BANK_ACCOUNTS}/${account._id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ active: !account.active })
+      });
+
+      if (response.ok) {
+        fetchAccounts();
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [fetchAccounts]);
+
+  const handleMethodInputChange = useCallback((e) => {
+    const { name, value } = e.target;
+    setMethodForm(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  }, []);
+
+  // Add a payment method
+  const handleAddPaymentMethod = useCallback(async (e) => {
+    e.preventDefault();
+    setError('');
+
+    try {
+      const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.PAYMENT_METHODS}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(methodForm)
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to add payment method');
+      }
+
+      setMethodForm(EMPTY_PAYMENT_METHOD);
+      fetchPaymentMethods();
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [methodForm, fetchPaymentMethods]);
+
+  // Stop offering a payment method for new trades
+  const handleTogglePaymentMethod = useCallback(async (paymentMethod) => {
+    try {
+      const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.PAYMENT_METHODS}/${paymentMethod._id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ active: !paymentMethod.active })
+      });
+
+      if (response.ok) {
+        fetchPaymentMethods();
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [fetchPaymentMethods]);
+
+  // Format currency
+  const formatCurrency = useCallback((amount, currency = 'INR') => {
+    const symbol = CURRENCIES[currency]?.symbol || currency;
+    return `${symbol}${parseFloat(amount || 0).toLocaleString('en-IN', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    })}`;
+  }, []);
+
+  // Used / limit of one rail today
+  const renderUsage = useCallback((rail, currency) => {
+    if (!rail || rail.limit <= 0) {
+      return <span className="usage-unlimited">{formatCurrency(rail ? rail.used : 0, currency)} · no limit</span>;
+    }
+
+    const percent = Math.min(rail.used / rail.limit * 100, 100);
+    return (
+      <div className="usage">
+        <div className="usage-bar">
+          <div
+            className={`usage-fill ${rail.exceeded ? 'exceeded' : ''}`}
+            style={{ width: `${percent}%` }}
+          />
+        </div>
+        <span className={rail.exceeded ? 'negative' : ''}>
+          {formatCurrency(rail.used, currency)} / {formatCurrency(rail.limit, currency)}
+        </span>
+      </div>
+    );
+  }, [formatCurrency]);
+
+  return (
+    <div className="bank-accounts-page">
+      <div className="bank-accounts-header">
+        <h1>Bank Accounts</h1>
+        <p>Fiat balances from linked trades, today's UPI/IMPS limit usage, and the payment methods trades are paid with</p>
+      </div>
+
+      {/* Error Message */}
+      {error && (
+        <div className="error-message">
+          {error}
+        </div>
+      )}
+
+      {/* Accounts Table */}
+      <div className="accounts-table-container">
+        {loading && accounts.length === 0 ? (
+          <div className="loading">Loading bank accounts...</div>
+        ) : accounts.length === 0 ? (
+          <div className="no-accounts">
+            <p>No bank accounts yet. Add one below to link trades to it.</p>
+          </div>
+        ) : (
+          <table className="accounts-table">
+            <thead>
+              <tr>
+                <th>Account</th>
+                <th>Bank</th>
+                <th>Balance</th>
+                <th>UPI Today</th>
+                <th>IMPS Today</th>
+                <th>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {accounts.map(account => (
+                <tr key={account._id} className={account.active ? '' : 'inactive'}>
+                  <td>
+                    {account.name}
+                    {account.accountNumber && <span className="account-number"> ••{account.accountNumber}</span>}
+                  </td>
+                  <td>{account.bankName || '—'}</td>
+                  <td className={account.balance < 0 ? 'negative' : ''}>
+                    {formatCurrency(account.balance, account.fiatCurrency)}
+                  </td>
+                  <td>{renderUsage(account.todayUsage.UPI, account.fiatCurrency)}</td>
+                  <td>{renderUsage(account.todayUsage.IMPS, account.fiatCurrency)}</td>
+                  <td>
+                    <button className="btn btn-secondary" onClick={() => handleToggleActive(account)}>
+                      {account.active ? 'Deactivate' : 'Activate'}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Add Account */}
+      <form className="account-form" onSubmit={handleSubmit}>
+        <h3>Add Account</h3>
+        <div className="form-grid">
+          <div className="form-group">
+            <label>Name *</label>
+            <input
+              type="text"
+              name="name"
+              value={formData.name}
+              onChange={handleInputChange}
+              placeholder="e.g. HDFC Savings"
+              required
+              className="form-control"
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Bank</label>
+            <input
+              type="text"
+              name="bankName"
+              value={formData.bankName}
+              onChange={handleInputChange}
+              className="form-control"
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Last 4 Digits</label>
+            <input
+              type="text"
+              name="accountNumber"
+              value={formData.accountNumber}
+              onChange={handleInputChange}
+              maxLength="4"
+              className="form-control"
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Opening Balance</label>
+            <input
+              type="number"
+              name="openingBalance"
+              value={formData.openingBalance}
+              onChange={handleInputChange}
+              placeholder="0.00"
+              step="0.01"
+              className="form-control"
+            />
+          </div>
+
+          <div className="form-group">
+            <label>UPI Daily Limit</label>
+            <input
+              type="number"
+              name="upiDailyLimit"
+              value={formData.upiDailyLimit}
+              onChange={handleInputChange}
+              min="0"
+              className="form-control"
+            />
+          </div>
+
+          <div className="form-group">
+            <label>IMPS Daily Limit</label>
+            <input
+              type="number"
+              name="impsDailyLimit"
+              value={formData.impsDailyLimit}
+              onChange={handleInputChange}
+              min="0"
+              className="form-control"
+            />
+          </div>
+        </div>
+        <button type="submit" className="btn btn-primary">
+          Add Account
+        </button>
+      </form>
+
+      {/* Payment Methods */}
+      <div className="accounts-table-container payment-methods">
+        <h3>Payment Methods</h3>
+        {paymentMethods.length === 0 ? (
+          <div className="no-accounts">
+            <p>No payment methods yet. Add the ones your ads accept, such as UPI, IMPS or cash.</p>
+          </div>
+        ) : (
+          <table className="accounts-table">
+            <thead>
+              <tr>
+                <th>Code</th>
+                <th>Name</th>
+                <th>Sent On</th>
+                <th>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {paymentMethods.map(paymentMethod => (
+                <tr key={paymentMethod._id} className={paymentMethod.active ? '' : 'inactive'}>
+                  <td>{paymentMethod.code}</td>
+                  <td>{paymentMethod.name}</td>
+                  <td>{paymentMethod.transferMode}</td>
+                  <td>
+                    <button className="btn btn-secondary" onClick={() => handleTogglePaymentMethod(paymentMethod)}>
+                      {paymentMethod.active ? 'Deactivate' : 'Activate'}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <form className="account-form" onSubmit={handleAddPaymentMethod}>
+        <h3>Add Payment Method</h3>
+        <div className="form-grid">
+          <div className="form-group">
+            <label>Code *</label>
+            <input
+              type="text"
+              name="code"
+              value={methodForm.code}
+              onChange={handleMethodInputChange}
+              placeholder="e.g. UPI"
+              required
+              className="form-control"
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Name *</label>
+            <input
+              type="text"
+              name="name"
+              value={methodForm.name}
+              onChange={handleMethodInputChange}
+              placeholder="e.g. UPI (any app)"
+              required
+              className="form-control"
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Sent On</label>
+            <select
+              name="transferMode"
+              value={methodForm.transferMode}
+              onChange={handleMethodInputChange}
+              className="form-control"
+            >
+              {TRANSFER_MODES.map(mode => (
+                <option key={mode} value={mode}>{mode}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <button type="submit" className="btn btn-primary">
+          Add Payment Method
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default BankAccounts;
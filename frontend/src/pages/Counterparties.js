@@ -0,0 +1,266 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { useApp } from '../context/AppContext';
+import { API_CONFIG, CURRENCIES, RISK_FLAGS } from '../config';
+import './Counterparties.css';
+
+const EMPTY_COUNTERPARTY = {
+  _id: null,
+  name: '',
+  blacklisted: false,
+  riskFlags: [],
+  notes: ''
+};
+
+const Counterparties = () => {
+  const { settings } = useApp();
+  const [counterparties, setCounterparties] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [formData, setFormData] = useState(EMPTY_COUNTERPARTY);
+
+  // Fetch everyone traded with, with their history and flags
+  const fetchCounterparties = useCallback(async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const queryParams = new URLSearchParams({
+        fiatCurrency: settings.fiatCurrency || 'INR',
+        method: settings.profitCalculationMethod || 'FIFO'
+      });
+      const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.COUNTERPARTIES}?${queryParams}`);
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to fetch counterparties');
+      }
+
+      setCounterparties(result.data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [settings.fiatCurrency, settings.profitCalculationMethod]);
+
+  // Load counterparties on component mount
+  useEffect(() => {
+    fetchCounterparties();
+  }, [fetchCounterparties]);
+
+  const handleInputChange = useCallback((e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+  }, []);
+
+  const handleFlagToggle = useCallback((flag) => {
+    setFormData(prev => ({
+      ...prev,
+      riskFlags: prev.riskFlags.includes(flag)
+        ? prev.riskFlags.filter(existing => existing !== flag)
+        : [...prev.riskFlags, flag]
+    }));
+  }, []);
+
+  // Load a counterparty into the form
+  const handleEdit = useCallback((counterparty) => {
+    setFormData({
+      _id: counterparty._id,
+      name: counterparty.name,
+      blacklisted: counterparty.blacklisted,
+      riskFlags: counterparty.riskFlags,
+      notes: counterparty.notes || ''
+    });
+  }, []);
+
+  // Save the risk assessment, creating the record the first time
+  const handleSubmit = useCallback(async (e) => {
+    e.preventDefault();
+    setError('');
+
+    try {
+      const { _id, ...body } = formData;
+      const url = _id
+        ? `${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.COUNTERPARTIES}/${_id}`
+        : `${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.COUNTERPARTIES}`;
+      const response = await fetch(url, {
+        method: _id ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to save counterparty');
+      }
+
+      setFormData(EMPTY_COUNTERPARTY);
+      fetchCounterparties();
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [formData, fetchCounterparties]);
+
+  // Format currency
+  const formatCurrency = useCallback((amount, currency = 'INR') => {
+    const symbol = CURRENCIES[currency]?.symbol || currency;
+    return `${symbol}${parseFloat(amount || 0).toLocaleString('en-IN', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    })}`;
+  }, []);
+
+  const formatDate = useCallback((date) => {
+    return date ? new Date(date).toLocaleDateString('en-IN') : '—';
+  }, []);
+
+  return (
+    <div className="counterparties-page">
+      <div className="counterparties-header">
+        <h1>Counterparties</h1>
+        <p>Everyone you have traded with, their history and risk flags</p>
+      </div>
+
+      {/* Error Message */}
+      {error && (
+        <div className="error-message">
+          {error}
+        </div>
+      )}
+
+      {/* Counterparties Table */}
+      <div className="counterparties-table-container">
+        {loading && counterparties.length === 0 ? (
+          <div className="loading">Loading counterparties...</div>
+        ) : counterparties.length === 0 ? (
+          <div className="no-counterparties">
+            <p>No counterparties yet. Name the counterparty when adding a trade.</p>
+          </div>
+        ) : (
+          <table className="counterparties-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Trades</th>
+                <th>Volume</th>
+                <th>First Seen</th>
+                <th>Last Seen</th>
+                <th>Avg Spread</th>
+                <th>Disputes</th>
+                <th>Risk</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {counterparties.map(counterparty => (
+                <tr key={counterparty.name} className={counterparty.blacklisted ? 'blacklisted' : ''}>
+                  <td>{counterparty.name}</td>
+                  <td>
+                    {counterparty.trades}
+                    {counterparty.cancelledTrades > 0 && (
+                      <span className="cancelled-count"> +{counterparty.cancelledTrades} cancelled</span>
+                    )}
+                  </td>
+                  <td>{formatCurrency(counterparty.volumeFiat, settings.fiatCurrency)}</td>
+                  <td>{formatDate(counterparty.firstSeen)}</td>
+                  <td>{formatDate(counterparty.lastSeen)}</td>
+                  <td className={counterparty.avgSpreadPercent < 0 ? 'negative' : ''}>
+                    {counterparty.avgSpreadPercent === null ? '—' : `${counterparty.avgSpreadPercent.toFixed(2)}%`}
+                  </td>
+                  <td>{counterparty.disputes}</td>
+                  <td>
+                    {counterparty.blacklisted && <span className="risk-badge blacklisted">Blacklisted</span>}
+                    {counterparty.riskFlags.map(flag => (
+                      <span key={flag} className="risk-badge">{RISK_FLAGS[flag] || flag}</span>
+                    ))}
+                  </td>
+                  <td className="counterparty-actions">
+                    <Link
+                      className="btn btn-secondary"
+                      to={`/trades?counterparty=${encodeURIComponent(counterparty.name)}`}
+                    >
+                      Trades
+                    </Link>
+                    <button className="btn btn-secondary" onClick={() => handleEdit(counterparty)}>
+                      Edit
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Flag Counterparty */}
+      <form className="counterparty-form" onSubmit={handleSubmit}>
+        <h3>{formData._id ? `Edit ${formData.name}` : 'Flag Counterparty'}</h3>
+        <div className="form-grid">
+          <div className="form-group">
+            <label>Name *</label>
+            <input
+              type="text"
+              name="name"
+              value={formData.name}
+              onChange={handleInputChange}
+              placeholder="P2P nickname"
+              required
+              disabled={Boolean(formData._id)}
+              className="form-control"
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Notes</label>
+            <input
+              type="text"
+              name="notes"
+              value={formData.notes}
+              onChange={handleInputChange}
+              className="form-control"
+            />
+          </div>
+        </div>
+
+        <div className="risk-flags">
+          <label className="checkbox-label">
+            <input
+              type="checkbox"
+              name="blacklisted"
+              checked={formData.blacklisted}
+              onChange={handleInputChange}
+            />
+            Blacklisted
+          </label>
+          {Object.entries(RISK_FLAGS).map(([flag, label]) => (
+            <label key={flag} className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={formData.riskFlags.includes(flag)}
+                onChange={() => handleFlagToggle(flag)}
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+
+        <div className="form-actions">
+          {(formData._id || formData.name) && (
+            <button type="button" className="btn btn-secondary" onClick={() => setFormData(EMPTY_COUNTERPARTY)}>
+              Cancel
+            </button>
+          )}
+          <button type="submit" className="btn btn-primary">
+            Save
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default Counterparties;
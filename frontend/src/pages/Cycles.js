@@ -0,0 +1,308 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { useApp } from '../context/AppContext';
+import { API_CONFIG, CURRENCIES, CRYPTO_CURRENCIES } from '../config';
+import './Cycles.css';
+
+const Cycles = () => {
+  const { settings } = useApp();
+  const [cycles, setCycles] = useState([]);
+  const [analytics, setAnalytics] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [filters, setFilters] = useState({
+    fiatCurrency: settings.fiatCurrency || 'INR',
+    cryptoCurrency: settings.cryptoCurrency || 'USDT',
+    status: '',
+    from: '',
+    to: ''
+  });
+
+  // Fetch cycles and their analytics
+  const fetchCycles = useCallback(async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const queryParams = new URLSearchParams({
+        fiatCurrency: filters.fiatCurrency,
+        cryptoCurrency: filters.cryptoCurrency,
+        timezone: settings.timezone || 'UTC',
+        ...(filters.status && { status: filters.status }),
+        ...(filters.from && { from: filters.from }),
+        ...(filters.to && { to: filters.to })
+      });
+
+      const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.CYCLES}?${queryParams}`);
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to fetch cycles');
+      }
+
+      setCycles(result.data.cycles);
+      setAnalytics(result.data.analytics);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, settings.timezone]);
+
+  // Load cycles on component mount and when filters change
+  useEffect(() => {
+    fetchCycles();
+  }, [fetchCycles]);
+
+  // Handle filter changes
+  const handleFilterChange = useCallback((e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  }, []);
+
+  // Format currency
+  const formatCurrency = useCallback((amount, currency = 'INR') => {
+    const symbol = CURRENCIES[currency]?.symbol || currency;
+    return `${symbol}${parseFloat(amount || 0).toLocaleString('en-IN', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    })}`;
+  }, []);
+
+  // Format number
+  const formatNumber = useCallback((number, decimals = 2) => {
+    return parseFloat(number || 0).toLocaleString('en-IN', {
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals
+    });
+  }, []);
+
+  // Format holding time in hours or days
+  const formatHoldingTime = useCallback((hours) => {
+    if (hours === null || hours === undefined) return '—';
+    return hours < 24 ? `${formatNumber(hours, 1)}h` : `${formatNumber(hours / 24, 1)}d`;
+  }, [formatNumber]);
+
+  const chartTooltipStyle = {
+    backgroundColor: '#1a1a1a',
+    border: '1px solid #333',
+    borderRadius: '8px',
+    color: '#fff'
+  };
+
+  if (loading && cycles.length === 0) {
+    return (
+      <div className="cycles-page">
+        <div className="loading">Loading cycles...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="cycles-page">
+      <div className="cycles-header">
+        <h1>Cycles</h1>
+        <p>Buy-then-sell round trips: each buy and the sells that used it up, matched FIFO</p>
+      </div>
+
+      {/* Filters */}
+      <div className="filters-section">
+        <div className="filters-grid">
+          <div className="filter-group">
+            <label>Fiat Currency</label>
+            <select
+              name="fiatCurrency"
+              value={filters.fiatCurrency}
+              onChange={handleFilterChange}
+              className="filter-control"
+            >
+              {Object.entries(CURRENCIES).map(([code, currency]) => (
+                <option key={code} value={code}>
+                  {code} - {currency.name}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="filter-group">
+            <label>Crypto Currency</label>
+            <select
+              name="cryptoCurrency"
+              value={filters.cryptoCurrency}
+              onChange={handleFilterChange}
+              className="filter-control"
+            >
+              {Object.entries(CRYPTO_CURRENCIES).map(([code, crypto]) => (
+                <option key={code} value={code}>
+                  {code} - {crypto.name}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="filter-group">
+            <label>Status</label>
+            <select
+              name="status"
+              value={filters.status}
+              onChange={handleFilterChange}
+              className="filter-control"
+            >
+              <option value="">All Cycles</option>
+              <option value="CLOSED">Closed</option>
+              <option value="OPEN">Open</option>
+            </select>
+          </div>
+
+          <div className="filter-group">
+            <label>From Date</label>
+            <input
+              type="date"
+              name="from"
+              value={filters.from}
+              onChange={handleFilterChange}
+              className="filter-control"
+            />
+          </div>
+
+          <div className="filter-group">
+            <label>To Date</label>
+            <input
+              type="date"
+              name="to"
+              value={filters.to}
+              onChange={handleFilterChange}
+              className="filter-control"
+            />
+          </div>
+        </div>
+      </div>
+
+      {/* Error Message */}
+      {error && (
+        <div className="error-message">
+          {error}
+        </div>
+      )}
+
+      {analytics && (
+        <>
+          {/* Summary Cards */}
+          <div className="summary-cards">
+            <div className="summary-card">
+              <h3>Closed Cycles</h3>
+              <div className="card-value">{analytics.totals.closedCycles}</div>
+              <div className="card-subtitle">{analytics.totals.openCycles} open</div>
+            </div>
+
+            <div className="summary-card">
+              <h3>Cycle Profit</h3>
+              <div className="card-value">
+                {formatCurrency(analytics.totals.netProfit, filters.fiatCurrency)}
+              </div>
+              <div className="card-subtitle">
+                {formatNumber(analytics.totals.quantity, 2)} {filters.cryptoCurrency} round-tripped
+              </div>
+            </div>
+
+            <div className="summary-card">
+              <h3>Median Spread</h3>
+              <div className="card-value">{formatNumber(analytics.spread.stats.median, 2)}%</div>
+              <div className="card-subtitle">Average {formatNumber(analytics.spread.stats.average, 2)}%</div>
+            </div>
+
+            <div className="summary-card">
+              <h3>Median Holding Time</h3>
+              <div className="card-value">{formatHoldingTime(analytics.holdingTime.stats.median)}</div>
+              <div className="card-subtitle">Average {formatHoldingTime(analytics.holdingTime.stats.average)}</div>
+            </div>
+          </div>
+
+          {/* Distributions */}
+          <div className="distribution-charts">
+            <div className="chart-section">
+              <h3>Spread Distribution</h3>
+              <ResponsiveContainer width="100%" height={240}>
+                <BarChart data={analytics.spread.distribution}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#444" />
+                  <XAxis dataKey="label" stroke="#888" fontSize={12} />
+                  <YAxis stroke="#888" fontSize={12} allowDecimals={false} />
+                  <Tooltip contentStyle={chartTooltipStyle} />
+                  <Bar dataKey="count" name="Cycles" fill="#28a745" />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+
+            <div className="chart-section">
+              <h3>Holding Time Distribution</h3>
+              <ResponsiveContainer width="100%" height={240}>
+                <BarChart data={analytics.holdingTime.distribution}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#444" />
+                  <XAxis dataKey="label" stroke="#888" fontSize={12} />
+                  <YAxis stroke="#888" fontSize={12} allowDecimals={false} />
+                  <Tooltip contentStyle={chartTooltipStyle} />
+                  <Bar dataKey="count" name="Cycles" fill="#007bff" />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+        </>
+      )}
+
+      {/* Cycles Table */}
+      <div className="cycles-table-container">
+        {cycles.length === 0 ? (
+          <div className="no-cycles">
+            <p>No cycles found for these filters.</p>
+          </div>
+        ) : (
+          <table className="cycles-table">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Status</th>
+                <th>Opened</th>
+                <th>Closed</th>
+                <th>Quantity</th>
+                <th>Buy VWAP</th>
+                <th>Sell VWAP</th>
+                <th>Spread</th>
+                <th>Profit</th>
+                <th>Holding Time</th>
+              </tr>
+            </thead>
+            <tbody>
+              {cycles.map((cycle) => (
+                <tr key={cycle.cycleNumber}>
+                  <td>{cycle.cycleNumber}</td>
+                  <td>
+                    <span className={`status-badge status-${cycle.status.toLowerCase()}`}>
+                      {cycle.status}
+                    </span>
+                  </td>
+                  <td>{new Date(cycle.openedAt).toLocaleString('en-IN')}</td>
+                  <td>{cycle.closedAt ? new Date(cycle.closedAt).toLocaleString('en-IN') : '—'}</td>
+                  <td>{formatNumber(cycle.quantity, 2)} {cycle.cryptoCurrency}</td>
+                  <td>{formatCurrency(cycle.buyVwap, cycle.fiatCurrency)}</td>
+                  <td>{cycle.sellAmount > 0 ? formatCurrency(cycle.sellVwap, cycle.fiatCurrency) : '—'}</td>
+                  <td className={cycle.spreadPercent < 0 ? 'negative' : ''}>
+                    {cycle.spreadPercent !== null ? `${formatNumber(cycle.spreadPercent, 2)}%` : '—'}
+                  </td>
+                  <td className={cycle.netProfit < 0 ? 'negative' : ''}>
+                    {formatCurrency(cycle.netProfit, cycle.fiatCurrency)}
+                  </td>
+                  <td>{formatHoldingTime(cycle.holdingTimeHours)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Cycles;
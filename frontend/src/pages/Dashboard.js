@@ -2,8 +2,34 @@ import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { useApp } from '../context/AppContext';
 import { AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
 import { useNavigate } from 'react-router-dom';
+import { DISPUTE_KINDS } from '../config';
 import './Dashboard.css';
 
+// Start of the chart's date range
+const getRangeStart = (dateRange) => {
+  const from = new Date();
+  switch (dateRange) {
+    case '30d':
+      from.setDate(from.getDate() - 30);
+      break;
+    case '90d':
+      from.setDate(from.getDate() - 90);
+      break;
+    default:
+      from.setDate(from.getDate() - 7);
+  }
+  return from;
+};
+
+// Reports the Dashboard exports: P&L buckets over the chart's date range, or
+// the monthly summary of the current fiscal year
+const EXPORT_REPORTS = {
+  daily: 'Daily P&L',
+  weekly: 'Weekly P&L',
+  monthly: 'Monthly P&L',
+  summary: 'Monthly Summary (FY)'
+};
+
 const Dashboard = () => {
   const {
     summary,
@@ -15,38 +41,99 @@ const Dashboard = () => {
 
   const navigate = useNavigate();
   const [dateRange, setDateRange] = useState('7d');
+  const [exportReport, setExportReport] = useState('daily');
   const [timeSeriesData, setTimeSeriesData] = useState([]);
+  const [assetBreakdown, setAssetBreakdown] = useState([]);
+  const [venueBreakdown, setVenueBreakdown] = useState(null);
+  const [paymentMethodBreakdown, setPaymentMethodBreakdown] = useState([]);
+  const [disputeExposure, setDisputeExposure] = useState(null);
+  const [markPriceInput, setMarkPriceInput] = useState('');
+  const [taxYear, setTaxYear] = useState(() => {
+    // Indian fiscal years start in April
+    const today = new Date();
+    return today.getMonth() >= 3 ? today.getFullYear() : today.getFullYear() - 1;
+  });
+  const [taxReport, setTaxReport] = useState(null);
+  const [capital, setCapital] = useState(null);
+  const [capitalEntry, setCapitalEntry] = useState({ type: 'DEPOSIT', amount: '' });
 
   // Load dashboard data
   const loadDashboardData = useCallback(async () => {
     try {
-      await fetchSummary(settings.fiatCurrency || 'INR', settings.profitCalculationMethod || 'FIFO');
+      await fetchSummary(
+        settings.fiatCurrency || 'INR',
+        settings.profitCalculationMethod || 'FIFO',
+        settings.cryptoCurrency || 'USDT',
+        settings.unmatchedPolicy || 'ZERO_COST'
+      );
     } catch (error) {
       console.error('Failed to load dashboard data:', error);
     }
-  }, [fetchSummary, settings.fiatCurrency, settings.profitCalculationMethod]);
+  }, [fetchSummary, settings.fiatCurrency, settings.profitCalculationMethod, settings.cryptoCurrency, settings.unmatchedPolicy]);
+
+  // Load per-asset breakdown
+  const loadAssetBreakdown = useCallback(async () => {
+    try {
+      const response = await fetch(`http://localhost:5000/api/summary/assets?fiatCurrency=${settings.fiatCurrency || 'INR'}&method=${settings.profitCalculationMethod || 'FIFO'}&unmatchedPolicy=${settings.unmatchedPolicy || 'ZERO_COST'}`);
+      const result = await response.json();
+
+      if (response.ok) {
+        setAssetBreakdown(result.data.assets);
+      }
+    } catch (error) {
+      console.error('Failed to load asset breakdown:', error);
+    }
+  }, [settings.fiatCurrency, settings.profitCalculationMethod, settings.unmatchedPolicy]);
+
+  // Load profit by buy venue, sell venue and venue pair
+  const loadVenueBreakdown = useCallback(async () => {
+    try {
+      const response = await fetch(`http://localhost:5000/api/summary/venues?fiatCurrency=${settings.fiatCurrency || 'INR'}&cryptoCurrency=${settings.cryptoCurrency || 'USDT'}&method=${settings.profitCalculationMethod || 'FIFO'}&unmatchedPolicy=${settings.unmatchedPolicy || 'ZERO_COST'}`);
+      const result = await response.json();
+
+      if (response.ok) {
+        setVenueBreakdown(result.data);
+      }
+    } catch (error) {
+      console.error('Failed to load venue breakdown:', error);
+    }
+  }, [settings.fiatCurrency, settings.cryptoCurrency, settings.profitCalculationMethod, settings.unmatchedPolicy]);
+
+  // Load volume, spread, cancellations and disputes per payment method
+  const loadPaymentMethodBreakdown = useCallback(async () => {
+    try {
+      const response = await fetch(`http://localhost:5000/api/summary/payment-methods?fiatCurrency=${settings.fiatCurrency || 'INR'}&cryptoCurrency=${settings.cryptoCurrency || 'USDT'}&method=${settings.profitCalculationMethod || 'FIFO'}`);
+      const result = await response.json();
+
+      if (response.ok) {
+        setPaymentMethodBreakdown(result.data.paymentMethods);
+      }
+    } catch (error) {
+      console.error('Failed to load payment method breakdown:', error);
+    }
+  }, [settings.fiatCurrency, settings.cryptoCurrency, settings.profitCalculationMethod]);
+
+  // Load the fiat at risk in open dispute cases
+  const loadDisputeExposure = useCallback(async () => {
+    try {
+      const response = await fetch(`http://localhost:5000/api/disputes/exposure?fiatCurrency=${settings.fiatCurrency || 'INR'}`);
+      const result = await response.json();
+
+      if (response.ok) {
+        setDisputeExposure(result.data);
+      }
+    } catch (error) {
+      console.error('Failed to load dispute exposure:', error);
+    }
+  }, [settings.fiatCurrency]);
 
   // Load time series data
   const loadTimeSeriesData = useCallback(async () => {
     try {
-      const from = new Date();
+      const from = getRangeStart(dateRange);
       const to = new Date();
-      
-      switch (dateRange) {
-        case '7d':
-          from.setDate(from.getDate() - 7);
-          break;
-        case '30d':
-          from.setDate(from.getDate() - 30);
-          break;
-        case '90d':
-          from.setDate(from.getDate() - 90);
-          break;
-        default:
-          from.setDate(from.getDate() - 7);
-      }
 
-      const response = await fetch(`http://localhost:5000/api/pnl/timeseries?from=${from.toISOString().split('T')[0]}&to=${to.toISOString().split('T')[0]}&fiatCurrency=${settings.fiatCurrency || 'INR'}&method=${settings.profitCalculationMethod || 'FIFO'}`);
+      const response = await fetch(`http://localhost:5000/api/pnl/timeseries?from=${from.toISOString().split('T')[0]}&to=${to.toISOString().split('T')[0]}&fiatCurrency=${settings.fiatCurrency || 'INR'}&cryptoCurrency=${settings.cryptoCurrency || 'USDT'}&method=${settings.profitCalculationMethod || 'FIFO'}&unmatchedPolicy=${settings.unmatchedPolicy || 'ZERO_COST'}&timezone=${encodeURIComponent(settings.timezone || 'UTC')}`);
       const result = await response.json();
 
       if (response.ok) {
@@ -55,18 +142,170 @@ const Dashboard = () => {
     } catch (error) {
       console.error('Failed to load time series data:', error);
     }
-  }, [dateRange, settings.fiatCurrency, settings.profitCalculationMethod]);
+  }, [dateRange, settings.fiatCurrency, settings.cryptoCurrency, settings.profitCalculationMethod, settings.unmatchedPolicy, settings.timezone]);
+
+  // Load capital deployed and return on capital
+  const loadCapital = useCallback(async () => {
+    try {
+      const response = await fetch(`http://localhost:5000/api/summary/capital?fiatCurrency=${settings.fiatCurrency || 'INR'}&method=${settings.profitCalculationMethod || 'FIFO'}&unmatchedPolicy=${settings.unmatchedPolicy || 'ZERO_COST'}`);
+      const result = await response.json();
+
+      if (response.ok) {
+        setCapital(result.data);
+      }
+    } catch (error) {
+      console.error('Failed to load capital report:', error);
+    }
+  }, [settings.fiatCurrency, settings.profitCalculationMethod, settings.unmatchedPolicy]);
+
+  // Record a capital movement and refresh the returns
+  const handleSaveCapitalEntry = useCallback(async (e) => {
+    e.preventDefault();
+    try {
+      const response = await fetch('http://localhost:5000/api/capital', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...capitalEntry,
+          fiatCurrency: settings.fiatCurrency || 'INR'
+        })
+      });
+
+      if (response.ok) {
+        setCapitalEntry(prev => ({ ...prev, amount: '' }));
+        loadCapital();
+      }
+    } catch (error) {
+      console.error('Failed to save capital entry:', error);
+    }
+  }, [capitalEntry, settings.fiatCurrency, loadCapital]);
+
+  // Load the VDA tax summary for the selected fiscal year
+  const loadTaxReport = useCallback(async () => {
+    try {
+      const response = await fetch(`http://localhost:5000/api/tax/vda?year=${taxYear}&fiatCurrency=INR`);
+      const result = await response.json();
+
+      if (response.ok) {
+        setTaxReport(result.data);
+      }
+    } catch (error) {
+      console.error('Failed to load tax report:', error);
+    }
+  }, [taxYear]);
+
+  // Download the trade-by-trade VDA tax report as CSV
+  const handleDownloadTaxReport = useCallback(async () => {
+    try {
+      const response = await fetch(`http://localhost:5000/api/tax/vda?year=${taxYear}&fiatCurrency=INR&format=csv`);
+      if (!response.ok) {
+        throw new Error('Failed to download tax report');
+      }
+
+      const blob = await response.blob();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `vda-tax-FY-${taxYear}-${String((taxYear + 1) % 100).padStart(2, '0')}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Failed to download tax report:', error);
+    }
+  }, [taxYear]);
+
+  // Download the chosen P&L report as CSV or XLSX
+  const handleExport = useCallback(async (format) => {
+    try {
+      const from = getRangeStart(dateRange).toISOString().split('T')[0];
+      const to = new Date().toISOString().split('T')[0];
+      const query = `fiatCurrency=${settings.fiatCurrency || 'INR'}&cryptoCurrency=${settings.cryptoCurrency || 'USDT'}&method=${settings.profitCalculationMethod || 'FIFO'}&unmatchedPolicy=${settings.unmatchedPolicy || 'ZERO_COST'}&timezone=${encodeURIComponent(settings.timezone || 'UTC')}&weekStart=${settings.weekStart || 0}&fiscalYearStart=${settings.fiscalYearStart || 1}&format=${format}`;
+      const url = exportReport === 'summary'
+        ? `http://localhost:5000/api/summary/monthly?${query}`
+        : `http://localhost:5000/api/pnl/${exportReport}?from=${from}&to=${to}&${query}`;
+
+      const response = await fetch(url);
+      if (!response.ok) {
+        throw new Error('Failed to export report');
+      }
+
+      const blob = await response.blob();
+      const blobUrl = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = blobUrl;
+      link.download = exportReport === 'summary'
+        ? `monthly-summary.${format}`
+        : `pnl-${exportReport}-${from}-to-${to}.${format}`;
+      link.click();
+      URL.revokeObjectURL(blobUrl);
+    } catch (error) {
+      console.error('Failed to export report:', error);
+    }
+  }, [dateRange, exportReport, settings.fiatCurrency, settings.cryptoCurrency, settings.profitCalculationMethod, settings.unmatchedPolicy, settings.timezone, settings.weekStart, settings.fiscalYearStart]);
+
+  // Save a hand-entered mark price and revalue the inventory
+  const handleSaveMarkPrice = useCallback(async (e) => {
+    e.preventDefault();
+    try {
+      const response = await fetch('http://localhost:5000/api/prices', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          fiatCurrency: settings.fiatCurrency || 'INR',
+          cryptoCurrency: settings.cryptoCurrency || 'USDT',
+          price: markPriceInput
+        })
+      });
+
+      if (response.ok) {
+        setMarkPriceInput('');
+        loadDashboardData();
+      }
+    } catch (error) {
+      console.error('Failed to save mark price:', error);
+    }
+  }, [markPriceInput, settings.fiatCurrency, settings.cryptoCurrency, loadDashboardData]);
 
   // Load data on component mount
   useEffect(() => {
     loadDashboardData();
   }, [loadDashboardData]);
 
+  // Load asset breakdown when settings change
+  useEffect(() => {
+    loadAssetBreakdown();
+  }, [loadAssetBreakdown]);
+
+  // Load venue breakdown when settings change
+  useEffect(() => {
+    loadVenueBreakdown();
+  }, [loadVenueBreakdown]);
+
+  // Load payment method breakdown when settings change
+  useEffect(() => {
+    loadPaymentMethodBreakdown();
+  }, [loadPaymentMethodBreakdown]);
+
+  // Load dispute exposure when settings change
+  useEffect(() => {
+    loadDisputeExposure();
+  }, [loadDisputeExposure]);
+
   // Load time series data when date range changes
   useEffect(() => {
     loadTimeSeriesData();
   }, [loadTimeSeriesData]);
 
+  // Load capital report when settings change
+  useEffect(() => {
+    loadCapital();
+  }, [loadCapital]);
+
+  // Load tax summary when the fiscal year changes
+  useEffect(() => {
+    loadTaxReport();
+  }, [loadTaxReport]);
+
   // Handle date range change
   const handleDateRangeChange = useCallback((newRange) => {
     setDateRange(newRange);
@@ -98,6 +337,26 @@ const Dashboard = () => {
     }));
   }, [timeSeriesData]);
 
+  // Buy venue × sell venue pairs keyed for the spread matrix, and each venue's
+  // profit on either side
+  const venueMatrix = useMemo(() => {
+    if (!venueBreakdown) return null;
+
+    const pairs = {};
+    venueBreakdown.pairs.forEach(pair => {
+      pairs[`${pair.buyVenue}->${pair.sellVenue}`] = pair;
+    });
+
+    const venues = {};
+    const addSide = (rows, side) => rows.forEach(row => {
+      venues[row.venue] = { venue: row.venue, ...venues[row.venue], [side]: row };
+    });
+    addSide(venueBreakdown.byBuyVenue, 'bought');
+    addSide(venueBreakdown.bySellVenue, 'sold');
+
+    return { pairs, venues: Object.values(venues).sort((a, b) => a.venue.localeCompare(b.venue)) };
+  }, [venueBreakdown]);
+
   // Navigate to trades page
   const handleAddTrade = useCallback(() => {
     navigate('/trades');
@@ -138,6 +397,25 @@ const Dashboard = () => {
 
       {summary && (
         <>
+          {/* Oversold Warnings */}
+          {summary.shortfalls && summary.shortfalls.length > 0 && (
+            <div className="warning-message">
+              <strong>
+                {summary.shortfalls.length} sell trade(s) exceed available inventory by{' '}
+                {formatNumber(summary.totalShortfall, 6)} {summary.cryptoCurrency || 'USDT'}
+                {summary.unmatchedPolicy === 'ZERO_COST' && ' (realized at zero cost)'}
+              </strong>
+              <ul>
+                {summary.shortfalls.map(shortfall => (
+                  <li key={shortfall.tradeId}>
+                    {new Date(shortfall.timestamp).toLocaleString('en-IN')} · Trade {shortfall.tradeId} ·
+                    short by {formatNumber(shortfall.shortfall, 6)} {shortfall.cryptoCurrency}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
           {/* Summary Cards */}
           <div className="summary-cards">
             <div className="summary-card profit">
@@ -146,7 +424,18 @@ const Dashboard = () => {
                 {formatCurrency(summary.realizedProfitFiat, summary.fiatCurrency)}
               </div>
               <div className="card-subtitle">
-                {summary.method} Method
+                {summary.method} Method · Net of fees
+                {summary.caseLossesFiat > 0 && ` and ${formatCurrency(summary.caseLossesFiat, summary.fiatCurrency)} lost in cases`}
+              </div>
+            </div>
+
+            <div className="summary-card fees">
+              <h3>Fees</h3>
+              <div className="card-value">
+                {formatCurrency(summary.feesFiat, summary.fiatCurrency)}
+              </div>
+              <div className="card-subtitle">
+                Gross {formatCurrency(summary.grossProfitFiat, summary.fiatCurrency)}
               </div>
             </div>
 
@@ -197,6 +486,341 @@ const Dashboard = () => {
             </div>
           </div>
 
+          {/* Valuation */}
+          <div className="breakdown-section">
+            <h3>Valuation</h3>
+            <div className="price-averages">
+              <div className="average-card">
+                <h3>Market Value</h3>
+                <div className="average-value">
+                  {summary.markPrice != null
+                    ? formatCurrency(summary.marketValueFiat, summary.fiatCurrency)
+                    : '—'}
+                </div>
+              </div>
+              <div className="average-card">
+                <h3>Unrealized P&L</h3>
+                <div className={`average-value ${summary.unrealizedProfitFiat < 0 ? 'negative' : ''}`}>
+                  {summary.markPrice != null
+                    ? formatCurrency(summary.unrealizedProfitFiat, summary.fiatCurrency)
+                    : '—'}
+                </div>
+              </div>
+              <div className="average-card">
+                <h3>Total Equity</h3>
+                <div className="average-value">
+                  {summary.markPrice != null
+                    ? formatCurrency(summary.totalEquityFiat, summary.fiatCurrency)
+                    : '—'}
+                </div>
+              </div>
+            </div>
+            <form className="mark-price-form" onSubmit={handleSaveMarkPrice}>
+              <span>
+                {summary.markPrice != null
+                  ? `Mark price ${formatCurrency(summary.markPrice, summary.fiatCurrency)} as of ${new Date(summary.markPriceTimestamp).toLocaleString('en-IN')}`
+                  : 'No mark price entered yet'}
+              </span>
+              <input
+                type="number"
+                step="any"
+                min="0"
+                value={markPriceInput}
+                onChange={(e) => setMarkPriceInput(e.target.value)}
+                placeholder={`Price per ${settings.cryptoCurrency || 'USDT'}`}
+                required
+              />
+              <button type="submit" className="btn btn-primary">
+                Update Mark Price
+              </button>
+            </form>
+          </div>
+
+          {/* Capital */}
+          {capital && (
+            <div className="breakdown-section">
+              <h3>Capital</h3>
+              <div className="price-averages">
+                <div className="average-card">
+                  <h3>Capital Deployed</h3>
+                  <div className="average-value">
+                    {formatCurrency(capital.capitalDeployed, capital.fiatCurrency)}
+                  </div>
+                </div>
+                <div className="average-card">
+                  <h3>ROI</h3>
+                  <div className={`average-value ${capital.roiPercent < 0 ? 'negative' : ''}`}>
+                    {capital.roiPercent != null ? `${formatNumber(capital.roiPercent, 2)}%` : '—'}
+                  </div>
+                </div>
+                <div className="average-card">
+                  <h3>Annualized Return</h3>
+                  <div className={`average-value ${capital.annualizedReturnPercent < 0 ? 'negative' : ''}`}>
+                    {capital.annualizedReturnPercent != null ? `${formatNumber(capital.annualizedReturnPercent, 2)}%` : '—'}
+                  </div>
+                </div>
+                <div className="average-card">
+                  <h3>Capital Turnover</h3>
+                  <div className="average-value">
+                    {capital.capitalTurnover != null ? `${formatNumber(capital.capitalTurnover, 2)}x` : '—'}
+                  </div>
+                </div>
+              </div>
+              <form className="mark-price-form" onSubmit={handleSaveCapitalEntry}>
+                <span>
+                  Current capital {formatCurrency(capital.closingCapital, capital.fiatCurrency)} ·
+                  net contributions {formatCurrency(capital.netContributions, capital.fiatCurrency)}
+                </span>
+                <select
+                  value={capitalEntry.type}
+                  onChange={(e) => setCapitalEntry(prev => ({ ...prev, type: e.target.value }))}
+                >
+                  <option value="DEPOSIT">Deposit</option>
+                  <option value="WITHDRAWAL">Withdrawal</option>
+                  <option value="INJECTION">Owner Injection</option>
+                  <option value="DRAWING">Drawing</option>
+                </select>
+                <input
+                  type="number"
+                  step="any"
+                  min="0"
+                  value={capitalEntry.amount}
+                  onChange={(e) => setCapitalEntry(prev => ({ ...prev, amount: e.target.value }))}
+                  placeholder={`Amount (${settings.fiatCurrency || 'INR'})`}
+                  required
+                />
+                <button type="submit" className="btn btn-primary">
+                  Record
+                </button>
+              </form>
+            </div>
+          )}
+
+          {/* VDA Tax */}
+          {taxReport && (
+            <div className="breakdown-section">
+              <div className="chart-header">
+                <h3>VDA Tax ({taxReport.fiscalYear})</h3>
+                <div className="tax-report-actions">
+                  <select
+                    value={taxYear}
+                    onChange={(e) => setTaxYear(parseInt(e.target.value))}
+                  >
+                    {[0, 1, 2, 3].map(offset => {
+                      const year = new Date().getFullYear() - offset;
+                      return (
+                        <option key={year} value={year}>
+                          FY {year}-{String((year + 1) % 100).padStart(2, '0')}
+                        </option>
+                      );
+                    })}
+                  </select>
+                  <button className="btn btn-primary" onClick={handleDownloadTaxReport}>
+                    Download CSV
+                  </button>
+                </div>
+              </div>
+              <div className="price-averages">
+                <div className="average-card">
+                  <h3>Taxable Gains</h3>
+                  <div className="average-value">
+                    {formatCurrency(taxReport.summary.totalGains, 'INR')}
+                  </div>
+                </div>
+                <div className="average-card">
+                  <h3>Losses (Not Set Off)</h3>
+                  <div className="average-value negative">
+                    {formatCurrency(taxReport.summary.totalLosses, 'INR')}
+                  </div>
+                </div>
+                <div className="average-card">
+                  <h3>Tax @ 30%</h3>
+                  <div className="average-value">
+                    {formatCurrency(taxReport.summary.taxPayable, 'INR')}
+                  </div>
+                </div>
+                <div className="average-card">
+                  <h3>TDS Credit</h3>
+                  <div className="average-value">
+                    {formatCurrency(taxReport.summary.totalTdsCredit, 'INR')}
+                  </div>
+                </div>
+                <div className="average-card">
+                  <h3>Net Tax Payable</h3>
+                  <div className="average-value">
+                    {formatCurrency(taxReport.summary.netTaxPayable, 'INR')}
+                  </div>
+                </div>
+              </div>
+            </div>
+          )}
+
+          {/* Asset Breakdown */}
+          {assetBreakdown.length > 0 && (
+            <div className="breakdown-section">
+              <h3>Assets</h3>
+              <table className="breakdown-table">
+                <thead>
+                  <tr>
+                    <th>Asset</th>
+                    <th>Realized Profit</th>
+                    <th>Average Cost</th>
+                    <th>Inventory</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {assetBreakdown.map(asset => (
+                    <tr key={asset.cryptoCurrency}>
+                      <td>{asset.cryptoCurrency}</td>
+                      <td>{formatCurrency(asset.realizedProfitFiat, summary.fiatCurrency)}</td>
+                      <td>{formatCurrency(asset.avgInventoryCost, summary.fiatCurrency)}</td>
+                      <td>{formatNumber(asset.inventoryRemaining, 6)} {asset.cryptoCurrency}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* Venue Spreads */}
+          {venueMatrix && venueMatrix.venues.length > 0 && (
+            <div className="breakdown-section">
+              <h3>Venue Spreads ({venueBreakdown.method})</h3>
+              <div className="venue-matrix-container">
+                <table className="breakdown-table venue-matrix">
+                  <thead>
+                    <tr>
+                      <th>Bought on ↓ / Sold on →</th>
+                      {venueBreakdown.sellVenues.map(venue => (
+                        <th key={venue}>{venue}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {venueBreakdown.buyVenues.map(buyVenue => (
+                      <tr key={buyVenue}>
+                        <th>{buyVenue}</th>
+                        {venueBreakdown.sellVenues.map(sellVenue => {
+                          const pair = venueMatrix.pairs[`${buyVenue}->${sellVenue}`];
+                          return pair ? (
+                            <td key={sellVenue} className={pair.netProfit < 0 ? 'negative' : 'positive'}>
+                              <div className="venue-spread">
+                                {pair.spreadPercent === null ? '—' : `${formatNumber(pair.spreadPercent)}%`}
+                              </div>
+                              <div className="venue-profit">{formatCurrency(pair.netProfit, venueBreakdown.fiatCurrency)}</div>
+                            </td>
+                          ) : (
+                            <td key={sellVenue} className="empty">—</td>
+                          );
+                        })}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <table className="breakdown-table">
+                <thead>
+                  <tr>
+                    <th>Venue</th>
+                    <th>Bought (Matched)</th>
+                    <th>Profit as Buy Venue</th>
+                    <th>Sold</th>
+                    <th>Profit as Sell Venue</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {venueMatrix.venues.map(({ venue, bought, sold }) => (
+                    <tr key={venue}>
+                      <td>{venue}</td>
+                      <td>{formatNumber(bought ? bought.quantity : 0, 6)} {venueBreakdown.cryptoCurrency}</td>
+                      <td>{formatCurrency(bought ? bought.netProfit : 0, venueBreakdown.fiatCurrency)}</td>
+                      <td>{formatNumber(sold ? sold.quantity : 0, 6)} {venueBreakdown.cryptoCurrency}</td>
+                      <td>{formatCurrency(sold ? sold.netProfit : 0, venueBreakdown.fiatCurrency)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* Payment Methods */}
+          {paymentMethodBreakdown.length > 0 && (
+            <div className="breakdown-section">
+              <h3>Payment Methods</h3>
+              <table className="breakdown-table">
+                <thead>
+                  <tr>
+                    <th>Method</th>
+                    <th>Trades</th>
+                    <th>Volume</th>
+                    <th>Avg Spread</th>
+                    <th>Cancellation Rate</th>
+                    <th>Disputes</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {paymentMethodBreakdown.map(row => (
+                    <tr key={row.paymentMethod}>
+                      <td>{row.paymentMethod}</td>
+                      <td>{row.trades}</td>
+                      <td>{formatCurrency(row.volumeFiat, summary.fiatCurrency)}</td>
+                      <td>{row.avgSpreadPercent === null ? '—' : `${formatNumber(row.avgSpreadPercent)}%`}</td>
+                      <td>{row.cancellationRatePercent === null ? '—' : `${formatNumber(row.cancellationRatePercent, 1)}%`}</td>
+                      <td>{row.disputes}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* Open Cases */}
+          {disputeExposure && (disputeExposure.openCases > 0 || disputeExposure.lostCases > 0) && (
+            <div className="breakdown-section">
+              <div className="breakdown-header">
+                <h3>Open Cases</h3>
+                <button className="btn btn-secondary" onClick={() => navigate('/disputes')}>
+                  View Cases
+                </button>
+              </div>
+              <div className="exposure-totals">
+                <div>
+                  <span className="exposure-label">Open</span>
+                  <span className="exposure-figure">{disputeExposure.openCases}</span>
+                </div>
+                <div>
+                  <span className="exposure-label">At Risk</span>
+                  <span className="exposure-figure at-risk">{formatCurrency(disputeExposure.amountAtRisk, disputeExposure.fiatCurrency)}</span>
+                </div>
+                <div>
+                  <span className="exposure-label">Lost ({disputeExposure.lostCases})</span>
+                  <span className="exposure-figure negative">{formatCurrency(disputeExposure.amountLost, disputeExposure.fiatCurrency)}</span>
+                </div>
+              </div>
+              {Object.keys(disputeExposure.byKind).length > 0 && (
+                <table className="breakdown-table">
+                  <thead>
+                    <tr>
+                      <th>Kind</th>
+                      <th>Open Cases</th>
+                      <th>Amount at Risk</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {Object.entries(disputeExposure.byKind).map(([kind, totals]) => (
+                      <tr key={kind}>
+                        <td>{DISPUTE_KINDS[kind] || kind}</td>
+                        <td>{totals.count}</td>
+                        <td>{formatCurrency(totals.amountAtRisk, disputeExposure.fiatCurrency)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          )}
+
           {/* Profit Chart */}
           <div className="chart-section">
             <div className="chart-header">
@@ -221,6 +845,19 @@ const Dashboard = () => {
                   90D
                 </button>
               </div>
+              <div className="export-actions">
+                <select value={exportReport} onChange={(e) => setExportReport(e.target.value)}>
+                  {Object.entries(EXPORT_REPORTS).map(([key, label]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
+                <button className="btn btn-secondary" onClick={() => handleExport('csv')}>
+                  Export CSV
+                </button>
+                <button className="btn btn-secondary" onClick={() => handleExport('xlsx')}>
+                  Export XLSX
+                </button>
+              </div>
             </div>
             
             <div className="chart-container">
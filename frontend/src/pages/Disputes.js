@@ -0,0 +1,452 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { useApp } from '../context/AppContext';
+import { API_CONFIG, CURRENCIES, DISPUTE_KINDS, DISPUTE_STATUSES } from '../config';
+import './Disputes.css';
+
+const EMPTY_CASE = {
+  trade: '',
+  kind: 'DISPUTE',
+  amountAtRisk: '',
+  notes: ''
+};
+
+const EMPTY_ATTACHMENT = {
+  name: '',
+  url: ''
+};
+
+const Disputes = () => {
+  const { settings } = useApp();
+  const [searchParams] = useSearchParams();
+  const [disputes, setDisputes] = useState([]);
+  const [exposure, setExposure] = useState(null);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [formData, setFormData] = useState({ ...EMPTY_CASE, trade: searchParams.get('trade') || '' });
+  const [trade, setTrade] = useState(null);
+  const [attaching, setAttaching] = useState(null);
+  const [attachment, setAttachment] = useState(EMPTY_ATTACHMENT);
+
+  // Fetch the cases of the book and what is at risk in the open ones
+  const fetchDisputes = useCallback(async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const fiatCurrency = settings.fiatCurrency || 'INR';
+      const queryParams = new URLSearchParams({ fiatCurrency });
+      if (statusFilter) queryParams.append('status', statusFilter);
+
+      const [casesResponse, exposureResponse] = await Promise.all([
+        fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.DISPUTES}?${queryParams}`),
+        fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.DISPUTES}/exposure?fiatCurrency=${fiatCurrency}`)
+      ]);
+      const casesResult = await casesResponse.json();
+      const exposureResult = await exposureResponse.json();
+
+      if (!casesResponse.ok) {
+        throw new Error(casesResult.message || 'Failed to fetch cases');
+      }
+      if (!exposureResponse.ok) {
+        throw new Error(exposureResult.message || 'Failed to fetch case exposure');
+      }
+
+      setDisputes(casesResult.data);
+      setExposure(exposureResult.data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [settings.fiatCurrency, statusFilter]);
+
+  // Load cases on component mount
+  useEffect(() => {
+    fetchDisputes();
+  }, [fetchDisputes]);
+
+  // Show the trade a new case is opened over
+  useEffect(() => {
+    if (!formData.trade) {
+      setTrade(null);
+      return;
+    }
+
+    const fetchTrade = async () => {
+      try {
+        const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.TRADES}/${formData.trade}`);
+        const result = await response.json();
+        setTrade(response.ok ? result.data : null);
+      } catch (err) {
+        setTrade(null);
+      }
+    };
+
+    fetchTrade();
+  }, [formData.trade]);
+
+  const handleInputChange = useCallback((e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  }, []);
+
+  const handleAttachmentChange = useCallback((e) => {
+    const { name, value } = e.target;
+    setAttachment(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  }, []);
+
+  // Save a change to a case and reload the list and exposure
+  const updateDispute = useCallback(async (disputeId, body) => {
+    setError('');
+
+    try {
+      const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.DISPUTES}/${disputeId}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to update case');
+      }
+
+      fetchDisputes();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  }, [fetchDisputes]);
+
+  // Open a case over the selected trade
+  const handleSubmit = useCallback(async (e) => {
+    e.preventDefault();
+    setError('');
+
+    try {
+      const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.DISPUTES}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(formData)
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to open case');
+      }
+
+      setFormData(EMPTY_CASE);
+      fetchDisputes();
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [formData, fetchDisputes]);
+
+  // A lost case asks how much was lost; the whole amount at risk by default
+  const handleStatusChange = useCallback((dispute, status) => {
+    if (status !== 'LOST') {
+      updateDispute(dispute._id, { status });
+      return;
+    }
+
+    const amountLost = window.prompt('Amount lost', dispute.amountAtRisk);
+    if (amountLost === null) {
+      return;
+    }
+
+    updateDispute(dispute._id, { status, amountLost });
+  }, [updateDispute]);
+
+  const handleAddAttachment = useCallback(async (e) => {
+    e.preventDefault();
+
+    const saved = await updateDispute(attaching._id, {
+      attachments: [...attaching.attachments, attachment]
+    });
+
+    if (saved) {
+      setAttaching(null);
+      setAttachment(EMPTY_ATTACHMENT);
+    }
+  }, [attaching, attachment, updateDispute]);
+
+  const handleDelete = useCallback(async (disputeId) => {
+    if (!window.confirm('Are you sure you want to delete this case?')) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.DISPUTES}/${disputeId}`, {
+        method: 'DELETE'
+      });
+
+      if (!response.ok) {
+        const result = await response.json();
+        throw new Error(result.message || 'Failed to delete case');
+      }
+
+      fetchDisputes();
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [fetchDisputes]);
+
+  // Format currency
+  const formatCurrency = useCallback((amount, currency = 'INR') => {
+    const symbol = CURRENCIES[currency]?.symbol || currency;
+    return `${symbol}${parseFloat(amount || 0).toLocaleString('en-IN', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    })}`;
+  }, []);
+
+  const formatDate = useCallback((date) => {
+    return date ? new Date(date).toLocaleDateString('en-IN') : '—';
+  }, []);
+
+  const describeTrade = useCallback((caseTrade) => {
+    if (!caseTrade) return 'Deleted trade';
+    return `${caseTrade.type} ${caseTrade.cryptoAmount} @ ${caseTrade.price} on ${formatDate(caseTrade.timestamp)}`;
+  }, [formatDate]);
+
+  return (
+    <div className="disputes-page">
+      <div className="disputes-header">
+        <h1>Cases</h1>
+        <p>Disputes, chargebacks and bank freezes, what they put at risk and what they cost</p>
+      </div>
+
+      {/* Error Message */}
+      {error && (
+        <div className="error-message">
+          {error}
+        </div>
+      )}
+
+      {/* Exposure */}
+      {exposure && (
+        <div className="exposure-cards">
+          <div className="exposure-card">
+            <h3>Open Cases</h3>
+            <div className="exposure-value">{exposure.openCases}</div>
+          </div>
+          <div className="exposure-card">
+            <h3>Amount at Risk</h3>
+            <div className="exposure-value">{formatCurrency(exposure.amountAtRisk, exposure.fiatCurrency)}</div>
+            {Object.entries(exposure.byKind).map(([kind, totals]) => (
+              <div key={kind} className="exposure-detail">
+                {DISPUTE_KINDS[kind] || kind}: {totals.count} · {formatCurrency(totals.amountAtRisk, exposure.fiatCurrency)}
+              </div>
+            ))}
+          </div>
+          <div className="exposure-card">
+            <h3>Lost</h3>
+            <div className="exposure-value negative">{formatCurrency(exposure.amountLost, exposure.fiatCurrency)}</div>
+            <div className="exposure-detail">
+              {exposure.lostCases} lost · {exposure.resolvedCases} resolved
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Cases Table */}
+      <div className="disputes-table-container">
+        <div className="disputes-filter">
+          <label>Status</label>
+          <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} className="form-control">
+            <option value="">All</option>
+            {Object.entries(DISPUTE_STATUSES).map(([status, label]) => (
+              <option key={status} value={status}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        {loading && disputes.length === 0 ? (
+          <div className="loading">Loading cases...</div>
+        ) : disputes.length === 0 ? (
+          <div className="no-disputes">
+            <p>No cases. Open one from a trade on the Trades page.</p>
+          </div>
+        ) : (
+          <table className="disputes-table">
+            <thead>
+              <tr>
+                <th>Opened</th>
+                <th>Trade</th>
+                <th>Kind</th>
+                <th>Counterparty</th>
+                <th>At Risk</th>
+                <th>Lost</th>
+                <th>Status</th>
+                <th>Notes</th>
+                <th>Attachments</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {disputes.map(dispute => (
+                <tr key={dispute._id} className={`case-${dispute.status.toLowerCase()}`}>
+                  <td>{formatDate(dispute.openedAt)}</td>
+                  <td>{describeTrade(dispute.trade)}</td>
+                  <td>{DISPUTE_KINDS[dispute.kind] || dispute.kind}</td>
+                  <td>{dispute.counterparty || '—'}</td>
+                  <td>{formatCurrency(dispute.amountAtRisk, dispute.fiatCurrency)}</td>
+                  <td className={dispute.amountLost > 0 ? 'negative' : ''}>
+                    {dispute.status === 'LOST' ? formatCurrency(dispute.amountLost, dispute.fiatCurrency) : '—'}
+                  </td>
+                  <td>
+                    <select
+                      value={dispute.status}
+                      onChange={(e) => handleStatusChange(dispute, e.target.value)}
+                      className="form-control"
+                    >
+                      {Object.entries(DISPUTE_STATUSES).map(([status, label]) => (
+                        <option key={status} value={status}>{label}</option>
+                      ))}
+                    </select>
+                    {dispute.closedAt && <div className="closed-at">Closed {formatDate(dispute.closedAt)}</div>}
+                  </td>
+                  <td>{dispute.notes || '—'}</td>
+                  <td>
+                    {dispute.attachments.map(file => (
+                      <a key={file._id || file.url} href={file.url} target="_blank" rel="noopener noreferrer" className="attachment-link">
+                        {file.name}
+                      </a>
+                    ))}
+                  </td>
+                  <td className="dispute-actions">
+                    <button className="btn btn-secondary" onClick={() => setAttaching(dispute)}>
+                      Attach
+                    </button>
+                    <button className="btn btn-danger" onClick={() => handleDelete(dispute._id)}>
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Add Attachment */}
+      {attaching && (
+        <form className="dispute-form" onSubmit={handleAddAttachment}>
+          <h3>Attach to {describeTrade(attaching.trade)} case</h3>
+          <div className="form-grid">
+            <div className="form-group">
+              <label>Name *</label>
+              <input
+                type="text"
+                name="name"
+                value={attachment.name}
+                onChange={handleAttachmentChange}
+                placeholder="Bank letter"
+                required
+                className="form-control"
+              />
+            </div>
+
+            <div className="form-group">
+              <label>Link *</label>
+              <input
+                type="url"
+                name="url"
+                value={attachment.url}
+                onChange={handleAttachmentChange}
+                placeholder="https://"
+                required
+                className="form-control"
+              />
+            </div>
+          </div>
+
+          <div className="form-actions">
+            <button type="button" className="btn btn-secondary" onClick={() => setAttaching(null)}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary">
+              Attach
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Open Case */}
+      <form className="dispute-form" onSubmit={handleSubmit}>
+        <h3>Open Case</h3>
+        {trade && (
+          <p className="case-trade">
+            {describeTrade(trade)} · {formatCurrency(trade.fiatAmount, trade.fiatCurrency)}
+            {trade.counterparty && ` · ${trade.counterparty}`}
+          </p>
+        )}
+        <div className="form-grid">
+          <div className="form-group">
+            <label>Trade ID *</label>
+            <input
+              type="text"
+              name="trade"
+              value={formData.trade}
+              onChange={handleInputChange}
+              placeholder="Use the ⚖️ action on the Trades page"
+              required
+              className="form-control"
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Kind</label>
+            <select name="kind" value={formData.kind} onChange={handleInputChange} className="form-control">
+              {Object.entries(DISPUTE_KINDS).map(([kind, label]) => (
+                <option key={kind} value={kind}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label>Amount at Risk</label>
+            <input
+              type="number"
+              name="amountAtRisk"
+              value={formData.amountAtRisk}
+              onChange={handleInputChange}
+              placeholder={trade ? String(trade.fiatAmount) : 'Whole trade'}
+              min="0"
+              step="any"
+              className="form-control"
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Notes</label>
+            <input
+              type="text"
+              name="notes"
+              value={formData.notes}
+              onChange={handleInputChange}
+              className="form-control"
+            />
+          </div>
+        </div>
+
+        <div className="form-actions">
+          <button type="submit" className="btn btn-primary">
+            Open Case
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default Disputes;
@@ -0,0 +1,622 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { useDropzone } from 'react-dropzone';
+import Papa from 'papaparse';
+import { readSheet } from 'read-excel-file/browser';
+import { useApp } from '../context/AppContext';
+import { API_CONFIG, CURRENCIES, IMPORT_FIELDS } from '../config';
+import './Import.css';
+
+// Column mappings saved by the user, offered next to the server's adapters
+const PRESETS_STORAGE_KEY = 'p2pImportPresets';
+
+const PREVIEW_ROWS = 200;
+
+const loadSavedPresets = () => {
+  try {
+    return JSON.parse(localStorage.getItem(PRESETS_STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+// Spreadsheet times carry no zone; show them as written, like CSV exports
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 19).replace('T', ' ');
+  return String(value);
+};
+
+// Read the header row and rows of a CSV or of the first sheet of an XLSX file
+const readFile = async (file) => {
+  if (/\.xlsx$/i.test(file.name)) {
+    const [headers = [], ...values] = await readSheet(file);
+    const columns = headers.map(header => formatCell(header).trim());
+
+    return {
+      columns,
+      rows: values
+        .map(row => row.map(formatCell))
+        .filter(row => row.some(value => value !== ''))
+        .map(row => Object.fromEntries(columns.map((column, index) => [column, row[index]])))
+    };
+  }
+
+  return new Promise((resolve, reject) => {
+    Papa.parse(file, {
+      header: true,
+      skipEmptyLines: true,
+      transformHeader: header => header.trim(),
+      complete: (result) => resolve({ columns: result.meta.fields || [], rows: result.data }),
+      error: reject
+    });
+  });
+};
+
+const fieldLabel = (field) => IMPORT_FIELDS.find(option => option.key === field)?.label || field;
+
+// Fields of an adapter the file has a column for; adapters match column
+// names case-insensitively
+const findAdapterFields = (adapter, columns) => {
+  const names = columns.map(column => column.toLowerCase());
+  return Object.keys(adapter.columns).filter(field => (
+    adapter.columns[field].some(name => names.includes(name.toLowerCase()))
+  ));
+};
+
+// Rows keyed by trade field, for the server's GENERIC adapter. Cells are
+// sent as read; the server parses them.
+const toGenericRows = (rows, mapping) => rows.map(row => Object.fromEntries(
+  Object.entries(mapping)
+    .filter(([, column]) => column)
+    .map(([field, column]) => [field, row[column]])
+));
+
+// Every row of a dry run by its line in the file: the trade it becomes, or
+// why it is skipped or rejected
+const toPreviewRows = ({ trades, duplicates, rejected }) => [
+  ...trades.map(({ line, ...trade }) => ({ line, trade, problem: '' })),
+  ...duplicates.map(({ line, orderId }) => ({
+    line,
+    trade: { orderId },
+    problem: 'Order already recorded or repeated in the file'
+  })),
+  ...rejected.map(({ line, reason }) => ({ line, trade: {}, problem: reason }))
+].sort((a, b) => a.line - b.line);
+
+const Import = () => {
+  const { settings } = useApp();
+  const [file, setFile] = useState(null);
+  const [columns, setColumns] = useState([]);
+  const [rows, setRows] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [venue, setVenue] = useState('');
+  const [venues, setVenues] = useState([]);
+  const [savedPresets, setSavedPresets] = useState(loadSavedPresets);
+  const [presetKey, setPresetKey] = useState('');
+  const [adapters, setAdapters] = useState([]);
+  const [adapterKey, setAdapterKey] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [result, setResult] = useState(null);
+  const [runs, setRuns] = useState([]);
+  const [error, setError] = useState('');
+
+  const adapter = adapters.find(option => option.key === adapterKey) || null;
+
+  // Load the venues imported trades can be placed on
+  useEffect(() => {
+    const loadVenues = async () => {
+      try {
+        const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.VENUES}`);
+        const result = await response.json();
+
+        if (response.ok) {
+          setVenues(result.data);
+        }
+      } catch (err) {
+        console.error('Failed to load venues:', err);
+      }
+    };
+
+    loadVenues();
+  }, []);
+
+  // Load the platform exports the server can read
+  useEffect(() => {
+    const loadAdapters = async () => {
+      try {
+        const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.IMPORTS}/adapters`);
+        const result = await response.json();
+
+        if (response.ok) {
+          setAdapters(result.data);
+        }
+      } catch (err) {
+        console.error('Failed to load import adapters:', err);
+      }
+    };
+
+    loadAdapters();
+  }, []);
+
+  // The venue of an adapter or preset only applies once it is on the managed list
+  const applyVenue = useCallback((code) => {
+    if (venues.some(option => option.code === code)) {
+      setVenue(code);
+    }
+  }, [venues]);
+
+  // Read the file with a server adapter, or with a saved column mapping
+  const applySource = useCallback((value) => {
+    const chosenAdapter = adapters.find(option => `ADAPTER_${option.key}` === value);
+    if (chosenAdapter) {
+      setAdapterKey(chosenAdapter.key);
+      setPresetKey('');
+      applyVenue(chosenAdapter.venue);
+      return;
+    }
+
+    setAdapterKey('');
+    setPresetKey(value);
+    if (!savedPresets[value]) return;
+
+    setMapping(savedPresets[value].mapping);
+    applyVenue(savedPresets[value].venue);
+  }, [adapters, savedPresets, applyVenue]);
+
+  // Read a dropped file and pick the first adapter, then saved preset, whose
+  // columns it has
+  const onDrop = useCallback(async (acceptedFiles) => {
+    const [droppedFile] = acceptedFiles;
+    if (!droppedFile) return;
+
+    setError('');
+    setResult(null);
+
+    try {
+      const parsed = await readFile(droppedFile);
+      if (parsed.rows.length === 0) {
+        throw new Error('The file has no rows');
+      }
+
+      setFile(droppedFile);
+      setColumns(parsed.columns);
+      setRows(parsed.rows);
+
+      const matchingAdapter = adapters.find(option => {
+        const fields = findAdapterFields(option, parsed.columns);
+        return option.required.every(field => fields.includes(field));
+      });
+      const matchingPreset = Object.keys(savedPresets).find(key => (
+        Object.values(savedPresets[key].mapping).every(column => parsed.columns.includes(column))
+      ));
+      if (matchingAdapter) {
+        applySource(`ADAPTER_${matchingAdapter.key}`);
+      } else if (matchingPreset) {
+        applySource(matchingPreset);
+      } else {
+        setAdapterKey('');
+        setPresetKey('');
+        setMapping({});
+      }
+    } catch (err) {
+      setError(`Could not read ${droppedFile.name}: ${err.message}`);
+    }
+  }, [adapters, savedPresets, applySource]);
+
+  const { getRootProps, getInputProps, isDragActive } = useDropzone({
+    onDrop,
+    multiple: false,
+    accept: {
+      'text/csv': ['.csv'],
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx']
+    }
+  });
+
+  const handleMappingChange = useCallback((field, column) => {
+    setPresetKey('');
+    setMapping(prev => ({ ...prev, [field]: column }));
+  }, []);
+
+  // Save the current mapping under a name for the next export
+  const handleSavePreset = useCallback(() => {
+    const name = window.prompt('Preset name');
+    if (!name) return;
+
+    const key = `SAVED_${name.trim().toUpperCase().replace(/\W+/g, '_')}`;
+    const next = { ...savedPresets, [key]: { name: name.trim(), venue, mapping } };
+    localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(next));
+    setSavedPresets(next);
+    setPresetKey(key);
+  }, [savedPresets, venue, mapping]);
+
+  const handleDeletePreset = useCallback(() => {
+    const { [presetKey]: removed, ...next } = savedPresets;
+    localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(next));
+    setSavedPresets(next);
+    setPresetKey('');
+  }, [presetKey, savedPresets]);
+
+  // Fields of the file: the ones its adapter finds, or the mapped ones
+  const fileFields = useMemo(() => (
+    adapter
+      ? findAdapterFields(adapter, columns)
+      : Object.keys(mapping).filter(field => mapping[field])
+  ), [adapter, columns, mapping]);
+
+  const missingFields = useMemo(() => {
+    const required = adapter
+      ? adapter.required
+      : IMPORT_FIELDS.filter(field => field.required).map(field => field.key);
+    return required
+      .filter(field => !fileFields.includes(field))
+      .map(fieldLabel);
+  }, [adapter, fileFields]);
+
+  // The import request; dryRun only parses it on the server. An adapter reads
+  // the file's own columns, a mapping sends them renamed for GENERIC.
+  const buildImport = useCallback((dryRun) => ({
+    adapter: adapter ? adapter.key : 'GENERIC',
+    fileName: file ? file.name : '',
+    venue,
+    rows: adapter ? rows : toGenericRows(rows, mapping),
+    fiatCurrency: settings.fiatCurrency || 'INR',
+    cryptoCurrency: settings.cryptoCurrency || 'USDT',
+    timezone: settings.timezone,
+    dryRun
+  }), [adapter, file, venue, rows, mapping, settings.fiatCurrency, settings.cryptoCurrency, settings.timezone]);
+
+  // Preview the rows as the server reads them, again on every mapping change
+  useEffect(() => {
+    if (!file || missingFields.length > 0) {
+      setPreview(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const loadPreview = async () => {
+      setPreviewing(true);
+      setError('');
+
+      try {
+        const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.IMPORTS}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(buildImport(true))
+        });
+        const body = await response.json();
+
+        if (!response.ok) {
+          throw new Error(body.message || 'Failed to read the file');
+        }
+        if (!cancelled) {
+          setPreview({
+            rows: toPreviewRows(body.data),
+            importable: body.data.importedRows,
+            total: body.data.totalRows
+          });
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setPreview(null);
+          setError(err.message);
+        }
+      } finally {
+        if (!cancelled) setPreviewing(false);
+      }
+    };
+
+    loadPreview();
+    return () => {
+      cancelled = true;
+    };
+  }, [file, missingFields, buildImport]);
+
+  // Load past imports, newest first
+  const loadRuns = useCallback(async () => {
+    try {
+      const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.IMPORTS}`);
+      const result = await response.json();
+
+      if (response.ok) {
+        setRuns(result.data);
+      }
+    } catch (err) {
+      console.error('Failed to load import history:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadRuns();
+  }, [loadRuns]);
+
+  // Import the file as one run; rows that cannot be read are recorded with
+  // it and orders already recorded for the venue are skipped
+  const handleImport = useCallback(async () => {
+    setImporting(true);
+    setError('');
+
+    try {
+      const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.IMPORTS}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(buildImport(false))
+      });
+      const body = await response.json();
+
+      if (!response.ok) {
+        throw new Error(body.message || 'Failed to import trades');
+      }
+
+      setResult({
+        imported: body.data.importedRows,
+        skipped: body.data.duplicateRows,
+        rejected: body.data.rejectedRows
+      });
+      setFile(null);
+      setRows([]);
+      loadRuns();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setImporting(false);
+    }
+  }, [buildImport, loadRuns]);
+
+  // Delete every trade an import created
+  const handleRollback = useCallback(async (run) => {
+    if (!window.confirm(`Roll back the import of ${run.fileName || 'this file'} and delete its ${run.importedRows} trades?`)) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.IMPORTS}/${run._id}/rollback`, {
+        method: 'POST'
+      });
+      const body = await response.json();
+
+      if (!response.ok) {
+        throw new Error(body.message || 'Failed to roll back import');
+      }
+
+      loadRuns();
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [loadRuns]);
+
+  // Format currency
+  const formatCurrency = useCallback((amount, currency = 'INR') => {
+    const symbol = CURRENCIES[currency]?.symbol || currency;
+    return `${symbol}${parseFloat(amount || 0).toLocaleString('en-IN', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    })}`;
+  }, []);
+
+  return (
+    <div className="import-page">
+      <div className="import-header">
+        <h1>Import Trades</h1>
+        <p>
+          Import a platform order-history export, skipping orders already recorded.
+          {' '}<a href={`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.IMPORTS}/template`}>Download the CSV template</a>
+        </p>
+      </div>
+
+      {/* Error Message */}
+      {error && (
+        <div className="error-message">
+          {error}
+        </div>
+      )}
+
+      {result && (
+        <div className="import-result">
+          Imported {result.imported} trades.
+          {result.skipped > 0 && ` ${result.skipped} orders were already recorded.`}
+          {result.rejected > 0 && ` ${result.rejected} rows could not be read.`}
+          {' '}<Link to="/trades">View trades</Link>
+        </div>
+      )}
+
+      {/* Drop Zone */}
+      <div {...getRootProps({ className: `import-dropzone ${isDragActive ? 'active' : ''}` })}>
+        <input {...getInputProps()} />
+        {file
+          ? <p>{file.name} · {rows.length} rows. Drop another file to replace it.</p>
+          : <p>Drop a CSV or XLSX order history here, or click to choose one</p>}
+      </div>
+
+      {/* Column Mapping */}
+      {file && (
+        <div className="import-section">
+          <div className="import-section-header">
+            <h3>Columns</h3>
+            <div className="preset-actions">
+              <select
+                value={adapter ? `ADAPTER_${adapter.key}` : presetKey}
+                onChange={(e) => applySource(e.target.value)}
+                className="form-control"
+              >
+                <option value="">Custom mapping</option>
+                {adapters.map(option => (
+                  <option key={option.key} value={`ADAPTER_${option.key}`}>{option.name}</option>
+                ))}
+                {Object.entries(savedPresets).map(([key, preset]) => (
+                  <option key={key} value={key}>{preset.name}</option>
+                ))}
+              </select>
+              {!adapter && (
+                <button className="btn btn-secondary" onClick={handleSavePreset}>
+                  Save Preset
+                </button>
+              )}
+              {!adapter && savedPresets[presetKey] && (
+                <button className="btn btn-danger" onClick={handleDeletePreset}>
+                  Delete Preset
+                </button>
+              )}
+            </div>
+          </div>
+
+          <div className="form-grid">
+            <div className="form-group">
+              <label>Venue</label>
+              <select value={venue} onChange={(e) => setVenue(e.target.value)} className="form-control">
+                <option value="">None</option>
+                {venues.map(option => (
+                  <option key={option.code} value={option.code}>{option.name}</option>
+                ))}
+              </select>
+            </div>
+
+            {!adapter && IMPORT_FIELDS.map(field => (
+              <div key={field.key} className="form-group">
+                <label>{field.label}{field.required && ' *'}</label>
+                <select
+                  value={mapping[field.key] || ''}
+                  onChange={(e) => handleMappingChange(field.key, e.target.value)}
+                  className="form-control"
+                >
+                  <option value="">Not in file</option>
+                  {columns.map(column => (
+                    <option key={column} value={column}>{column}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+
+          {adapter && (
+            <p className="import-hint">
+              Columns are read by the {adapter.name} adapter
+              {fileFields.length > 0 && `: ${fileFields.map(fieldLabel).join(', ')}`}
+            </p>
+          )}
+
+          {!fileFields.includes('orderId') && (
+            <div className="import-warning">
+              Without an order number column, importing the same file twice records its trades twice.
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Preview */}
+      {file && (
+        <div className="import-section">
+          <div className="import-section-header">
+            <h3>Preview</h3>
+            <button
+              className="btn btn-primary"
+              onClick={handleImport}
+              disabled={importing || previewing || !preview || preview.importable === 0}
+            >
+              {importing ? 'Importing...' : `Import ${preview ? preview.importable : 0} Trades`}
+            </button>
+          </div>
+
+          {missingFields.length > 0 && (
+            <p className="import-hint">Map {missingFields.join(', ')} to preview the trades.</p>
+          )}
+          {missingFields.length === 0 && previewing && <p className="import-hint">Reading the file...</p>}
+          {missingFields.length === 0 && !previewing && preview && (
+            <>
+              <p className="import-hint">
+                {preview.importable} of {preview.total} rows can be imported
+                {preview.total > PREVIEW_ROWS && `; showing the first ${PREVIEW_ROWS}`}
+              </p>
+              <div className="import-table-container">
+                <table className="import-table">
+                  <thead>
+                    <tr>
+                      <th>Line</th>
+                      <th>Order</th>
+                      <th>Side</th>
+                      <th>Time</th>
+                      <th>Price</th>
+                      <th>Quantity</th>
+                      <th>Fiat</th>
+                      <th>Counterparty</th>
+                      <th>Status</th>
+                      <th>Problems</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {preview.rows.slice(0, PREVIEW_ROWS).map(({ line, trade, problem }) => (
+                      <tr key={line} className={problem ? 'rejected' : ''}>
+                        <td>{line}</td>
+                        <td>{trade.orderId || '—'}</td>
+                        <td>{trade.type || '—'}</td>
+                        <td>{trade.timestamp ? new Date(trade.timestamp).toLocaleString('en-IN') : '—'}</td>
+                        <td>{trade.price ?? '—'}</td>
+                        <td>{trade.cryptoAmount !== undefined ? `${trade.cryptoAmount} ${trade.cryptoCurrency}` : '—'}</td>
+                        <td>{trade.fiatAmount !== undefined ? formatCurrency(trade.fiatAmount, trade.fiatCurrency) : '—'}</td>
+                        <td>{trade.counterparty || '—'}</td>
+                        <td>{trade.status || '—'}</td>
+                        <td>{problem}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+
+      {/* Import History */}
+      {runs.length > 0 && (
+        <div className="import-section">
+          <div className="import-section-header">
+            <h3>Import History</h3>
+          </div>
+
+          <div className="import-table-container">
+            <table className="import-table">
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>File</th>
+                  <th>Venue</th>
+                  <th>Rows</th>
+                  <th>Imported</th>
+                  <th>Duplicates</th>
+                  <th>Rejected</th>
+                  <th>Status</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {runs.map(run => (
+                  <tr key={run._id} className={run.status === 'ROLLED_BACK' ? 'rolled-back' : ''}>
+                    <td>{new Date(run.createdAt).toLocaleString('en-IN')}</td>
+                    <td>{run.fileName || '—'}</td>
+                    <td>{run.venue || '—'}</td>
+                    <td>{run.totalRows}</td>
+                    <td>{run.importedRows}</td>
+                    <td>{run.duplicateRows}</td>
+                    <td>{run.rejectedRows}</td>
+                    <td>{run.status === 'ROLLED_BACK' ? 'Rolled back' : 'Completed'}</td>
+                    <td>
+                      {run.status === 'COMPLETED' && (
+                        <button className="btn btn-danger" onClick={() => handleRollback(run)}>
+                          Roll Back
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Import;
@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useApp } from '../context/AppContext';
 import axios from 'axios';
+import { CRYPTO_CURRENCIES, UNMATCHED_POLICIES, TIMEZONES, LOCAL_TIMEZONE, WEEK_DAYS, MONTHS } from '../config';
 import './Settings.css';
 
 const Settings = () => {
@@ -104,8 +105,8 @@ const Settings = () => {
           <div className="setting-group">
             <label>P&L Method:</label>
             <select
-              value={localSettings.pnlMethod}
-              onChange={(e) => handleSettingChange('pnlMethod', e.target.value)}
+              value={localSettings.profitCalculationMethod}
+              onChange={(e) => handleSettingChange('profitCalculationMethod', e.target.value)}
             >
               {availableMethods.map(method => (
                 <option key={method.key} value={method.key}>
@@ -114,11 +115,31 @@ const Settings = () => {
               ))}
             </select>
             <div className="setting-description">
-              {availableMethods.find(m => m.key === localSettings.pnlMethod)?.description}
+              {availableMethods.find(m => m.key === localSettings.profitCalculationMethod)?.description}
             </div>
           </div>
         </div>
 
+        {/* Oversold Handling */}
+        <div className="settings-section">
+          <h3>Oversold Sells</h3>
+          <p>Choose what happens when a sell is larger than the inventory available to match it.</p>
+
+          <div className="setting-group">
+            <label>Unmatched Quantity:</label>
+            <select
+              value={localSettings.unmatchedPolicy}
+              onChange={(e) => handleSettingChange('unmatchedPolicy', e.target.value)}
+            >
+              {Object.entries(UNMATCHED_POLICIES).map(([key, label]) => (
+                <option key={key} value={key}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
         {/* Default Currency */}
         <div className="settings-section">
           <h3>Default Currency</h3>
@@ -139,6 +160,74 @@ const Settings = () => {
           </div>
         </div>
 
+        {/* Default Crypto Asset */}
+        <div className="settings-section">
+          <h3>Default Crypto Asset</h3>
+          <p>Profit and inventory are tracked separately for each crypto asset.</p>
+
+          <div className="setting-group">
+            <label>Crypto Asset:</label>
+            <select
+              value={localSettings.cryptoCurrency}
+              onChange={(e) => handleSettingChange('cryptoCurrency', e.target.value)}
+            >
+              {Object.entries(CRYPTO_CURRENCIES).map(([code, crypto]) => (
+                <option key={code} value={code}>
+                  {code} - {crypto.name}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {/* Calendar */}
+        <div className="settings-section">
+          <h3>Calendar</h3>
+          <p>Days, weeks and fiscal years in reports follow these settings.</p>
+
+          <div className="setting-group">
+            <label>Timezone:</label>
+            <select
+              value={localSettings.timezone}
+              onChange={(e) => handleSettingChange('timezone', e.target.value)}
+            >
+              {[...new Set([LOCAL_TIMEZONE, ...TIMEZONES])].map(timezone => (
+                <option key={timezone} value={timezone}>
+                  {timezone}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="setting-group">
+            <label>Week Starts On:</label>
+            <select
+              value={localSettings.weekStart}
+              onChange={(e) => handleSettingChange('weekStart', parseInt(e.target.value))}
+            >
+              {WEEK_DAYS.map((day, index) => (
+                <option key={day} value={index}>
+                  {day}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="setting-group">
+            <label>Fiscal Year Starts In:</label>
+            <select
+              value={localSettings.fiscalYearStart}
+              onChange={(e) => handleSettingChange('fiscalYearStart', parseInt(e.target.value))}
+            >
+              {MONTHS.map((month, index) => (
+                <option key={month} value={index + 1}>
+                  {month}{index === 3 ? ' (Indian FY)' : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
         {/* Actions */}
         <div className="settings-actions">
           <button 
@@ -1,4 +1,5 @@
 import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
 import { useApp } from '../context/AppContext';
 import { API_CONFIG, CURRENCIES, CRYPTO_CURRENCIES } from '../config';
 import TradeForm from '../components/TradeForm';
@@ -6,6 +7,7 @@ import './Trades.css';
 
 const Trades = () => {
   const { settings } = useApp();
+  const [searchParams] = useSearchParams();
   const [trades, setTrades] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
@@ -15,9 +17,15 @@ const Trades = () => {
     fiatCurrency: settings.fiatCurrency || 'INR',
     cryptoCurrency: 'USDT',
     status: '',
+    venue: searchParams.get('venue') || '',
+    counterparty: searchParams.get('counterparty') || '',
+    paymentMethod: searchParams.get('paymentMethod') || '',
+    orderId: searchParams.get('orderId') || '',
     fromDate: '',
     toDate: ''
   });
+  const [venues, setVenues] = useState([]);
+  const [paymentMethods, setPaymentMethods] = useState([]);
   const [pagination, setPagination] = useState({
     page: 1,
     limit: 50,
@@ -25,6 +33,20 @@ const Trades = () => {
     pages: 0
   });
 
+  // Query parameters of the filters that are set, shared with the export links
+  const filterParams = useMemo(() => ({
+    ...(filters.type && { type: filters.type }),
+    ...(filters.fiatCurrency && { fiatCurrency: filters.fiatCurrency }),
+    ...(filters.cryptoCurrency && { cryptoCurrency: filters.cryptoCurrency }),
+    ...(filters.status && { status: filters.status }),
+    ...(filters.venue && { venue: filters.venue }),
+    ...(filters.counterparty && { counterparty: filters.counterparty }),
+    ...(filters.paymentMethod && { paymentMethod: filters.paymentMethod }),
+    ...(filters.orderId && { orderId: filters.orderId }),
+    ...(filters.fromDate && { fromDate: filters.fromDate }),
+    ...(filters.toDate && { toDate: filters.toDate })
+  }), [filters]);
+
   // Fetch trades with filters and pagination
   const fetchTrades = useCallback(async (page = 1) => {
     setLoading(true);
@@ -34,12 +56,7 @@ const Trades = () => {
       const queryParams = new URLSearchParams({
         page: page.toString(),
         limit: pagination.limit.toString(),
-        ...(filters.type && { type: filters.type }),
-        ...(filters.fiatCurrency && { fiatCurrency: filters.fiatCurrency }),
-        ...(filters.cryptoCurrency && { cryptoCurrency: filters.cryptoCurrency }),
-        ...(filters.status && { status: filters.status }),
-        ...(filters.fromDate && { fromDate: filters.fromDate }),
-        ...(filters.toDate && { toDate: filters.toDate })
+        ...filterParams
       });
 
       const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.TRADES}?${queryParams}`);
@@ -61,7 +78,32 @@ const Trades = () => {
     } finally {
       setLoading(false);
     }
-  }, [filters, pagination.limit]);
+  }, [filterParams, pagination.limit]);
+
+  // Load the venue and payment method lists, inactive entries included, for filtering
+  useEffect(() => {
+    const loadLists = async () => {
+      try {
+        const [venuesResponse, paymentMethodsResponse] = await Promise.all([
+          fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.VENUES}`),
+          fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.PAYMENT_METHODS}`)
+        ]);
+        const venuesResult = await venuesResponse.json();
+        const paymentMethodsResult = await paymentMethodsResponse.json();
+
+        if (venuesResponse.ok) {
+          setVenues(venuesResult.data);
+        }
+        if (paymentMethodsResponse.ok) {
+          setPaymentMethods(paymentMethodsResult.data);
+        }
+      } catch (err) {
+        console.error('Failed to load filter lists:', err);
+      }
+    };
+
+    loadLists();
+  }, []);
 
   // Load trades on component mount and when filters change
   useEffect(() => {
@@ -135,6 +177,11 @@ const Trades = () => {
     })} ${currency}`;
   }, []);
 
+  // Total fees in fiat, with crypto fees valued at the trade price
+  const getTradeFees = useCallback((trade) => {
+    return (trade.feeFiat || 0) + (trade.feeCrypto || 0) * trade.price;
+  }, []);
+
   // Format timestamp
   const formatTimestamp = useCallback((timestamp) => {
     return new Date(timestamp).toLocaleString('en-IN', {
@@ -157,14 +204,16 @@ const Trades = () => {
         acc.totalSellFiat += trade.fiatAmount;
         acc.totalSellCrypto += trade.cryptoAmount;
       }
+      acc.totalFees += getTradeFees(trade);
       return acc;
     }, {
       totalBuyFiat: 0,
       totalSellFiat: 0,
       totalBuyCrypto: 0,
-      totalSellCrypto: 0
+      totalSellCrypto: 0,
+      totalFees: 0
     });
-  }, [trades]);
+  }, [trades, getTradeFees]);
 
   if (loading && trades.length === 0) {
     return (
@@ -181,12 +230,27 @@ const Trades = () => {
           <h1>Trade History</h1>
           <p>Manage and track your P2P trades</p>
         </div>
-        <button
-          className="btn btn-primary add-trade-btn"
-          onClick={() => setShowForm(true)}
-        >
-          + Add Trade
-        </button>
+        <div className="header-actions">
+          <Link className="btn btn-secondary" to="/import">
+            Import
+          </Link>
+          {['csv', 'xlsx'].map(format => (
+            <a
+              key={format}
+              className="btn btn-secondary"
+              href={`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.TRADES}/export?${new URLSearchParams({ ...filterParams, format })}`}
+              title="Export the trades matching the filters"
+            >
+              Export {format.toUpperCase()}
+            </a>
+          ))}
+          <button
+            className="btn btn-primary add-trade-btn"
+            onClick={() => setShowForm(true)}
+          >
+            + Add Trade
+          </button>
+        </div>
       </div>
 
       {/* Filters */}
@@ -253,6 +317,64 @@ const Trades = () => {
             </select>
           </div>
 
+          <div className="filter-group">
+            <label>Venue</label>
+            <select
+              name="venue"
+              value={filters.venue}
+              onChange={handleFilterChange}
+              className="filter-control"
+            >
+              <option value="">All Venues</option>
+              {venues.map(venue => (
+                <option key={venue._id} value={venue.code}>
+                  {venue.name || venue.code}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="filter-group">
+            <label>Payment Method</label>
+            <select
+              name="paymentMethod"
+              value={filters.paymentMethod}
+              onChange={handleFilterChange}
+              className="filter-control"
+            >
+              <option value="">All Methods</option>
+              {paymentMethods.map(method => (
+                <option key={method._id} value={method.code}>
+                  {method.name || method.code}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="filter-group">
+            <label>Counterparty</label>
+            <input
+              type="text"
+              name="counterparty"
+              value={filters.counterparty}
+              onChange={handleFilterChange}
+              placeholder="Nickname"
+              className="filter-control"
+            />
+          </div>
+
+          <div className="filter-group">
+            <label>Order ID</label>
+            <input
+              type="text"
+              name="orderId"
+              value={filters.orderId}
+              onChange={handleFilterChange}
+              placeholder="Venue order number"
+              className="filter-control"
+            />
+          </div>
+
           <div className="filter-group">
             <label>From Date</label>
             <input
@@ -295,6 +417,13 @@ const Trades = () => {
           </div>
         </div>
 
+        <div className="summary-card">
+          <h3>Total Fees</h3>
+          <div className="card-value">
+            <div className="fiat-amount">{formatCurrency(totals.totalFees, filters.fiatCurrency)}</div>
+          </div>
+        </div>
+
         <div className="summary-card">
           <h3>Total Trades</h3>
           <div className="card-value">
@@ -326,6 +455,11 @@ const Trades = () => {
                 <th>Fiat Amount</th>
                 <th>Price</th>
                 <th>Crypto Amount</th>
+                <th>Fees</th>
+                <th>Venue</th>
+                <th>Order ID</th>
+                <th>Counterparty</th>
+                <th>Payment</th>
                 <th>Status</th>
                 <th>Actions</th>
               </tr>
@@ -342,12 +476,25 @@ const Trades = () => {
                   <td>{formatCurrency(trade.fiatAmount, trade.fiatCurrency)}</td>
                   <td>{formatCurrency(trade.price, trade.fiatCurrency)}</td>
                   <td>{formatCrypto(trade.cryptoAmount, trade.cryptoCurrency)}</td>
+                  <td>{formatCurrency(getTradeFees(trade), trade.fiatCurrency)}</td>
+                  <td>{trade.venue || '—'}</td>
+                  <td className="order-id">{trade.orderId || '—'}</td>
+                  <td>{trade.counterparty || '—'}</td>
+                  <td>{trade.paymentMethod || '—'}</td>
                   <td>
                     <span className={`status-badge status-${trade.status.toLowerCase()}`}>
                       {trade.status}
                     </span>
+                    {trade.disputed && <span className="status-badge status-disputed">Disputed</span>}
                   </td>
-                  <td>
+                  <td className="trade-actions">
+                    <Link
+                      className="btn btn-secondary btn-sm"
+                      to={`/disputes?trade=${trade._id}`}
+                      title="Open a dispute case"
+                    >
+                      ⚖️
+                    </Link>
                     <button
                       className="btn btn-danger btn-sm"
                       onClick={() => handleDeleteTrade(trade._id)}
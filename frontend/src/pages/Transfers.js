@@ -0,0 +1,342 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { API_CONFIG, CRYPTO_CURRENCIES } from '../config';
+import './Transfers.css';
+
+const EMPTY_TRANSFER = {
+  fromVenue: '',
+  toVenue: '',
+  cryptoCurrency: 'USDT',
+  amount: '',
+  networkFee: '',
+  timestamp: new Date().toISOString().slice(0, 16),
+  txHash: '',
+  notes: ''
+};
+
+const Transfers = () => {
+  const [transfers, setTransfers] = useState([]);
+  const [balances, setBalances] = useState({ balances: [], totals: [] });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [formData, setFormData] = useState(EMPTY_TRANSFER);
+  const [venues, setVenues] = useState([]);
+
+  // Fetch transfers and the venue balances they produce
+  const fetchTransfers = useCallback(async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const [transfersResponse, balancesResponse] = await Promise.all([
+        fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.TRANSFERS}`),
+        fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.TRANSFERS}/balances`)
+      ]);
+      const transfersResult = await transfersResponse.json();
+      const balancesResult = await balancesResponse.json();
+
+      if (!transfersResponse.ok) {
+        throw new Error(transfersResult.message || 'Failed to fetch transfers');
+      }
+      if (!balancesResponse.ok) {
+        throw new Error(balancesResult.message || 'Failed to fetch venue balances');
+      }
+
+      setTransfers(transfersResult.data);
+      setBalances(balancesResult.data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // Load transfers on component mount
+  useEffect(() => {
+    fetchTransfers();
+  }, [fetchTransfers]);
+
+  // Load the managed venue list
+  useEffect(() => {
+    const loadVenues = async () => {
+      try {
+        const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.VENUES}?active=true`);
+        const result = await response.json();
+
+        if (response.ok) {
+          setVenues(result.data);
+        }
+      } catch (err) {
+        console.error('Failed to load venues:', err);
+      }
+    };
+
+    loadVenues();
+  }, []);
+
+  const handleInputChange = useCallback((e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  }, []);
+
+  // Record a transfer
+  const handleSubmit = useCallback(async (e) => {
+    e.preventDefault();
+    setError('');
+
+    try {
+      const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.TRANSFERS}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(formData)
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to record transfer');
+      }
+
+      setFormData({ ...EMPTY_TRANSFER, timestamp: new Date().toISOString().slice(0, 16) });
+      fetchTransfers();
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [formData, fetchTransfers]);
+
+  // Delete a transfer
+  const handleDelete = useCallback(async (transferId) => {
+    if (!window.confirm('Are you sure you want to delete this transfer?')) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.TRANSFERS}/${transferId}`, {
+        method: 'DELETE'
+      });
+
+      if (response.ok) {
+        fetchTransfers();
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [fetchTransfers]);
+
+  // Format number
+  const formatNumber = useCallback((number, decimals = 2) => {
+    return parseFloat(number || 0).toLocaleString('en-IN', {
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals
+    });
+  }, []);
+
+  return (
+    <div className="transfers-page">
+      <div className="transfers-header">
+        <h1>Transfers</h1>
+        <p>Crypto moved between exchanges and wallets. Only the network fee affects profit.</p>
+      </div>
+
+      {/* Error Message */}
+      {error && (
+        <div className="error-message">
+          {error}
+        </div>
+      )}
+
+      {/* Venue Balances */}
+      <div className="transfers-section">
+        <h3>Venue Balances</h3>
+        {balances.balances.length === 0 ? (
+          <div className="no-transfers">No balances yet.</div>
+        ) : (
+          <table className="transfers-table">
+            <thead>
+              <tr>
+                <th>Venue</th>
+                <th>Asset</th>
+                <th>Balance</th>
+                <th>Network Fees Paid</th>
+              </tr>
+            </thead>
+            <tbody>
+              {balances.balances.map(balance => (
+                <tr key={`${balance.venue}/${balance.cryptoCurrency}`}>
+                  <td>{balance.venue}</td>
+                  <td>{balance.cryptoCurrency}</td>
+                  <td className={balance.balance < 0 ? 'negative' : ''}>{formatNumber(balance.balance, 6)}</td>
+                  <td>{formatNumber(balance.networkFees, 6)}</td>
+                </tr>
+              ))}
+              {balances.totals.map(total => (
+                <tr key={`total/${total.cryptoCurrency}`} className="total-row">
+                  <td>Total</td>
+                  <td>{total.cryptoCurrency}</td>
+                  <td>{formatNumber(total.balance, 6)}</td>
+                  <td>{formatNumber(total.networkFees, 6)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Record Transfer */}
+      <form className="transfers-section transfer-form" onSubmit={handleSubmit}>
+        <h3>Record Transfer</h3>
+        <div className="form-grid">
+          <div className="form-group">
+            <label>From *</label>
+            <select
+              name="fromVenue"
+              value={formData.fromVenue}
+              onChange={handleInputChange}
+              required
+              className="form-control"
+            >
+              <option value="">Select venue</option>
+              {venues.map(venue => (
+                <option key={venue._id} value={venue.code}>
+                  {venue.name || venue.code}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label>To *</label>
+            <select
+              name="toVenue"
+              value={formData.toVenue}
+              onChange={handleInputChange}
+              required
+              className="form-control"
+            >
+              <option value="">Select venue</option>
+              {venues.map(venue => (
+                <option key={venue._id} value={venue.code}>
+                  {venue.name || venue.code}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label>Asset</label>
+            <select
+              name="cryptoCurrency"
+              value={formData.cryptoCurrency}
+              onChange={handleInputChange}
+              className="form-control"
+            >
+              {Object.entries(CRYPTO_CURRENCIES).map(([code, crypto]) => (
+                <option key={code} value={code}>
+                  {code} - {crypto.name}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label>Amount Received *</label>
+            <input
+              type="number"
+              name="amount"
+              value={formData.amount}
+              onChange={handleInputChange}
+              placeholder="0.000000"
+              step="0.000001"
+              min="0"
+              required
+              className="form-control"
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Network Fee</label>
+            <input
+              type="number"
+              name="networkFee"
+              value={formData.networkFee}
+              onChange={handleInputChange}
+              placeholder="0.000000"
+              step="0.000001"
+              min="0"
+              className="form-control"
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Date & Time</label>
+            <input
+              type="datetime-local"
+              name="timestamp"
+              value={formData.timestamp}
+              onChange={handleInputChange}
+              className="form-control"
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Transaction Hash</label>
+            <input
+              type="text"
+              name="txHash"
+              value={formData.txHash}
+              onChange={handleInputChange}
+              className="form-control"
+            />
+          </div>
+        </div>
+        <button type="submit" className="btn btn-primary">
+          Record Transfer
+        </button>
+      </form>
+
+      {/* Transfers Table */}
+      <div className="transfers-section">
+        <h3>History</h3>
+        {loading && transfers.length === 0 ? (
+          <div className="loading">Loading transfers...</div>
+        ) : transfers.length === 0 ? (
+          <div className="no-transfers">No transfers recorded yet.</div>
+        ) : (
+          <table className="transfers-table">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>From</th>
+                <th>To</th>
+                <th>Amount</th>
+                <th>Network Fee</th>
+                <th>Status</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {transfers.map(transfer => (
+                <tr key={transfer._id}>
+                  <td>{new Date(transfer.timestamp).toLocaleString('en-IN')}</td>
+                  <td>{transfer.fromVenue}</td>
+                  <td>{transfer.toVenue}</td>
+                  <td>{formatNumber(transfer.amount, 6)} {transfer.cryptoCurrency}</td>
+                  <td>{formatNumber(transfer.networkFee, 6)} {transfer.cryptoCurrency}</td>
+                  <td>{transfer.status}</td>
+                  <td>
+                    <button className="btn btn-danger btn-sm" onClick={() => handleDelete(transfer._id)}>
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Transfers;
@@ -0,0 +1,233 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { API_CONFIG, VENUE_KINDS } from '../config';
+import './Venues.css';
+
+const EMPTY_VENUE = {
+  code: '',
+  name: '',
+  kind: 'P2P',
+  notes: ''
+};
+
+const Venues = () => {
+  const [venues, setVenues] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [formData, setFormData] = useState(EMPTY_VENUE);
+
+  // Fetch the managed venue list
+  const fetchVenues = useCallback(async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.VENUES}`);
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to fetch venues');
+      }
+
+      setVenues(result.data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // Load venues on component mount
+  useEffect(() => {
+    fetchVenues();
+  }, [fetchVenues]);
+
+  const handleInputChange = useCallback((e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  }, []);
+
+  // Add a venue
+  const handleSubmit = useCallback(async (e) => {
+    e.preventDefault();
+    setError('');
+
+    try {
+      const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.VENUES}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(formData)
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to add venue');
+      }
+
+      setFormData(EMPTY_VENUE);
+      fetchVenues();
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [formData, fetchVenues]);
+
+  // Stop offering a venue for new trades
+  const handleToggleActive = useCallback(async (venue) => {
+    try {
+      const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.VENUES}/${venue._id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ active: !venue.active })
+      });
+
+      if (response.ok) {
+        fetchVenues();
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [fetchVenues]);
+
+  // Delete a venue no trade refers to
+  const handleDelete = useCallback(async (venue) => {
+    if (!window.confirm(`Are you sure you want to delete ${venue.code}?`)) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.VENUES}/${venue._id}`, {
+        method: 'DELETE'
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to delete venue');
+      }
+
+      fetchVenues();
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [fetchVenues]);
+
+  return (
+    <div className="venues-page">
+      <div className="venues-header">
+        <h1>Venues</h1>
+        <p>Exchanges, P2P markets and wallets trades can be placed on</p>
+      </div>
+
+      {/* Error Message */}
+      {error && (
+        <div className="error-message">
+          {error}
+        </div>
+      )}
+
+      {/* Venues Table */}
+      <div className="venues-table-container">
+        {loading && venues.length === 0 ? (
+          <div className="loading">Loading venues...</div>
+        ) : venues.length === 0 ? (
+          <div className="no-venues">
+            <p>No venues yet. Add one below to tag trades with it.</p>
+          </div>
+        ) : (
+          <table className="venues-table">
+            <thead>
+              <tr>
+                <th>Code</th>
+                <th>Name</th>
+                <th>Kind</th>
+                <th>Notes</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {venues.map(venue => (
+                <tr key={venue._id} className={venue.active ? '' : 'inactive'}>
+                  <td>{venue.code}</td>
+                  <td>{venue.name || '—'}</td>
+                  <td>{venue.kind}</td>
+                  <td>{venue.notes || '—'}</td>
+                  <td className="venue-actions">
+                    <button className="btn btn-secondary" onClick={() => handleToggleActive(venue)}>
+                      {venue.active ? 'Deactivate' : 'Activate'}
+                    </button>
+                    <button className="btn btn-danger" onClick={() => handleDelete(venue)}>
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Add Venue */}
+      <form className="venue-form" onSubmit={handleSubmit}>
+        <h3>Add Venue</h3>
+        <div className="form-grid">
+          <div className="form-group">
+            <label>Code *</label>
+            <input
+              type="text"
+              name="code"
+              value={formData.code}
+              onChange={handleInputChange}
+              placeholder="e.g. BINANCE"
+              required
+              className="form-control"
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Name *</label>
+            <input
+              type="text"
+              name="name"
+              value={formData.name}
+              onChange={handleInputChange}
+              placeholder="e.g. Binance P2P"
+              required
+              className="form-control"
+            />
+          </div>
+
+          <div className="form-group">
+            <label>Kind</label>
+            <select
+              name="kind"
+              value={formData.kind}
+              onChange={handleInputChange}
+              className="form-control"
+            >
+              {VENUE_KINDS.map(kind => (
+                <option key={kind} value={kind}>{kind}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label>Notes</label>
+            <input
+              type="text"
+              name="notes"
+              value={formData.notes}
+              onChange={handleInputChange}
+              className="form-control"
+            />
+          </div>
+        </div>
+        <button type="submit" className="btn btn-primary">
+          Add Venue
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default Venues;